@@ -37,10 +37,15 @@ const subTopicRoutes = require('./src/routes/subTopicRoutes');
 const questionRoutes = require('./src/routes/questionRoutes');
 const battalionRoutes = require('./src/routes/battalionRoutes');
 const dashboardRoutes = require('./src/routes/dashboardRoutes');
+const reportingPeriodRoutes = require('./src/routes/reportingPeriodRoutes');
+const consistencyRuleRoutes = require('./src/routes/consistencyRuleRoutes');
+const masterDataRoutes = require('./src/routes/masterDataRoutes');
 
 // Import middleware
 const errorHandler = require('./src/middleware/errorHandler');
 const logger = require('./src/utils/logger');
+const savedReportService = require('./src/services/savedReportService');
+const reportJobService = require('./src/services/reportJobService');
 const { Battalion } = require('./src/models');
 
 const app = express();
@@ -128,6 +133,9 @@ app.use('/api/permissions', permissionRoutes);
 app.use('/api/permission-handle', permissionHandleRoutes);
 app.use('/api/battalions', battalionRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/reporting-periods', reportingPeriodRoutes);
+app.use('/api/consistency-rules', consistencyRuleRoutes);
+app.use('/api/master-data', masterDataRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -180,6 +188,21 @@ const startServer = async () => {
       logger.info(`Server is running on port ${PORT}`);
     });
 
+    // Scheduled generation of saved reports; a scheduler that fails to
+    // start is logged and the API keeps serving
+    try {
+      await savedReportService.start();
+    } catch (error) {
+      logger.error('Report scheduler could not be started:', error);
+    }
+
+    // Background report jobs queued before the restart
+    try {
+      await reportJobService.start();
+    } catch (error) {
+      logger.error('Report job queue could not be started:', error);
+    }
+
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('SIGTERM received, shutting down gracefully');
@@ -566,15 +566,16 @@ const options = {
         FileUpload: {
           type: 'object',
           properties: {
-            originalName: {
+            id: {
               type: 'string',
-              example: 'document.pdf'
+              format: 'uuid',
+              example: '3f6c2a8e-5b1d-4c7a-9e0f-2d4b6a8c1e3f'
             },
-            filename: {
+            originalName: {
               type: 'string',
-              example: 'document-1663123456789.pdf'
+              example: 'document.pdf'
             },
-            mimetype: {
+            mimeType: {
               type: 'string',
               example: 'application/pdf'
             },
@@ -582,14 +583,34 @@ const options = {
               type: 'integer',
               example: 1024000
             },
+            checksum: {
+              type: 'string',
+              description: 'SHA-256 of the contents (hex)',
+              example: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+            },
             uploadType: {
               type: 'string',
               enum: ['general', 'images', 'documents', 'spreadsheets'],
               example: 'documents'
             },
+            entityType: {
+              type: 'string',
+              enum: ['COMMUNICATION', 'CID_CRIME'],
+              nullable: true,
+              example: 'CID_CRIME'
+            },
+            entityId: {
+              type: 'integer',
+              nullable: true,
+              example: 42
+            },
+            ownerId: {
+              type: 'integer',
+              example: 7
+            },
             url: {
               type: 'string',
-              example: '/api/files/download/document-1663123456789.pdf'
+              example: '/api/files/3f6c2a8e-5b1d-4c7a-9e0f-2d4b6a8c1e3f/download'
             }
           }
         }
@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const { cidAnalyticsService } = require('../services');
+const { authenticate } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Filters accepted by every analytics endpoint
+const analyticsFilters = (query) => ({
+  dateFrom: query.dateFrom,
+  dateTo: query.dateTo,
+  year: query.year,
+  districtId: query.districtId,
+  subDivisionId: query.subDivisionId,
+  policeStationId: query.policeStationId,
+  categoryId: query.categoryId,
+  categoryTypeId: query.categoryTypeId,
+  modusId: query.modusId,
+  period: query.period
+});
+
+/**
+ * Wrap an analytics query in the common response envelope
+ */
+const analyticsRoute = (description, run) => async (req, res) => {
+  try {
+    const data = await run(req);
+
+    res.json({
+      status: 'SUCCESS',
+      message: `${description} retrieved successfully`,
+      data
+    });
+  } catch (error) {
+    logger.error(`Error getting ${description.toLowerCase()}:`, error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+};
+
+/**
+ * @route GET /api/cid/analytics/locations
+ * @desc Crime counts per sub-division and police station
+ *       (filters: dateFrom, dateTo, year, districtId, subDivisionId, policeStationId, categoryId, categoryTypeId, modusId)
+ * @access Private
+ */
+router.get('/locations', authenticate, analyticsRoute('Crime location breakdown', (req) =>
+  cidAnalyticsService.getLocationBreakdown(analyticsFilters(req.query), req.user)
+));
+
+/**
+ * @route GET /api/cid/analytics/modus-trends
+ * @desc Crime counts per category type and modus operandi over time (common filters, period: MONTH, QUARTER, YEAR)
+ * @access Private
+ */
+router.get('/modus-trends', authenticate, analyticsRoute('Modus trends', (req) =>
+  cidAnalyticsService.getModusTrends(analyticsFilters(req.query), req.user)
+));
+
+/**
+ * @route GET /api/cid/analytics/time-patterns
+ * @desc Crime counts by hour of day and day of week (common filters)
+ * @access Private
+ */
+router.get('/time-patterns', authenticate, analyticsRoute('Crime time patterns', (req) =>
+  cidAnalyticsService.getTimePatterns(analyticsFilters(req.query), req.user)
+));
+
+/**
+ * @route GET /api/cid/analytics/repeat-offenders
+ * @desc Accused linked to several cases by mobile number, or name with relative's name or date of birth
+ *       (common filters, minCases, limit)
+ * @access Private
+ */
+router.get('/repeat-offenders', authenticate, analyticsRoute('Repeat offenders', (req) =>
+  cidAnalyticsService.getRepeatOffenders({
+    ...analyticsFilters(req.query),
+    minCases: req.query.minCases,
+    limit: req.query.limit
+  }, req.user)
+));
+
+/**
+ * @route GET /api/cid/analytics/property
+ * @desc Looted property value and cash collected per period (common filters, period: MONTH, QUARTER, YEAR)
+ * @access Private
+ */
+router.get('/property', authenticate, analyticsRoute('Property totals', (req) =>
+  cidAnalyticsService.getPropertyTotals(analyticsFilters(req.query), req.user)
+));
+
+module.exports = router;
@@ -68,9 +68,9 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
   const where = {};
   if (search) {
     where[Op.or] = [
-      { categoryName: { [Op.iLike]: `%${search}%` } },
-      { categoryCode: { [Op.iLike]: `%${search}%` } },
-      { description: { [Op.iLike]: `%${search}%` } }
+      { categoryName: { [Op.like]: `%${search}%` } },
+      { categoryCode: { [Op.like]: `%${search}%` } },
+      { description: { [Op.like]: `%${search}%` } }
     ];
   }
   if (active !== undefined) {
@@ -147,8 +147,8 @@ router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler
   const existingCategory = await CIDCrimeCategory.findOne({
     where: {
       [Op.or]: [
-        { categoryName: { [Op.iLike]: categoryName } },
-        { categoryCode: { [Op.iLike]: categoryCode } }
+        { categoryName: { [Op.like]: categoryName } },
+        { categoryCode: { [Op.like]: categoryCode } }
       ]
     }
   });
@@ -249,8 +249,8 @@ router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandl
   // Check for duplicate name or code (excluding current category)
   if (categoryName || categoryCode) {
     const duplicateCheck = {};
-    if (categoryName) duplicateCheck.categoryName = { [Op.iLike]: categoryName };
-    if (categoryCode) duplicateCheck.categoryCode = { [Op.iLike]: categoryCode };
+    if (categoryName) duplicateCheck.categoryName = { [Op.like]: categoryName };
+    if (categoryCode) duplicateCheck.categoryCode = { [Op.like]: categoryCode };
 
     const existingCategory = await CIDCrimeCategory.findOne({
       where: {
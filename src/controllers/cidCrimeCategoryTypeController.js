@@ -55,8 +55,8 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
   const where = {};
   if (search) {
     where[Op.or] = [
-      { typeOfCrime: { [Op.iLike]: `%${search}%` } },
-      { description: { [Op.iLike]: `%${search}%` } }
+      { typeOfCrime: { [Op.like]: `%${search}%` } },
+      { description: { [Op.like]: `%${search}%` } }
     ];
   }
   if (categoryId) {
@@ -169,7 +169,7 @@ router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler
   // Check for duplicate type of crime within the same category
   const existingType = await CIDCrimeCategoryType.findOne({
     where: {
-      typeOfCrime: { [Op.iLike]: typeOfCrime },
+      typeOfCrime: { [Op.like]: typeOfCrime },
       cidCrimeCategoryId
     }
   });
@@ -309,7 +309,7 @@ router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandl
     const categoryIdToCheck = cidCrimeCategoryId || categoryType.cidCrimeCategoryId;
     const existingType = await CIDCrimeCategoryType.findOne({
       where: {
-        typeOfCrime: { [Op.iLike]: typeOfCrime },
+        typeOfCrime: { [Op.like]: typeOfCrime },
         cidCrimeCategoryId: categoryIdToCheck,
         id: { [Op.ne]: id }
       }
@@ -1,8 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const { cidCrimeDataService } = require('../services');
+const { cidCrimeDataService, cidCaseLifecycleService } = require('../services');
 const { authenticate } = require('../middleware/auth');
-const { validateCrimeDataCreate, validateCrimeDataUpdate } = require('../middleware/validationMiddleware');
+const { validateCrimeDataCreate, validateCrimeDataUpdate, validateCrimePerson } = require('../middleware/validationMiddleware');
 const logger = require('../utils/logger');
 
 /**
@@ -26,7 +26,7 @@ router.get('/', authenticate, async (req, res) => {
       search: req.query.search
     };
 
-    const result = await cidCrimeDataService.getAllCrimeData(filters);
+    const result = await cidCrimeDataService.getAllCrimeData(filters, req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -51,6 +51,68 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/cid-crime-data/statistics
+ * @desc Get CID crime statistics
+ * @access Private
+ */
+router.get('/statistics', authenticate, async (req, res) => {
+  try {
+    const filters = {
+      districtId: req.query.districtId ? parseInt(req.query.districtId) : undefined,
+      categoryId: req.query.categoryId ? parseInt(req.query.categoryId) : undefined,
+      dateFrom: req.query.dateFrom,
+      dateTo: req.query.dateTo,
+      year: req.query.year ? parseInt(req.query.year) : undefined
+    };
+
+    const statistics = await cidCrimeDataService.getCrimeStatistics(filters, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'CID crime statistics retrieved successfully',
+      data: statistics
+    });
+
+  } catch (error) {
+    logger.error('Error getting CID crime statistics:', error);
+    res.status(500).json({
+      status: 'ERROR',
+      message: 'Failed to retrieve CID crime statistics',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/cid-crime-data/pending
+ * @desc Cases that stayed in their status past its deadline, grouped by police station
+ *       (filters: status, districtId, policeStationId)
+ * @access Private
+ */
+router.get('/pending', authenticate, async (req, res) => {
+  try {
+    const pending = await cidCaseLifecycleService.listPending({
+      status: req.query.status,
+      districtId: req.query.districtId,
+      policeStationId: req.query.policeStationId
+    }, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Pending CID cases retrieved successfully',
+      data: pending
+    });
+  } catch (error) {
+    logger.error('Error getting pending CID cases:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
 /**
  * @route GET /api/cid-crime-data/:id
  * @desc Get CID crime data by ID
@@ -59,7 +121,7 @@ router.get('/', authenticate, async (req, res) => {
 router.get('/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
-    const crimeData = await cidCrimeDataService.getCrimeDataById(parseInt(id));
+    const crimeData = await cidCrimeDataService.getCrimeDataById(parseInt(id), req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -69,7 +131,7 @@ router.get('/:id', authenticate, async (req, res) => {
 
   } catch (error) {
     logger.error('Error getting CID crime data:', error);
-    const statusCode = error.message === 'Crime data not found' ? 404 : 500;
+    const statusCode = error.statusCode || (error.message === 'Crime data not found' ? 404 : 500);
     res.status(statusCode).json({
       status: 'ERROR',
       message: error.message
@@ -114,9 +176,7 @@ router.put('/:id', authenticate, validateCrimeDataUpdate, async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
-    const updatedBy = req.user.id;
-
-    const result = await cidCrimeDataService.updateCrimeData(parseInt(id), updateData, updatedBy);
+    const result = await cidCrimeDataService.updateCrimeData(parseInt(id), updateData, req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -126,7 +186,7 @@ router.put('/:id', authenticate, validateCrimeDataUpdate, async (req, res) => {
 
   } catch (error) {
     logger.error('Error updating CID crime data:', error);
-    const statusCode = error.message === 'Crime data not found' ? 404 : 400;
+    const statusCode = error.message === 'Crime data not found' ? 404 : error.statusCode || 400;
     res.status(statusCode).json({
       status: 'ERROR',
       message: error.message
@@ -142,9 +202,7 @@ router.put('/:id', authenticate, validateCrimeDataUpdate, async (req, res) => {
 router.delete('/:id', authenticate, async (req, res) => {
   try {
     const { id } = req.params;
-    const deletedBy = req.user.id;
-
-    const result = await cidCrimeDataService.deleteCrimeData(parseInt(id), deletedBy);
+    const result = await cidCrimeDataService.deleteCrimeData(parseInt(id), req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -153,7 +211,7 @@ router.delete('/:id', authenticate, async (req, res) => {
 
   } catch (error) {
     logger.error('Error deleting CID crime data:', error);
-    const statusCode = error.message === 'Crime data not found' ? 404 : 500;
+    const statusCode = error.message === 'Crime data not found' ? 404 : error.statusCode || 500;
     res.status(statusCode).json({
       status: 'ERROR',
       message: error.message
@@ -161,39 +219,6 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
-/**
- * @route GET /api/cid-crime-data/statistics
- * @desc Get CID crime statistics
- * @access Private
- */
-router.get('/statistics', authenticate, async (req, res) => {
-  try {
-    const filters = {
-      districtId: req.query.districtId ? parseInt(req.query.districtId) : undefined,
-      categoryId: req.query.categoryId ? parseInt(req.query.categoryId) : undefined,
-      dateFrom: req.query.dateFrom,
-      dateTo: req.query.dateTo,
-      year: req.query.year ? parseInt(req.query.year) : undefined
-    };
-
-    const statistics = await cidCrimeDataService.getCrimeStatistics(filters);
-
-    res.json({
-      status: 'SUCCESS',
-      message: 'CID crime statistics retrieved successfully',
-      data: statistics
-    });
-
-  } catch (error) {
-    logger.error('Error getting CID crime statistics:', error);
-    res.status(500).json({
-      status: 'ERROR',
-      message: 'Failed to retrieve CID crime statistics',
-      error: error.message
-    });
-  }
-});
-
 /**
  * @route GET /api/cid-crime-data/search/:searchTerm
  * @desc Search CID crime data
@@ -208,7 +233,7 @@ router.get('/search/:searchTerm', authenticate, async (req, res) => {
       limit: parseInt(req.query.limit) || 50
     };
 
-    const results = await cidCrimeDataService.searchCrimeData(searchTerm, filters);
+    const results = await cidCrimeDataService.searchCrimeData(searchTerm, filters, req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -236,7 +261,7 @@ router.get('/by-status/:active', authenticate, async (req, res) => {
     const { active } = req.params;
     const isActive = active === 'true';
 
-    const crimeData = await cidCrimeDataService.getCrimesByActiveStatus(isActive);
+    const crimeData = await cidCrimeDataService.getCrimesByActiveStatus(isActive, req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -259,13 +284,11 @@ router.get('/by-status/:active', authenticate, async (req, res) => {
  * @desc Add victim to crime data
  * @access Private
  */
-router.post('/:id/victims', authenticate, async (req, res) => {
+router.post('/:id/victims', authenticate, validateCrimePerson, async (req, res) => {
   try {
     const { id } = req.params;
     const victimData = req.body;
-    const createdBy = req.user.id;
-
-    const victim = await cidCrimeDataService.addVictim(parseInt(id), victimData, createdBy);
+    const victim = await cidCrimeDataService.addVictim(parseInt(id), victimData, req.user);
 
     res.status(201).json({
       status: 'SUCCESS',
@@ -275,7 +298,7 @@ router.post('/:id/victims', authenticate, async (req, res) => {
 
   } catch (error) {
     logger.error('Error adding victim:', error);
-    const statusCode = error.message === 'Crime data not found' ? 404 : 400;
+    const statusCode = error.message === 'Crime data not found' ? 404 : error.statusCode || 400;
     res.status(statusCode).json({
       status: 'ERROR',
       message: error.message
@@ -288,13 +311,11 @@ router.post('/:id/victims', authenticate, async (req, res) => {
  * @desc Add accused to crime data
  * @access Private
  */
-router.post('/:id/accused', authenticate, async (req, res) => {
+router.post('/:id/accused', authenticate, validateCrimePerson, async (req, res) => {
   try {
     const { id } = req.params;
     const accusedData = req.body;
-    const createdBy = req.user.id;
-
-    const accused = await cidCrimeDataService.addAccused(parseInt(id), accusedData, createdBy);
+    const accused = await cidCrimeDataService.addAccused(parseInt(id), accusedData, req.user);
 
     res.status(201).json({
       status: 'SUCCESS',
@@ -304,7 +325,7 @@ router.post('/:id/accused', authenticate, async (req, res) => {
 
   } catch (error) {
     logger.error('Error adding accused:', error);
-    const statusCode = error.message === 'Crime data not found' ? 404 : 400;
+    const statusCode = error.message === 'Crime data not found' ? 404 : error.statusCode || 400;
     res.status(statusCode).json({
       status: 'ERROR',
       message: error.message
@@ -317,13 +338,11 @@ router.post('/:id/accused', authenticate, async (req, res) => {
  * @desc Add deceased to crime data
  * @access Private
  */
-router.post('/:id/deceased', authenticate, async (req, res) => {
+router.post('/:id/deceased', authenticate, validateCrimePerson, async (req, res) => {
   try {
     const { id } = req.params;
     const deceasedData = req.body;
-    const createdBy = req.user.id;
-
-    const deceased = await cidCrimeDataService.addDeceased(parseInt(id), deceasedData, createdBy);
+    const deceased = await cidCrimeDataService.addDeceased(parseInt(id), deceasedData, req.user);
 
     res.status(201).json({
       status: 'SUCCESS',
@@ -333,7 +352,7 @@ router.post('/:id/deceased', authenticate, async (req, res) => {
 
   } catch (error) {
     logger.error('Error adding deceased:', error);
-    const statusCode = error.message === 'Crime data not found' ? 404 : 400;
+    const statusCode = error.message === 'Crime data not found' ? 404 : error.statusCode || 400;
     res.status(statusCode).json({
       status: 'ERROR',
       message: error.message
@@ -341,6 +360,106 @@ router.post('/:id/deceased', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/cid-crime-data/:id/witnesses
+ * @desc Add witness to crime data
+ * @access Private
+ */
+router.post('/:id/witnesses', authenticate, validateCrimePerson, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const witnessData = req.body;
+    const witness = await cidCrimeDataService.addWitness(parseInt(id), witnessData, req.user);
+
+    res.status(201).json({
+      status: 'SUCCESS',
+      message: 'Witness added successfully',
+      data: witness
+    });
+
+  } catch (error) {
+    logger.error('Error adding witness:', error);
+    const statusCode = error.message === 'Crime data not found' ? 404 : error.statusCode || 400;
+    res.status(statusCode).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/cid-crime-data/:id/lifecycle
+ * @desc Status, investigating officer, chargesheet, court details and history of a case
+ * @access Private
+ */
+router.get('/:id/lifecycle', authenticate, async (req, res) => {
+  try {
+    const lifecycle = await cidCaseLifecycleService.getLifecycle(parseInt(req.params.id), req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Case lifecycle retrieved successfully',
+      data: lifecycle
+    });
+  } catch (error) {
+    logger.error('Error getting CID case lifecycle:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/cid-crime-data/:id/status
+ * @desc Move a case to its next status
+ *       (body: status, effectiveDate, remarks and the details the new status needs)
+ * @access Private
+ */
+router.post('/:id/status', authenticate, async (req, res) => {
+  try {
+    const lifecycle = await cidCaseLifecycleService.advanceStatus(parseInt(req.params.id), req.body, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: `Case moved to ${lifecycle.status}`,
+      data: lifecycle
+    });
+  } catch (error) {
+    logger.error('Error changing CID case status:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/cid-crime-data/:id/investigating-officer
+ * @desc Assign or reassign the investigating officer (body: investigatingOfficerId, effectiveDate, remarks)
+ * @access Private
+ */
+router.post('/:id/investigating-officer', authenticate, async (req, res) => {
+  try {
+    const lifecycle = await cidCaseLifecycleService.assignInvestigatingOfficer(parseInt(req.params.id), req.body, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Investigating officer assigned successfully',
+      data: lifecycle
+    });
+  } catch (error) {
+    logger.error('Error assigning investigating officer:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+});
+
 /**
  * @route GET /api/cid-crime-data/district/:districtId
  * @desc Get crimes by district
@@ -358,7 +477,7 @@ router.get('/district/:districtId', authenticate, async (req, res) => {
       active: true
     };
 
-    const result = await cidCrimeDataService.getAllCrimeData(filters);
+    const result = await cidCrimeDataService.getAllCrimeData(filters, req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -400,7 +519,7 @@ router.get('/category/:categoryId', authenticate, async (req, res) => {
       active: true
     };
 
-    const result = await cidCrimeDataService.getAllCrimeData(filters);
+    const result = await cidCrimeDataService.getAllCrimeData(filters, req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -442,7 +561,7 @@ router.get('/export/excel', authenticate, async (req, res) => {
 
     // Get all crime data (without pagination for export)
     const allFilters = { ...filters, page: 1, limit: 10000 };
-    const result = await cidCrimeDataService.getAllCrimeData(allFilters);
+    const result = await cidCrimeDataService.getAllCrimeData(allFilters, req.user);
 
     // TODO: Implement Excel generation
     // const excelBuffer = await excelGenerator.generateCrimeDataExcel(result.data);
@@ -60,8 +60,8 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
   const where = {};
   if (search) {
     where[Op.or] = [
-      { name: { [Op.iLike]: `%${search}%` } },
-      { descriptionDetails: { [Op.iLike]: `%${search}%` } }
+      { name: { [Op.like]: `%${search}%` } },
+      { descriptionDetails: { [Op.like]: `%${search}%` } }
     ];
   }
   if (categoryId) {
@@ -178,7 +178,7 @@ router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler
   // Check for duplicate name within the same category and sub-category
   const existingModus = await CIDCrimeModus.findOne({
     where: {
-      name: { [Op.iLike]: name },
+      name: { [Op.like]: name },
       cidCrimeCategoryId,
       ...(cidCrimeSubCategoryId && { cidCrimeSubCategoryId })
     }
@@ -322,7 +322,7 @@ router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandl
     
     const existingModus = await CIDCrimeModus.findOne({
       where: {
-        name: { [Op.iLike]: name },
+        name: { [Op.like]: name },
         cidCrimeCategoryId: categoryIdToCheck,
         ...(subCategoryIdToCheck && { cidCrimeSubCategoryId: subCategoryIdToCheck }),
         id: { [Op.ne]: id }
@@ -55,15 +55,15 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
   const where = {};
   if (search) {
     where[Op.or] = [
-      { name: { [Op.iLike]: `%${search}%` } },
-      { code: { [Op.iLike]: `%${search}%` } }
+      { name: { [Op.like]: `%${search}%` } },
+      { code: { [Op.like]: `%${search}%` } }
     ];
   }
   if (stateId) {
     where.stateId = stateId;
   }
   if (active !== undefined) {
-    where.isActive = active === 'true';
+    where.active = active === 'true';
   }
 
   const offset = (page - 1) * limit;
@@ -73,7 +73,7 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
       {
         model: State,
         as: 'state',
-        attributes: ['id', 'name', 'code']
+        attributes: ['id', 'stateName']
       }
     ],
     limit: parseInt(limit),
@@ -122,7 +122,7 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  *               stateId:
  *                 type: integer
  *                 example: 1
- *               isActive:
+ *               active:
  *                 type: boolean
  *                 default: true
  *     responses:
@@ -130,7 +130,7 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  *         description: CID district created successfully
  */
 router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler.asyncHandler(async (req, res) => {
-  const { name, code, stateId, isActive = true } = req.body;
+  const { name, code, stateId, active = true } = req.body;
 
   if (!name || !code || !stateId) {
     throw new ValidationException('Missing required fields', [
@@ -150,8 +150,8 @@ router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler
   const existingDistrict = await CIDDistrict.findOne({
     where: {
       [Op.or]: [
-        { name: { [Op.iLike]: name } },
-        { code: { [Op.iLike]: code } }
+        { name: { [Op.like]: name } },
+        { code: { [Op.like]: code } }
       ]
     }
   });
@@ -164,7 +164,7 @@ router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler
     name: name.trim(),
     code: code.trim().toUpperCase(),
     stateId,
-    isActive,
+    active,
     createdBy: req.user.id
   });
 
@@ -201,7 +201,7 @@ router.get('/:id', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
       {
         model: State,
         as: 'state',
-        attributes: ['id', 'name', 'code']
+        attributes: ['id', 'stateName']
       }
     ]
   });
@@ -242,7 +242,7 @@ router.get('/:id', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  *                 type: string
  *               stateId:
  *                 type: integer
- *               isActive:
+ *               active:
  *                 type: boolean
  *     responses:
  *       200:
@@ -250,7 +250,7 @@ router.get('/:id', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  */
 router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler.asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, code, stateId, isActive } = req.body;
+  const { name, code, stateId, active } = req.body;
 
   const district = await CIDDistrict.findByPk(id);
   if (!district) {
@@ -268,8 +268,8 @@ router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandl
   // Check for duplicate name or code (excluding current district)
   if (name || code) {
     const duplicateCheck = {};
-    if (name) duplicateCheck.name = { [Op.iLike]: name };
-    if (code) duplicateCheck.code = { [Op.iLike]: code };
+    if (name) duplicateCheck.name = { [Op.like]: name };
+    if (code) duplicateCheck.code = { [Op.like]: code };
 
     const existingDistrict = await CIDDistrict.findOne({
       where: {
@@ -287,7 +287,7 @@ router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandl
   if (name) updateData.name = name.trim();
   if (code) updateData.code = code.trim().toUpperCase();
   if (stateId) updateData.stateId = stateId;
-  if (isActive !== undefined) updateData.isActive = isActive;
+  if (active !== undefined) updateData.active = active;
   updateData.updatedBy = req.user.id;
 
   await district.update(updateData);
@@ -357,7 +357,7 @@ router.post('/:id/activate', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']),
   }
 
   await district.update({ 
-    isActive: true,
+    active: true,
     updatedBy: req.user.id 
   });
 
@@ -393,7 +393,7 @@ router.post('/:id/deactivate', authenticate, authorize(['ADMIN', 'SUPER_ADMIN'])
   }
 
   await district.update({ 
-    isActive: false,
+    active: false,
     updatedBy: req.user.id 
   });
 
@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+const { cidDuplicateService } = require('../services');
+const { authenticate } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const sendError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    status: 'ERROR',
+    message: error.message,
+    details: error.details
+  });
+};
+
+/**
+ * @route GET /api/cid/duplicates
+ * @desc Review queue of suspected duplicate cases (filters: status (default PENDING), minScore, crimeDataId, page, size)
+ * @access Private
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const result = await cidDuplicateService.listCandidates(req.query, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Suspected duplicates retrieved successfully',
+      data: result.candidates,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error getting suspected duplicates:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route GET /api/cid/duplicates/merges/:crimeDataId
+ * @desc Merges into or out of a case, with the merged records as they were
+ * @access Private
+ */
+router.get('/merges/:crimeDataId', authenticate, async (req, res) => {
+  try {
+    const merges = await cidDuplicateService.listMerges(parseInt(req.params.crimeDataId), req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Case merges retrieved successfully',
+      data: merges
+    });
+  } catch (error) {
+    logger.error('Error getting case merges:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /api/cid/duplicates/scan/:crimeDataId
+ * @desc Re-run duplicate detection for a case
+ * @access Private
+ */
+router.post('/scan/:crimeDataId', authenticate, async (req, res) => {
+  try {
+    const duplicates = await cidDuplicateService.scan(parseInt(req.params.crimeDataId), req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: duplicates.length ? `${duplicates.length} possible duplicates found` : 'No possible duplicates found',
+      data: duplicates
+    });
+  } catch (error) {
+    logger.error('Error scanning for duplicates:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route GET /api/cid/duplicates/:id
+ * @desc Suspected duplicate pair with the score breakdown
+ * @access Private
+ */
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const candidate = await cidDuplicateService.getCandidate(parseInt(req.params.id), req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Suspected duplicate retrieved successfully',
+      data: candidate
+    });
+  } catch (error) {
+    logger.error('Error getting suspected duplicate:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /api/cid/duplicates/:id/dismiss
+ * @desc Mark a suspected pair as distinct cases (body: remarks)
+ * @access Private
+ */
+router.post('/:id/dismiss', authenticate, async (req, res) => {
+  try {
+    const candidate = await cidDuplicateService.dismiss(parseInt(req.params.id), req.body, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Suspected duplicate dismissed',
+      data: candidate
+    });
+  } catch (error) {
+    logger.error('Error dismissing suspected duplicate:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /api/cid/duplicates/:id/merge
+ * @desc Merge a suspected pair into one case (body: keepCaseId (default the older case), remarks).
+ *       Persons, files, evidence and remarks move to the kept case; the other is deactivated and kept for audit
+ * @access Private
+ */
+router.post('/:id/merge', authenticate, async (req, res) => {
+  try {
+    const result = await cidDuplicateService.merge(parseInt(req.params.id), req.body, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: `Case ${result.mergedCaseId} merged into case ${result.keptCaseId}`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error merging duplicate cases:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const router = express.Router();
+const { cidGeoService } = require('../services');
+const { authenticate, authenticateWithPermission } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Boundary files are parsed in memory and never stored
+const boundaryUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.CID_BOUNDARY_IMPORT_MAX_MB) || 20) * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (['.geojson', '.json'].includes(path.extname(file.originalname).toLowerCase())) return cb(null, true);
+    return cb(new Error('Only .geojson and .json files can be imported'));
+  }
+});
+
+// Wraps the upload so multer errors get the usual JSON error body
+const uploadBoundaryFile = (req, res, next) => {
+  boundaryUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({
+      status: 'ERROR',
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'Boundary file is too large' : error.message
+    });
+  });
+};
+
+// Case filters shared with the CID analytics endpoints
+const caseFilters = (source) => ({
+  dateFrom: source.dateFrom,
+  dateTo: source.dateTo,
+  year: source.year,
+  districtId: source.districtId,
+  subDivisionId: source.subDivisionId,
+  policeStationId: source.policeStationId,
+  categoryId: source.categoryId,
+  categoryTypeId: source.categoryTypeId,
+  modusId: source.modusId
+});
+
+const sendError = (res, error) => {
+  res.status(error.statusCode || 500).json({
+    status: 'ERROR',
+    message: error.message,
+    details: error.details
+  });
+};
+
+/**
+ * @route POST /api/cid/geo/police-station-boundaries
+ * @desc Import police station boundaries from a GeoJSON FeatureCollection (multipart field "file",
+ *       or the collection as the JSON body). Query/body: matchBy (code, id, name), dryRun (default true)
+ * @access Private (permission)
+ */
+router.post('/police-station-boundaries', authenticateWithPermission, uploadBoundaryFile, async (req, res) => {
+  try {
+    // With a JSON body the options travel in the query string
+    const options = req.file ? { ...req.query, ...req.body } : req.query;
+    const dryRun = String(options.dryRun ?? 'true').toLowerCase() !== 'false';
+    const report = await cidGeoService.importBoundaries(req.file || null, {
+      geojson: req.file ? null : req.body,
+      matchBy: options.matchBy,
+      dryRun
+    }, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: dryRun ? 'Boundaries validated; nothing was saved' : 'Boundaries imported successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error importing police station boundaries:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route GET /api/cid/geo/police-station-boundaries
+ * @desc Police station boundaries as a GeoJSON FeatureCollection (filters: districtId, subDivisionId)
+ * @access Private
+ */
+router.get('/police-station-boundaries', authenticate, async (req, res) => {
+  try {
+    const collection = await cidGeoService.boundariesGeoJSON(req.query);
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (error) {
+    logger.error('Error getting police station boundaries:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route GET /api/cid/geo/locate
+ * @desc Police station, sub-division and district containing a point (query: latitude, longitude)
+ * @access Private
+ */
+router.get('/locate', authenticate, async (req, res) => {
+  try {
+    const location = await cidGeoService.locate(req.query.latitude, req.query.longitude);
+
+    res.json({
+      status: 'SUCCESS',
+      message: location.policeStation ? 'Police station found' : 'No police station boundary contains this point',
+      data: location
+    });
+  } catch (error) {
+    logger.error('Error locating point:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route GET /api/cid/geo/cases
+ * @desc Located cases as a GeoJSON FeatureCollection
+ *       (filters: bbox=minLng,minLat,maxLng,maxLat, dateFrom, dateTo, year, districtId, subDivisionId,
+ *       policeStationId, categoryId, categoryTypeId, modusId)
+ * @access Private
+ */
+router.get('/cases', authenticate, async (req, res) => {
+  try {
+    const collection = await cidGeoService.casesGeoJSON({ ...caseFilters(req.query), bbox: req.query.bbox }, req.user);
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (error) {
+    logger.error('Error getting CID case locations:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route GET /api/cid/geo/cases/radius
+ * @desc Located cases within radiusKm of latitude/longitude, nearest first, as GeoJSON (plus the case filters)
+ * @access Private
+ */
+router.get('/cases/radius', authenticate, async (req, res) => {
+  try {
+    const collection = await cidGeoService.casesWithinRadius({
+      ...caseFilters(req.query),
+      latitude: req.query.latitude,
+      longitude: req.query.longitude,
+      radiusKm: req.query.radiusKm
+    }, req.user);
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (error) {
+    logger.error('Error searching CID cases by radius:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route POST /api/cid/geo/cases/polygon
+ * @desc Located cases inside a GeoJSON Polygon/MultiPolygon, as GeoJSON
+ *       (body: geometry, plus the case filters)
+ * @access Private
+ */
+router.post('/cases/polygon', authenticate, async (req, res) => {
+  try {
+    const collection = await cidGeoService.casesWithinPolygon(req.body.geometry, caseFilters(req.body), req.user);
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (error) {
+    logger.error('Error searching CID cases by polygon:', error);
+    sendError(res, error);
+  }
+});
+
+/**
+ * @route PUT /api/cid/geo/cases/:id/location
+ * @desc Set the crime scene location of a case (body: latitude, longitude, autoAssign).
+ *       Cases without a police station, or with autoAssign=true, move to the station containing the point;
+ *       null coordinates clear the location
+ * @access Private
+ */
+router.put('/cases/:id/location', authenticate, async (req, res) => {
+  try {
+    const location = await cidGeoService.setCaseLocation(parseInt(req.params.id), req.body, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: location.autoAssigned ? 'Location saved and case assigned to the containing police station' : 'Location saved',
+      data: location
+    });
+  } catch (error) {
+    logger.error('Error setting CID case location:', error);
+    sendError(res, error);
+  }
+});
+
+module.exports = router;
@@ -60,8 +60,8 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
   const where = {};
   if (search) {
     where[Op.or] = [
-      { name: { [Op.iLike]: `%${search}%` } },
-      { code: { [Op.iLike]: `%${search}%` } }
+      { name: { [Op.like]: `%${search}%` } },
+      { code: { [Op.like]: `%${search}%` } }
     ];
   }
   if (districtId) {
@@ -71,7 +71,7 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
     where.cidSubDivisionId = subDivisionId;
   }
   if (active !== undefined) {
-    where.isActive = active === 'true';
+    where.active = active === 'true';
   }
 
   const offset = (page - 1) * limit;
@@ -138,7 +138,7 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  *               cidSubDivisionId:
  *                 type: integer
  *                 example: 1
- *               isActive:
+ *               active:
  *                 type: boolean
  *                 default: true
  *     responses:
@@ -146,7 +146,7 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  *         description: CID police station created successfully
  */
 router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler.asyncHandler(async (req, res) => {
-  const { name, code, cidDistrictId, cidSubDivisionId, isActive = true } = req.body;
+  const { name, code, cidDistrictId, cidSubDivisionId, active = true } = req.body;
 
   if (!name || !code || !cidDistrictId) {
     throw new ValidationException('Missing required fields', [
@@ -174,8 +174,8 @@ router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler
   const existingStation = await CIDPoliceStation.findOne({
     where: {
       [Op.or]: [
-        { name: { [Op.iLike]: name } },
-        { code: { [Op.iLike]: code } }
+        { name: { [Op.like]: name } },
+        { code: { [Op.like]: code } }
       ]
     }
   });
@@ -189,7 +189,7 @@ router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler
     code: code.trim().toUpperCase(),
     cidDistrictId,
     cidSubDivisionId,
-    isActive,
+    active,
     createdBy: req.user.id
   });
 
@@ -274,7 +274,7 @@ router.get('/:id', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  *                 type: integer
  *               cidSubDivisionId:
  *                 type: integer
- *               isActive:
+ *               active:
  *                 type: boolean
  *     responses:
  *       200:
@@ -282,7 +282,7 @@ router.get('/:id', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  */
 router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler.asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, code, cidDistrictId, cidSubDivisionId, isActive } = req.body;
+  const { name, code, cidDistrictId, cidSubDivisionId, active } = req.body;
 
   const policeStation = await CIDPoliceStation.findByPk(id);
   if (!policeStation) {
@@ -308,8 +308,8 @@ router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandl
   // Check for duplicate name or code (excluding current station)
   if (name || code) {
     const duplicateCheck = {};
-    if (name) duplicateCheck.name = { [Op.iLike]: name };
-    if (code) duplicateCheck.code = { [Op.iLike]: code };
+    if (name) duplicateCheck.name = { [Op.like]: name };
+    if (code) duplicateCheck.code = { [Op.like]: code };
 
     const existingStation = await CIDPoliceStation.findOne({
       where: {
@@ -328,7 +328,7 @@ router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandl
   if (code) updateData.code = code.trim().toUpperCase();
   if (cidDistrictId) updateData.cidDistrictId = cidDistrictId;
   if (cidSubDivisionId !== undefined) updateData.cidSubDivisionId = cidSubDivisionId;
-  if (isActive !== undefined) updateData.isActive = isActive;
+  if (active !== undefined) updateData.active = active;
   updateData.updatedBy = req.user.id;
 
   await policeStation.update(updateData);
@@ -55,15 +55,15 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
   const where = {};
   if (search) {
     where[Op.or] = [
-      { name: { [Op.iLike]: `%${search}%` } },
-      { code: { [Op.iLike]: `%${search}%` } }
+      { name: { [Op.like]: `%${search}%` } },
+      { code: { [Op.like]: `%${search}%` } }
     ];
   }
   if (districtId) {
     where.cidDistrictId = districtId;
   }
   if (active !== undefined) {
-    where.isActive = active === 'true';
+    where.active = active === 'true';
   }
 
   const offset = (page - 1) * limit;
@@ -122,7 +122,7 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  *               cidDistrictId:
  *                 type: integer
  *                 example: 1
- *               isActive:
+ *               active:
  *                 type: boolean
  *                 default: true
  *     responses:
@@ -130,7 +130,7 @@ router.get('/', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  *         description: CID sub-division created successfully
  */
 router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler.asyncHandler(async (req, res) => {
-  const { name, code, cidDistrictId, isActive = true } = req.body;
+  const { name, code, cidDistrictId, active = true } = req.body;
 
   if (!name || !code || !cidDistrictId) {
     throw new ValidationException('Missing required fields', [
@@ -150,8 +150,8 @@ router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler
   const existingSubDivision = await CIDSubDivision.findOne({
     where: {
       [Op.or]: [
-        { name: { [Op.iLike]: name } },
-        { code: { [Op.iLike]: code } }
+        { name: { [Op.like]: name } },
+        { code: { [Op.like]: code } }
       ]
     }
   });
@@ -164,7 +164,7 @@ router.post('/', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler
     name: name.trim(),
     code: code.trim().toUpperCase(),
     cidDistrictId,
-    isActive,
+    active,
     createdBy: req.user.id
   });
 
@@ -242,7 +242,7 @@ router.get('/:id', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  *                 type: string
  *               cidDistrictId:
  *                 type: integer
- *               isActive:
+ *               active:
  *                 type: boolean
  *     responses:
  *       200:
@@ -250,7 +250,7 @@ router.get('/:id', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
  */
 router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler.asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, code, cidDistrictId, isActive } = req.body;
+  const { name, code, cidDistrictId, active } = req.body;
 
   const subDivision = await CIDSubDivision.findByPk(id);
   if (!subDivision) {
@@ -268,8 +268,8 @@ router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandl
   // Check for duplicate name or code (excluding current sub-division)
   if (name || code) {
     const duplicateCheck = {};
-    if (name) duplicateCheck.name = { [Op.iLike]: name };
-    if (code) duplicateCheck.code = { [Op.iLike]: code };
+    if (name) duplicateCheck.name = { [Op.like]: name };
+    if (code) duplicateCheck.code = { [Op.like]: code };
 
     const existingSubDivision = await CIDSubDivision.findOne({
       where: {
@@ -287,7 +287,7 @@ router.put('/:id', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandl
   if (name) updateData.name = name.trim();
   if (code) updateData.code = code.trim().toUpperCase();
   if (cidDistrictId) updateData.cidDistrictId = cidDistrictId;
-  if (isActive !== undefined) updateData.isActive = isActive;
+  if (active !== undefined) updateData.active = active;
   updateData.updatedBy = req.user.id;
 
   await subDivision.update(updateData);
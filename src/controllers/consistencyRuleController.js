@@ -0,0 +1,141 @@
+const consistencyRuleService = require('../services/consistencyRuleService');
+const reportingPeriodService = require('../services/reportingPeriodService');
+const monthYearUtil = require('../utils/monthYearUtil');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/consistency-rules
+ * @desc List consistency rules (filter: topicId)
+ * @access Private
+ */
+async function list(req, res) {
+  try {
+    const rules = await consistencyRuleService.listRules({
+      topicId: req.query.topicId ? parseInt(req.query.topicId) : null
+    });
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Consistency rules retrieved successfully',
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Error listing consistency rules:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: 'Failed to retrieve consistency rules',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * @route POST /api/consistency-rules
+ * @desc Create a rule ({ topicId, name, expression, severity, message, tolerance })
+ * @access Private (admin)
+ */
+async function create(req, res) {
+  try {
+    const rule = await consistencyRuleService.createRule(req.body, req.user.id);
+
+    res.status(201).json({
+      status: 'SUCCESS',
+      message: 'Consistency rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Error creating consistency rule:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route PUT /api/consistency-rules/:id
+ * @desc Update a rule
+ * @access Private (admin)
+ */
+async function update(req, res) {
+  try {
+    const rule = await consistencyRuleService.updateRule(parseInt(req.params.id), req.body, req.user.id);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Consistency rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Error updating consistency rule:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route DELETE /api/consistency-rules/:id
+ * @desc Deactivate a rule
+ * @access Private (admin)
+ */
+async function remove(req, res) {
+  try {
+    await consistencyRuleService.deleteRule(parseInt(req.params.id), req.user.id);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Consistency rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting consistency rule:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route GET /api/consistency-rules/check
+ * @desc Evaluate the rules against the current user's saved answers (query: monthYear, topicId)
+ * @access Private
+ */
+async function check(req, res) {
+  try {
+    const monthYear = req.query.monthYear
+      ? reportingPeriodService.normalizeMonthYear(req.query.monthYear)
+      : monthYearUtil.getReportingMonthYear();
+
+    const result = await consistencyRuleService.evaluate({
+      userId: req.user.id,
+      monthYear,
+      topicIds: req.query.topicId ? [parseInt(req.query.topicId)] : null
+    });
+
+    res.json({
+      status: 'SUCCESS',
+      message: result.violations.length ? 'Consistency rules violated' : 'All consistency rules pass',
+      data: { monthYear, ...result }
+    });
+  } catch (error) {
+    logger.error('Error checking consistency rules:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+module.exports = {
+  list,
+  create,
+  update,
+  remove,
+  check
+};
@@ -5,7 +5,7 @@ const DashboardService = require('../services/dashboardService');
  */
 async function getOverview(req, res) {
   try {
-    const overview = await DashboardService.getOverview();
+    const overview = await DashboardService.getOverview(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -27,7 +27,7 @@ async function getOverview(req, res) {
  */
 async function getStats(req, res) {
   try {
-    const stats = await DashboardService.getStats();
+    const stats = await DashboardService.getStats(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -49,7 +49,7 @@ async function getStats(req, res) {
  */
 async function getUserStats(req, res) {
   try {
-    const userStats = await DashboardService.getUserStatistics();
+    const userStats = await DashboardService.getUserStatistics(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -71,7 +71,7 @@ async function getUserStats(req, res) {
  */
 async function getUsersByRole(req, res) {
   try {
-    const usersByRole = await DashboardService.getUsersByRole();
+    const usersByRole = await DashboardService.getUsersByRole(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -93,7 +93,7 @@ async function getUsersByRole(req, res) {
  */
 async function getUsersByState(req, res) {
   try {
-    const usersByState = await DashboardService.getUsersByState();
+    const usersByState = await DashboardService.getUsersByState(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -116,7 +116,7 @@ async function getUsersByState(req, res) {
 async function getRecentUsers(req, res) {
   try {
     const { limit = 10 } = req.query;
-    const recentUsers = await DashboardService.getRecentUsers(parseInt(limit));
+    const recentUsers = await DashboardService.getRecentUsers(parseInt(limit), req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -138,7 +138,7 @@ async function getRecentUsers(req, res) {
  */
 async function getPerformanceOverview(req, res) {
   try {
-    const performanceOverview = await DashboardService.getPerformanceStatistics();
+    const performanceOverview = await DashboardService.getPerformanceStatistics(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -160,7 +160,7 @@ async function getPerformanceOverview(req, res) {
  */
 async function getPerformanceByMonth(req, res) {
   try {
-    const performanceByMonth = await DashboardService.getPerformanceByMonth();
+    const performanceByMonth = await DashboardService.getPerformanceByMonth(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -182,7 +182,7 @@ async function getPerformanceByMonth(req, res) {
  */
 async function getPerformanceByModule(req, res) {
   try {
-    const performanceByModule = await DashboardService.getPerformanceByModule();
+    const performanceByModule = await DashboardService.getPerformanceByModule(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -204,7 +204,7 @@ async function getPerformanceByModule(req, res) {
  */
 async function getPerformanceTrends(req, res) {
   try {
-    const performanceTrends = await DashboardService.getPerformanceTrends();
+    const performanceTrends = await DashboardService.getPerformanceTrends(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -226,7 +226,7 @@ async function getPerformanceTrends(req, res) {
  */
 async function getGeographyStats(req, res) {
   try {
-    const geographyStats = await DashboardService.getGeographyStatistics();
+    const geographyStats = await DashboardService.getGeographyStatistics(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -248,7 +248,7 @@ async function getGeographyStats(req, res) {
  */
 async function getGeographicDistribution(req, res) {
   try {
-    const geographicDistribution = await DashboardService.getGeographicDistribution();
+    const geographicDistribution = await DashboardService.getGeographicDistribution(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -337,7 +337,7 @@ async function getSystemHealth(req, res) {
 async function getRecentActivity(req, res) {
   try {
     const { limit = 20 } = req.query;
-    const recentActivity = await DashboardService.getRecentActivity(parseInt(limit));
+    const recentActivity = await DashboardService.getRecentActivity(parseInt(limit), req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -360,7 +360,7 @@ async function getRecentActivity(req, res) {
  */
 async function getBattalionPerformance(req, res) {
   try {
-    const battalionStats = await DashboardService.getBattalionPerformanceStats();
+    const battalionStats = await DashboardService.getBattalionPerformanceStats(req.user);
     
     res.json({
       status: 'SUCCESS',
@@ -2,35 +2,20 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const contentDisposition = require('content-disposition');
 const { authenticate, authorize } = require('../middleware/auth');
 const { ErrorHandler } = require('../middleware/errorHandler');
 const { ResponseFormatter } = require('../dto');
-const { ValidationException, NotFoundException } = require('../exceptions');
+const { ValidationException } = require('../exceptions');
 const logger = require('../utils/logger');
+const reportJobService = require('../services/reportJobService');
+const fileService = require('../services/fileService');
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadType = req.params.type || 'general';
-    const uploadPath = path.join(process.env.UPLOAD_PATH || 'uploads/', uploadType);
-    
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const fileExtension = path.extname(file.originalname);
-    const baseName = path.basename(file.originalname, fileExtension);
-    cb(null, `${baseName}-${uniqueSuffix}${fileExtension}`);
-  }
-});
+// Uploads are held in memory and written through the configured storage
+// adapter by fileService, which also records them
+const storage = multer.memoryStorage();
 
 // File filter
 const fileFilter = (req, file, cb) => {
@@ -65,7 +50,7 @@ const upload = multer({
 
 /**
  * @route POST /api/files/upload/:type
- * @desc Upload single file
+ * @desc Upload single file, optionally linked to a record (body: entityType, entityId)
  * @access Authenticated users
  */
 router.post('/upload/:type?', authenticate, upload.single('file'), ErrorHandler.asyncHandler(async (req, res) => {
@@ -73,24 +58,18 @@ router.post('/upload/:type?', authenticate, upload.single('file'), ErrorHandler.
     throw new ValidationException('No file provided', [{ field: 'file', message: 'File is required' }]);
   }
 
-  const fileInfo = {
-    originalName: req.file.originalname,
-    filename: req.file.filename,
-    mimetype: req.file.mimetype,
-    size: req.file.size,
-    path: req.file.path,
+  const fileInfo = await fileService.store(req.file, {
     uploadType: req.params.type || 'general',
-    url: `/api/files/download/${req.file.filename}`
-  };
-
-  logger.info(`File uploaded: ${req.file.originalname} by user ${req.user.id}`);
+    entityType: req.body.entityType,
+    entityId: req.body.entityId
+  }, req.user);
 
   res.json(ResponseFormatter.success(fileInfo, 'File uploaded successfully'));
 }));
 
 /**
  * @route POST /api/files/upload-multiple/:type
- * @desc Upload multiple files
+ * @desc Upload multiple files, optionally linked to a record (body: entityType, entityId)
  * @access Authenticated users
  */
 router.post('/upload-multiple/:type?', authenticate, upload.array('files', 5), ErrorHandler.asyncHandler(async (req, res) => {
@@ -98,15 +77,14 @@ router.post('/upload-multiple/:type?', authenticate, upload.array('files', 5), E
     throw new ValidationException('No files provided', [{ field: 'files', message: 'At least one file is required' }]);
   }
 
-  const filesInfo = req.files.map(file => ({
-    originalName: file.originalname,
-    filename: file.filename,
-    mimetype: file.mimetype,
-    size: file.size,
-    path: file.path,
-    uploadType: req.params.type || 'general',
-    url: `/api/files/download/${file.filename}`
-  }));
+  const filesInfo = [];
+  for (const file of req.files) {
+    filesInfo.push(await fileService.store(file, {
+      uploadType: req.params.type || 'general',
+      entityType: req.body.entityType,
+      entityId: req.body.entityId
+    }, req.user));
+  }
 
   logger.info(`${req.files.length} files uploaded by user ${req.user.id}`);
 
@@ -114,192 +92,65 @@ router.post('/upload-multiple/:type?', authenticate, upload.array('files', 5), E
 }));
 
 /**
- * @route GET /api/files/download/:filename
- * @desc Download file by filename
- * @access Public (if file exists and is accessible)
+ * @route GET /api/files/list/:type?
+ * @desc List files inside the user's jurisdiction (?entityType=&entityId=&page=&size=)
+ * @access Authenticated users
  */
-router.get('/download/:filename', ErrorHandler.asyncHandler(async (req, res) => {
-  const { filename } = req.params;
-  
-  // Search for file in all upload directories
-  const uploadPath = process.env.UPLOAD_PATH || 'uploads/';
-  const searchDirs = ['general', 'images', 'documents', 'spreadsheets'];
-  
-  let filePath = null;
-  for (const dir of searchDirs) {
-    const potentialPath = path.join(uploadPath, dir, filename);
-    if (fs.existsSync(potentialPath)) {
-      filePath = potentialPath;
-      break;
-    }
-  }
-
-  // Also check root upload directory
-  if (!filePath) {
-    const rootPath = path.join(uploadPath, filename);
-    if (fs.existsSync(rootPath)) {
-      filePath = rootPath;
-    }
-  }
-
-  if (!filePath) {
-    throw new NotFoundException('File', filename);
-  }
-
-  // Set appropriate headers
-  const stat = fs.statSync(filePath);
-  const fileExtension = path.extname(filename).toLowerCase();
-  
-  // Set content type based on file extension
-  const contentTypes = {
-    '.pdf': 'application/pdf',
-    '.doc': 'application/msword',
-    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    '.xls': 'application/vnd.ms-excel',
-    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    '.jpg': 'image/jpeg',
-    '.jpeg': 'image/jpeg',
-    '.png': 'image/png',
-    '.gif': 'image/gif',
-    '.webp': 'image/webp'
-  };
-
-  const contentType = contentTypes[fileExtension] || 'application/octet-stream';
-
-  res.setHeader('Content-Type', contentType);
-  res.setHeader('Content-Length', stat.size);
-  res.setHeader('Content-Disposition', `inline; filename="${path.basename(filename)}"`);
+router.get('/list/:type?', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
+  const result = await fileService.list({ ...req.query, uploadType: req.params.type }, req.user);
 
-  const readStream = fs.createReadStream(filePath);
-  readStream.pipe(res);
+  res.json(ResponseFormatter.success(result, 'Files retrieved successfully'));
 }));
 
 /**
- * @route GET /api/files/info/:filename
+ * @route GET /api/files/:id
  * @desc Get file information
- * @access Authenticated users
+ * @access Authenticated users (owner, jurisdiction or linked record)
  */
-router.get('/info/:filename', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
-  const { filename } = req.params;
-  
-  // Search for file in all upload directories
-  const uploadPath = process.env.UPLOAD_PATH || 'uploads/';
-  const searchDirs = ['general', 'images', 'documents', 'spreadsheets'];
-  
-  let filePath = null;
-  let uploadType = 'general';
-  
-  for (const dir of searchDirs) {
-    const potentialPath = path.join(uploadPath, dir, filename);
-    if (fs.existsSync(potentialPath)) {
-      filePath = potentialPath;
-      uploadType = dir;
-      break;
-    }
-  }
-
-  if (!filePath) {
-    const rootPath = path.join(uploadPath, filename);
-    if (fs.existsSync(rootPath)) {
-      filePath = rootPath;
-    }
-  }
-
-  if (!filePath) {
-    throw new NotFoundException('File', filename);
-  }
-
-  const stat = fs.statSync(filePath);
-  const fileInfo = {
-    filename: filename,
-    size: stat.size,
-    uploadType: uploadType,
-    createdAt: stat.birthtime,
-    modifiedAt: stat.mtime,
-    url: `/api/files/download/${filename}`
-  };
+router.get('/:id', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
+  const fileInfo = await fileService.get(req.params.id, req.user);
 
   res.json(ResponseFormatter.success(fileInfo, 'File information retrieved successfully'));
 }));
 
 /**
- * @route DELETE /api/files/:filename
- * @desc Delete file
- * @access Authenticated users (only own files or admin)
+ * @route GET /api/files/:id/download
+ * @desc Download file
+ * @access Authenticated users (owner, jurisdiction or linked record)
  */
-router.delete('/:filename', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
-  const { filename } = req.params;
-  
-  // Search for file in all upload directories
-  const uploadPath = process.env.UPLOAD_PATH || 'uploads/';
-  const searchDirs = ['general', 'images', 'documents', 'spreadsheets'];
-  
-  let filePath = null;
-  for (const dir of searchDirs) {
-    const potentialPath = path.join(uploadPath, dir, filename);
-    if (fs.existsSync(potentialPath)) {
-      filePath = potentialPath;
-      break;
-    }
-  }
-
-  if (!filePath) {
-    const rootPath = path.join(uploadPath, filename);
-    if (fs.existsSync(rootPath)) {
-      filePath = rootPath;
-    }
-  }
-
-  if (!filePath) {
-    throw new NotFoundException('File', filename);
-  }
-
-  // Delete the file
-  fs.unlinkSync(filePath);
-
-  logger.info(`File deleted: ${filename} by user ${req.user.id}`);
-
-  res.json(ResponseFormatter.success(null, 'File deleted successfully'));
+router.get('/:id/download', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
+  const { file, stream } = await fileService.open(req.params.id, req.user);
+
+  res.setHeader('Content-Type', file.mimeType);
+  res.setHeader('Content-Length', file.size);
+  // ASCII fallback plus filename* so Devanagari and other names survive
+  res.setHeader('Content-Disposition', contentDisposition(file.originalName, { type: 'inline' }));
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  stream.on('error', (error) => {
+    logger.error(`Error streaming file ${file.id}:`, error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
 }));
 
 /**
- * @route GET /api/files/list/:type?
- * @desc List files by type
- * @access Authenticated users
+ * @route DELETE /api/files/:id
+ * @desc Delete file
+ * @access Authenticated users (only own files or admin)
  */
-router.get('/list/:type?', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
-  const uploadType = req.params.type || 'general';
-  const uploadPath = path.join(process.env.UPLOAD_PATH || 'uploads/', uploadType);
+router.delete('/:id', authenticate, ErrorHandler.asyncHandler(async (req, res) => {
+  await fileService.remove(req.params.id, req.user);
 
-  if (!fs.existsSync(uploadPath)) {
-    return res.json(ResponseFormatter.success([], 'No files found'));
-  }
-
-  const files = fs.readdirSync(uploadPath)
-    .map(filename => {
-      const filePath = path.join(uploadPath, filename);
-      const stat = fs.statSync(filePath);
-      
-      return {
-        filename: filename,
-        size: stat.size,
-        uploadType: uploadType,
-        createdAt: stat.birthtime,
-        modifiedAt: stat.mtime,
-        url: `/api/files/download/${filename}`
-      };
-    })
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-  res.json(ResponseFormatter.success(files, `Files in ${uploadType} category retrieved successfully`));
+  res.json(ResponseFormatter.success(null, 'File deleted successfully'));
 }));
 
 /**
  * @route POST /api/files/cleanup
- * @desc Clean up old files (admin only)
+ * @desc Clean up old files, unlinked temporary (/upload/temp) uploads and the files of finished report jobs (admin only)
  * @access Admin, SuperAdmin
  */
-router.post('/cleanup', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), ErrorHandler.asyncHandler(async (req, res) => {
+router.post('/cleanup', authenticate, authorize('ADMIN', 'SUPER_ADMIN'), ErrorHandler.asyncHandler(async (req, res) => {
   const { olderThanDays = 30 } = req.body;
   const cutoffDate = new Date(Date.now() - (olderThanDays * 24 * 60 * 60 * 1000));
 
@@ -326,9 +177,21 @@ router.post('/cleanup', authenticate, authorize(['ADMIN', 'SUPER_ADMIN']), Error
     }
   }
 
+  // Temporary uploads never linked to a record
+  const storedFiles = await fileService.cleanup(cutoffDate);
+  deletedCount += storedFiles.deletedFiles;
+  totalSize += storedFiles.freedSpace;
+
+  // Files of finished background report jobs
+  const reportJobs = await reportJobService.cleanupArtifacts(cutoffDate);
+  deletedCount += reportJobs.deletedFiles;
+  totalSize += reportJobs.freedSpace;
+
   const cleanupResult = {
     deletedFiles: deletedCount,
     freedSpace: totalSize,
+    storedFiles: storedFiles.deletedFiles,
+    reportJobFiles: reportJobs.deletedFiles,
     cutoffDate: cutoffDate.toISOString()
   };
 
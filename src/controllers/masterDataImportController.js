@@ -0,0 +1,66 @@
+const masterDataImportService = require('../services/masterDataImportService');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/master-data/import
+ * @desc Importable entities with their columns and natural keys
+ * @access Private
+ */
+async function entities(req, res) {
+  try {
+    res.json({
+      status: 'SUCCESS',
+      message: 'Importable entities retrieved successfully',
+      data: masterDataImportService.describe()
+    });
+  } catch (error) {
+    logger.error('Error describing master data imports:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * @route POST /api/master-data/import/:entity
+ * @desc Import a CSV/XLSX file (multipart field "file") of states, ranges, districts, battalions,
+ *       modules, topics, sub-topics or questions. Body: dryRun (default true), mapping (JSON field -> header)
+ * @access Private (permission)
+ */
+async function importFile(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'ERROR',
+        message: 'No file uploaded'
+      });
+    }
+
+    const dryRun = String(req.body.dryRun ?? 'true').toLowerCase() !== 'false';
+    const report = await masterDataImportService.import(
+      req.params.entity,
+      req.file,
+      { dryRun, mapping: req.body.mapping },
+      req.user
+    );
+
+    res.json({
+      status: 'SUCCESS',
+      message: dryRun ? 'Import validated; nothing was saved' : 'Import completed successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error importing master data:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+module.exports = {
+  entities,
+  importFile
+};
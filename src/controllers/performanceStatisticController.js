@@ -1,4 +1,7 @@
 const { performanceStatisticService } = require('../services');
+const performanceSubmissionService = require('../services/performanceSubmissionService');
+const performanceStatisticAuditService = require('../services/performanceStatisticAuditService');
+const jurisdictionService = require('../services/jurisdictionService');
 const logger = require('../utils/logger');
 
 /**
@@ -166,7 +169,7 @@ async function list(req, res) {
       monthYear: req.query.monthYear
     };
 
-    const result = await performanceStatisticService.getWithPagination(filters);
+    const result = await performanceStatisticService.getWithPagination(filters, req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -199,12 +202,12 @@ async function list(req, res) {
 async function detail(req, res) {
   try {
     const { id } = req.params;
-    // Get single performance statistic by finding in paginated results
+    // Rows outside the user's jurisdiction are reported as not found
     const result = await performanceStatisticService.getWithPagination({ 
+      id: parseInt(id),
       page: 1, 
-      limit: 1,
-      // Add filter for specific ID if service supports it
-    });
+      limit: 1
+    }, req.user);
 
     if (result.data.length === 0) {
       return res.status(404).json({
@@ -236,12 +239,19 @@ async function detail(req, res) {
  */
 async function create(req, res) {
   try {
+    // Owner and units come from the account, never from the request
     const statisticData = {
       ...req.body,
-      userId: req.user.id
+      userId: req.user.id,
+      stateId: req.user.stateId || null,
+      rangeId: req.user.rangeId || null,
+      battalionId: req.user.battalionId || null
     };
 
-    const statistic = await performanceStatisticService.create(statisticData);
+    const statistic = await performanceStatisticService.create(
+      statisticData,
+      performanceStatisticAuditService.contextFromRequest(req)
+    );
 
     res.status(201).json({
       status: 'SUCCESS',
@@ -251,9 +261,10 @@ async function create(req, res) {
 
   } catch (error) {
     logger.error('Error creating performance statistic:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       status: 'ERROR',
-      message: error.message
+      message: error.message,
+      details: error.details
     });
   }
 }
@@ -266,7 +277,6 @@ async function create(req, res) {
 async function bulkSave(req, res) {
   try {
     const { statistics } = req.body;
-    const createdBy = req.user.id;
 
     if (!statistics || !Array.isArray(statistics)) {
       return res.status(400).json({
@@ -275,13 +285,11 @@ async function bulkSave(req, res) {
       });
     }
 
-    // Add createdBy to each statistic
-    const statisticsWithCreator = statistics.map(stat => ({
-      ...stat,
-      createdBy
-    }));
-
-    const result = await performanceStatisticService.bulkCreate(statisticsWithCreator);
+    const result = await performanceStatisticService.bulkCreate(
+      statistics,
+      req.user,
+      performanceStatisticAuditService.contextFromRequest(req)
+    );
 
     res.status(201).json({
       status: 'SUCCESS',
@@ -291,9 +299,10 @@ async function bulkSave(req, res) {
 
   } catch (error) {
     logger.error('Error saving performance statistics:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       status: 'ERROR',
-      message: error.message
+      message: error.message,
+      details: error.details
     });
   }
 }
@@ -311,7 +320,12 @@ async function update(req, res) {
 
     updateData.updatedBy = updatedBy;
 
-    const statistic = await performanceStatisticService.update(parseInt(id), updateData);
+    const statistic = await performanceStatisticService.update(
+      parseInt(id),
+      updateData,
+      req.user,
+      performanceStatisticAuditService.contextFromRequest(req)
+    );
 
     res.json({
       status: 'SUCCESS',
@@ -321,10 +335,11 @@ async function update(req, res) {
 
   } catch (error) {
     logger.error('Error updating performance statistic:', error);
-    const statusCode = error.message === 'Performance statistic not found' ? 404 : 400;
+    const statusCode = error.message === 'Performance statistic not found' ? 404 : error.statusCode || 400;
     res.status(statusCode).json({
       status: 'ERROR',
-      message: error.message
+      message: error.message,
+      details: error.details
     });
   }
 }
@@ -338,7 +353,11 @@ async function remove(req, res) {
   try {
     const { id } = req.params;
 
-    const result = await performanceStatisticService.delete(parseInt(id));
+    const result = await performanceStatisticService.delete(
+      parseInt(id),
+      req.user,
+      performanceStatisticAuditService.contextFromRequest(req)
+    );
 
     res.json({
       status: 'SUCCESS',
@@ -347,10 +366,11 @@ async function remove(req, res) {
 
   } catch (error) {
     logger.error('Error deleting performance statistic:', error);
-    const statusCode = error.message === 'Performance statistic not found' ? 404 : 500;
+    const statusCode = error.message === 'Performance statistic not found' ? 404 : error.statusCode || 500;
     res.status(statusCode).json({
       status: 'ERROR',
-      message: error.message
+      message: error.message,
+      details: error.details
     });
   }
 }
@@ -369,7 +389,7 @@ async function makeActive(req, res) {
     const result = await performanceStatisticService.update(parseInt(id), { 
       active, 
       updatedBy 
-    });
+    }, req.user, performanceStatisticAuditService.contextFromRequest(req));
 
     res.json({
       status: 'SUCCESS',
@@ -379,10 +399,11 @@ async function makeActive(req, res) {
 
   } catch (error) {
     logger.error('Error updating performance statistic status:', error);
-    const statusCode = error.message === 'Performance statistic not found' ? 404 : 500;
+    const statusCode = error.message === 'Performance statistic not found' ? 404 : error.statusCode || 500;
     res.status(statusCode).json({
       status: 'ERROR',
-      message: error.message
+      message: error.message,
+      details: error.details
     });
   }
 }
@@ -395,6 +416,7 @@ async function makeActive(req, res) {
 async function byUser(req, res) {
   try {
     const { userId } = req.params;
+    await jurisdictionService.assertCanAccessUser(req.user, parseInt(userId));
     const statistics = await performanceStatisticService.getByUserId(parseInt(userId));
 
     res.json({
@@ -405,7 +427,7 @@ async function byUser(req, res) {
 
   } catch (error) {
     logger.error('Error getting user performance statistics:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
       message: 'Failed to retrieve user performance statistics',
       error: error.message
@@ -421,6 +443,7 @@ async function byUser(req, res) {
 async function byUserMonth(req, res) {
   try {
     const { userId, monthYear } = req.params;
+    await jurisdictionService.assertCanAccessUser(req.user, parseInt(userId));
     const statistics = await performanceStatisticService.getByUserIdAndMonth(
       parseInt(userId), 
       monthYear
@@ -434,7 +457,7 @@ async function byUserMonth(req, res) {
 
   } catch (error) {
     logger.error('Error getting user monthly performance statistics:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
       message: 'Failed to retrieve user monthly performance statistics',
       error: error.message
@@ -457,7 +480,7 @@ async function summary(req, res) {
       monthYear: req.query.monthYear
     };
 
-    const summary = await performanceStatisticService.getSummary(filters);
+    const summary = await performanceStatisticService.getSummary(filters, req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -482,7 +505,7 @@ async function summary(req, res) {
  */
 async function labels(req, res) {
   try {
-    const labels = await performanceStatisticService.getAllLabels();
+    const labels = await performanceStatisticService.getAllLabels(req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -508,7 +531,7 @@ async function labels(req, res) {
 async function labelsFilter(req, res) {
   try {
     const filters = req.body;
-    const labels = await performanceStatisticService.getLabelsByFilters(filters);
+    const labels = await performanceStatisticService.getLabelsByFilters(filters, req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -534,7 +557,7 @@ async function labelsFilter(req, res) {
 async function reportValues(req, res) {
   try {
     const filters = req.body;
-    const values = await performanceStatisticService.getValuesForReport(filters);
+    const values = await performanceStatisticService.getValuesForReport(filters, req.user);
 
     res.json({
       status: 'SUCCESS',
@@ -560,6 +583,7 @@ async function reportValues(req, res) {
 async function countByUserDate(req, res) {
   try {
     const { userId, date } = req.params;
+    await jurisdictionService.assertCanAccessUser(req.user, parseInt(userId));
     const count = await performanceStatisticService.getCountByUserIdAndDate(
       parseInt(userId), 
       date
@@ -573,7 +597,7 @@ async function countByUserDate(req, res) {
 
   } catch (error) {
     logger.error('Error getting count:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
       message: 'Failed to retrieve count',
       error: error.message
@@ -589,6 +613,7 @@ async function countByUserDate(req, res) {
 async function successCountByUserDate(req, res) {
   try {
     const { userId, date } = req.params;
+    await jurisdictionService.assertCanAccessUser(req.user, parseInt(userId));
     const count = await performanceStatisticService.getSuccessCountByUserIdAndDate(
       parseInt(userId), 
       date
@@ -602,7 +627,7 @@ async function successCountByUserDate(req, res) {
 
   } catch (error) {
     logger.error('Error getting success count:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
       message: 'Failed to retrieve success count',
       error: error.message
@@ -618,14 +643,15 @@ async function successCountByUserDate(req, res) {
 async function getPerformanceForm(req, res) {
   try {
     console.log('getPerformanceForm', req.query);
-    const { module: moduleParam = 0, topic: topicParam = 1 } = req.query;
+    const { module: moduleParam = 0, topic: topicParam = 1, monthYear } = req.query;
     const userId = req.user.id;
     console.log('ModuleParam:', moduleParam, 'TopicParam:', topicParam, 'UserId:', userId);
 
     const performanceData = await performanceStatisticService.getPerformanceForm({
       modulePathId: parseInt(moduleParam),
       topicPathId: parseInt(topicParam),
-      userId
+      userId,
+      monthYear
     });
 
     res.json({
@@ -636,7 +662,7 @@ async function getPerformanceForm(req, res) {
 
   } catch (error) {
     logger.error('Error getting performance form:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
       message: 'Failed to retrieve performance form',
       error: error.message
@@ -657,7 +683,8 @@ async function getPerformanceFormByModuleTopic(req, res) {
     const performanceData = await performanceStatisticService.getPerformanceForm({
       modulePathId: parseInt(moduleId),
       topicPathId: parseInt(topicId),
-      userId
+      userId,
+      monthYear: req.query.monthYear
     });
 
     res.json({
@@ -668,7 +695,7 @@ async function getPerformanceFormByModuleTopic(req, res) {
 
   } catch (error) {
     logger.error('Error getting performance form by module/topic:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
       message: 'Failed to retrieve performance form',
       error: error.message
@@ -683,7 +710,7 @@ async function getPerformanceFormByModuleTopic(req, res) {
  */
 async function saveStatistics(req, res) {
   try {
-    const { performanceStatistics } = req.body;
+    const { performanceStatistics, monthYear } = req.body;
     const userId = req.user.id;
     console.log(req.user)
 
@@ -696,7 +723,9 @@ async function saveStatistics(req, res) {
 
     const result = await performanceStatisticService.saveStatistics({
       performanceStatistics,
-      userId
+      userId,
+      monthYear,
+      auditContext: performanceStatisticAuditService.contextFromRequest(req)
     });
 
     res.json({
@@ -707,24 +736,25 @@ async function saveStatistics(req, res) {
 
   } catch (error) {
     logger.error('Error saving performance statistics:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
       message: 'Failed to save performance statistics',
-      error: error.message
+      error: error.message,
+      details: error.details
     });
   }
 }
 
 /**
  * @route POST /api/performance-statistics/sent-otp
- * @desc Send OTP for verification
+ * @desc Send OTP for final submission of a reporting month (body.monthYear, default current)
  * @access Private
  */
 async function sentOTP(req, res) {
   try {
     const userId = req.user.id;
 
-    const result = await performanceStatisticService.sendOTP(userId);
+    const result = await performanceStatisticService.sendOTP(userId, req.body.monthYear);
 
     res.json({
       status: 'SUCCESS',
@@ -734,22 +764,23 @@ async function sentOTP(req, res) {
 
   } catch (error) {
     logger.error('Error sending OTP:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
-      message: 'Failed to send OTP',
-      error: error.message
+      message: error.statusCode ? error.message : 'Failed to send OTP',
+      error: error.message,
+      details: error.details
     });
   }
 }
 
 /**
  * @route POST /api/performance-statistics/verify-otp
- * @desc Verify OTP and complete submission
+ * @desc Verify OTP and finalize a reporting month (body.monthYear, default current)
  * @access Private
  */
 async function verifyOTP(req, res) {
   try {
-    const { otp } = req.body;
+    const { otp, monthYear } = req.body;
     const userId = req.user.id;
 
     if (!otp) {
@@ -761,7 +792,9 @@ async function verifyOTP(req, res) {
 
     const result = await performanceStatisticService.verifyOTP({
       userId,
-      otp
+      otp,
+      monthYear,
+      auditContext: performanceStatisticAuditService.contextFromRequest(req)
     });
 
     res.json({
@@ -772,9 +805,195 @@ async function verifyOTP(req, res) {
 
   } catch (error) {
     logger.error('Error verifying OTP:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route GET /api/performance-statistics/submissions/pending
+ * @desc Returns waiting for the current reviewer (range: SUBMITTED, state: RANGE_APPROVED)
+ * @access Private (range / state officers)
+ */
+async function pendingSubmissions(req, res) {
+  try {
+    const submissions = await performanceSubmissionService.listPending(req.user, {
+      monthYear: req.query.monthYear
+    });
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Pending submissions retrieved successfully',
+      data: submissions
+    });
+
+  } catch (error) {
+    logger.error('Error getting pending submissions:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route GET /api/performance-statistics/submissions/mine
+ * @desc Submissions of the current user with their workflow status
+ * @access Private
+ */
+async function mySubmissions(req, res) {
+  try {
+    const submissions = await performanceSubmissionService.listForUser(req.user, {
+      monthYear: req.query.monthYear
+    });
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Submissions retrieved successfully',
+      data: submissions
+    });
+
+  } catch (error) {
+    logger.error('Error getting submissions:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: 'Failed to retrieve submissions',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * @route GET /api/performance-statistics/submissions/:submissionId
+ * @desc Submission with its transition history and topic comments
+ * @access Private
+ */
+async function submissionDetail(req, res) {
+  try {
+    const submission = await performanceSubmissionService.getSubmission(
+      parseInt(req.params.submissionId),
+      req.user
+    );
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Submission retrieved successfully',
+      data: submission
+    });
+
+  } catch (error) {
+    logger.error('Error getting submission:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route POST /api/performance-statistics/submissions/:submissionId/approve
+ * @desc Range approval or state final sign-off ({ remarks })
+ * @access Private (range / state officers)
+ */
+async function approveSubmission(req, res) {
+  try {
+    const submission = await performanceSubmissionService.approve(
+      parseInt(req.params.submissionId),
+      req.user,
+      { remarks: req.body.remarks }
+    );
+
+    res.json({
+      status: 'SUCCESS',
+      message: `Submission ${submission.status === 'APPROVED' ? 'signed off' : 'approved'} successfully`,
+      data: submission
+    });
+
+  } catch (error) {
+    logger.error('Error approving submission:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route POST /api/performance-statistics/submissions/:submissionId/return
+ * @desc Return a submission to the battalion ({ remarks, topicComments: [{ topicId, comment }] })
+ * @access Private (range / state officers)
+ */
+async function returnSubmission(req, res) {
+  try {
+    const { remarks, topicComments = [] } = req.body;
+
+    const submission = await performanceSubmissionService.returnSubmission(
+      parseInt(req.params.submissionId),
+      req.user,
+      { remarks, topicComments },
+      performanceStatisticAuditService.contextFromRequest(req)
+    );
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Submission returned successfully',
+      data: submission
+    });
+
+  } catch (error) {
+    logger.error('Error returning submission:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route GET /api/performance-statistics/history
+ * @desc Field-level change history (query: userId + monthYear, optional questionId / subTopicId,
+ *       or statisticId for a single row)
+ * @access Private (auditors)
+ */
+async function history(req, res) {
+  try {
+    const { userId, monthYear, questionId, subTopicId, statisticId, page = 1, limit = 100 } = req.query;
+
+    const result = await performanceStatisticAuditService.getHistory({
+      userId: userId ? parseInt(userId) : null,
+      monthYear,
+      questionId: questionId ? parseInt(questionId) : null,
+      subTopicId: subTopicId ? parseInt(subTopicId) : null,
+      performanceStatisticId: statisticId ? parseInt(statisticId) : null,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    }, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Performance statistic history retrieved successfully',
+      data: result.history,
+      pagination: {
+        total: result.total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(result.total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting performance statistic history:', error);
+    res.status(error.statusCode || 500).json({
       status: 'ERROR',
-      message: error.message
+      message: error.message,
+      details: error.details
     });
   }
 }
@@ -795,6 +1014,12 @@ module.exports = {
   reportValues,
   countByUserDate,
   successCountByUserDate,
+  pendingSubmissions,
+  mySubmissions,
+  submissionDetail,
+  approveSubmission,
+  returnSubmission,
+  history,
   getPerformanceForm,
   getPerformanceFormByModuleTopic,
   saveStatistics,
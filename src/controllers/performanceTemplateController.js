@@ -0,0 +1,97 @@
+const performanceTemplateService = require('../services/performanceTemplateService');
+const performanceStatisticAuditService = require('../services/performanceStatisticAuditService');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/performance-statistics/template
+ * @desc Download the XLSX template of a module or topic for the user's battalion (?moduleId=&topicId=&monthYear=)
+ * @access Private
+ */
+async function download(req, res) {
+  try {
+    const { buffer, fileName } = await performanceTemplateService.buildTemplate(req.query, req.user);
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(buffer);
+  } catch (error) {
+    logger.error('Error generating performance template:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route POST /api/performance-statistics/template/preview
+ * @desc Compare a filled template (multipart field "file") with the saved answers without saving
+ * @access Private
+ */
+async function preview(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'ERROR',
+        message: 'No file uploaded'
+      });
+    }
+
+    const result = await performanceTemplateService.preview(req.file.buffer, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Template preview generated',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error previewing performance template:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route POST /api/performance-statistics/template/import
+ * @desc Save the answers of a filled template (multipart field "file"); nothing is saved if any answer is rejected
+ * @access Private
+ */
+async function importTemplate(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'ERROR',
+        message: 'No file uploaded'
+      });
+    }
+
+    const result = await performanceTemplateService.import(
+      req.file.buffer,
+      req.user,
+      performanceStatisticAuditService.contextFromRequest(req)
+    );
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Performance statistics imported successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error importing performance template:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+module.exports = {
+  download,
+  preview,
+  importTemplate
+};
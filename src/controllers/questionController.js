@@ -110,6 +110,14 @@ async function create(req, res) {
         message: 'Question with this name already exists in this sub-topic'
       });
     }
+
+    if (error.name === 'ValidationException') {
+      return res.status(400).json({
+        status: 'ERROR',
+        message: error.message,
+        details: error.details
+      });
+    }
     
     res.status(500).json({
       status: 'ERROR',
@@ -149,6 +157,14 @@ async function update(req, res) {
         message: 'Question with this name already exists in this sub-topic'
       });
     }
+
+    if (error.name === 'ValidationException') {
+      return res.status(400).json({
+        status: 'ERROR',
+        message: error.message,
+        details: error.details
+      });
+    }
     
     res.status(500).json({
       status: 'ERROR',
@@ -750,7 +766,7 @@ async function forForm(req, res) {
 // POST /api/questions/validate-formula - Validate question formula
 async function validateFormula(req, res) {
   try {
-    const { formula, topicId } = req.body;
+    const { formula, topicId, questionId } = req.body;
     
     if (!formula) {
       return res.json({
@@ -762,6 +778,10 @@ async function validateFormula(req, res) {
 
     const availableQuestions = await QuestionService.getQuestionsForFormula(topicId);
     const isValid = QuestionService.validateFormula(formula, availableQuestions);
+
+    if (topicId) {
+      await QuestionService.validateFormulaDependencies(topicId, questionId ? parseInt(questionId) : null, { formula });
+    }
     
     res.json({
       status: 'SUCCESS',
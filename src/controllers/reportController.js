@@ -1,4 +1,5 @@
 const reportService = require('../services/reportService');
+const jurisdictionService = require('../services/jurisdictionService');
 const logger = require('../utils/logger');
 
 /**
@@ -29,7 +30,7 @@ async function getReport(req, res) {
           code: 'VALIDATION_ERROR',
           type: 'REQUEST_VALIDATION',
           details: {
-            reportType: 'Report type is required and must be one of: SUMMARY, DETAILED, COMPARISON, TREND, PERFORMANCE, COMPLIANCE'
+            reportType: 'Report type is required and must be one of: SUMMARY, DETAILED, COMPARISON, TREND, PERFORMANCE, COMPLIANCE, PIVOT'
           }
         },
         timestamp: new Date().toISOString()
@@ -37,7 +38,7 @@ async function getReport(req, res) {
     }
 
     // Validate report type
-    const validReportTypes = ['SUMMARY', 'DETAILED', 'COMPARISON', 'TREND', 'PERFORMANCE', 'COMPLIANCE'];
+    const validReportTypes = ['SUMMARY', 'DETAILED', 'COMPARISON', 'TREND', 'PERFORMANCE', 'COMPLIANCE', 'PIVOT'];
     if (!validReportTypes.includes(reportType)) {
       return res.status(400).json({
         status: 'ERROR',
@@ -53,8 +54,8 @@ async function getReport(req, res) {
       });
     }
 
-    // Apply user-based access restrictions
-    const requestWithUserContext = applyUserAccessRestrictions(req.body, req.user);
+    // Restrict the request to the user's jurisdiction
+    const requestWithUserContext = await jurisdictionService.restrictReportRequest(req.body, req.user);
 
     // Validate pagination parameters
     const validationErrors = validatePaginationAndFilters(requestWithUserContext);
@@ -108,6 +109,19 @@ async function getReport(req, res) {
     });
 
     // Handle specific error types
+    if (error.statusCode === 400 || error.statusCode === 404) {
+      return res.status(error.statusCode).json({
+        status: 'ERROR',
+        message: error.message,
+        error: {
+          code: error.code,
+          type: 'REQUEST_VALIDATION',
+          details: error.details
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+
     if (error.message.includes('No data found')) {
       return res.status(404).json({
         status: 'ERROR',
@@ -190,12 +204,12 @@ async function getReport(req, res) {
 
 /**
  * Export report endpoint
- * GET /api/reports/export/:reportId
+ * GET /api/reports/export/:reportId/:format (or ?format= on /export/:reportId)
  */
 async function exportReport(req, res) {
   try {
     const { reportId } = req.params;
-    const { format } = req.query;
+    const format = req.params.format || req.query.format;
 
     if (!reportId || !format) {
       return res.status(400).json({
@@ -204,14 +218,6 @@ async function exportReport(req, res) {
       });
     }
 
-    const validFormats = ['CSV', 'PDF', 'EXCEL'];
-    if (!validFormats.includes(format)) {
-      return res.status(400).json({
-        status: 'ERROR',
-        message: `Invalid format. Must be one of: ${validFormats.join(', ')}`
-      });
-    }
-
     const exportResult = await reportService.exportReport(reportId, format, req.user);
 
     // Set appropriate headers for file download
@@ -225,14 +231,15 @@ async function exportReport(req, res) {
     logger.error('Report export failed', {
       userId: req.user?.id,
       reportId: req.params.reportId,
-      format: req.query.format,
+      format: req.params.format || req.query.format,
       error: error.message
     });
 
-    res.status(500).json({
+    res.status(error.statusCode || (error.message.includes('No data found') ? 404 : 500)).json({
       status: 'ERROR',
       message: 'Failed to export report',
-      error: error.message
+      error: error.message,
+      details: error.details
     });
   }
 }
@@ -295,50 +302,6 @@ async function getReportMetadata(req, res) {
   }
 }
 
-/**
- * Apply user-based access restrictions to report request
- */
-function applyUserAccessRestrictions(request, user) {
-  const restrictedRequest = { ...request };
-
-  // Apply role-based restrictions
-  switch (user.role) {
-    case 'BATTALION_USER':
-      // Battalion users can only access their own battalion data
-      restrictedRequest.battalionId = user.battalionId;
-      restrictedRequest.battalionIds = [user.battalionId];
-      break;
-      
-    case 'RANGE_ADMIN':
-      // Range admins can access all battalions in their range
-      if (restrictedRequest.rangeId && restrictedRequest.rangeId !== user.rangeId) {
-        throw new Error('Access denied: User cannot access data from other ranges');
-      }
-      restrictedRequest.rangeId = user.rangeId;
-      break;
-      
-    case 'SYSTEM_ADMIN':
-      // System admins have full access - no restrictions
-      break;
-      
-    default:
-      // Default to battalion-level access
-      restrictedRequest.battalionId = user.battalionId;
-      restrictedRequest.battalionIds = [user.battalionId];
-  }
-
-  // Validate battalion access if specific battalions are requested
-  if (restrictedRequest.battalionIds && user.role !== 'SYSTEM_ADMIN') {
-    for (const battalionId of restrictedRequest.battalionIds) {
-      if (user.role === 'BATTALION_USER' && battalionId !== user.battalionId) {
-        throw new Error(`Access denied: User cannot access battalion ID ${battalionId}`);
-      }
-    }
-  }
-
-  return restrictedRequest;
-}
-
 /**
  * Validate pagination and filter parameters
  */
@@ -0,0 +1,131 @@
+const reportJobService = require('../services/reportJobService');
+const logger = require('../utils/logger');
+
+const JOB_CONTENT_TYPES = {
+  JSON: 'application/json',
+  XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  PDF: 'application/pdf',
+  CSV: 'text/csv; charset=utf-8'
+};
+
+/**
+ * @route POST /api/reports/jobs
+ * @desc Queue a report ({ type: REPORT, request }) or export ({ type: EXPORT, format, request })
+ * @access Private
+ */
+async function submit(req, res) {
+  try {
+    const job = await reportJobService.submit(req.body, req.user);
+
+    res.status(202).json({
+      status: 'SUCCESS',
+      message: 'Report job queued',
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error queuing report job:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route GET /api/reports/jobs
+ * @desc List the user's report jobs (?status=&page=&size=)
+ * @access Private
+ */
+async function list(req, res) {
+  try {
+    const result = await reportJobService.list(req.query, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Report jobs retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error listing report jobs:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: 'Failed to retrieve report jobs',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * @route GET /api/reports/jobs/:id
+ * @desc Status and progress of a report job
+ * @access Private (submitter)
+ */
+async function getById(req, res) {
+  try {
+    const job = await reportJobService.get(parseInt(req.params.id), req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Report job retrieved successfully',
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error retrieving report job:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * @route POST /api/reports/jobs/:id/cancel
+ * @desc Cancel a queued or running report job
+ * @access Private (submitter)
+ */
+async function cancel(req, res) {
+  try {
+    const job = await reportJobService.cancel(parseInt(req.params.id), req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Report job cancelled',
+      data: job
+    });
+  } catch (error) {
+    logger.error('Error cancelling report job:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * @route GET /api/reports/jobs/:id/download
+ * @desc Download the result of a completed report job
+ * @access Private (submitter)
+ */
+async function download(req, res) {
+  try {
+    const file = await reportJobService.getArtifact(parseInt(req.params.id), req.user);
+
+    res.setHeader('Content-Type', JOB_CONTENT_TYPES[file.format] || 'application/octet-stream');
+    res.download(file.filePath, file.fileName);
+  } catch (error) {
+    logger.error('Error downloading report job result:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  submit,
+  list,
+  getById,
+  cancel,
+  download
+};
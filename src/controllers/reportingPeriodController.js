@@ -0,0 +1,200 @@
+const reportingPeriodService = require('../services/reportingPeriodService');
+const logger = require('../utils/logger');
+
+/**
+ * @route GET /api/reporting-periods
+ * @desc List reporting periods (filters: monthYear, stateId, rangeId, status)
+ * @access Private
+ */
+async function list(req, res) {
+  try {
+    const { monthYear, stateId, rangeId, status } = req.query;
+
+    const periods = await reportingPeriodService.listPeriods({ monthYear, stateId, rangeId, status });
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Reporting periods retrieved successfully',
+      data: periods
+    });
+  } catch (error) {
+    logger.error('Error listing reporting periods:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: 'Failed to retrieve reporting periods',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * @route GET /api/reporting-periods/status/:monthYear
+ * @desc Whether the month is open for the current user
+ * @access Private
+ */
+async function status(req, res) {
+  try {
+    const result = await reportingPeriodService.getPeriodStatus(req.user, req.params.monthYear);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Reporting period status retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error getting reporting period status:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route POST /api/reporting-periods/open
+ * @desc Open a month globally, for a state or for a range
+ * @access Private (admin)
+ */
+async function open(req, res) {
+  return setStatus(req, res, 'OPEN');
+}
+
+/**
+ * @route POST /api/reporting-periods/close
+ * @desc Close a month globally, for a state or for a range
+ * @access Private (admin)
+ */
+async function close(req, res) {
+  return setStatus(req, res, 'CLOSED');
+}
+
+async function setStatus(req, res, periodStatus) {
+  try {
+    const { monthYear, stateId, rangeId, remarks } = req.body;
+
+    if (!monthYear) {
+      return res.status(400).json({
+        status: 'ERROR',
+        message: 'Month-year is required'
+      });
+    }
+
+    const period = await reportingPeriodService.setPeriodStatus(
+      { monthYear, stateId, rangeId, status: periodStatus, remarks },
+      req.user
+    );
+
+    res.json({
+      status: 'SUCCESS',
+      message: `Reporting period ${period.monthYear} ${periodStatus === 'OPEN' ? 'opened' : 'closed'} successfully`,
+      data: period
+    });
+  } catch (error) {
+    logger.error('Error updating reporting period:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route GET /api/reporting-periods/reopen-requests
+ * @desc Reopen requests visible to the current user (filters: status, monthYear)
+ * @access Private
+ */
+async function reopenRequests(req, res) {
+  try {
+    const { status: requestStatus, monthYear } = req.query;
+
+    const requests = await reportingPeriodService.listReopenRequests(req.user, { status: requestStatus, monthYear });
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Reopen requests retrieved successfully',
+      data: requests
+    });
+  } catch (error) {
+    logger.error('Error listing reopen requests:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: 'Failed to retrieve reopen requests',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * @route POST /api/reporting-periods/reopen-requests
+ * @desc Battalion requests a closed month to be reopened
+ * @access Private
+ */
+async function requestReopen(req, res) {
+  try {
+    const { monthYear, reason } = req.body;
+
+    if (!monthYear) {
+      return res.status(400).json({
+        status: 'ERROR',
+        message: 'Month-year is required'
+      });
+    }
+
+    const request = await reportingPeriodService.requestReopen(req.user, { monthYear, reason });
+
+    res.status(201).json({
+      status: 'SUCCESS',
+      message: 'Reopen request submitted successfully',
+      data: request
+    });
+  } catch (error) {
+    logger.error('Error requesting reopen:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route POST /api/reporting-periods/reopen-requests/:id/review
+ * @desc Range admin approves or rejects a reopen request ({ action: APPROVE|REJECT, remarks })
+ * @access Private (range admin)
+ */
+async function reviewReopen(req, res) {
+  try {
+    const { action, remarks } = req.body;
+
+    const request = await reportingPeriodService.reviewReopenRequest(
+      parseInt(req.params.id),
+      { action, remarks },
+      req.user
+    );
+
+    res.json({
+      status: 'SUCCESS',
+      message: `Reopen request ${request.status.toLowerCase()} successfully`,
+      data: request
+    });
+  } catch (error) {
+    logger.error('Error reviewing reopen request:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+module.exports = {
+  list,
+  status,
+  open,
+  close,
+  reopenRequests,
+  requestReopen,
+  reviewReopen
+};
@@ -0,0 +1,230 @@
+const savedReportService = require('../services/savedReportService');
+const logger = require('../utils/logger');
+
+const ARCHIVE_CONTENT_TYPES = {
+  XLSX: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  PDF: 'application/pdf'
+};
+
+/**
+ * @route GET /api/reports/saved
+ * @desc List saved reports owned by or shared with the user
+ * @access Private
+ */
+async function list(req, res) {
+  try {
+    const reports = await savedReportService.list(req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Saved reports retrieved successfully',
+      data: reports
+    });
+  } catch (error) {
+    logger.error('Error listing saved reports:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: 'Failed to retrieve saved reports',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * @route GET /api/reports/saved/:id
+ * @desc Get a saved report definition
+ * @access Private (owner or shared role)
+ */
+async function getById(req, res) {
+  try {
+    const report = await savedReportService.get(parseInt(req.params.id), req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Saved report retrieved successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error retrieving saved report:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * @route POST /api/reports/saved
+ * @desc Save a report definition ({ name, description, definition, sharedRoleId, scheduleCron, scheduleFormat, scheduleEnabled })
+ * @access Private
+ */
+async function create(req, res) {
+  try {
+    const report = await savedReportService.create(req.body, req.user);
+
+    res.status(201).json({
+      status: 'SUCCESS',
+      message: 'Report saved successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error saving report:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route PUT /api/reports/saved/:id
+ * @desc Update a saved report (fields not sent are kept)
+ * @access Private (owner)
+ */
+async function update(req, res) {
+  try {
+    const report = await savedReportService.update(parseInt(req.params.id), req.body, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Saved report updated successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error updating saved report:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route DELETE /api/reports/saved/:id
+ * @desc Delete a saved report and stop its schedule
+ * @access Private (owner)
+ */
+async function remove(req, res) {
+  try {
+    await savedReportService.remove(parseInt(req.params.id), req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Saved report deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting saved report:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * @route POST /api/reports/saved/:id/run
+ * @desc Generate a saved report for the user (?page=&size=)
+ * @access Private (owner or shared role)
+ */
+async function run(req, res) {
+  try {
+    const report = await savedReportService.run(parseInt(req.params.id), req.user, {
+      page: req.query.page,
+      size: req.query.size
+    });
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Report generated successfully',
+      data: report
+    });
+  } catch (error) {
+    logger.error('Error running saved report:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message,
+      details: error.details
+    });
+  }
+}
+
+/**
+ * @route POST /api/reports/saved/:id/archive
+ * @desc Generate the scheduled file of a saved report now
+ * @access Private (owner)
+ */
+async function archiveNow(req, res) {
+  try {
+    const archive = await savedReportService.archiveNow(parseInt(req.params.id), req.user);
+
+    res.status(archive.status === 'SUCCESS' ? 201 : 500).json({
+      status: archive.status === 'SUCCESS' ? 'SUCCESS' : 'ERROR',
+      message: archive.status === 'SUCCESS' ? 'Report archived successfully' : 'Report could not be archived',
+      data: archive
+    });
+  } catch (error) {
+    logger.error('Error archiving saved report:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * @route GET /api/reports/archive
+ * @desc List archived report files (?savedReportId=&page=&size=)
+ * @access Private
+ */
+async function listArchive(req, res) {
+  try {
+    const result = await savedReportService.listArchive(req.query, req.user);
+
+    res.json({
+      status: 'SUCCESS',
+      message: 'Report archive retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error listing report archive:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: 'Failed to retrieve report archive',
+      error: error.message
+    });
+  }
+}
+
+/**
+ * @route GET /api/reports/archive/:id/download
+ * @desc Download an archived report file
+ * @access Private
+ */
+async function downloadArchive(req, res) {
+  try {
+    const file = await savedReportService.getArchiveFile(parseInt(req.params.id), req.user);
+
+    res.setHeader('Content-Type', ARCHIVE_CONTENT_TYPES[file.format] || 'application/octet-stream');
+    res.download(file.filePath, file.fileName);
+  } catch (error) {
+    logger.error('Error downloading archived report:', error);
+    res.status(error.statusCode || 500).json({
+      status: 'ERROR',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  list,
+  getById,
+  create,
+  update,
+  remove,
+  run,
+  archiveNow,
+  listArchive,
+  downloadArchive
+};
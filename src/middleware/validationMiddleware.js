@@ -427,6 +427,20 @@ const searchSchema = Joi.object({
 });
 
 // CID Crime Data validation schemas
+const crimePersonSchema = Joi.object({
+  name: Joi.string().trim().max(200).required(),
+  alias: Joi.string().trim().max(200).allow('', null).optional(),
+  relativeName: Joi.string().trim().max(200).allow('', null).optional(),
+  gender: Joi.string().uppercase().valid('MALE', 'FEMALE', 'OTHER').optional(),
+  age: Joi.number().integer().min(0).max(150).optional(),
+  dateOfBirth: Joi.date().max('now').optional(),
+  occupation: Joi.string().trim().max(150).allow('', null).optional(),
+  nationality: Joi.string().trim().max(100).allow('', null).optional(),
+  address: Joi.string().trim().allow('', null).optional(),
+  mobileNumber: Joi.string().trim().pattern(/^[0-9+\- ]{6,20}$/).allow('', null).optional(),
+  remark: Joi.string().trim().allow('', null).optional()
+});
+
 const crimeDataCreateSchema = Joi.object({
   firNumber: Joi.string().required(),
   crimeNumber: Joi.string().optional(),
@@ -439,11 +453,18 @@ const crimeDataCreateSchema = Joi.object({
   dateOfOccurrence: Joi.date().required(),
   timeOfOccurrence: Joi.string().optional(),
   placeOfOccurrence: Joi.string().required(),
+  latitude: Joi.number().min(-90).max(90).optional(),
+  longitude: Joi.number().min(-180).max(180).optional(),
   briefFacts: Joi.string().optional(),
-  victims: Joi.array().items(Joi.object()).optional(),
-  accused: Joi.array().items(Joi.object()).optional(),
-  deceased: Joi.array().items(Joi.object()).optional()
-});
+  cashCollection: Joi.string().allow('', null).optional(),
+  cashCollectionAmount: Joi.number().min(0).precision(2).allow(null).optional(),
+  lootedItems: Joi.string().allow('', null).optional(),
+  lootedPropertyValue: Joi.number().min(0).precision(2).allow(null).optional(),
+  victims: Joi.array().items(crimePersonSchema).optional(),
+  accused: Joi.array().items(crimePersonSchema).optional(),
+  deceased: Joi.array().items(crimePersonSchema).optional(),
+  witnesses: Joi.array().items(crimePersonSchema).optional()
+}).and('latitude', 'longitude');
 
 const crimeDataUpdateSchema = Joi.object({
   firNumber: Joi.string().optional(),
@@ -457,8 +478,14 @@ const crimeDataUpdateSchema = Joi.object({
   dateOfOccurrence: Joi.date().optional(),
   timeOfOccurrence: Joi.string().optional(),
   placeOfOccurrence: Joi.string().optional(),
-  briefFacts: Joi.string().optional()
-});
+  latitude: Joi.number().min(-90).max(90).allow(null).optional(),
+  longitude: Joi.number().min(-180).max(180).allow(null).optional(),
+  briefFacts: Joi.string().optional(),
+  cashCollection: Joi.string().allow('', null).optional(),
+  cashCollectionAmount: Joi.number().min(0).precision(2).allow(null).optional(),
+  lootedItems: Joi.string().allow('', null).optional(),
+  lootedPropertyValue: Joi.number().min(0).precision(2).allow(null).optional()
+}).and('latitude', 'longitude');
 
 // Generic validation middleware factory
 const createValidationMiddleware = (schema, source = 'body') => {
@@ -587,6 +614,7 @@ module.exports = {
   // CID Crime Data validations
   validateCrimeDataCreate: createValidationMiddleware(crimeDataCreateSchema),
   validateCrimeDataUpdate: createValidationMiddleware(crimeDataUpdateSchema),
+  validateCrimePerson: createValidationMiddleware(crimePersonSchema),
 
   // Custom validation functions
   validateArrayOfIds: (fieldName) => {
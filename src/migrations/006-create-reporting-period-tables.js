@@ -0,0 +1,191 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Open/closed reporting months (global, per state or per range)
+    await queryInterface.createTable('reporting_period', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      month_year: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      state_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'state',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      range_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'zone',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'OPEN'
+      },
+      opened_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      closed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      remarks: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      updated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updated_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('reporting_period', ['month_year', 'state_id', 'range_id']);
+    await queryInterface.addIndex('reporting_period', ['status']);
+
+    // Battalion requests to reopen a closed month
+    await queryInterface.createTable('reporting_period_reopen_request', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      month_year: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      battalion_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'battalion',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      range_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'zone',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      state_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'state',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      requested_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      reason: {
+        type: Sequelize.STRING(1000),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'PENDING'
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'user',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_remarks: {
+        type: Sequelize.STRING(1000),
+        allowNull: true
+      },
+      valid_until: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updated_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('reporting_period_reopen_request', ['battalion_id', 'month_year']);
+    await queryInterface.addIndex('reporting_period_reopen_request', ['range_id', 'status']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('reporting_period_reopen_request');
+    await queryInterface.dropTable('reporting_period');
+  }
+};
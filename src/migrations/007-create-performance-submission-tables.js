@@ -0,0 +1,226 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Approval state of each monthly return
+    await queryInterface.createTable('performance_submission', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      battalion_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'battalion',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      range_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'zone',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      state_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'state',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      month_year: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'SUBMITTED'
+      },
+      submitted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      range_reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      range_reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      state_reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      state_reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      updated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updated_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('performance_submission', ['user_id', 'month_year'], { unique: true });
+    await queryInterface.addIndex('performance_submission', ['range_id', 'status']);
+    await queryInterface.addIndex('performance_submission', ['state_id', 'status']);
+
+    // Workflow history
+    await queryInterface.createTable('performance_submission_transition', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      submission_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'performance_submission',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      action: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      from_status: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      to_status: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      acted_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      remarks: {
+        type: Sequelize.STRING(1000),
+        allowNull: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('performance_submission_transition', ['submission_id']);
+
+    // Per-topic reviewer comments
+    await queryInterface.createTable('performance_submission_comment', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      submission_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'performance_submission',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      transition_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'performance_submission_transition',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      topic_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'topic',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      comment: {
+        type: Sequelize.STRING(1000),
+        allowNull: false
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('performance_submission_comment', ['submission_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('performance_submission_comment');
+    await queryInterface.dropTable('performance_submission_transition');
+    await queryInterface.dropTable('performance_submission');
+  }
+};
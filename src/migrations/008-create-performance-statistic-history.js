@@ -0,0 +1,76 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Field-level audit trail of performance_statistic rows
+    await queryInterface.createTable('performance_statistic_history', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      performance_statistic_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      month_year: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      question_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      sub_topic_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      action: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      field_name: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      old_value: {
+        type: Sequelize.STRING(250),
+        allowNull: true
+      },
+      new_value: {
+        type: Sequelize.STRING(250),
+        allowNull: true
+      },
+      changed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      source: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('performance_statistic_history', ['user_id', 'month_year', 'question_id']);
+    await queryInterface.addIndex('performance_statistic_history', ['performance_statistic_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('performance_statistic_history');
+  }
+};
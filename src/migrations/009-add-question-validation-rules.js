@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Optional per-question answer rules ({ required, min, max, integer, options, minDate, maxDate })
+    await queryInterface.addColumn('question', 'validation_rules', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('question', 'validation_rules');
+  }
+};
@@ -0,0 +1,77 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Cross-question consistency rules of a topic
+    await queryInterface.createTable('topic_consistency_rule', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      topic_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'topic',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      expression: {
+        type: Sequelize.STRING(1000),
+        allowNull: false
+      },
+      severity: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        defaultValue: 'BLOCK'
+      },
+      message: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      tolerance: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      updated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updated_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('topic_consistency_rule', ['topic_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('topic_consistency_rule');
+  }
+};
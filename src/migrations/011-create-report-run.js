@@ -0,0 +1,50 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Requests of generated reports, used to re-run them for export
+    await queryInterface.createTable('report_run', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      report_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      report_type: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      request: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('report_run', ['user_id', 'created_date']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('report_run');
+  }
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+const COLUMNS = [
+  { name: 'state_id', table: 'state' },
+  { name: 'range_id', table: 'zone' },
+  { name: 'battalion_id', table: 'battalion' }
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Unit of the recording user, used to scope crime data reads by jurisdiction
+    for (const column of COLUMNS) {
+      await queryInterface.addColumn('cid_crime_data', column.name, {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: column.table,
+          key: 'id'
+        }
+      });
+    }
+
+    await queryInterface.sequelize.query(`
+      UPDATE cid_crime_data c
+      JOIN user u ON u.id = c.created_by
+      SET c.state_id = u.state_id, c.range_id = u.range_id, c.battalion_id = u.battalion_id
+    `);
+
+    await queryInterface.addIndex('cid_crime_data', ['state_id', 'range_id', 'battalion_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('cid_crime_data', ['state_id', 'range_id', 'battalion_id']);
+    for (const column of [...COLUMNS].reverse()) {
+      await queryInterface.removeColumn('cid_crime_data', column.name);
+    }
+  }
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Reporting month of month_year ("AUG 2025") as YYYYMM, so period filters
+    // can use range conditions on an indexed column
+    await queryInterface.addColumn('performance_statistic', 'period_key', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+
+    const monthCase = MONTHS
+      .map((month, i) => `WHEN '${month}' THEN ${i + 1}`)
+      .join(' ');
+
+    await queryInterface.sequelize.query(`
+      UPDATE performance_statistic
+      SET period_key = CAST(SUBSTRING_INDEX(TRIM(month_year), ' ', -1) AS UNSIGNED) * 100 +
+        CASE UPPER(LEFT(TRIM(month_year), 3)) ${monthCase} END
+      WHERE TRIM(month_year) REGEXP '^[A-Za-z]{3,9} +[0-9]{4}$'
+    `);
+
+    await queryInterface.addIndex('performance_statistic', ['period_key']);
+    await queryInterface.addIndex('performance_statistic', ['battalion_id', 'period_key']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('performance_statistic', ['battalion_id', 'period_key']);
+    await queryInterface.removeIndex('performance_statistic', ['period_key']);
+    await queryInterface.removeColumn('performance_statistic', 'period_key');
+  }
+};
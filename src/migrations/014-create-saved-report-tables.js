@@ -0,0 +1,165 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Named report definitions, shareable with a role and schedulable
+    await queryInterface.createTable('saved_report', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      report_type: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      definition: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      owner_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      shared_role_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'role',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      schedule_cron: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      schedule_format: {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      },
+      schedule_enabled: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      last_run_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      updated_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updated_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('saved_report', ['owner_id']);
+    await queryInterface.addIndex('saved_report', ['shared_role_id']);
+
+    // Files generated from saved reports
+    await queryInterface.createTable('report_archive', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      saved_report_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'saved_report',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      generated_for: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      trigger: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      format: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      file_path: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      file_size: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('report_archive', ['saved_report_id', 'created_date']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('report_archive');
+    await queryInterface.dropTable('saved_report');
+  }
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Background report and export jobs
+    await queryInterface.createTable('report_job', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      user_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      format: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      report_type: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      request: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'QUEUED'
+      },
+      progress: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      report_id: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      file_name: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      file_path: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      file_size: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      started_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updated_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('report_job', ['status', 'created_date']);
+    await queryInterface.addIndex('report_job', ['user_id', 'created_date']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('report_job');
+  }
+};
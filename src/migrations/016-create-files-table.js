@@ -0,0 +1,99 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Metadata of uploaded files; contents are kept by the storage adapter
+    await queryInterface.createTable('files', {
+      id: {
+        allowNull: false,
+        primaryKey: true,
+        type: Sequelize.UUID
+      },
+      owner_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      upload_type: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        defaultValue: 'general'
+      },
+      original_name: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      mime_type: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      size: {
+        type: Sequelize.BIGINT,
+        allowNull: false
+      },
+      checksum: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      storage_driver: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      storage_key: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      entity_type: {
+        type: Sequelize.STRING(30),
+        allowNull: true
+      },
+      entity_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      state_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      range_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      battalion_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updated_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('files', ['owner_id', 'created_date']);
+    await queryInterface.addIndex('files', ['entity_type', 'entity_id']);
+    await queryInterface.addIndex('files', ['battalion_id']);
+    await queryInterface.addIndex('files', ['range_id']);
+    await queryInterface.addIndex('files', ['state_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('files');
+  }
+};
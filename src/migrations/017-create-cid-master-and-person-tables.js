@@ -0,0 +1,304 @@
+'use strict';
+
+/**
+ * Audit and soft-delete columns shared by the CID tables
+ */
+const auditColumns = (Sequelize) => ({
+  created_by: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  updated_by: {
+    type: Sequelize.INTEGER,
+    allowNull: true
+  },
+  active: {
+    type: Sequelize.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  created_date: {
+    allowNull: false,
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  },
+  updated_date: {
+    allowNull: false,
+    type: Sequelize.DATE,
+    defaultValue: Sequelize.NOW
+  }
+});
+
+const id = (Sequelize) => ({
+  allowNull: false,
+  autoIncrement: true,
+  primaryKey: true,
+  type: Sequelize.INTEGER
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // CID geography: districts, their sub-divisions and police stations
+    await queryInterface.createTable('cid_districts', {
+      id: id(Sequelize),
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        unique: true
+      },
+      state_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'state',
+          key: 'id'
+        }
+      },
+      ...auditColumns(Sequelize)
+    });
+
+    await queryInterface.createTable('cid_sub_divisions', {
+      id: id(Sequelize),
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        unique: true
+      },
+      cid_district_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cid_districts',
+          key: 'id'
+        }
+      },
+      ...auditColumns(Sequelize)
+    });
+
+    await queryInterface.createTable('cid_police_stations', {
+      id: id(Sequelize),
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      code: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        unique: true
+      },
+      cid_district_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cid_districts',
+          key: 'id'
+        }
+      },
+      cid_sub_division_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'cid_sub_divisions',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      ...auditColumns(Sequelize)
+    });
+
+    // Crime classification below the existing categories
+    await queryInterface.addColumn('cid_crime_category', 'category_code', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+      unique: true
+    });
+    await queryInterface.addColumn('cid_crime_category', 'description', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.createTable('cid_crime_category_types', {
+      id: id(Sequelize),
+      type_of_crime: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      cid_crime_category_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cid_crime_category',
+          key: 'id'
+        }
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      allow_accused: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      allow_deceased: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      allow_victim: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      allow_cash_collection: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      ...auditColumns(Sequelize)
+    });
+
+    await queryInterface.createTable('cid_crime_modus', {
+      id: id(Sequelize),
+      name: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      cid_crime_category_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cid_crime_category',
+          key: 'id'
+        }
+      },
+      cid_crime_sub_category_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'cid_crime_category_types',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      description_details: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      ...auditColumns(Sequelize)
+    });
+
+    // Case fields the crime entry API records beyond the original columns
+    await queryInterface.addColumn('cid_crime_data', 'crime_number', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+    await queryInterface.addColumn('cid_crime_data', 'time_of_occurrence', {
+      type: Sequelize.STRING(20),
+      allowNull: true
+    });
+    await queryInterface.addColumn('cid_crime_data', 'brief_facts', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    await queryInterface.addIndex('cid_crime_data', ['case_no']);
+    await queryInterface.addIndex('cid_crime_data', ['cid_district_id', 'date']);
+    await queryInterface.addIndex('cid_crime_data', ['cid_crime_category_id', 'date']);
+
+    // Victims, accused, deceased and witnesses of a case
+    await queryInterface.createTable('cid_crime_person', {
+      id: id(Sequelize),
+      cid_crime_data_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cid_crime_data',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      role: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      alias: {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      },
+      relative_name: {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      },
+      gender: {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      },
+      age: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      date_of_birth: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      occupation: {
+        type: Sequelize.STRING(150),
+        allowNull: true
+      },
+      nationality: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      address: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      mobile_number: {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      },
+      remark: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      ...auditColumns(Sequelize)
+    });
+
+    await queryInterface.addIndex('cid_crime_person', ['cid_crime_data_id', 'role']);
+    await queryInterface.addIndex('cid_crime_person', ['name']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('cid_crime_person');
+
+    await queryInterface.removeIndex('cid_crime_data', ['cid_crime_category_id', 'date']);
+    await queryInterface.removeIndex('cid_crime_data', ['cid_district_id', 'date']);
+    await queryInterface.removeIndex('cid_crime_data', ['case_no']);
+    await queryInterface.removeColumn('cid_crime_data', 'brief_facts');
+    await queryInterface.removeColumn('cid_crime_data', 'time_of_occurrence');
+    await queryInterface.removeColumn('cid_crime_data', 'crime_number');
+
+    await queryInterface.dropTable('cid_crime_modus');
+    await queryInterface.dropTable('cid_crime_category_types');
+    await queryInterface.removeColumn('cid_crime_category', 'description');
+    await queryInterface.removeColumn('cid_crime_category', 'category_code');
+
+    await queryInterface.dropTable('cid_police_stations');
+    await queryInterface.dropTable('cid_sub_divisions');
+    await queryInterface.dropTable('cid_districts');
+  }
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+const CASE_COLUMNS = (Sequelize) => ({
+  status: {
+    type: Sequelize.STRING(30),
+    allowNull: false,
+    defaultValue: 'REGISTERED'
+  },
+  status_date: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  investigating_officer_id: {
+    type: Sequelize.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  io_assigned_at: {
+    type: Sequelize.DATE,
+    allowNull: true
+  },
+  chargesheet_number: {
+    type: Sequelize.STRING(100),
+    allowNull: true
+  },
+  chargesheet_date: {
+    type: Sequelize.DATEONLY,
+    allowNull: true
+  },
+  court_name: {
+    type: Sequelize.STRING(255),
+    allowNull: true
+  },
+  court_case_number: {
+    type: Sequelize.STRING(100),
+    allowNull: true
+  },
+  disposal_date: {
+    type: Sequelize.DATEONLY,
+    allowNull: true
+  },
+  disposal_remarks: {
+    type: Sequelize.TEXT,
+    allowNull: true
+  }
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Where each case stands, with the details of the stage it reached
+    for (const [name, definition] of Object.entries(CASE_COLUMNS(Sequelize))) {
+      await queryInterface.addColumn('cid_crime_data', name, definition);
+    }
+
+    // Existing cases start as registered when they were recorded
+    await queryInterface.sequelize.query(`
+      UPDATE cid_crime_data SET status_date = created_date
+    `);
+
+    await queryInterface.addIndex('cid_crime_data', ['status', 'status_date']);
+    await queryInterface.addIndex('cid_crime_data', ['investigating_officer_id']);
+
+    await queryInterface.createTable('cid_case_transition', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      cid_crime_data_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cid_crime_data',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      action: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      from_status: {
+        type: Sequelize.STRING(30),
+        allowNull: true
+      },
+      to_status: {
+        type: Sequelize.STRING(30),
+        allowNull: false
+      },
+      investigating_officer_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'user',
+          key: 'id'
+        }
+      },
+      effective_date: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      acted_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user',
+          key: 'id'
+        }
+      },
+      remarks: {
+        type: Sequelize.STRING(1000),
+        allowNull: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('cid_case_transition', ['cid_crime_data_id']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('cid_case_transition');
+
+    await queryInterface.removeIndex('cid_crime_data', ['investigating_officer_id']);
+    await queryInterface.removeIndex('cid_crime_data', ['status', 'status_date']);
+    for (const name of Object.keys(CASE_COLUMNS(Sequelize)).reverse()) {
+      await queryInterface.removeColumn('cid_crime_data', name);
+    }
+  }
+};
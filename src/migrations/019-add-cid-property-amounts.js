@@ -0,0 +1,31 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // cash_collection and looted_items are free text; analytics needs amounts it can add up
+    await queryInterface.addColumn('cid_crime_data', 'cash_collection_amount', {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: true
+    });
+    await queryInterface.addColumn('cid_crime_data', 'looted_property_value', {
+      type: Sequelize.DECIMAL(14, 2),
+      allowNull: true
+    });
+
+    // Carry over cash collections that were entered as plain numbers
+    await queryInterface.sequelize.query(`
+      UPDATE cid_crime_data
+      SET cash_collection_amount = CAST(REPLACE(TRIM(cash_collection), ',', '') AS DECIMAL(14, 2))
+      WHERE TRIM(cash_collection) REGEXP '^[0-9][0-9,]*(\\\\.[0-9]+)?$'
+    `);
+
+    await queryInterface.addIndex('cid_crime_person', ['role', 'mobile_number']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('cid_crime_person', ['role', 'mobile_number']);
+    await queryInterface.removeColumn('cid_crime_data', 'looted_property_value');
+    await queryInterface.removeColumn('cid_crime_data', 'cash_collection_amount');
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Crime scene coordinates (WGS84)
+    await queryInterface.addColumn('cid_crime_data', 'latitude', {
+      type: Sequelize.DECIMAL(10, 7),
+      allowNull: true
+    });
+    await queryInterface.addColumn('cid_crime_data', 'longitude', {
+      type: Sequelize.DECIMAL(10, 7),
+      allowNull: true
+    });
+    await queryInterface.addIndex('cid_crime_data', ['latitude', 'longitude']);
+
+    // Police station jurisdiction as a GeoJSON Polygon/MultiPolygon, with its
+    // bounding box so containment checks only test nearby stations
+    await queryInterface.addColumn('cid_police_stations', 'boundary', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+    for (const column of ['min_lat', 'max_lat', 'min_lng', 'max_lng']) {
+      await queryInterface.addColumn('cid_police_stations', column, {
+        type: Sequelize.DECIMAL(10, 7),
+        allowNull: true
+      });
+    }
+    await queryInterface.addIndex('cid_police_stations', ['min_lat', 'max_lat', 'min_lng', 'max_lng']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('cid_police_stations', ['min_lat', 'max_lat', 'min_lng', 'max_lng']);
+    for (const column of ['max_lng', 'min_lng', 'max_lat', 'min_lat', 'boundary']) {
+      await queryInterface.removeColumn('cid_police_stations', column);
+    }
+
+    await queryInterface.removeIndex('cid_crime_data', ['latitude', 'longitude']);
+    await queryInterface.removeColumn('cid_crime_data', 'longitude');
+    await queryInterface.removeColumn('cid_crime_data', 'latitude');
+  }
+};
@@ -0,0 +1,163 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // A merged duplicate stays on record, pointing at the case that was kept
+    await queryInterface.addColumn('cid_crime_data', 'merged_into_id', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'cid_crime_data',
+        key: 'id'
+      }
+    });
+    await queryInterface.addColumn('cid_crime_data', 'merged_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addIndex('cid_crime_data', ['date']);
+
+    // Review queue of suspected duplicates
+    await queryInterface.createTable('cid_duplicate_candidate', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      cid_crime_data_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cid_crime_data',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      matched_cid_crime_data_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cid_crime_data',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      score: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false
+      },
+      reasons: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'PENDING'
+      },
+      detected_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      reviewed_by: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'user',
+          key: 'id'
+        }
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_remarks: {
+        type: Sequelize.STRING(1000),
+        allowNull: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      },
+      updated_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('cid_duplicate_candidate', ['cid_crime_data_id', 'matched_cid_crime_data_id'], { unique: true });
+    await queryInterface.addIndex('cid_duplicate_candidate', ['matched_cid_crime_data_id']);
+    await queryInterface.addIndex('cid_duplicate_candidate', ['status', 'score']);
+
+    // Audit of every merge, with the merged record as it was
+    await queryInterface.createTable('cid_case_merge', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      target_cid_crime_data_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cid_crime_data',
+          key: 'id'
+        }
+      },
+      source_cid_crime_data_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'cid_crime_data',
+          key: 'id'
+        }
+      },
+      cid_duplicate_candidate_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      source_snapshot: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      changes: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      merged_by: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'user',
+          key: 'id'
+        }
+      },
+      remarks: {
+        type: Sequelize.STRING(1000),
+        allowNull: true
+      },
+      created_date: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('cid_case_merge', ['target_cid_crime_data_id']);
+    await queryInterface.addIndex('cid_case_merge', ['source_cid_crime_data_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('cid_case_merge');
+    await queryInterface.dropTable('cid_duplicate_candidate');
+
+    await queryInterface.removeIndex('cid_crime_data', ['date']);
+    await queryInterface.removeColumn('cid_crime_data', 'merged_at');
+    await queryInterface.removeColumn('cid_crime_data', 'merged_into_id');
+  }
+};
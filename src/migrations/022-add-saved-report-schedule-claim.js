@@ -0,0 +1,17 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Minute of the last scheduled run claimed by a server; every server
+    // registers the same cron tasks and only the claimant generates the file
+    await queryInterface.addColumn('saved_report', 'last_scheduled_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('saved_report', 'last_scheduled_at');
+  }
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Refreshed by the process running the job; a RUNNING job whose heartbeat
+    // stops was orphaned by a crash or restart and is requeued
+    await queryInterface.addColumn('report_job', 'heartbeat_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addIndex('report_job', ['status', 'heartbeat_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('report_job', ['status', 'heartbeat_at']);
+    await queryInterface.removeColumn('report_job', 'heartbeat_at');
+  }
+};
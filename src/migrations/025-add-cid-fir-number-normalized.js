@@ -0,0 +1,44 @@
+'use strict';
+
+const firNumberUtil = require('../utils/firNumberUtil');
+
+const BATCH_SIZE = 1000;
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // FIR number as duplicate detection compares it ("012/2024" and "12/24"
+    // are both "12/2024"), so the same FIR is found through an index
+    await queryInterface.addColumn('cid_crime_data', 'fir_number_normalized', {
+      type: Sequelize.STRING,
+      allowNull: true
+    });
+
+    let lastId = 0;
+    for (;;) {
+      const rows = await queryInterface.sequelize.query(
+        'SELECT id, case_no FROM cid_crime_data WHERE id > :lastId AND case_no IS NOT NULL ORDER BY id LIMIT :limit',
+        { replacements: { lastId, limit: BATCH_SIZE }, type: Sequelize.QueryTypes.SELECT }
+      );
+      if (!rows.length) break;
+
+      for (const row of rows) {
+        const normalized = firNumberUtil.normalize(row.case_no);
+        if (normalized) {
+          await queryInterface.sequelize.query(
+            'UPDATE cid_crime_data SET fir_number_normalized = :normalized WHERE id = :id',
+            { replacements: { normalized, id: row.id } }
+          );
+        }
+      }
+      lastId = rows[rows.length - 1].id;
+    }
+
+    await queryInterface.addIndex('cid_crime_data', ['fir_number_normalized']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('cid_crime_data', ['fir_number_normalized']);
+    await queryInterface.removeColumn('cid_crime_data', 'fir_number_normalized');
+  }
+};
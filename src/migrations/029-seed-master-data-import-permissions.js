@@ -0,0 +1,75 @@
+'use strict';
+
+// Bulk master data import, guarded by authenticateWithPermission, which
+// looks the permission up by route URL
+const PERMISSIONS = [
+  { code: 'MASTER_DATA_IMPORT', name: 'Import Master Data', url: '/api/master-data/import/:entity' }
+];
+
+// Imports create and update geography and units for everyone
+const ROLE_NAMES = ['SUPER_ADMIN', 'ADMIN'];
+
+const codes = PERMISSIONS.map(permission => permission.code);
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const existing = await queryInterface.sequelize.query(
+      'SELECT permission_code FROM permission WHERE permission_code IN (:codes)',
+      { replacements: { codes }, type: Sequelize.QueryTypes.SELECT }
+    );
+    const existingCodes = new Set(existing.map(row => row.permission_code));
+
+    const missing = PERMISSIONS.filter(permission => !existingCodes.has(permission.code));
+    if (missing.length) {
+      await queryInterface.bulkInsert('permission', missing.map(permission => ({
+        permission_name: permission.name,
+        permission_code: permission.code,
+        permission_url: permission.url,
+        active: true,
+        created_date: new Date(),
+        updated_date: new Date()
+      })));
+    }
+
+    const permissions = await queryInterface.sequelize.query(
+      'SELECT id FROM permission WHERE permission_code IN (:codes)',
+      { replacements: { codes }, type: Sequelize.QueryTypes.SELECT }
+    );
+    const roles = await queryInterface.sequelize.query(
+      'SELECT id FROM role WHERE role_name IN (:roleNames)',
+      { replacements: { roleNames: ROLE_NAMES }, type: Sequelize.QueryTypes.SELECT }
+    );
+    if (!permissions.length || !roles.length) return;
+
+    const granted = await queryInterface.sequelize.query(
+      'SELECT role_id, permission_id FROM role_permission WHERE permission_id IN (:permissionIds)',
+      { replacements: { permissionIds: permissions.map(permission => permission.id) }, type: Sequelize.QueryTypes.SELECT }
+    );
+    const grantedKeys = new Set(granted.map(row => `${row.role_id}:${row.permission_id}`));
+
+    const grants = [];
+    roles.forEach(role => {
+      permissions.forEach(permission => {
+        if (!grantedKeys.has(`${role.id}:${permission.id}`)) {
+          grants.push({ role_id: role.id, permission_id: permission.id, active: true });
+        }
+      });
+    });
+    if (grants.length) {
+      await queryInterface.bulkInsert('role_permission', grants);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    const permissions = await queryInterface.sequelize.query(
+      'SELECT id FROM permission WHERE permission_code IN (:codes)',
+      { replacements: { codes }, type: Sequelize.QueryTypes.SELECT }
+    );
+    if (!permissions.length) return;
+
+    const permissionIds = permissions.map(permission => permission.id);
+    await queryInterface.bulkDelete('role_permission', { permission_id: permissionIds });
+    await queryInterface.bulkDelete('permission', { id: permissionIds });
+  }
+};
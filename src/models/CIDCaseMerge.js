@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Audit of a duplicate CID case merged into the case that was kept: the
+// merged record as it was, and what moved across
+const CIDCaseMerge = sequelize.define('CIDCaseMerge', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  targetCrimeDataId: {
+    type: DataTypes.INTEGER,
+    field: 'target_cid_crime_data_id',
+    allowNull: false,
+    references: {
+      model: 'cid_crime_data',
+      key: 'id'
+    }
+  },
+  sourceCrimeDataId: {
+    type: DataTypes.INTEGER,
+    field: 'source_cid_crime_data_id',
+    allowNull: false,
+    references: {
+      model: 'cid_crime_data',
+      key: 'id'
+    }
+  },
+  duplicateCandidateId: {
+    type: DataTypes.INTEGER,
+    field: 'cid_duplicate_candidate_id',
+    allowNull: true
+  },
+  // Merged case with its persons as they were before the merge
+  sourceSnapshot: {
+    type: DataTypes.JSON,
+    field: 'source_snapshot',
+    allowNull: false
+  },
+  // { movedPersonIds, skippedPersonIds, movedFileIds, filledFields }
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  mergedBy: {
+    type: DataTypes.INTEGER,
+    field: 'merged_by',
+    allowNull: false
+  },
+  remarks: {
+    type: DataTypes.STRING(1000),
+    allowNull: true
+  }
+}, {
+  tableName: 'cid_case_merge',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: false
+});
+
+module.exports = CIDCaseMerge;
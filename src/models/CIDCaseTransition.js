@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One recorded step of a CID case lifecycle: a status change or an
+// investigating officer (re)assignment, with the date it took effect
+const CIDCaseTransition = sequelize.define('CIDCaseTransition', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  crimeDataId: {
+    type: DataTypes.INTEGER,
+    field: 'cid_crime_data_id',
+    allowNull: false,
+    references: {
+      model: 'cid_crime_data',
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['STATUS_CHANGE', 'ASSIGN_IO']],
+        msg: 'Invalid case action'
+      }
+    }
+  },
+  fromStatus: {
+    type: DataTypes.STRING(30),
+    field: 'from_status',
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING(30),
+    field: 'to_status',
+    allowNull: false
+  },
+  investigatingOfficerId: {
+    type: DataTypes.INTEGER,
+    field: 'investigating_officer_id',
+    allowNull: true,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  effectiveDate: {
+    type: DataTypes.DATE,
+    field: 'effective_date',
+    allowNull: false
+  },
+  actedBy: {
+    type: DataTypes.INTEGER,
+    field: 'acted_by',
+    allowNull: false,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  remarks: {
+    type: DataTypes.STRING(1000),
+    allowNull: true
+  }
+}, {
+  tableName: 'cid_case_transition',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['cid_crime_data_id']
+    }
+  ]
+});
+
+module.exports = CIDCaseTransition;
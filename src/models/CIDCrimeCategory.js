@@ -7,11 +7,21 @@ const CIDCrimeCategory = sequelize.define('CIDCrimeCategory', {
     primaryKey: true,
     autoIncrement: true
   },
-  nameOfCrimeCategory: {
+  categoryName: {
     type: DataTypes.STRING,
     field: 'name_of_crime_category',
     allowNull: false
   },
+  categoryCode: {
+    type: DataTypes.STRING(20),
+    field: 'category_code',
+    allowNull: true,
+    unique: true
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
   createdBy: {
     type: DataTypes.INTEGER,
     field: 'created_by',
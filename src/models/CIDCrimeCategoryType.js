@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CIDCrimeCategoryType = sequelize.define('CIDCrimeCategoryType', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  typeOfCrime: {
+    type: DataTypes.STRING(200),
+    field: 'type_of_crime',
+    allowNull: false
+  },
+  cidCrimeCategoryId: {
+    type: DataTypes.INTEGER,
+    field: 'cid_crime_category_id',
+    allowNull: false,
+    references: {
+      model: 'cid_crime_category',
+      key: 'id'
+    }
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Which sections the crime entry form shows for this type
+  allowAccused: {
+    type: DataTypes.BOOLEAN,
+    field: 'allow_accused',
+    defaultValue: true
+  },
+  allowDeceased: {
+    type: DataTypes.BOOLEAN,
+    field: 'allow_deceased',
+    defaultValue: false
+  },
+  allowVictim: {
+    type: DataTypes.BOOLEAN,
+    field: 'allow_victim',
+    defaultValue: true
+  },
+  allowCashCollection: {
+    type: DataTypes.BOOLEAN,
+    field: 'allow_cash_collection',
+    defaultValue: false
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    field: 'created_by',
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    field: 'updated_by',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'cid_crime_category_types',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date'
+});
+
+module.exports = CIDCrimeCategoryType;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const firNumberUtil = require('../utils/firNumberUtil');
 
 const CIDCrimeData = sequelize.define('CIDCrimeData', {
   id: {
@@ -7,16 +8,16 @@ const CIDCrimeData = sequelize.define('CIDCrimeData', {
     primaryKey: true,
     autoIncrement: true
   },
-  cidCrimeCategoryId: {
+  categoryId: {
     type: DataTypes.INTEGER,
     field: 'cid_crime_category_id',
     allowNull: true,
     references: {
-      model: 'cid_crime_categories',
+      model: 'cid_crime_category',
       key: 'id'
     }
   },
-  cidCrimeCategoryTypeId: {
+  categoryTypeId: {
     type: DataTypes.INTEGER,
     field: 'cid_crime_category_type_id',
     allowNull: true,
@@ -25,7 +26,7 @@ const CIDCrimeData = sequelize.define('CIDCrimeData', {
       key: 'id'
     }
   },
-  cidCrimeModusId: {
+  modusId: {
     type: DataTypes.INTEGER,
     field: 'cid_crime_modus_id',
     allowNull: true,
@@ -34,7 +35,7 @@ const CIDCrimeData = sequelize.define('CIDCrimeData', {
       key: 'id'
     }
   },
-  cidDistrictId: {
+  districtId: {
     type: DataTypes.INTEGER,
     field: 'cid_district_id',
     allowNull: true,
@@ -43,7 +44,7 @@ const CIDCrimeData = sequelize.define('CIDCrimeData', {
       key: 'id'
     }
   },
-  cidSubDivisionId: {
+  subDivisionId: {
     type: DataTypes.INTEGER,
     field: 'cid_sub_division_id',
     allowNull: true,
@@ -52,7 +53,7 @@ const CIDCrimeData = sequelize.define('CIDCrimeData', {
       key: 'id'
     }
   },
-  cidPoliceStationId: {
+  policeStationId: {
     type: DataTypes.INTEGER,
     field: 'cid_police_station_id',
     allowNull: true,
@@ -61,20 +62,49 @@ const CIDCrimeData = sequelize.define('CIDCrimeData', {
       key: 'id'
     }
   },
-  caseNo: {
+  // FIR / case number as registered at the police station
+  firNumber: {
     type: DataTypes.STRING,
     field: 'case_no',
     allowNull: true
   },
+  // FIR number as compared by duplicate detection, kept in sync by the hooks below
+  firNumberNormalized: {
+    type: DataTypes.STRING,
+    field: 'fir_number_normalized',
+    allowNull: true
+  },
+  crimeNumber: {
+    type: DataTypes.STRING(100),
+    field: 'crime_number',
+    allowNull: true
+  },
   section: {
     type: DataTypes.STRING,
     allowNull: true
   },
-  placeOfOccurance: {
+  placeOfOccurrence: {
     type: DataTypes.STRING,
     field: 'place_of_occurance',
     allowNull: true
   },
+  // Crime scene coordinates (WGS84)
+  latitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    validate: {
+      min: -90,
+      max: 90
+    }
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(10, 7),
+    allowNull: true,
+    validate: {
+      min: -180,
+      max: 180
+    }
+  },
   location: {
     type: DataTypes.STRING,
     allowNull: true
@@ -89,21 +119,48 @@ const CIDCrimeData = sequelize.define('CIDCrimeData', {
     field: 'address_2',
     allowNull: true
   },
-  date: {
+  dateOfOccurrence: {
     type: DataTypes.DATE,
+    field: 'date',
     allowNull: true,
     defaultValue: DataTypes.NOW
   },
+  timeOfOccurrence: {
+    type: DataTypes.STRING(20),
+    field: 'time_of_occurrence',
+    allowNull: true
+  },
+  briefFacts: {
+    type: DataTypes.TEXT,
+    field: 'brief_facts',
+    allowNull: true
+  },
   cashCollection: {
     type: DataTypes.STRING,
     field: 'cash_collection',
     allowNull: true
   },
+  cashCollectionAmount: {
+    type: DataTypes.DECIMAL(14, 2),
+    field: 'cash_collection_amount',
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
   lootedItems: {
     type: DataTypes.TEXT,
     field: 'looted_items',
     allowNull: true
   },
+  lootedPropertyValue: {
+    type: DataTypes.DECIMAL(14, 2),
+    field: 'looted_property_value',
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
   otherEvidence: {
     type: DataTypes.TEXT,
     field: 'other_evidence',
@@ -113,6 +170,101 @@ const CIDCrimeData = sequelize.define('CIDCrimeData', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  // Lifecycle: REGISTERED -> UNDER_INVESTIGATION -> CHARGESHEETED -> TRIAL
+  // -> CONVICTED/ACQUITTED, or UNDER_INVESTIGATION -> FINAL_REPORT
+  status: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    defaultValue: 'REGISTERED',
+    validate: {
+      isIn: {
+        args: [['REGISTERED', 'UNDER_INVESTIGATION', 'CHARGESHEETED', 'FINAL_REPORT', 'TRIAL', 'CONVICTED', 'ACQUITTED']],
+        msg: 'Invalid case status'
+      }
+    }
+  },
+  // Date the current status took effect, used for pendency deadlines
+  statusDate: {
+    type: DataTypes.DATE,
+    field: 'status_date',
+    allowNull: true
+  },
+  investigatingOfficerId: {
+    type: DataTypes.INTEGER,
+    field: 'investigating_officer_id',
+    allowNull: true,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  ioAssignedAt: {
+    type: DataTypes.DATE,
+    field: 'io_assigned_at',
+    allowNull: true
+  },
+  chargesheetNumber: {
+    type: DataTypes.STRING(100),
+    field: 'chargesheet_number',
+    allowNull: true
+  },
+  chargesheetDate: {
+    type: DataTypes.DATEONLY,
+    field: 'chargesheet_date',
+    allowNull: true
+  },
+  courtName: {
+    type: DataTypes.STRING(255),
+    field: 'court_name',
+    allowNull: true
+  },
+  courtCaseNumber: {
+    type: DataTypes.STRING(100),
+    field: 'court_case_number',
+    allowNull: true
+  },
+  // Judgment (CONVICTED/ACQUITTED) or final report date
+  disposalDate: {
+    type: DataTypes.DATEONLY,
+    field: 'disposal_date',
+    allowNull: true
+  },
+  disposalRemarks: {
+    type: DataTypes.TEXT,
+    field: 'disposal_remarks',
+    allowNull: true
+  },
+  // Unit of the user who recorded the crime
+  // Set when this case was merged into another as a duplicate
+  mergedIntoId: {
+    type: DataTypes.INTEGER,
+    field: 'merged_into_id',
+    allowNull: true,
+    references: {
+      model: 'cid_crime_data',
+      key: 'id'
+    }
+  },
+  mergedAt: {
+    type: DataTypes.DATE,
+    field: 'merged_at',
+    allowNull: true
+  },
+  stateId: {
+    type: DataTypes.INTEGER,
+    field: 'state_id',
+    allowNull: true
+  },
+  rangeId: {
+    type: DataTypes.INTEGER,
+    field: 'range_id',
+    allowNull: true
+  },
+  battalionId: {
+    type: DataTypes.INTEGER,
+    field: 'battalion_id',
+    allowNull: true
+  },
   createdBy: {
     type: DataTypes.INTEGER,
     field: 'created_by',
@@ -131,7 +283,20 @@ const CIDCrimeData = sequelize.define('CIDCrimeData', {
   tableName: 'cid_crime_data',
   timestamps: true,
   createdAt: 'created_date',
-  updatedAt: 'updated_date'
+  updatedAt: 'updated_date',
+  hooks: {
+    beforeSave(crimeData) {
+      // Instances may be loaded without the FIR number
+      if (crimeData.isNewRecord || crimeData.changed('firNumber')) {
+        crimeData.firNumberNormalized = firNumberUtil.normalize(crimeData.firNumber) || null;
+      }
+    },
+    beforeBulkCreate(records) {
+      records.forEach(crimeData => {
+        crimeData.firNumberNormalized = firNumberUtil.normalize(crimeData.firNumber) || null;
+      });
+    }
+  }
 });
 
 module.exports = CIDCrimeData;
\ No newline at end of file
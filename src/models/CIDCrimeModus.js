@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Modus operandi of a crime, under a category and optionally one of its types
+const CIDCrimeModus = sequelize.define('CIDCrimeModus', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  cidCrimeCategoryId: {
+    type: DataTypes.INTEGER,
+    field: 'cid_crime_category_id',
+    allowNull: false,
+    references: {
+      model: 'cid_crime_category',
+      key: 'id'
+    }
+  },
+  cidCrimeSubCategoryId: {
+    type: DataTypes.INTEGER,
+    field: 'cid_crime_sub_category_id',
+    allowNull: true,
+    references: {
+      model: 'cid_crime_category_types',
+      key: 'id'
+    }
+  },
+  descriptionDetails: {
+    type: DataTypes.TEXT,
+    field: 'description_details',
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    field: 'created_by',
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    field: 'updated_by',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'cid_crime_modus',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date'
+});
+
+module.exports = CIDCrimeModus;
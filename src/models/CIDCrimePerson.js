@@ -0,0 +1,115 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Person involved in a CID case. One table for every role; the case exposes
+// them as victims, accused, deceased and witnesses
+const CIDCrimePerson = sequelize.define('CIDCrimePerson', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  crimeDataId: {
+    type: DataTypes.INTEGER,
+    field: 'cid_crime_data_id',
+    allowNull: false,
+    references: {
+      model: 'cid_crime_data',
+      key: 'id'
+    }
+  },
+  role: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['VICTIM', 'ACCUSED', 'DECEASED', 'WITNESS']],
+        msg: 'Invalid person role'
+      }
+    }
+  },
+  name: {
+    type: DataTypes.STRING(200),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Name is required'
+      }
+    }
+  },
+  alias: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  // Father's or husband's name, as recorded in the FIR
+  relativeName: {
+    type: DataTypes.STRING(200),
+    field: 'relative_name',
+    allowNull: true
+  },
+  gender: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    validate: {
+      isIn: {
+        args: [['MALE', 'FEMALE', 'OTHER']],
+        msg: 'Invalid gender'
+      }
+    }
+  },
+  age: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 150
+    }
+  },
+  dateOfBirth: {
+    type: DataTypes.DATEONLY,
+    field: 'date_of_birth',
+    allowNull: true
+  },
+  occupation: {
+    type: DataTypes.STRING(150),
+    allowNull: true
+  },
+  nationality: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  address: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  mobileNumber: {
+    type: DataTypes.STRING(20),
+    field: 'mobile_number',
+    allowNull: true
+  },
+  remark: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    field: 'created_by',
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    field: 'updated_by',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'cid_crime_person',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date'
+});
+
+module.exports = CIDCrimePerson;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CIDDistrict = sequelize.define('CIDDistrict', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true
+  },
+  stateId: {
+    type: DataTypes.INTEGER,
+    field: 'state_id',
+    allowNull: false,
+    references: {
+      model: 'state',
+      key: 'id'
+    }
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    field: 'created_by',
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    field: 'updated_by',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'cid_districts',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date'
+});
+
+module.exports = CIDDistrict;
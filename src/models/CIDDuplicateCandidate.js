@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Pair of CID cases suspected to record the same FIR. The newer case is
+// crimeDataId, the one it resembles matchedCrimeDataId
+const CIDDuplicateCandidate = sequelize.define('CIDDuplicateCandidate', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  crimeDataId: {
+    type: DataTypes.INTEGER,
+    field: 'cid_crime_data_id',
+    allowNull: false,
+    references: {
+      model: 'cid_crime_data',
+      key: 'id'
+    }
+  },
+  matchedCrimeDataId: {
+    type: DataTypes.INTEGER,
+    field: 'matched_cid_crime_data_id',
+    allowNull: false,
+    references: {
+      model: 'cid_crime_data',
+      key: 'id'
+    }
+  },
+  // 0-100, higher is more likely the same case
+  score: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false
+  },
+  // [{ rule, points, detail }] explaining the score
+  reasons: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'PENDING',
+    validate: {
+      isIn: {
+        args: [['PENDING', 'DISMISSED', 'MERGED']],
+        msg: 'Invalid duplicate status'
+      }
+    }
+  },
+  detectedBy: {
+    type: DataTypes.INTEGER,
+    field: 'detected_by',
+    allowNull: true
+  },
+  reviewedBy: {
+    type: DataTypes.INTEGER,
+    field: 'reviewed_by',
+    allowNull: true
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    field: 'reviewed_at',
+    allowNull: true
+  },
+  reviewRemarks: {
+    type: DataTypes.STRING(1000),
+    field: 'review_remarks',
+    allowNull: true
+  }
+}, {
+  tableName: 'cid_duplicate_candidate',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date'
+});
+
+module.exports = CIDDuplicateCandidate;
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CIDPoliceStation = sequelize.define('CIDPoliceStation', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  code: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    unique: true
+  },
+  cidDistrictId: {
+    type: DataTypes.INTEGER,
+    field: 'cid_district_id',
+    allowNull: false,
+    references: {
+      model: 'cid_districts',
+      key: 'id'
+    }
+  },
+  cidSubDivisionId: {
+    type: DataTypes.INTEGER,
+    field: 'cid_sub_division_id',
+    allowNull: true,
+    references: {
+      model: 'cid_sub_divisions',
+      key: 'id'
+    }
+  },
+  // Jurisdiction as a GeoJSON Polygon/MultiPolygon (WGS84)
+  boundary: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  // Bounding box of the boundary
+  minLat: {
+    type: DataTypes.DECIMAL(10, 7),
+    field: 'min_lat',
+    allowNull: true
+  },
+  maxLat: {
+    type: DataTypes.DECIMAL(10, 7),
+    field: 'max_lat',
+    allowNull: true
+  },
+  minLng: {
+    type: DataTypes.DECIMAL(10, 7),
+    field: 'min_lng',
+    allowNull: true
+  },
+  maxLng: {
+    type: DataTypes.DECIMAL(10, 7),
+    field: 'max_lng',
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    field: 'created_by',
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    field: 'updated_by',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'cid_police_stations',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date',
+  // Boundaries can be large; load them only where they are needed
+  defaultScope: {
+    attributes: { exclude: ['boundary'] }
+  },
+  scopes: {
+    withBoundary: {}
+  }
+});
+
+module.exports = CIDPoliceStation;
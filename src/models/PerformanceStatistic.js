@@ -1,5 +1,24 @@
 const { DataTypes } = require('sequelize');
 const sequelize = require('../config/database');
+const monthYearUtil = require('../utils/monthYearUtil');
+const reportCache = require('../utils/reportCache');
+
+// Drop cached reports of the saved months once the write is committed
+const invalidateReportCache = (periodKeys, options) => {
+  const invalidate = () => reportCache.invalidatePeriods(periodKeys);
+  if (options?.transaction) {
+    options.transaction.afterCommit(invalidate);
+  } else {
+    invalidate();
+  }
+};
+
+// Months touched by a bulk update / destroy, null when the where clause does not pin them
+const periodKeysOfWhere = (where) => {
+  const monthYears = [].concat(where?.monthYear || []);
+  if (!monthYears.length || monthYears.some(monthYear => typeof monthYear !== 'string')) return null;
+  return monthYears.map(monthYear => monthYearUtil.toPeriodKey(monthYear));
+};
 
 const PerformanceStatistic = sequelize.define('PerformanceStatistic', {
   id: {
@@ -48,6 +67,12 @@ const PerformanceStatistic = sequelize.define('PerformanceStatistic', {
     field: 'month_year',
     allowNull: true
   },
+  // Reporting month of month_year as YYYYMM, kept in sync by the hooks below
+  periodKey: {
+    type: DataTypes.INTEGER,
+    field: 'period_key',
+    allowNull: true
+  },
   moduleId: {
     type: DataTypes.INTEGER,
     field: 'module_id',
@@ -110,7 +135,32 @@ const PerformanceStatistic = sequelize.define('PerformanceStatistic', {
   tableName: 'performance_statistic',
   timestamps: true,
   createdAt: 'created_date',
-  updatedAt: 'updated_date'
+  updatedAt: 'updated_date',
+  hooks: {
+    beforeSave(statistic) {
+      statistic.periodKey = monthYearUtil.toPeriodKey(statistic.monthYear);
+    },
+    beforeBulkCreate(statistics) {
+      statistics.forEach(statistic => {
+        statistic.periodKey = monthYearUtil.toPeriodKey(statistic.monthYear);
+      });
+    },
+    afterSave(statistic, options) {
+      invalidateReportCache([statistic.periodKey, statistic.previous('periodKey')], options);
+    },
+    afterBulkCreate(statistics, options) {
+      invalidateReportCache(statistics.map(statistic => statistic.periodKey), options);
+    },
+    afterDestroy(statistic, options) {
+      invalidateReportCache([statistic.periodKey], options);
+    },
+    afterBulkUpdate(options) {
+      invalidateReportCache(periodKeysOfWhere(options.where), options);
+    },
+    afterBulkDestroy(options) {
+      invalidateReportCache(periodKeysOfWhere(options.where), options);
+    }
+  }
 });
 
 module.exports = PerformanceStatistic;
\ No newline at end of file
@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One changed field of a performance_statistic row (append-only)
+const PerformanceStatisticHistory = sequelize.define('PerformanceStatisticHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  performanceStatisticId: {
+    type: DataTypes.INTEGER,
+    field: 'performance_statistic_id',
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    field: 'user_id',
+    allowNull: true
+  },
+  monthYear: {
+    type: DataTypes.STRING,
+    field: 'month_year',
+    allowNull: true
+  },
+  questionId: {
+    type: DataTypes.INTEGER,
+    field: 'question_id',
+    allowNull: true
+  },
+  subTopicId: {
+    type: DataTypes.INTEGER,
+    field: 'sub_topic_id',
+    allowNull: true
+  },
+  action: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['CREATE', 'UPDATE', 'DELETE']],
+        msg: 'Invalid history action'
+      }
+    }
+  },
+  fieldName: {
+    type: DataTypes.STRING(50),
+    field: 'field_name',
+    allowNull: false
+  },
+  oldValue: {
+    type: DataTypes.STRING(250),
+    field: 'old_value',
+    allowNull: true
+  },
+  newValue: {
+    type: DataTypes.STRING(250),
+    field: 'new_value',
+    allowNull: true
+  },
+  changedBy: {
+    type: DataTypes.INTEGER,
+    field: 'changed_by',
+    allowNull: true
+  },
+  source: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    field: 'ip_address',
+    allowNull: true
+  }
+}, {
+  tableName: 'performance_statistic_history',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['user_id', 'month_year', 'question_id']
+    },
+    {
+      fields: ['performance_statistic_id']
+    }
+  ]
+});
+
+module.exports = PerformanceStatisticHistory;
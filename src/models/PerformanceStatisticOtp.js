@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const PerformanceStatisticOtp = sequelize.define('PerformanceStatisticOtp', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    field: 'user_id',
+    allowNull: false,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  monthYear: {
+    type: DataTypes.STRING,
+    field: 'month_year',
+    allowNull: false
+  },
+  otpHash: {
+    type: DataTypes.STRING(500),
+    field: 'otp_hash',
+    allowNull: false
+  },
+  otpGeneratedTime: {
+    type: DataTypes.DATE,
+    field: 'otp_generated_time',
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  sendCount: {
+    type: DataTypes.INTEGER,
+    field: 'send_count',
+    allowNull: false,
+    defaultValue: 1
+  },
+  mobileNo: {
+    type: DataTypes.STRING(20),
+    field: 'mobile_no',
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'PENDING',
+    validate: {
+      isIn: {
+        args: [['PENDING', 'VERIFIED', 'EXPIRED', 'LOCKED']],
+        msg: 'Invalid OTP status'
+      }
+    }
+  },
+  verifiedAt: {
+    type: DataTypes.DATE,
+    field: 'verified_at',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'performance_statistic_otp',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date',
+  indexes: [
+    {
+      fields: ['user_id', 'month_year']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = PerformanceStatisticOtp;
@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Approval state of one battalion user's monthly return
+const PerformanceSubmission = sequelize.define('PerformanceSubmission', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    field: 'user_id',
+    allowNull: false,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  battalionId: {
+    type: DataTypes.INTEGER,
+    field: 'battalion_id',
+    allowNull: true,
+    references: {
+      model: 'battalion',
+      key: 'id'
+    }
+  },
+  rangeId: {
+    type: DataTypes.INTEGER,
+    field: 'range_id',
+    allowNull: true,
+    references: {
+      model: 'zone',
+      key: 'id'
+    }
+  },
+  stateId: {
+    type: DataTypes.INTEGER,
+    field: 'state_id',
+    allowNull: true,
+    references: {
+      model: 'state',
+      key: 'id'
+    }
+  },
+  monthYear: {
+    type: DataTypes.STRING,
+    field: 'month_year',
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'SUBMITTED',
+    validate: {
+      isIn: {
+        args: [['SUBMITTED', 'RANGE_APPROVED', 'RETURNED', 'APPROVED']],
+        msg: 'Invalid submission status'
+      }
+    }
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    field: 'submitted_at',
+    allowNull: true
+  },
+  rangeReviewedBy: {
+    type: DataTypes.INTEGER,
+    field: 'range_reviewed_by',
+    allowNull: true
+  },
+  rangeReviewedAt: {
+    type: DataTypes.DATE,
+    field: 'range_reviewed_at',
+    allowNull: true
+  },
+  stateReviewedBy: {
+    type: DataTypes.INTEGER,
+    field: 'state_reviewed_by',
+    allowNull: true
+  },
+  stateReviewedAt: {
+    type: DataTypes.DATE,
+    field: 'state_reviewed_at',
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    field: 'created_by',
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    field: 'updated_by',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'performance_submission',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date',
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'month_year']
+    },
+    {
+      fields: ['range_id', 'status']
+    },
+    {
+      fields: ['state_id', 'status']
+    }
+  ]
+});
+
+module.exports = PerformanceSubmission;
@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Reviewer comment on one topic, attached to the transition that raised it
+const PerformanceSubmissionComment = sequelize.define('PerformanceSubmissionComment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  submissionId: {
+    type: DataTypes.INTEGER,
+    field: 'submission_id',
+    allowNull: false,
+    references: {
+      model: 'performance_submission',
+      key: 'id'
+    }
+  },
+  transitionId: {
+    type: DataTypes.INTEGER,
+    field: 'transition_id',
+    allowNull: false,
+    references: {
+      model: 'performance_submission_transition',
+      key: 'id'
+    }
+  },
+  topicId: {
+    type: DataTypes.INTEGER,
+    field: 'topic_id',
+    allowNull: false,
+    references: {
+      model: 'topic',
+      key: 'id'
+    }
+  },
+  comment: {
+    type: DataTypes.STRING(1000),
+    allowNull: false
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    field: 'created_by',
+    allowNull: true
+  }
+}, {
+  tableName: 'performance_submission_comment',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['submission_id']
+    }
+  ]
+});
+
+module.exports = PerformanceSubmissionComment;
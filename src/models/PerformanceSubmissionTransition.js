@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// One recorded step of the submission workflow (who, when, remarks)
+const PerformanceSubmissionTransition = sequelize.define('PerformanceSubmissionTransition', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  submissionId: {
+    type: DataTypes.INTEGER,
+    field: 'submission_id',
+    allowNull: false,
+    references: {
+      model: 'performance_submission',
+      key: 'id'
+    }
+  },
+  action: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: {
+        args: [['SUBMIT', 'RANGE_APPROVE', 'STATE_APPROVE', 'RETURN']],
+        msg: 'Invalid submission action'
+      }
+    }
+  },
+  fromStatus: {
+    type: DataTypes.STRING(20),
+    field: 'from_status',
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING(20),
+    field: 'to_status',
+    allowNull: false
+  },
+  actedBy: {
+    type: DataTypes.INTEGER,
+    field: 'acted_by',
+    allowNull: false,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  remarks: {
+    type: DataTypes.STRING(1000),
+    allowNull: true
+  }
+}, {
+  tableName: 'performance_submission_transition',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['submission_id']
+    }
+  ]
+});
+
+module.exports = PerformanceSubmissionTransition;
@@ -74,6 +74,11 @@ const Question = sequelize.define('Question', {
     field: 'que_formula',
     allowNull: true
   },
+  validationRules: {
+    type: DataTypes.JSON,
+    field: 'validation_rules',
+    allowNull: true
+  },
   isPrevious: {
     type: DataTypes.BOOLEAN,
     field: 'is_previous',
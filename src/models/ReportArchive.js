@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// File generated from a saved report, by its schedule or on demand
+const ReportArchive = sequelize.define('ReportArchive', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  savedReportId: {
+    type: DataTypes.INTEGER,
+    field: 'saved_report_id',
+    allowNull: false,
+    references: {
+      model: 'saved_report',
+      key: 'id'
+    }
+  },
+  generatedFor: {
+    type: DataTypes.INTEGER,
+    field: 'generated_for',
+    allowNull: false,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  trigger: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  format: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    field: 'file_name',
+    allowNull: true
+  },
+  filePath: {
+    type: DataTypes.STRING(500),
+    field: 'file_path',
+    allowNull: true
+  },
+  fileSize: {
+    type: DataTypes.INTEGER,
+    field: 'file_size',
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  }
+}, {
+  tableName: 'report_archive',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: false
+});
+
+module.exports = ReportArchive;
@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Report or export generated in the background; the artifact is written to
+// disk and downloaded once the job has completed
+const ReportJob = sequelize.define('ReportJob', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    field: 'user_id',
+    allowNull: false,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  // REPORT (JSON result) or EXPORT (XLSX / PDF / CSV file)
+  type: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  format: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  reportType: {
+    type: DataTypes.STRING(30),
+    field: 'report_type',
+    allowNull: false
+  },
+  request: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  // QUEUED, RUNNING, COMPLETED, FAILED, CANCELLED or EXPIRED (artifact cleaned up)
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'QUEUED'
+  },
+  progress: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  reportId: {
+    type: DataTypes.STRING(100),
+    field: 'report_id',
+    allowNull: true
+  },
+  fileName: {
+    type: DataTypes.STRING(255),
+    field: 'file_name',
+    allowNull: true
+  },
+  filePath: {
+    type: DataTypes.STRING(500),
+    field: 'file_path',
+    allowNull: true
+  },
+  fileSize: {
+    type: DataTypes.INTEGER,
+    field: 'file_size',
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    field: 'started_at',
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    field: 'completed_at',
+    allowNull: true
+  },
+  heartbeatAt: {
+    type: DataTypes.DATE,
+    field: 'heartbeat_at',
+    allowNull: true
+  }
+}, {
+  tableName: 'report_job',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date'
+});
+
+module.exports = ReportJob;
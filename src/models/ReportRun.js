@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Request behind a generated report, kept so the report can be exported later
+const ReportRun = sequelize.define('ReportRun', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  reportId: {
+    type: DataTypes.STRING(64),
+    field: 'report_id',
+    allowNull: false,
+    unique: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    field: 'user_id',
+    allowNull: false,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  reportType: {
+    type: DataTypes.STRING(30),
+    field: 'report_type',
+    allowNull: false
+  },
+  request: {
+    type: DataTypes.JSON,
+    allowNull: false
+  }
+}, {
+  tableName: 'report_run',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: false
+});
+
+module.exports = ReportRun;
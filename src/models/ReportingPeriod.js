@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Open/closed state of a reporting month. A row without state and range applies
+// everywhere, a state row to the whole state and a range row to that range only.
+const ReportingPeriod = sequelize.define('ReportingPeriod', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  monthYear: {
+    type: DataTypes.STRING,
+    field: 'month_year',
+    allowNull: false
+  },
+  stateId: {
+    type: DataTypes.INTEGER,
+    field: 'state_id',
+    allowNull: true,
+    references: {
+      model: 'state',
+      key: 'id'
+    }
+  },
+  rangeId: {
+    type: DataTypes.INTEGER,
+    field: 'range_id',
+    allowNull: true,
+    references: {
+      model: 'zone',
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'OPEN',
+    validate: {
+      isIn: {
+        args: [['OPEN', 'CLOSED']],
+        msg: 'Invalid reporting period status'
+      }
+    }
+  },
+  openedAt: {
+    type: DataTypes.DATE,
+    field: 'opened_at',
+    allowNull: true
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    field: 'closed_at',
+    allowNull: true
+  },
+  remarks: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    field: 'created_by',
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    field: 'updated_by',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'reporting_period',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date',
+  indexes: [
+    {
+      fields: ['month_year', 'state_id', 'range_id']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = ReportingPeriod;
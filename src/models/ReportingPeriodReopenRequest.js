@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const ReportingPeriodReopenRequest = sequelize.define('ReportingPeriodReopenRequest', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  monthYear: {
+    type: DataTypes.STRING,
+    field: 'month_year',
+    allowNull: false
+  },
+  battalionId: {
+    type: DataTypes.INTEGER,
+    field: 'battalion_id',
+    allowNull: false,
+    references: {
+      model: 'battalion',
+      key: 'id'
+    }
+  },
+  rangeId: {
+    type: DataTypes.INTEGER,
+    field: 'range_id',
+    allowNull: true,
+    references: {
+      model: 'zone',
+      key: 'id'
+    }
+  },
+  stateId: {
+    type: DataTypes.INTEGER,
+    field: 'state_id',
+    allowNull: true,
+    references: {
+      model: 'state',
+      key: 'id'
+    }
+  },
+  requestedBy: {
+    type: DataTypes.INTEGER,
+    field: 'requested_by',
+    allowNull: false,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.STRING(1000),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'PENDING',
+    validate: {
+      isIn: {
+        args: [['PENDING', 'APPROVED', 'REJECTED', 'CANCELLED']],
+        msg: 'Invalid reopen request status'
+      }
+    }
+  },
+  reviewedBy: {
+    type: DataTypes.INTEGER,
+    field: 'reviewed_by',
+    allowNull: true,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    field: 'reviewed_at',
+    allowNull: true
+  },
+  reviewRemarks: {
+    type: DataTypes.STRING(1000),
+    field: 'review_remarks',
+    allowNull: true
+  },
+  validUntil: {
+    type: DataTypes.DATE,
+    field: 'valid_until',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'reporting_period_reopen_request',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date',
+  indexes: [
+    {
+      fields: ['battalion_id', 'month_year']
+    },
+    {
+      fields: ['range_id', 'status']
+    }
+  ]
+});
+
+module.exports = ReportingPeriodReopenRequest;
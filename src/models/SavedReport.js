@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Named report definition (the request body of POST /reports/getReport),
+// optionally shared with a role and scheduled into the report archive
+const SavedReport = sequelize.define('SavedReport', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  reportType: {
+    type: DataTypes.STRING(30),
+    field: 'report_type',
+    allowNull: false
+  },
+  definition: {
+    type: DataTypes.JSON,
+    allowNull: false
+  },
+  ownerId: {
+    type: DataTypes.INTEGER,
+    field: 'owner_id',
+    allowNull: false,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  sharedRoleId: {
+    type: DataTypes.INTEGER,
+    field: 'shared_role_id',
+    allowNull: true,
+    references: {
+      model: 'role',
+      key: 'id'
+    }
+  },
+  scheduleCron: {
+    type: DataTypes.STRING(100),
+    field: 'schedule_cron',
+    allowNull: true
+  },
+  scheduleFormat: {
+    type: DataTypes.STRING(10),
+    field: 'schedule_format',
+    allowNull: true
+  },
+  scheduleEnabled: {
+    type: DataTypes.BOOLEAN,
+    field: 'schedule_enabled',
+    defaultValue: false
+  },
+  lastRunAt: {
+    type: DataTypes.DATE,
+    field: 'last_run_at',
+    allowNull: true
+  },
+  lastScheduledAt: {
+    type: DataTypes.DATE,
+    field: 'last_scheduled_at',
+    allowNull: true
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    field: 'created_by',
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    field: 'updated_by',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'saved_report',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date'
+});
+
+module.exports = SavedReport;
@@ -0,0 +1,96 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Uploaded file. The bytes live in a storage adapter under storageKey; the
+// random UUID is the only handle clients get, and downloads are authorized
+// against the owner's units (stamped at upload) or the linked record
+const StoredFile = sequelize.define('StoredFile', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  ownerId: {
+    type: DataTypes.INTEGER,
+    field: 'owner_id',
+    allowNull: false,
+    references: {
+      model: 'user',
+      key: 'id'
+    }
+  },
+  // general, images, documents or spreadsheets
+  uploadType: {
+    type: DataTypes.STRING(30),
+    field: 'upload_type',
+    allowNull: false,
+    defaultValue: 'general'
+  },
+  originalName: {
+    type: DataTypes.STRING(255),
+    field: 'original_name',
+    allowNull: false
+  },
+  mimeType: {
+    type: DataTypes.STRING(100),
+    field: 'mime_type',
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.BIGINT,
+    allowNull: false
+  },
+  // SHA-256 of the contents, hex
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  // Adapter the file was written with (local or s3), so files stay readable after a switch
+  storageDriver: {
+    type: DataTypes.STRING(20),
+    field: 'storage_driver',
+    allowNull: false
+  },
+  storageKey: {
+    type: DataTypes.STRING(500),
+    field: 'storage_key',
+    allowNull: false
+  },
+  // Linked record, e.g. COMMUNICATION or CID_CRIME
+  entityType: {
+    type: DataTypes.STRING(30),
+    field: 'entity_type',
+    allowNull: true
+  },
+  entityId: {
+    type: DataTypes.INTEGER,
+    field: 'entity_id',
+    allowNull: true
+  },
+  stateId: {
+    type: DataTypes.INTEGER,
+    field: 'state_id',
+    allowNull: true
+  },
+  rangeId: {
+    type: DataTypes.INTEGER,
+    field: 'range_id',
+    allowNull: true
+  },
+  battalionId: {
+    type: DataTypes.INTEGER,
+    field: 'battalion_id',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'files',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date'
+});
+
+module.exports = StoredFile;
@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Cross-question invariant of a topic, e.g. "Q5 = Q2 + Q3 - Q4". BLOCK rules
+// stop a save or final submission, WARN rules are reported only.
+const TopicConsistencyRule = sequelize.define('TopicConsistencyRule', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  topicId: {
+    type: DataTypes.INTEGER,
+    field: 'topic_id',
+    allowNull: false,
+    references: {
+      model: 'topic',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(150),
+    allowNull: false
+  },
+  expression: {
+    type: DataTypes.STRING(1000),
+    allowNull: false
+  },
+  severity: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'BLOCK',
+    validate: {
+      isIn: [['BLOCK', 'WARN']]
+    }
+  },
+  message: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  tolerance: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  createdBy: {
+    type: DataTypes.INTEGER,
+    field: 'created_by',
+    allowNull: true
+  },
+  updatedBy: {
+    type: DataTypes.INTEGER,
+    field: 'updated_by',
+    allowNull: true
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'topic_consistency_rule',
+  timestamps: true,
+  createdAt: 'created_date',
+  updatedAt: 'updated_date',
+  indexes: [
+    {
+      fields: ['topic_id']
+    }
+  ]
+});
+
+module.exports = TopicConsistencyRule;
@@ -15,9 +15,31 @@ const Topic = require('./Topic');
 const SubTopic = require('./SubTopic');
 const Question = require('./Question');
 const PerformanceStatistic = require('./PerformanceStatistic');
+const PerformanceStatisticOtp = require('./PerformanceStatisticOtp');
+const ReportingPeriod = require('./ReportingPeriod');
+const ReportingPeriodReopenRequest = require('./ReportingPeriodReopenRequest');
+const PerformanceSubmission = require('./PerformanceSubmission');
+const PerformanceSubmissionTransition = require('./PerformanceSubmissionTransition');
+const PerformanceSubmissionComment = require('./PerformanceSubmissionComment');
+const PerformanceStatisticHistory = require('./PerformanceStatisticHistory');
+const TopicConsistencyRule = require('./TopicConsistencyRule');
+const ReportRun = require('./ReportRun');
+const SavedReport = require('./SavedReport');
+const ReportArchive = require('./ReportArchive');
+const ReportJob = require('./ReportJob');
+const StoredFile = require('./StoredFile');
 const Communications = require('./Communications');
 const CIDCrimeCategory = require('./CIDCrimeCategory');
 const CIDCrimeData = require('./CIDCrimeData');
+const CIDCrimeCategoryType = require('./CIDCrimeCategoryType');
+const CIDCrimeModus = require('./CIDCrimeModus');
+const CIDDistrict = require('./CIDDistrict');
+const CIDSubDivision = require('./CIDSubDivision');
+const CIDPoliceStation = require('./CIDPoliceStation');
+const CIDCrimePerson = require('./CIDCrimePerson');
+const CIDCaseTransition = require('./CIDCaseTransition');
+const CIDDuplicateCandidate = require('./CIDDuplicateCandidate');
+const CIDCaseMerge = require('./CIDCaseMerge');
 
 // User associations
 User.belongsTo(Role, {
@@ -296,17 +318,335 @@ PerformanceStatistic.belongsTo(User, {
   as: 'UpdatedByUser'
 });
 
+// PerformanceStatisticOtp associations
+PerformanceStatisticOtp.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+User.hasMany(PerformanceStatisticOtp, {
+  foreignKey: 'userId',
+  as: 'performanceOtps'
+});
+
+// ReportingPeriod associations
+ReportingPeriod.belongsTo(State, {
+  foreignKey: 'stateId',
+  as: 'state'
+});
+
+ReportingPeriod.belongsTo(Range, {
+  foreignKey: 'rangeId',
+  as: 'range'
+});
+
+ReportingPeriodReopenRequest.belongsTo(Battalion, {
+  foreignKey: 'battalionId',
+  as: 'battalion'
+});
+
+ReportingPeriodReopenRequest.belongsTo(Range, {
+  foreignKey: 'rangeId',
+  as: 'range'
+});
+
+ReportingPeriodReopenRequest.belongsTo(User, {
+  foreignKey: 'requestedBy',
+  as: 'requester'
+});
+
+ReportingPeriodReopenRequest.belongsTo(User, {
+  foreignKey: 'reviewedBy',
+  as: 'reviewer'
+});
+
+// PerformanceSubmission associations
+PerformanceSubmission.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+PerformanceSubmission.belongsTo(Battalion, {
+  foreignKey: 'battalionId',
+  as: 'battalion'
+});
+
+PerformanceSubmission.belongsTo(Range, {
+  foreignKey: 'rangeId',
+  as: 'range'
+});
+
+PerformanceSubmission.hasMany(PerformanceSubmissionTransition, {
+  foreignKey: 'submissionId',
+  as: 'transitions'
+});
+
+PerformanceSubmissionTransition.belongsTo(PerformanceSubmission, {
+  foreignKey: 'submissionId',
+  as: 'submission'
+});
+
+PerformanceSubmissionTransition.belongsTo(User, {
+  foreignKey: 'actedBy',
+  as: 'actor'
+});
+
+PerformanceSubmission.hasMany(PerformanceSubmissionComment, {
+  foreignKey: 'submissionId',
+  as: 'comments'
+});
+
+PerformanceSubmissionTransition.hasMany(PerformanceSubmissionComment, {
+  foreignKey: 'transitionId',
+  as: 'comments'
+});
+
+PerformanceSubmissionComment.belongsTo(Topic, {
+  foreignKey: 'topicId',
+  as: 'topic'
+});
+
+// PerformanceStatisticHistory associations (no FK constraint: history outlives the row)
+PerformanceStatisticHistory.belongsTo(User, {
+  foreignKey: 'changedBy',
+  as: 'changedByUser',
+  constraints: false
+});
+
+// TopicConsistencyRule associations
+TopicConsistencyRule.belongsTo(Topic, {
+  foreignKey: 'topicId',
+  as: 'topic'
+});
+
+Topic.hasMany(TopicConsistencyRule, {
+  foreignKey: 'topicId',
+  as: 'consistencyRules'
+});
+
+// ReportRun associations
+ReportRun.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// SavedReport associations
+SavedReport.belongsTo(User, {
+  foreignKey: 'ownerId',
+  as: 'owner'
+});
+
+SavedReport.belongsTo(Role, {
+  foreignKey: 'sharedRoleId',
+  as: 'sharedRole'
+});
+
+SavedReport.hasMany(ReportArchive, {
+  foreignKey: 'savedReportId',
+  as: 'archives'
+});
+
+ReportArchive.belongsTo(SavedReport, {
+  foreignKey: 'savedReportId',
+  as: 'savedReport'
+});
+
+ReportArchive.belongsTo(User, {
+  foreignKey: 'generatedFor',
+  as: 'generatedForUser'
+});
+
+// ReportJob associations
+ReportJob.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'user'
+});
+
+// StoredFile associations
+StoredFile.belongsTo(User, {
+  foreignKey: 'ownerId',
+  as: 'owner'
+});
+
+// CID master data associations
+CIDDistrict.belongsTo(State, {
+  foreignKey: 'stateId',
+  as: 'state'
+});
+
+CIDDistrict.hasMany(CIDSubDivision, {
+  foreignKey: 'cidDistrictId',
+  as: 'subDivisions'
+});
+
+CIDSubDivision.belongsTo(CIDDistrict, {
+  foreignKey: 'cidDistrictId',
+  as: 'district'
+});
+
+CIDDistrict.hasMany(CIDPoliceStation, {
+  foreignKey: 'cidDistrictId',
+  as: 'policeStations'
+});
+
+CIDPoliceStation.belongsTo(CIDDistrict, {
+  foreignKey: 'cidDistrictId',
+  as: 'district'
+});
+
+CIDSubDivision.hasMany(CIDPoliceStation, {
+  foreignKey: 'cidSubDivisionId',
+  as: 'policeStations'
+});
+
+CIDPoliceStation.belongsTo(CIDSubDivision, {
+  foreignKey: 'cidSubDivisionId',
+  as: 'subDivision'
+});
+
+CIDCrimeCategory.hasMany(CIDCrimeCategoryType, {
+  foreignKey: 'cidCrimeCategoryId',
+  as: 'types'
+});
+
+CIDCrimeCategoryType.belongsTo(CIDCrimeCategory, {
+  foreignKey: 'cidCrimeCategoryId',
+  as: 'category'
+});
+
+CIDCrimeModus.belongsTo(CIDCrimeCategory, {
+  foreignKey: 'cidCrimeCategoryId',
+  as: 'category'
+});
+
+CIDCrimeModus.belongsTo(CIDCrimeCategoryType, {
+  foreignKey: 'cidCrimeSubCategoryId',
+  as: 'subCategory'
+});
+
 // CID Crime associations
 CIDCrimeData.belongsTo(CIDCrimeCategory, {
-  foreignKey: 'cidCrimeCategoryId',
-  as: 'crimeCategory'
+  foreignKey: 'categoryId',
+  as: 'category'
 });
 
 CIDCrimeCategory.hasMany(CIDCrimeData, {
-  foreignKey: 'cidCrimeCategoryId',
+  foreignKey: 'categoryId',
+  as: 'crimeData'
+});
+
+CIDCrimeData.belongsTo(CIDCrimeCategoryType, {
+  foreignKey: 'categoryTypeId',
+  as: 'categoryType'
+});
+
+CIDCrimeData.belongsTo(CIDCrimeModus, {
+  foreignKey: 'modusId',
+  as: 'modus'
+});
+
+CIDCrimeData.belongsTo(CIDDistrict, {
+  foreignKey: 'districtId',
+  as: 'district'
+});
+
+CIDCrimeData.belongsTo(CIDSubDivision, {
+  foreignKey: 'subDivisionId',
+  as: 'subDivision'
+});
+
+CIDCrimeData.belongsTo(CIDPoliceStation, {
+  foreignKey: 'policeStationId',
+  as: 'policeStation'
+});
+
+// Persons of a case, one association per role
+CIDCrimeData.hasMany(CIDCrimePerson, {
+  foreignKey: 'crimeDataId',
+  scope: { role: 'VICTIM' },
+  as: 'victims'
+});
+
+CIDCrimeData.hasMany(CIDCrimePerson, {
+  foreignKey: 'crimeDataId',
+  scope: { role: 'ACCUSED' },
+  as: 'accused'
+});
+
+CIDCrimeData.hasMany(CIDCrimePerson, {
+  foreignKey: 'crimeDataId',
+  scope: { role: 'DECEASED' },
+  as: 'deceased'
+});
+
+CIDCrimeData.hasMany(CIDCrimePerson, {
+  foreignKey: 'crimeDataId',
+  scope: { role: 'WITNESS' },
+  as: 'witnesses'
+});
+
+CIDCrimePerson.belongsTo(CIDCrimeData, {
+  foreignKey: 'crimeDataId',
+  as: 'crimeData'
+});
+
+// CID case lifecycle associations
+CIDCrimeData.belongsTo(User, {
+  foreignKey: 'investigatingOfficerId',
+  as: 'investigatingOfficer'
+});
+
+CIDCrimeData.hasMany(CIDCaseTransition, {
+  foreignKey: 'crimeDataId',
+  as: 'transitions'
+});
+
+CIDCaseTransition.belongsTo(CIDCrimeData, {
+  foreignKey: 'crimeDataId',
+  as: 'crimeData'
+});
+
+CIDCaseTransition.belongsTo(User, {
+  foreignKey: 'actedBy',
+  as: 'actor'
+});
+
+CIDCaseTransition.belongsTo(User, {
+  foreignKey: 'investigatingOfficerId',
+  as: 'investigatingOfficer'
+});
+
+// CID duplicate detection and merge associations
+CIDCrimeData.belongsTo(CIDCrimeData, {
+  foreignKey: 'mergedIntoId',
+  as: 'mergedInto'
+});
+
+CIDDuplicateCandidate.belongsTo(CIDCrimeData, {
+  foreignKey: 'crimeDataId',
   as: 'crimeData'
 });
 
+CIDDuplicateCandidate.belongsTo(CIDCrimeData, {
+  foreignKey: 'matchedCrimeDataId',
+  as: 'matchedCrimeData'
+});
+
+CIDDuplicateCandidate.belongsTo(User, {
+  foreignKey: 'reviewedBy',
+  as: 'reviewer'
+});
+
+CIDCaseMerge.belongsTo(CIDCrimeData, {
+  foreignKey: 'targetCrimeDataId',
+  as: 'targetCrimeData'
+});
+
+CIDCaseMerge.belongsTo(User, {
+  foreignKey: 'mergedBy',
+  as: 'merger'
+});
+
 module.exports = {
   User,
   Role,
@@ -325,7 +665,29 @@ module.exports = {
   SubTopic,
   Question,
   PerformanceStatistic,
+  PerformanceStatisticOtp,
+  ReportingPeriod,
+  ReportingPeriodReopenRequest,
+  PerformanceSubmission,
+  PerformanceSubmissionTransition,
+  PerformanceSubmissionComment,
+  PerformanceStatisticHistory,
+  TopicConsistencyRule,
+  ReportRun,
+  SavedReport,
+  ReportArchive,
+  ReportJob,
+  StoredFile,
   Communications,
   CIDCrimeCategory,
-  CIDCrimeData
+  CIDCrimeData,
+  CIDCrimeCategoryType,
+  CIDCrimeModus,
+  CIDDistrict,
+  CIDSubDivision,
+  CIDPoliceStation,
+  CIDCrimePerson,
+  CIDCaseTransition,
+  CIDDuplicateCandidate,
+  CIDCaseMerge
 };
\ No newline at end of file
@@ -8,6 +8,9 @@ const cidCrimeDataController = require('../controllers/cidCrimeDataController');
 const cidCrimeCategoryController = require('../controllers/cidCrimeCategoryController');
 const cidCrimeCategoryTypeController = require('../controllers/cidCrimeCategoryTypeController');
 const cidCrimeModusController = require('../controllers/cidCrimeModusController');
+const cidAnalyticsController = require('../controllers/cidAnalyticsController');
+const cidGeoController = require('../controllers/cidGeoController');
+const cidDuplicateController = require('../controllers/cidDuplicateController');
 
 const router = express.Router();
 
@@ -19,5 +22,8 @@ router.use('/crime-data', cidCrimeDataController);
 router.use('/crime-categories', cidCrimeCategoryController);
 router.use('/crime-category-types', cidCrimeCategoryTypeController);
 router.use('/crime-modus', cidCrimeModusController);
+router.use('/analytics', cidAnalyticsController);
+router.use('/geo', cidGeoController);
+router.use('/duplicates', cidDuplicateController);
 
 module.exports = router;
\ No newline at end of file
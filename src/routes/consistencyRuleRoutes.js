@@ -0,0 +1,17 @@
+const express = require('express');
+const { authenticate, authenticateWithPermission } = require('../middleware/auth');
+const { validateId } = require('../middleware/validationMiddleware');
+const controller = require('../controllers/consistencyRuleController');
+
+const router = express.Router();
+
+// Check the current user's answers
+router.get('/check', authenticate, controller.check);
+
+// Rule administration
+router.get('/', authenticate, controller.list);
+router.post('/', authenticateWithPermission, controller.create);
+router.put('/:id', authenticateWithPermission, validateId, controller.update);
+router.delete('/:id', authenticateWithPermission, validateId, controller.remove);
+
+module.exports = router;
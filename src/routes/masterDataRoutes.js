@@ -0,0 +1,34 @@
+const express = require('express');
+const path = require('path');
+const multer = require('multer');
+const { authenticate, authenticateWithPermission } = require('../middleware/auth');
+const masterDataImportController = require('../controllers/masterDataImportController');
+
+const router = express.Router();
+
+// Import files are parsed in memory and never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.MASTER_DATA_IMPORT_MAX_MB) || 10) * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) return cb(null, true);
+    return cb(new Error('Only .csv and .xlsx files can be imported'));
+  }
+});
+
+// Wraps the upload so multer errors get the usual JSON error body
+const uploadImportFile = (req, res, next) => {
+  importUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({
+      status: 'ERROR',
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'Import file is too large' : error.message
+    });
+  });
+};
+
+// Bulk import of the master data hierarchy
+router.get('/import', authenticate, masterDataImportController.entities);
+router.post('/import/:entity', authenticateWithPermission, uploadImportFile, masterDataImportController.importFile);
+
+module.exports = router;
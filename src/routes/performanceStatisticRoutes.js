@@ -1,16 +1,55 @@
 const express = require('express');
-const { authenticate } = require('../middleware/auth');
+const path = require('path');
+const multer = require('multer');
+const { authenticate, authenticateWithPermission } = require('../middleware/auth');
 const controller = require('../controllers/performanceStatisticController');
+const templateController = require('../controllers/performanceTemplateController');
 
 const router = express.Router();
 
+// Filled templates are parsed in memory and never stored
+const templateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.PERFORMANCE_TEMPLATE_MAX_MB) || 5) * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.xlsx') return cb(null, true);
+    return cb(new Error('Only .xlsx templates can be uploaded'));
+  }
+});
+
+// Wraps the upload so multer errors get the usual JSON error body
+const uploadTemplate = (req, res, next) => {
+  templateUpload.single('file')(req, res, (error) => {
+    if (!error) return next();
+    res.status(400).json({
+      status: 'ERROR',
+      message: error.code === 'LIMIT_FILE_SIZE' ? 'Template file is too large' : error.message
+    });
+  });
+};
+
 // Performance statistics form endpoints
 router.get('/performance', authenticate, controller.getPerformanceForm);
 router.get('/performance/module/:moduleId/topic/:topicId', authenticate, controller.getPerformanceFormByModuleTopic);
 router.post('/save-statistics', authenticate, controller.saveStatistics);
 router.post('/sent-otp', authenticate, controller.sentOTP);
 router.post('/verify-otp', authenticate, controller.verifyOTP);
-router.post('/make-active', authenticate, controller.makeActive);
+router.post('/:id/make-active', authenticate, controller.makeActive);
+
+// Offline entry through XLSX templates
+router.get('/template', authenticate, templateController.download);
+router.post('/template/preview', authenticate, uploadTemplate, templateController.preview);
+router.post('/template/import', authenticate, uploadTemplate, templateController.importTemplate);
+
+// Approval workflow (battalion submit -> range approve/return -> state sign-off)
+router.get('/submissions/pending', authenticate, controller.pendingSubmissions);
+router.get('/submissions/mine', authenticate, controller.mySubmissions);
+router.get('/submissions/:submissionId', authenticate, controller.submissionDetail);
+router.post('/submissions/:submissionId/approve', authenticateWithPermission, controller.approveSubmission);
+router.post('/submissions/:submissionId/return', authenticateWithPermission, controller.returnSubmission);
+
+// Audit trail
+router.get('/history', authenticateWithPermission, controller.history);
 
 // Original endpoints
 router.get('/', authenticate, controller.list);
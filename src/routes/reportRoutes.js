@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/reportController');
+const savedReportController = require('../controllers/savedReportController');
+const reportJobController = require('../controllers/reportJobController');
 const { authenticate } = require('../middleware/auth');
 const { validatePagination } = require('../middleware/validationMiddleware');
 
@@ -64,21 +66,36 @@ const { validatePagination } = require('../middleware/validationMiddleware');
  *           description: End date for filtering
  *         monthYear:
  *           type: string
- *           pattern: ^(0[1-9]|1[0-2])-\d{4}$
  *           example: "10-2024"
- *           description: Filter by specific month-year
+ *           description: Filter by reporting month ("10-2024", "2024-10" or "OCT 2024")
+ *         fromMonthYear:
+ *           type: string
+ *           example: "APR 2024"
+ *           description: First reporting month of a month range
+ *         toMonthYear:
+ *           type: string
+ *           example: "SEP 2024"
+ *           description: Last reporting month of a month range
  *         financialYear:
  *           type: string
  *           pattern: ^\d{4}-\d{2}$
  *           example: "2024-25"
- *           description: Filter by financial year
+ *           description: Filter by financial year (April to March reporting months)
  *         quarter:
  *           type: string
  *           enum: [Q1, Q2, Q3, Q4]
- *           description: Filter by quarter
+ *           description: Filter by quarter of financialYear (Q1 = April to June)
+ *         calendarYear:
+ *           type: integer
+ *           example: 2024
+ *           description: Filter by calendar year (January to December reporting months)
+ *         topicWindowYear:
+ *           type: integer
+ *           example: 2024
+ *           description: Filter by the reporting window of topicId (its start/end month) starting in this year
  *         reportType:
  *           type: string
- *           enum: [SUMMARY, DETAILED, COMPARISON, TREND, PERFORMANCE, COMPLIANCE]
+ *           enum: [SUMMARY, DETAILED, COMPARISON, TREND, PERFORMANCE, COMPLIANCE, PIVOT]
  *           description: Type of report to generate
  *           required: true
  *         viewType:
@@ -139,6 +156,46 @@ const { validatePagination } = require('../middleware/validationMiddleware');
  *         chartConfig:
  *           type: object
  *           description: Chart configuration settings
+ *         comparison:
+ *           type: object
+ *           description: |
+ *             Period-over-period comparison for COMPARISON reports (instead of battalions side by side).
+ *             The reference month is monthYear (default: the current reporting month); other period
+ *             filters cannot be combined with it.
+ *           properties:
+ *             mode:
+ *               type: string
+ *               enum: [MONTH_ON_MONTH, YEAR_ON_YEAR, FY_TO_DATE]
+ *               description: |
+ *                 MONTH_ON_MONTH compares with the month before, YEAR_ON_YEAR with the same month
+ *                 last year, FY_TO_DATE April..month with the same months of the previous FY
+ *             groupBy:
+ *               type: string
+ *               enum: [BATTALION, RANGE]
+ *               default: BATTALION
+ *             swingThreshold:
+ *               type: number
+ *               default: 25
+ *               description: Absolute percentage change flagged as a large swing
+ *         pivot:
+ *           type: object
+ *           description: Cross-tab definition, required for PIVOT reports
+ *           properties:
+ *             rows:
+ *               type: string
+ *               enum: [BATTALION, RANGE, MODULE, TOPIC, SUB_TOPIC, QUESTION, MONTH]
+ *             columns:
+ *               type: string
+ *               enum: [BATTALION, RANGE, MODULE, TOPIC, SUB_TOPIC, QUESTION, MONTH]
+ *             measure:
+ *               type: string
+ *               enum: [SUM, LATEST, AVERAGE, CUMULATIVE_FY]
+ *               default: SUM
+ *               description: |
+ *                 SUM / AVERAGE of the numeric answers in a cell; LATEST sums the most recent
+ *                 month's value of each battalion and question; CUMULATIVE_FY is the
+ *                 financial-year-to-date total (April up to the cell's month, or up to the
+ *                 end of the period when MONTH is not a dimension)
  *         exportConfig:
  *           type: object
  *           description: Export configuration settings
@@ -158,10 +215,13 @@ const { validatePagination } = require('../middleware/validationMiddleware');
  *       **Report Types:**
  *       - SUMMARY: High-level aggregated statistics with completion rates
  *       - DETAILED: Comprehensive row-level data with full pagination
- *       - COMPARISON: Side-by-side comparison format for multiple battalions
+ *       - COMPARISON: Side-by-side comparison format for multiple battalions, or with a
+ *         `comparison` block a period-over-period comparison with absolute / percentage variance
  *       - TREND: Time-series analysis showing data changes over time
  *       - PERFORMANCE: Performance metrics with benchmark comparisons
  *       - COMPLIANCE: Compliance and audit reporting with submission status
+ *       - PIVOT: Cross-tab of answer values with row/column totals (see the pivot field);
+ *         the response carries `pivot` instead of paginated `data`
  *       
  *       **Access Control:**
  *       - Battalion users can only access their assigned battalion data
@@ -203,6 +263,26 @@ const { validatePagination } = require('../middleware/validationMiddleware');
  *                 topicId: 10
  *                 quarter: "Q3"
  *                 financialYear: "2024-25"
+ *             yearOnYearReport:
+ *               summary: Same Month Last Year by Range
+ *               value:
+ *                 reportType: "COMPARISON"
+ *                 topicId: 10
+ *                 monthYear: "AUG 2025"
+ *                 comparison:
+ *                   mode: "YEAR_ON_YEAR"
+ *                   groupBy: "RANGE"
+ *                   swingThreshold: 20
+ *             pivotReport:
+ *               summary: Battalions by Month Pivot
+ *               value:
+ *                 reportType: "PIVOT"
+ *                 questionId: 42
+ *                 financialYear: "2024-25"
+ *                 pivot:
+ *                   rows: "BATTALION"
+ *                   columns: "MONTH"
+ *                   measure: "CUMULATIVE_FY"
  *     responses:
  *       200:
  *         description: Report generated successfully
@@ -270,7 +350,7 @@ router.post('/getReport', authenticate, reportController.getReport);
  *         description: Export format
  *         schema:
  *           type: string
- *           enum: [CSV, PDF, EXCEL]
+ *           enum: [CSV, PDF, EXCEL, XLSX]
  *     responses:
  *       200:
  *         description: File download
@@ -282,12 +362,54 @@ router.post('/getReport', authenticate, reportController.getReport);
  */
 router.get('/export/:reportId', authenticate, reportController.exportReport);
 
+/**
+ * @swagger
+ * /api/reports/export/{reportId}/{format}:
+ *   get:
+ *     summary: Export a generated report as a file
+ *     description: |
+ *       Re-runs a report generated by the current user through POST /api/reports/getReport
+ *       without pagination and streams it with the data rows, summary, status distribution,
+ *       battalion performance, top performers and chart dataset tables.
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: reportId
+ *         in: path
+ *         required: true
+ *         description: metadata.reportId of the generated report
+ *         schema:
+ *           type: string
+ *       - name: format
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [XLSX, EXCEL, PDF, CSV]
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid format, or more rows than REPORT_EXPORT_MAX_ROWS (export through POST /api/reports/jobs instead)
+ *       403:
+ *         description: Report generated by another user
+ *       404:
+ *         description: Unknown report ID or no data
+ */
+router.get('/export/:reportId/:format', authenticate, reportController.exportReport);
+
 /**
  * @swagger
  * /api/reports/templates:
  *   get:
  *     summary: Get available report templates
- *     description: Retrieve list of predefined report templates
+ *     description: Retrieve the predefined report templates followed by the saved reports owned by or shared with the user (saved true)
  *     tags: [Reports]
  *     security:
  *       - cookieAuth: []
@@ -312,6 +434,377 @@ router.get('/templates', authenticate, reportController.getReportTemplates);
  */
 router.get('/metadata', authenticate, reportController.getReportMetadata);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedReportRequest:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Monthly range summary"
+ *         description:
+ *           type: string
+ *         definition:
+ *           $ref: '#/components/schemas/ReportRequest'
+ *         sharedRoleId:
+ *           type: integer
+ *           nullable: true
+ *           description: Role the report is shared with (read and run only)
+ *         scheduleCron:
+ *           type: string
+ *           example: "0 6 1 * *"
+ *           description: node-cron expression of the scheduled generation
+ *         scheduleFormat:
+ *           type: string
+ *           enum: [XLSX, PDF]
+ *           default: XLSX
+ *         scheduleEnabled:
+ *           type: boolean
+ *           default: false
+ *       required:
+ *         - name
+ *         - definition
+ */
+
+/**
+ * @swagger
+ * /api/reports/saved:
+ *   get:
+ *     summary: List saved reports
+ *     description: Saved reports owned by the user or shared with their role
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved reports retrieved successfully
+ *   post:
+ *     summary: Save a report definition
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedReportRequest'
+ *     responses:
+ *       201:
+ *         description: Report saved
+ *       400:
+ *         description: Invalid definition, period filters or cron expression
+ */
+router.get('/saved', authenticate, savedReportController.list);
+router.post('/saved', authenticate, savedReportController.create);
+
+/**
+ * @swagger
+ * /api/reports/saved/{id}:
+ *   get:
+ *     summary: Get a saved report
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Saved report retrieved successfully
+ *       403:
+ *         description: Not owned by or shared with the user
+ *       404:
+ *         description: Saved report not found
+ *   put:
+ *     summary: Update a saved report (owner only, fields not sent are kept)
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedReportRequest'
+ *     responses:
+ *       200:
+ *         description: Saved report updated
+ *   delete:
+ *     summary: Delete a saved report and stop its schedule (owner only)
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Saved report deleted
+ */
+router.get('/saved/:id', authenticate, savedReportController.getById);
+router.put('/saved/:id', authenticate, savedReportController.update);
+router.delete('/saved/:id', authenticate, savedReportController.remove);
+
+/**
+ * @swagger
+ * /api/reports/saved/{id}/run:
+ *   post:
+ *     summary: Generate a saved report
+ *     description: Runs the saved definition within the requesting user's jurisdiction and returns the same response as /getReport
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - name: size
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ */
+router.post('/saved/:id/run', authenticate, savedReportController.run);
+
+/**
+ * @swagger
+ * /api/reports/saved/{id}/archive:
+ *   post:
+ *     summary: Generate the archive file of a saved report now (owner only)
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: File generated and added to the archive
+ */
+router.post('/saved/:id/archive', authenticate, savedReportController.archiveNow);
+
+/**
+ * @swagger
+ * /api/reports/archive:
+ *   get:
+ *     summary: List archived report files
+ *     description: Files generated from saved reports the user can see, newest first
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: savedReportId
+ *         in: query
+ *         schema:
+ *           type: integer
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - name: size
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Report archive retrieved successfully
+ */
+router.get('/archive', authenticate, savedReportController.listArchive);
+
+/**
+ * @swagger
+ * /api/reports/archive/{id}/download:
+ *   get:
+ *     summary: Download an archived report file
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Archive entry or file not found
+ */
+router.get('/archive/:id/download', authenticate, savedReportController.downloadArchive);
+
+/**
+ * @swagger
+ * /api/reports/jobs:
+ *   post:
+ *     summary: Queue a report or export as a background job
+ *     description: |
+ *       For large reports that would time out in a request. The request is checked against the
+ *       user's jurisdiction on submission; poll /jobs/{id} for status and progress and download
+ *       the result from /jobs/{id}/download once COMPLETED.
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [REPORT, EXPORT]
+ *                 default: EXPORT
+ *                 description: REPORT produces the JSON of /getReport, EXPORT a file
+ *               format:
+ *                 type: string
+ *                 enum: [XLSX, EXCEL, PDF, CSV]
+ *                 description: Required for EXPORT jobs
+ *               request:
+ *                 $ref: '#/components/schemas/ReportRequest'
+ *             required:
+ *               - request
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *       400:
+ *         description: Invalid job or report request
+ *   get:
+ *     summary: List the user's report jobs
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: status
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [QUEUED, RUNNING, COMPLETED, FAILED, CANCELLED, EXPIRED]
+ *       - name: page
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - name: size
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Report jobs retrieved successfully
+ */
+router.post('/jobs', authenticate, reportJobController.submit);
+router.get('/jobs', authenticate, reportJobController.list);
+
+/**
+ * @swagger
+ * /api/reports/jobs/{id}:
+ *   get:
+ *     summary: Status and progress (0-100) of a report job
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report job retrieved successfully
+ *       404:
+ *         description: Report job not found
+ */
+router.get('/jobs/:id', authenticate, reportJobController.getById);
+
+/**
+ * @swagger
+ * /api/reports/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a queued or running report job
+ *     description: A running job's query is not interrupted, but its result is discarded
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Report job cancelled
+ *       409:
+ *         description: Job already finished
+ */
+router.post('/jobs/:id/cancel', authenticate, reportJobController.cancel);
+
+/**
+ * @swagger
+ * /api/reports/jobs/{id}/download:
+ *   get:
+ *     summary: Download the result of a completed report job
+ *     tags: [Reports]
+ *     security:
+ *       - cookieAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       409:
+ *         description: Job not completed or its file was cleaned up
+ */
+router.get('/jobs/:id/download', authenticate, reportJobController.download);
+
 // Test route
 router.get('/test', (req, res) => {
   res.json({ 
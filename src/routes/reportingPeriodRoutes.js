@@ -0,0 +1,21 @@
+const express = require('express');
+const { authenticate, authenticateWithPermission } = require('../middleware/auth');
+const { validateId } = require('../middleware/validationMiddleware');
+const controller = require('../controllers/reportingPeriodController');
+
+const router = express.Router();
+
+// Period status for the current user
+router.get('/status/:monthYear', authenticate, controller.status);
+
+// Reopen requests (battalion raises, range admin reviews)
+router.get('/reopen-requests', authenticate, controller.reopenRequests);
+router.post('/reopen-requests', authenticate, controller.requestReopen);
+router.post('/reopen-requests/:id/review', authenticateWithPermission, validateId, controller.reviewReopen);
+
+// Period administration
+router.get('/', authenticate, controller.list);
+router.post('/open', authenticateWithPermission, controller.open);
+router.post('/close', authenticateWithPermission, controller.close);
+
+module.exports = router;
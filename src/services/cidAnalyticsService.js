@@ -0,0 +1,439 @@
+const {
+  CIDCrimeData,
+  CIDCrimeCategory,
+  CIDCrimeCategoryType,
+  CIDCrimeModus,
+  CIDDistrict,
+  CIDSubDivision,
+  CIDPoliceStation,
+  CIDCrimePerson
+} = require('../models');
+const jurisdictionService = require('./jurisdictionService');
+const { ValidationException } = require('../exceptions');
+const { Op, Sequelize } = require('sequelize');
+
+// Period buckets over the date of occurrence
+const PERIOD_FORMATS = {
+  MONTH: '%Y-%m',
+  QUARTER: null,
+  YEAR: '%Y'
+};
+
+// MySQL DAYOFWEEK() numbering
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Accused scanned for repeat offenders in one request
+const REPEAT_OFFENDER_MAX_ROWS = parseInt(process.env.CID_REPEAT_OFFENDER_MAX_ROWS) || 50000;
+
+const occurrenceDate = () => Sequelize.col('CIDCrimeData.date');
+
+/**
+ * Analytics over CID crime records for analysts: where and when crimes
+ * happen, how modus operandi trend, who keeps reappearing as accused and
+ * what was looted or collected. Every query is limited to the jurisdiction
+ * of the requesting user.
+ */
+class CIDAnalyticsService {
+  /**
+   * Where clause shared by all analytics
+   * @param {Object} filters - { dateFrom, dateTo, year, districtId, subDivisionId,
+   *   policeStationId, categoryId, categoryTypeId, modusId }
+   * @param {Object} user - Requesting user
+   */
+  buildWhere(filters = {}, user) {
+    const where = { active: true, ...jurisdictionService.scopeWhere(user) };
+
+    ['districtId', 'subDivisionId', 'policeStationId', 'categoryId', 'categoryTypeId', 'modusId'].forEach(key => {
+      if (filters[key]) where[key] = parseInt(filters[key]);
+    });
+
+    if (filters.year) {
+      const year = parseInt(filters.year);
+      where.dateOfOccurrence = { [Op.between]: [new Date(year, 0, 1), new Date(year, 11, 31, 23, 59, 59)] };
+    } else if (filters.dateFrom || filters.dateTo) {
+      const range = {};
+      if (filters.dateFrom) range[Op.gte] = this.parseDate(filters.dateFrom, 'dateFrom');
+      if (filters.dateTo) {
+        const dateTo = this.parseDate(filters.dateTo, 'dateTo');
+        dateTo.setHours(23, 59, 59, 999);
+        range[Op.lte] = dateTo;
+      }
+      where.dateOfOccurrence = range;
+    }
+
+    return where;
+  }
+
+  parseDate(value, field) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new ValidationException(`Invalid ${field}`, [{ field, message: `${field} must be a valid date` }], field);
+    }
+    return date;
+  }
+
+  /**
+   * SQL expression of the period a crime falls in
+   */
+  periodExpression(period = 'MONTH') {
+    const key = String(period).toUpperCase();
+    if (!(key in PERIOD_FORMATS)) {
+      throw new ValidationException('Invalid period', [
+        { field: 'period', message: `Allowed periods: ${Object.keys(PERIOD_FORMATS).join(', ')}` }
+      ], 'period');
+    }
+    if (key === 'QUARTER') {
+      return Sequelize.fn('CONCAT', Sequelize.fn('YEAR', occurrenceDate()), '-Q', Sequelize.fn('QUARTER', occurrenceDate()));
+    }
+    return Sequelize.fn('DATE_FORMAT', occurrenceDate(), PERIOD_FORMATS[key]);
+  }
+
+  /**
+   * Crime counts per sub-division and per police station, for heatmaps
+   * @returns {Object} { totalCrimes, subDivisions, policeStations }
+   */
+  async getLocationBreakdown(filters, user) {
+    const where = this.buildWhere(filters, user);
+    const count = [Sequelize.fn('COUNT', Sequelize.col('CIDCrimeData.id')), 'count'];
+
+    const [totalCrimes, bySubDivision, byPoliceStation] = await Promise.all([
+      CIDCrimeData.count({ where }),
+      CIDCrimeData.findAll({
+        attributes: ['subDivisionId', count],
+        include: [
+          { model: CIDSubDivision, as: 'subDivision', attributes: ['id', 'name', 'code'] },
+          { model: CIDDistrict, as: 'district', attributes: ['id', 'name'] }
+        ],
+        where,
+        group: ['CIDCrimeData.cid_sub_division_id', 'subDivision.id', 'district.id'],
+        order: [[Sequelize.literal('count'), 'DESC']]
+      }),
+      CIDCrimeData.findAll({
+        attributes: ['policeStationId', count],
+        include: [
+          { model: CIDPoliceStation, as: 'policeStation', attributes: ['id', 'name', 'code'] },
+          { model: CIDSubDivision, as: 'subDivision', attributes: ['id', 'name'] },
+          { model: CIDDistrict, as: 'district', attributes: ['id', 'name'] }
+        ],
+        where,
+        group: ['CIDCrimeData.cid_police_station_id', 'policeStation.id', 'subDivision.id', 'district.id'],
+        order: [[Sequelize.literal('count'), 'DESC']]
+      })
+    ]);
+
+    const share = (value) => totalCrimes ? Math.round((value / totalCrimes) * 10000) / 100 : 0;
+
+    return {
+      totalCrimes,
+      subDivisions: bySubDivision.map(row => ({
+        subDivision: row.subDivision || null,
+        district: row.district || null,
+        count: parseInt(row.get('count')),
+        percentage: share(parseInt(row.get('count')))
+      })),
+      policeStations: byPoliceStation.map(row => ({
+        policeStation: row.policeStation || null,
+        subDivision: row.subDivision || null,
+        district: row.district || null,
+        count: parseInt(row.get('count')),
+        percentage: share(parseInt(row.get('count')))
+      }))
+    };
+  }
+
+  /**
+   * Crime counts per category type and per modus operandi over time
+   * @param {Object} filters - Common filters plus period (MONTH, QUARTER, YEAR)
+   * @returns {Object} { period, periods, categoryTypes, modus }, each series
+   *   holding { total, counts: { [period]: count } }
+   */
+  async getModusTrends(filters, user) {
+    const where = this.buildWhere(filters, user);
+    const period = this.periodExpression(filters.period);
+    const attributes = (key) => [key, [period, 'period'], [Sequelize.fn('COUNT', Sequelize.col('CIDCrimeData.id')), 'count']];
+
+    const [byType, byModus] = await Promise.all([
+      CIDCrimeData.findAll({
+        attributes: attributes('categoryTypeId'),
+        include: [{ model: CIDCrimeCategoryType, as: 'categoryType', attributes: ['id', 'typeOfCrime'] }],
+        where,
+        group: ['CIDCrimeData.cid_crime_category_type_id', 'categoryType.id', period]
+      }),
+      CIDCrimeData.findAll({
+        attributes: attributes('modusId'),
+        include: [
+          { model: CIDCrimeModus, as: 'modus', attributes: ['id', 'name'] },
+          { model: CIDCrimeCategory, as: 'category', attributes: ['id', 'categoryName'] }
+        ],
+        where,
+        group: ['CIDCrimeData.cid_crime_modus_id', 'modus.id', 'category.id', period]
+      })
+    ]);
+
+    const periods = new Set();
+    const series = (rows, keyOf, describe) => {
+      const map = new Map();
+      rows.forEach(row => {
+        const key = keyOf(row) || 0;
+        const label = row.get('period');
+        const value = parseInt(row.get('count'));
+        periods.add(label);
+
+        if (!map.has(key)) map.set(key, { ...describe(row), total: 0, counts: {} });
+        const entry = map.get(key);
+        entry.total += value;
+        entry.counts[label] = (entry.counts[label] || 0) + value;
+      });
+      return [...map.values()].sort((a, b) => b.total - a.total);
+    };
+
+    const categoryTypes = series(byType, row => row.categoryTypeId, row => ({
+      categoryType: row.categoryType || null
+    }));
+    const modus = series(byModus, row => row.modusId, row => ({
+      modus: row.modus || null,
+      category: row.category || null
+    }));
+
+    return {
+      period: String(filters.period || 'MONTH').toUpperCase(),
+      periods: [...periods].filter(Boolean).sort(),
+      categoryTypes,
+      modus
+    };
+  }
+
+  /**
+   * Crime counts by hour of day and day of week, as a 7 x 24 heatmap.
+   * Hours come from the recorded time of occurrence (HH:MM); crimes without
+   * a readable time are counted separately.
+   */
+  async getTimePatterns(filters, user) {
+    const where = this.buildWhere(filters, user);
+    const weekday = Sequelize.fn('DAYOFWEEK', occurrenceDate());
+    const hour = Sequelize.literal(
+      "CASE WHEN `CIDCrimeData`.`time_of_occurrence` REGEXP '^[0-9]{1,2}:[0-9]{2}' " +
+      "THEN CAST(SUBSTRING_INDEX(`CIDCrimeData`.`time_of_occurrence`, ':', 1) AS UNSIGNED) END"
+    );
+
+    const rows = await CIDCrimeData.findAll({
+      attributes: [
+        [weekday, 'weekday'],
+        [hour, 'hour'],
+        [Sequelize.fn('COUNT', Sequelize.col('CIDCrimeData.id')), 'count']
+      ],
+      where,
+      group: [weekday, hour],
+      raw: true
+    });
+
+    const matrix = WEEKDAYS.map(() => new Array(24).fill(0));
+    const byHour = new Array(24).fill(0);
+    const byWeekday = new Array(7).fill(0);
+    let unknownTime = 0;
+    let totalCrimes = 0;
+
+    rows.forEach(row => {
+      const count = parseInt(row.count);
+      const day = parseInt(row.weekday) - 1;
+      const hourOfDay = row.hour === null ? null : parseInt(row.hour);
+      totalCrimes += count;
+      if (day >= 0 && day < 7) byWeekday[day] += count;
+
+      if (hourOfDay === null || hourOfDay > 23) {
+        unknownTime += count;
+        return;
+      }
+      byHour[hourOfDay] += count;
+      if (day >= 0 && day < 7) matrix[day][hourOfDay] += count;
+    });
+
+    return {
+      totalCrimes,
+      unknownTime,
+      weekdays: WEEKDAYS,
+      heatmap: matrix.map((hours, index) => ({ weekday: WEEKDAYS[index], hours })),
+      byHour: byHour.map((count, hourOfDay) => ({ hour: hourOfDay, count })),
+      byWeekday: byWeekday.map((count, index) => ({ weekday: WEEKDAYS[index], count }))
+    };
+  }
+
+  /**
+   * Accused who appear in more than one case. Person records are matched on
+   * mobile number, or on name together with relative's name or date of birth;
+   * a name alone is too common to link cases.
+   * @param {Object} filters - Common filters plus minCases (default 2) and limit (default 50)
+   * @returns {Object} { scannedRecords, truncated, offenders: [{ name, aliases, caseCount, cases, matchedOn }] }
+   */
+  async getRepeatOffenders(filters, user) {
+    const minCases = Math.max(parseInt(filters.minCases) || 2, 2);
+    const limit = Math.min(parseInt(filters.limit) || 50, 500);
+
+    const accused = await CIDCrimePerson.findAll({
+      where: { role: 'ACCUSED', active: true },
+      attributes: ['id', 'crimeDataId', 'name', 'alias', 'relativeName', 'dateOfBirth', 'mobileNumber', 'age', 'gender'],
+      include: [{
+        model: CIDCrimeData,
+        as: 'crimeData',
+        where: this.buildWhere(filters, user),
+        attributes: ['id', 'firNumber', 'dateOfOccurrence', 'districtId', 'policeStationId', 'categoryId', 'status']
+      }],
+      order: [['id', 'ASC']],
+      limit: REPEAT_OFFENDER_MAX_ROWS + 1
+    });
+
+    const truncated = accused.length > REPEAT_OFFENDER_MAX_ROWS;
+    const records = truncated ? accused.slice(0, REPEAT_OFFENDER_MAX_ROWS) : accused;
+
+    // Union records that share a matching key
+    const parent = records.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+    const matchedOn = records.map(() => new Set());
+    const owners = new Map();
+
+    records.forEach((person, index) => {
+      this.matchKeys(person).forEach(({ key, type }) => {
+        if (!owners.has(key)) {
+          owners.set(key, index);
+          return;
+        }
+        const other = owners.get(key);
+        matchedOn[index].add(type);
+        matchedOn[other].add(type);
+        parent[find(index)] = find(other);
+      });
+    });
+
+    const clusters = new Map();
+    records.forEach((person, index) => {
+      const root = find(index);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(index);
+    });
+
+    const offenders = [];
+    clusters.forEach(indexes => {
+      const cases = new Map();
+      indexes.forEach(index => {
+        const { crimeData } = records[index];
+        if (!cases.has(crimeData.id)) {
+          cases.set(crimeData.id, {
+            id: crimeData.id,
+            firNumber: crimeData.firNumber,
+            dateOfOccurrence: crimeData.dateOfOccurrence,
+            districtId: crimeData.districtId,
+            policeStationId: crimeData.policeStationId,
+            categoryId: crimeData.categoryId,
+            status: crimeData.status
+          });
+        }
+      });
+      if (cases.size < minCases) return;
+
+      const people = indexes.map(index => records[index]);
+      const pick = (field) => people.map(person => person[field]).find(Boolean) || null;
+      offenders.push({
+        name: pick('name'),
+        relativeName: pick('relativeName'),
+        dateOfBirth: pick('dateOfBirth'),
+        mobileNumber: pick('mobileNumber'),
+        gender: pick('gender'),
+        aliases: [...new Set(people.flatMap(person => [person.name, person.alias]).filter(Boolean))],
+        personIds: people.map(person => person.id),
+        matchedOn: [...new Set(indexes.flatMap(index => [...matchedOn[index]]))],
+        caseCount: cases.size,
+        cases: [...cases.values()].sort((a, b) => new Date(a.dateOfOccurrence) - new Date(b.dateOfOccurrence))
+      });
+    });
+
+    offenders.sort((a, b) => b.caseCount - a.caseCount);
+
+    return {
+      minCases,
+      scannedRecords: records.length,
+      truncated,
+      totalOffenders: offenders.length,
+      offenders: offenders.slice(0, limit)
+    };
+  }
+
+  /**
+   * Keys that identify the same person across cases
+   */
+  matchKeys(person) {
+    // Letters (with their vowel signs) and digits of any script; names that
+    // reduce to nothing are dropped below and never form a key
+    const normalize = (value) => String(value || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+    const keys = [];
+
+    const mobile = String(person.mobileNumber || '').replace(/\D/g, '').slice(-10);
+    if (mobile.length >= 6) keys.push({ key: `M:${mobile}`, type: 'MOBILE_NUMBER' });
+
+    const names = [person.name, person.alias].map(normalize).filter(Boolean);
+    const relative = normalize(person.relativeName);
+    names.forEach(name => {
+      if (relative) keys.push({ key: `R:${name}|${relative}`, type: 'NAME_AND_RELATIVE' });
+      if (person.dateOfBirth) keys.push({ key: `D:${name}|${person.dateOfBirth}`, type: 'NAME_AND_DATE_OF_BIRTH' });
+    });
+
+    return keys;
+  }
+
+  /**
+   * Looted property value and cash collected per period
+   * @param {Object} filters - Common filters plus period (MONTH, QUARTER, YEAR)
+   * @returns {Object} { period, totals, periods: [{ period, crimes, cashCollectionAmount,
+   *   lootedPropertyValue, casesWithCash, casesWithLoot }] }
+   */
+  async getPropertyTotals(filters, user) {
+    const where = this.buildWhere(filters, user);
+    const period = this.periodExpression(filters.period);
+    const sum = (column) => Sequelize.fn('COALESCE', Sequelize.fn('SUM', Sequelize.col(column)), 0);
+    const countOf = (column) => Sequelize.fn('COUNT', Sequelize.col(column));
+
+    const rows = await CIDCrimeData.findAll({
+      attributes: [
+        [period, 'period'],
+        [Sequelize.fn('COUNT', Sequelize.col('CIDCrimeData.id')), 'crimes'],
+        [sum('cash_collection_amount'), 'cashCollectionAmount'],
+        [sum('looted_property_value'), 'lootedPropertyValue'],
+        [countOf('cash_collection_amount'), 'casesWithCash'],
+        [countOf('looted_property_value'), 'casesWithLoot']
+      ],
+      where,
+      group: [period],
+      order: [[period, 'ASC']],
+      raw: true
+    });
+
+    const periods = rows.map(row => ({
+      period: row.period,
+      crimes: parseInt(row.crimes),
+      cashCollectionAmount: parseFloat(row.cashCollectionAmount),
+      lootedPropertyValue: parseFloat(row.lootedPropertyValue),
+      casesWithCash: parseInt(row.casesWithCash),
+      casesWithLoot: parseInt(row.casesWithLoot)
+    }));
+
+    const totals = periods.reduce((acc, row) => {
+      Object.keys(acc).forEach(key => { acc[key] += row[key]; });
+      return acc;
+    }, { crimes: 0, cashCollectionAmount: 0, lootedPropertyValue: 0, casesWithCash: 0, casesWithLoot: 0 });
+    totals.cashCollectionAmount = Math.round(totals.cashCollectionAmount * 100) / 100;
+    totals.lootedPropertyValue = Math.round(totals.lootedPropertyValue * 100) / 100;
+
+    return {
+      period: String(filters.period || 'MONTH').toUpperCase(),
+      totals,
+      periods
+    };
+  }
+}
+
+module.exports = new CIDAnalyticsService();
@@ -0,0 +1,416 @@
+const {
+  CIDCrimeData,
+  CIDCaseTransition,
+  CIDPoliceStation,
+  CIDDistrict,
+  User
+} = require('../models');
+const sequelize = require('../config/database');
+const jurisdictionService = require('./jurisdictionService');
+const logger = require('../utils/logger');
+const {
+  ValidationException,
+  NotFoundException,
+  BusinessRuleException
+} = require('../exceptions');
+const { Op } = require('sequelize');
+
+/**
+ * Lifecycle of a CID case:
+ *   REGISTERED -> UNDER_INVESTIGATION (needs an investigating officer)
+ *   UNDER_INVESTIGATION -> CHARGESHEETED (chargesheet number and date)
+ *                       -> FINAL_REPORT  (closure report, disposal date)
+ *   FINAL_REPORT -> UNDER_INVESTIGATION (further investigation ordered)
+ *   CHARGESHEETED -> TRIAL (court name)
+ *   TRIAL -> CONVICTED / ACQUITTED (judgment date)
+ * Every change is recorded with the date it took effect, which also starts
+ * the pendency clock of the new status.
+ */
+const STATUS_FLOW = {
+  REGISTERED: ['UNDER_INVESTIGATION'],
+  UNDER_INVESTIGATION: ['CHARGESHEETED', 'FINAL_REPORT'],
+  FINAL_REPORT: ['UNDER_INVESTIGATION'],
+  CHARGESHEETED: ['TRIAL'],
+  TRIAL: ['CONVICTED', 'ACQUITTED'],
+  CONVICTED: [],
+  ACQUITTED: []
+};
+
+// Days a case may stay in a status before it is reported as pending
+const DEADLINE_DAYS = {
+  REGISTERED: parseInt(process.env.CID_DEADLINE_DAYS_REGISTERED) || 7,
+  UNDER_INVESTIGATION: parseInt(process.env.CID_DEADLINE_DAYS_UNDER_INVESTIGATION) || 90,
+  CHARGESHEETED: parseInt(process.env.CID_DEADLINE_DAYS_CHARGESHEETED) || 30,
+  TRIAL: parseInt(process.env.CID_DEADLINE_DAYS_TRIAL) || 730
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CIDCaseLifecycleService {
+  /**
+   * Case of the user's jurisdiction; locked for the rest of the transaction
+   * when one is given, so concurrent status changes are applied in turn
+   * @throws {NotFoundException|AuthorizationException}
+   */
+  async loadCase(id, user, transaction = null) {
+    const crimeData = await CIDCrimeData.findByPk(id, {
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+    if (!crimeData || !crimeData.active) {
+      throw new NotFoundException('Crime data', id);
+    }
+    jurisdictionService.assertCanAccess(user, crimeData, `crime data ${id}`);
+    return crimeData;
+  }
+
+  /**
+   * Current status, stage details and the recorded history of a case
+   */
+  async getLifecycle(id, user) {
+    const crimeData = await this.loadCase(id, user);
+
+    const transitions = await CIDCaseTransition.findAll({
+      where: { crimeDataId: id },
+      include: [
+        { model: User, as: 'actor', attributes: ['id', 'firstName', 'lastName'] },
+        { model: User, as: 'investigatingOfficer', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['effectiveDate', 'ASC'], ['id', 'ASC']]
+    });
+
+    const officer = crimeData.investigatingOfficerId
+      ? await User.findByPk(crimeData.investigatingOfficerId, { attributes: ['id', 'firstName', 'lastName'] })
+      : null;
+
+    return {
+      id: crimeData.id,
+      firNumber: crimeData.firNumber,
+      status: crimeData.status,
+      statusDate: crimeData.statusDate,
+      nextStatuses: STATUS_FLOW[crimeData.status] || [],
+      investigatingOfficer: officer,
+      ioAssignedAt: crimeData.ioAssignedAt,
+      chargesheet: {
+        number: crimeData.chargesheetNumber,
+        date: crimeData.chargesheetDate
+      },
+      court: {
+        name: crimeData.courtName,
+        caseNumber: crimeData.courtCaseNumber
+      },
+      disposal: {
+        date: crimeData.disposalDate,
+        remarks: crimeData.disposalRemarks
+      },
+      transitions
+    };
+  }
+
+  /**
+   * Move a case to its next status
+   * @param {number} id - Crime data ID
+   * @param {Object} data - { status, effectiveDate, remarks, investigatingOfficerId,
+   *   chargesheetNumber, chargesheetDate, courtName, courtCaseNumber, disposalDate, disposalRemarks }
+   * @param {Object} user - Acting user
+   * @returns {Object} Lifecycle of the case
+   */
+  async advanceStatus(id, data, user) {
+    const toStatus = String(data.status || '').toUpperCase();
+    if (!STATUS_FLOW[toStatus]) {
+      throw new ValidationException('Invalid case status', [
+        { field: 'status', message: `Allowed statuses: ${Object.keys(STATUS_FLOW).join(', ')}` }
+      ], 'status');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const crimeData = await this.loadCase(id, user, transaction);
+      const fromStatus = crimeData.status;
+
+      if (!STATUS_FLOW[fromStatus]?.includes(toStatus)) {
+        throw new BusinessRuleException(
+          `A ${fromStatus} case cannot move to ${toStatus}`,
+          'INVALID_CASE_TRANSITION',
+          { crimeDataId: id, fromStatus, toStatus, allowed: STATUS_FLOW[fromStatus] || [] }
+        );
+      }
+
+      const effectiveDate = this.parseEffectiveDate(data.effectiveDate, crimeData.statusDate);
+      const values = { status: toStatus, statusDate: effectiveDate, updatedBy: user.id };
+
+      const officerId = parseInt(data.investigatingOfficerId) || null;
+      if (officerId && officerId !== crimeData.investigatingOfficerId) {
+        await this.assertOfficer(officerId, crimeData);
+        values.investigatingOfficerId = officerId;
+        values.ioAssignedAt = effectiveDate;
+      }
+
+      Object.assign(values, this.stageValues(toStatus, data, crimeData, values, effectiveDate));
+
+      await crimeData.update(values, { transaction });
+
+      await CIDCaseTransition.create({
+        crimeDataId: id,
+        action: 'STATUS_CHANGE',
+        fromStatus,
+        toStatus,
+        investigatingOfficerId: values.investigatingOfficerId || crimeData.investigatingOfficerId,
+        effectiveDate,
+        actedBy: user.id,
+        remarks: data.remarks || null
+      }, { transaction });
+
+      await transaction.commit();
+      logger.info(`CID case ${id} moved from ${fromStatus} to ${toStatus} by user ${user.id}`);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getLifecycle(id, user);
+  }
+
+  /**
+   * Details each status needs before a case can enter it
+   * @returns {Object} Case values to store
+   * @throws {ValidationException}
+   */
+  stageValues(toStatus, data, crimeData, values, effectiveDate) {
+    const missing = (field, message) => {
+      throw new ValidationException(message, [{ field, message }], field);
+    };
+    const dateOnly = effectiveDate.toISOString().substring(0, 10);
+
+    switch (toStatus) {
+      case 'UNDER_INVESTIGATION':
+        if (!values.investigatingOfficerId && !crimeData.investigatingOfficerId) {
+          missing('investigatingOfficerId', 'An investigating officer must be assigned before investigation starts');
+        }
+        // Further investigation after a final report reopens the case
+        return { disposalDate: null, disposalRemarks: null };
+
+      case 'CHARGESHEETED':
+        if (!data.chargesheetNumber) missing('chargesheetNumber', 'Chargesheet number is required');
+        return {
+          chargesheetNumber: data.chargesheetNumber,
+          chargesheetDate: data.chargesheetDate || dateOnly
+        };
+
+      case 'FINAL_REPORT':
+        return {
+          disposalDate: data.disposalDate || dateOnly,
+          disposalRemarks: data.disposalRemarks || data.remarks || null
+        };
+
+      case 'TRIAL':
+        if (!data.courtName && !crimeData.courtName) missing('courtName', 'Court name is required');
+        return {
+          courtName: data.courtName || crimeData.courtName,
+          courtCaseNumber: data.courtCaseNumber || crimeData.courtCaseNumber
+        };
+
+      case 'CONVICTED':
+      case 'ACQUITTED':
+        return {
+          disposalDate: data.disposalDate || dateOnly,
+          disposalRemarks: data.disposalRemarks || data.remarks || null
+        };
+
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Assign or reassign the investigating officer without changing status
+   * @param {number} id - Crime data ID
+   * @param {Object} data - { investigatingOfficerId, effectiveDate, remarks }
+   * @param {Object} user - Acting user
+   */
+  async assignInvestigatingOfficer(id, { investigatingOfficerId, effectiveDate, remarks = null }, user) {
+    const officerId = parseInt(investigatingOfficerId);
+    if (!officerId) {
+      throw new ValidationException('Investigating officer is required', [
+        { field: 'investigatingOfficerId', message: 'investigatingOfficerId must be a user ID' }
+      ], 'investigatingOfficerId');
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const crimeData = await this.loadCase(id, user, transaction);
+      if (['CONVICTED', 'ACQUITTED'].includes(crimeData.status)) {
+        throw new BusinessRuleException(
+          `Case is ${crimeData.status}; the investigating officer can no longer change`,
+          'CASE_DISPOSED',
+          { crimeDataId: id, status: crimeData.status }
+        );
+      }
+      if (crimeData.investigatingOfficerId === officerId) {
+        throw new BusinessRuleException('This officer is already assigned to the case', 'IO_ALREADY_ASSIGNED', { crimeDataId: id });
+      }
+
+      await this.assertOfficer(officerId, crimeData);
+      const assignedAt = this.parseEffectiveDate(effectiveDate, crimeData.ioAssignedAt);
+
+      await crimeData.update({
+        investigatingOfficerId: officerId,
+        ioAssignedAt: assignedAt,
+        updatedBy: user.id
+      }, { transaction });
+
+      await CIDCaseTransition.create({
+        crimeDataId: id,
+        action: 'ASSIGN_IO',
+        fromStatus: crimeData.status,
+        toStatus: crimeData.status,
+        investigatingOfficerId: officerId,
+        effectiveDate: assignedAt,
+        actedBy: user.id,
+        remarks
+      }, { transaction });
+
+      await transaction.commit();
+      logger.info(`Investigating officer ${officerId} assigned to CID case ${id} by user ${user.id}`);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getLifecycle(id, user);
+  }
+
+  /**
+   * Officers must be active users whose jurisdiction covers the case
+   */
+  async assertOfficer(officerId, crimeData) {
+    const officer = await User.findByPk(officerId, {
+      attributes: ['id', 'stateId', 'rangeId', 'battalionId', 'active']
+    });
+    if (!officer || officer.active === false) {
+      throw new NotFoundException('User', officerId);
+    }
+    if (!jurisdictionService.canAccess(officer, crimeData)) {
+      throw new ValidationException('Investigating officer is outside the jurisdiction of the case', [
+        { field: 'investigatingOfficerId', message: `User ${officerId} cannot access crime data ${crimeData.id}` }
+      ], 'investigatingOfficerId');
+    }
+  }
+
+  /**
+   * Date a change took effect: now by default, never in the future and not
+   * before the previous step
+   */
+  parseEffectiveDate(value, notBefore = null) {
+    if (value === undefined || value === null || value === '') return new Date();
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new ValidationException('Invalid effective date', [
+        { field: 'effectiveDate', message: 'effectiveDate must be a valid date' }
+      ], 'effectiveDate');
+    }
+    if (date > new Date()) {
+      throw new ValidationException('Effective date cannot be in the future', [
+        { field: 'effectiveDate', message: 'effectiveDate cannot be in the future' }
+      ], 'effectiveDate');
+    }
+    if (notBefore && date < new Date(notBefore)) {
+      throw new ValidationException('Effective date is before the previous step of the case', [
+        { field: 'effectiveDate', message: `effectiveDate must be on or after ${new Date(notBefore).toISOString()}` }
+      ], 'effectiveDate');
+    }
+    return date;
+  }
+
+  /**
+   * Deadline in days per status; open statuses without a deadline are not reported
+   */
+  getDeadlines() {
+    return { ...DEADLINE_DAYS };
+  }
+
+  /**
+   * Cases that stayed in their status longer than its deadline, grouped by
+   * police station
+   * @param {Object} filters - { status, districtId, policeStationId }
+   * @param {Object} user - Requesting user; cases are limited to their jurisdiction
+   * @returns {Object} { deadlines, totalCases, policeStations: [{ policeStation, count, cases }] }
+   */
+  async listPending(filters = {}, user) {
+    const now = Date.now();
+    let statuses = Object.keys(DEADLINE_DAYS);
+
+    if (filters.status) {
+      const status = String(filters.status).toUpperCase();
+      if (!DEADLINE_DAYS[status]) {
+        throw new ValidationException('Status has no pendency deadline', [
+          { field: 'status', message: `Allowed statuses: ${statuses.join(', ')}` }
+        ], 'status');
+      }
+      statuses = [status];
+    }
+
+    const where = {
+      active: true,
+      [Op.or]: statuses.map(status => ({
+        status,
+        statusDate: { [Op.lt]: new Date(now - DEADLINE_DAYS[status] * DAY_MS) }
+      })),
+      ...jurisdictionService.scopeWhere(user)
+    };
+    if (filters.districtId) where.districtId = parseInt(filters.districtId);
+    if (filters.policeStationId) where.policeStationId = parseInt(filters.policeStationId);
+
+    const cases = await CIDCrimeData.findAll({
+      where,
+      attributes: [
+        'id', 'firNumber', 'status', 'statusDate', 'dateOfOccurrence',
+        'districtId', 'policeStationId', 'investigatingOfficerId'
+      ],
+      include: [
+        { model: CIDPoliceStation, as: 'policeStation', attributes: ['id', 'name', 'code'] },
+        { model: CIDDistrict, as: 'district', attributes: ['id', 'name'] },
+        { model: User, as: 'investigatingOfficer', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['statusDate', 'ASC']]
+    });
+
+    const groups = new Map();
+    cases.forEach(crimeData => {
+      const key = crimeData.policeStationId || 0;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          policeStation: crimeData.policeStation || null,
+          district: crimeData.district || null,
+          count: 0,
+          cases: []
+        });
+      }
+
+      const daysInStatus = Math.floor((now - new Date(crimeData.statusDate).getTime()) / DAY_MS);
+      const group = groups.get(key);
+      group.count++;
+      group.cases.push({
+        id: crimeData.id,
+        firNumber: crimeData.firNumber,
+        status: crimeData.status,
+        statusDate: crimeData.statusDate,
+        daysInStatus,
+        deadlineDays: DEADLINE_DAYS[crimeData.status],
+        overdueDays: daysInStatus - DEADLINE_DAYS[crimeData.status],
+        investigatingOfficer: crimeData.investigatingOfficer || null
+      });
+    });
+
+    return {
+      deadlines: this.getDeadlines(),
+      totalCases: cases.length,
+      policeStations: [...groups.values()].sort((a, b) => b.count - a.count)
+    };
+  }
+}
+
+module.exports = new CIDCaseLifecycleService();
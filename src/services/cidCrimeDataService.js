@@ -6,21 +6,47 @@ const {
   CIDDistrict, 
   CIDPoliceStation, 
   CIDSubDivision,
-  CIDCrimeVictimPerson,
-  CIDCrimeAccusedPerson,
-  CIDCrimeDeceasedPerson,
-  User 
+  CIDCrimePerson,
+  CIDCaseTransition,
+  User,
+  Role
 } = require('../models');
+const sequelize = require('../config/database');
+const jurisdictionService = require('./jurisdictionService');
+const cidGeoService = require('./cidGeoService');
+const cidDuplicateService = require('./cidDuplicateService');
 const logger = require('../utils/logger');
 const { Op, Sequelize } = require('sequelize');
 
+// Person associations of a case by role
+const PERSON_ASSOCIATIONS = {
+  VICTIM: 'victims',
+  ACCUSED: 'accused',
+  DECEASED: 'deceased',
+  WITNESS: 'witnesses'
+};
+
+// Person attributes accepted from requests
+const PERSON_FIELDS = [
+  'name', 'alias', 'relativeName', 'gender', 'age', 'dateOfBirth',
+  'occupation', 'nationality', 'address', 'mobileNumber', 'remark'
+];
+
+const personIncludes = () => Object.values(PERSON_ASSOCIATIONS).map(as => ({
+  model: CIDCrimePerson,
+  as,
+  where: { active: true },
+  required: false
+}));
+
 class CIDCrimeDataService {
   /**
    * Get all CID crime data with pagination and filtering
    * @param {Object} filters - Filtering options
+   * @param {Object} viewer - Requesting user; records are limited to their jurisdiction
    * @returns {Object} Paginated crime data
    */
-  async getAllCrimeData(filters = {}) {
+  async getAllCrimeData(filters = {}, viewer = null) {
     const { 
       page = 1, 
       limit = 20, 
@@ -36,7 +62,7 @@ class CIDCrimeDataService {
     } = filters;
 
     const offset = (page - 1) * limit;
-    const whereCondition = { active };
+    const whereCondition = { active, ...jurisdictionService.scopeWhere(viewer) };
 
     // Apply filters
     if (categoryId) whereCondition.categoryId = categoryId;
@@ -79,25 +105,9 @@ class CIDCrimeDataService {
         { model: CIDDistrict, as: 'district' },
         { model: CIDPoliceStation, as: 'policeStation' },
         { model: CIDSubDivision, as: 'subDivision' },
-        { 
-          model: CIDCrimeVictimPerson, 
-          as: 'victims',
-          where: { active: true },
-          required: false
-        },
-        { 
-          model: CIDCrimeAccusedPerson, 
-          as: 'accused',
-          where: { active: true },
-          required: false
-        },
-        { 
-          model: CIDCrimeDeceasedPerson, 
-          as: 'deceased',
-          where: { active: true },
-          required: false
-        }
+        ...personIncludes()
       ],
+      distinct: true,
       limit,
       offset,
       order: [['dateOfOccurrence', 'DESC']]
@@ -116,9 +126,10 @@ class CIDCrimeDataService {
   /**
    * Get crime data by ID
    * @param {number} id - Crime data ID
+   * @param {Object} viewer - Requesting user; records outside their jurisdiction are refused
    * @returns {Object} Crime data
    */
-  async getCrimeDataById(id) {
+  async getCrimeDataById(id, viewer = null) {
     const crimeData = await CIDCrimeData.findByPk(id, {
       include: [
         { model: CIDCrimeCategory, as: 'category' },
@@ -127,24 +138,7 @@ class CIDCrimeDataService {
         { model: CIDDistrict, as: 'district' },
         { model: CIDPoliceStation, as: 'policeStation' },
         { model: CIDSubDivision, as: 'subDivision' },
-        { 
-          model: CIDCrimeVictimPerson, 
-          as: 'victims',
-          where: { active: true },
-          required: false
-        },
-        { 
-          model: CIDCrimeAccusedPerson, 
-          as: 'accused',
-          where: { active: true },
-          required: false
-        },
-        { 
-          model: CIDCrimeDeceasedPerson, 
-          as: 'deceased',
-          where: { active: true },
-          required: false
-        }
+        ...personIncludes()
       ]
     });
 
@@ -152,6 +146,10 @@ class CIDCrimeDataService {
       throw new Error('Crime data not found');
     }
 
+    if (viewer) {
+      jurisdictionService.assertCanAccess(viewer, crimeData, `crime data ${id}`);
+    }
+
     return crimeData;
   }
 
@@ -175,9 +173,12 @@ class CIDCrimeDataService {
       timeOfOccurrence,
       placeOfOccurrence,
       briefFacts,
-      victims = [],
-      accused = [],
-      deceased = []
+      cashCollection,
+      cashCollectionAmount,
+      lootedItems,
+      lootedPropertyValue,
+      latitude,
+      longitude
     } = data;
 
     // Validation
@@ -194,75 +195,98 @@ class CIDCrimeDataService {
       throw new Error('Crime data with this FIR number already exists');
     }
 
-    // Create crime data
-    const crimeData = await CIDCrimeData.create({
-      firNumber,
-      crimeNumber,
-      categoryId,
-      categoryTypeId,
-      modusId,
-      districtId,
-      policeStationId,
-      subDivisionId,
-      dateOfOccurrence: new Date(dateOfOccurrence),
-      timeOfOccurrence,
-      placeOfOccurrence,
-      briefFacts,
-      active: true,
-      createdBy
+    // A located case without a police station goes to the station containing it
+    const location = latitude !== undefined && longitude !== undefined && latitude !== null && longitude !== null
+      ? await cidGeoService.locationValues({ latitude, longitude, policeStationId })
+      : {};
+
+    // Records carry the unit of the user who entered them
+    const creator = await User.findByPk(createdBy, {
+      attributes: ['id', 'stateId', 'rangeId', 'battalionId'],
+      include: [{ model: Role, as: 'role', attributes: ['roleName'] }]
     });
 
-    // Add victims
-    if (victims.length > 0) {
-      const victimRecords = victims.map(victim => ({
-        crimeDataId: crimeData.id,
-        ...victim,
+    const transaction = await sequelize.transaction();
+    let crimeData;
+    let suspectedDuplicates = [];
+
+    try {
+      // Create crime data
+      crimeData = await CIDCrimeData.create({
+        firNumber,
+        crimeNumber,
+        categoryId,
+        categoryTypeId,
+        modusId,
+        districtId,
+        policeStationId,
+        subDivisionId,
+        dateOfOccurrence: new Date(dateOfOccurrence),
+        timeOfOccurrence,
+        placeOfOccurrence,
+        briefFacts,
+        cashCollection,
+        cashCollectionAmount,
+        lootedItems,
+        lootedPropertyValue,
+        ...location,
+        stateId: creator?.stateId || null,
+        rangeId: creator?.rangeId || null,
+        battalionId: creator?.battalionId || null,
+        status: 'REGISTERED',
+        statusDate: new Date(),
         active: true,
         createdBy
-      }));
-      await CIDCrimeVictimPerson.bulkCreate(victimRecords);
-    }
+      }, { transaction });
 
-    // Add accused
-    if (accused.length > 0) {
-      const accusedRecords = accused.map(person => ({
+      await CIDCaseTransition.create({
         crimeDataId: crimeData.id,
-        ...person,
-        active: true,
-        createdBy
-      }));
-      await CIDCrimeAccusedPerson.bulkCreate(accusedRecords);
-    }
+        action: 'STATUS_CHANGE',
+        fromStatus: null,
+        toStatus: 'REGISTERED',
+        effectiveDate: crimeData.statusDate,
+        actedBy: createdBy
+      }, { transaction });
+
+      // Add victims, accused, deceased and witnesses
+      const persons = Object.entries(PERSON_ASSOCIATIONS).flatMap(([role, key]) =>
+        (data[key] || []).map(person => this.personRecord(crimeData.id, role, person, createdBy))
+      );
+      if (persons.length > 0) {
+        await CIDCrimePerson.bulkCreate(persons, { validate: true, transaction });
+      }
 
-    // Add deceased
-    if (deceased.length > 0) {
-      const deceasedRecords = deceased.map(person => ({
-        crimeDataId: crimeData.id,
-        ...person,
-        active: true,
-        createdBy
-      }));
-      await CIDCrimeDeceasedPerson.bulkCreate(deceasedRecords);
+      // The same FIR entered by another unit is queued for review, not rejected
+      suspectedDuplicates = await cidDuplicateService.detect(crimeData, { transaction, detectedBy: createdBy, user: creator });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
     }
 
     logger.info(`Crime data created with FIR ${firNumber} by user ${createdBy}`);
 
     // Return crime data with associations
-    return await this.getCrimeDataById(crimeData.id);
+    const created = await this.getCrimeDataById(crimeData.id);
+    created.setDataValue('suspectedDuplicates', suspectedDuplicates);
+    return created;
   }
 
   /**
    * Update crime data
    * @param {number} id - Crime data ID
    * @param {Object} updateData - Update data
-   * @param {number} updatedBy - User ID who updated the record
+   * @param {Object} user - Updating user; records outside their jurisdiction are refused
    * @returns {Object} Updated crime data
    */
-  async updateCrimeData(id, updateData, updatedBy) {
+  async updateCrimeData(id, updateData, user) {
     const crimeData = await CIDCrimeData.findByPk(id);
     if (!crimeData || !crimeData.active) {
       throw new Error('Crime data not found');
     }
+    jurisdictionService.assertCanAccess(user, crimeData, `crime data ${id}`);
+    const updatedBy = user.id;
 
     // Check FIR number uniqueness if being updated
     if (updateData.firNumber && updateData.firNumber !== crimeData.firNumber) {
@@ -279,6 +303,16 @@ class CIDCrimeDataService {
       }
     }
 
+    // Both coordinates arrive together (validateCrimeDataUpdate); nulls clear the location
+    const clearsLocation = updateData.latitude === null && updateData.longitude === null;
+    if (updateData.latitude !== undefined && !clearsLocation) {
+      Object.assign(updateData, await cidGeoService.locationValues({
+        latitude: updateData.latitude,
+        longitude: updateData.longitude,
+        policeStationId: updateData.policeStationId || crimeData.policeStationId
+      }));
+    }
+
     // Update date if provided
     if (updateData.dateOfOccurrence) {
       updateData.dateOfOccurrence = new Date(updateData.dateOfOccurrence);
@@ -290,20 +324,28 @@ class CIDCrimeDataService {
 
     logger.info(`Crime data ${id} updated by user ${updatedBy}`);
 
-    return await this.getCrimeDataById(id);
+    const suspectedDuplicates = cidDuplicateService.affectsDetection(updateData)
+      ? await cidDuplicateService.detect(crimeData, { detectedBy: updatedBy, user })
+      : null;
+
+    const updated = await this.getCrimeDataById(id);
+    if (suspectedDuplicates) updated.setDataValue('suspectedDuplicates', suspectedDuplicates);
+    return updated;
   }
 
   /**
    * Delete crime data (soft delete)
    * @param {number} id - Crime data ID
-   * @param {number} deletedBy - User ID who deleted the record
+   * @param {Object} user - Deleting user; records outside their jurisdiction are refused
    * @returns {Object} Response
    */
-  async deleteCrimeData(id, deletedBy) {
+  async deleteCrimeData(id, user) {
     const crimeData = await CIDCrimeData.findByPk(id);
     if (!crimeData || !crimeData.active) {
       throw new Error('Crime data not found');
     }
+    jurisdictionService.assertCanAccess(user, crimeData, `crime data ${id}`);
+    const deletedBy = user.id;
 
     await crimeData.update({
       active: false,
@@ -311,17 +353,7 @@ class CIDCrimeDataService {
     });
 
     // Soft delete related persons
-    await CIDCrimeVictimPerson.update(
-      { active: false, updatedBy: deletedBy },
-      { where: { crimeDataId: id } }
-    );
-
-    await CIDCrimeAccusedPerson.update(
-      { active: false, updatedBy: deletedBy },
-      { where: { crimeDataId: id } }
-    );
-
-    await CIDCrimeDeceasedPerson.update(
+    await CIDCrimePerson.update(
       { active: false, updatedBy: deletedBy },
       { where: { crimeDataId: id } }
     );
@@ -337,9 +369,10 @@ class CIDCrimeDataService {
   /**
    * Get crime statistics
    * @param {Object} filters - Filter options
+   * @param {Object} viewer - Requesting user; records are limited to their jurisdiction
    * @returns {Object} Crime statistics
    */
-  async getCrimeStatistics(filters = {}) {
+  async getCrimeStatistics(filters = {}, viewer = null) {
     const { 
       districtId, 
       categoryId, 
@@ -348,7 +381,7 @@ class CIDCrimeDataService {
       year 
     } = filters;
 
-    const whereCondition = { active: true };
+    const whereCondition = { active: true, ...jurisdictionService.scopeWhere(viewer) };
 
     if (districtId) whereCondition.districtId = districtId;
     if (categoryId) whereCondition.categoryId = categoryId;
@@ -379,7 +412,7 @@ class CIDCrimeDataService {
         { model: CIDCrimeCategory, as: 'category', attributes: ['categoryName'] }
       ],
       where: whereCondition,
-      group: ['categoryId', 'category.id'],
+      group: ['CIDCrimeData.cid_crime_category_id', 'category.id'],
       raw: false
     });
 
@@ -390,28 +423,28 @@ class CIDCrimeDataService {
         [Sequelize.fn('COUNT', Sequelize.col('CIDCrimeData.id')), 'count']
       ],
       include: [
-        { model: CIDDistrict, as: 'district', attributes: ['districtName'] }
+        { model: CIDDistrict, as: 'district', attributes: ['name'] }
       ],
       where: whereCondition,
-      group: ['districtId', 'district.id'],
+      group: ['CIDCrimeData.cid_district_id', 'district.id'],
       raw: false
     });
 
     // Monthly trend (for current year or specified date range)
     const monthlyTrend = await CIDCrimeData.findAll({
       attributes: [
-        [Sequelize.fn('MONTH', Sequelize.col('dateOfOccurrence')), 'month'],
-        [Sequelize.fn('YEAR', Sequelize.col('dateOfOccurrence')), 'year'],
+        [Sequelize.fn('MONTH', Sequelize.col('date')), 'month'],
+        [Sequelize.fn('YEAR', Sequelize.col('date')), 'year'],
         [Sequelize.fn('COUNT', Sequelize.col('CIDCrimeData.id')), 'count']
       ],
       where: whereCondition,
       group: [
-        Sequelize.fn('YEAR', Sequelize.col('dateOfOccurrence')),
-        Sequelize.fn('MONTH', Sequelize.col('dateOfOccurrence'))
+        Sequelize.fn('YEAR', Sequelize.col('date')),
+        Sequelize.fn('MONTH', Sequelize.col('date'))
       ],
       order: [
-        [Sequelize.fn('YEAR', Sequelize.col('dateOfOccurrence')), 'ASC'],
-        [Sequelize.fn('MONTH', Sequelize.col('dateOfOccurrence')), 'ASC']
+        [Sequelize.fn('YEAR', Sequelize.col('date')), 'ASC'],
+        [Sequelize.fn('MONTH', Sequelize.col('date')), 'ASC']
       ],
       raw: true
     });
@@ -419,11 +452,11 @@ class CIDCrimeDataService {
     return {
       totalCrimes,
       crimesByCategory: crimesByCategory.map(item => ({
-        categoryName: item.category.categoryName,
+        categoryName: item.category?.categoryName || null,
         count: parseInt(item.get('count'))
       })),
       crimesByDistrict: crimesByDistrict.map(item => ({
-        districtName: item.district.districtName,
+        districtName: item.district?.name || null,
         count: parseInt(item.get('count'))
       })),
       monthlyTrend
@@ -434,13 +467,15 @@ class CIDCrimeDataService {
    * Search crime data
    * @param {string} searchTerm - Search term
    * @param {Object} filters - Additional filters
+   * @param {Object} viewer - Requesting user; records are limited to their jurisdiction
    * @returns {Array} Matching crime data
    */
-  async searchCrimeData(searchTerm, filters = {}) {
+  async searchCrimeData(searchTerm, filters = {}, viewer = null) {
     const { categoryId, districtId, limit = 50 } = filters;
 
     const whereCondition = {
       active: true,
+      ...jurisdictionService.scopeWhere(viewer),
       [Op.or]: [
         { firNumber: { [Op.like]: `%${searchTerm}%` } },
         { crimeNumber: { [Op.like]: `%${searchTerm}%` } },
@@ -469,11 +504,12 @@ class CIDCrimeDataService {
   /**
    * Get crimes by active status
    * @param {boolean} active - Active status
+   * @param {Object} viewer - Requesting user; records are limited to their jurisdiction
    * @returns {Array} Crime data
    */
-  async getCrimesByActiveStatus(active) {
+  async getCrimesByActiveStatus(active, viewer = null) {
     const crimeData = await CIDCrimeData.findAll({
-      where: { active },
+      where: { active, ...jurisdictionService.scopeWhere(viewer) },
       include: [
         { model: CIDCrimeCategory, as: 'category' },
         { model: CIDDistrict, as: 'district' },
@@ -486,78 +522,53 @@ class CIDCrimeDataService {
   }
 
   /**
-   * Add victim to crime data
+   * Add a person to crime data
    * @param {number} crimeDataId - Crime data ID
-   * @param {Object} victimData - Victim data
-   * @param {number} createdBy - User ID who added the victim
-   * @returns {Object} Created victim record
+   * @param {string} role - VICTIM, ACCUSED, DECEASED or WITNESS
+   * @param {Object} personData - Person details (see PERSON_FIELDS)
+   * @param {Object} user - Adding user; records outside their jurisdiction are refused
+   * @returns {Object} Created person record
    */
-  async addVictim(crimeDataId, victimData, createdBy) {
+  async addPerson(crimeDataId, role, personData, user) {
     // Verify crime data exists
     const crimeData = await CIDCrimeData.findByPk(crimeDataId);
     if (!crimeData || !crimeData.active) {
       throw new Error('Crime data not found');
     }
+    jurisdictionService.assertCanAccess(user, crimeData, `crime data ${crimeDataId}`);
+    const createdBy = user.id;
 
-    const victim = await CIDCrimeVictimPerson.create({
-      crimeDataId,
-      ...victimData,
-      active: true,
-      createdBy
-    });
+    const person = await CIDCrimePerson.create(this.personRecord(crimeDataId, role, personData, createdBy));
 
-    logger.info(`Victim added to crime data ${crimeDataId} by user ${createdBy}`);
-    return victim;
+    logger.info(`Person (${role}) added to crime data ${crimeDataId} by user ${createdBy}`);
+    return person;
   }
 
-  /**
-   * Add accused to crime data
-   * @param {number} crimeDataId - Crime data ID
-   * @param {Object} accusedData - Accused data
-   * @param {number} createdBy - User ID who added the accused
-   * @returns {Object} Created accused record
-   */
-  async addAccused(crimeDataId, accusedData, createdBy) {
-    // Verify crime data exists
-    const crimeData = await CIDCrimeData.findByPk(crimeDataId);
-    if (!crimeData || !crimeData.active) {
-      throw new Error('Crime data not found');
-    }
+  async addVictim(crimeDataId, victimData, user) {
+    return this.addPerson(crimeDataId, 'VICTIM', victimData, user);
+  }
 
-    const accused = await CIDCrimeAccusedPerson.create({
-      crimeDataId,
-      ...accusedData,
-      active: true,
-      createdBy
-    });
+  async addAccused(crimeDataId, accusedData, user) {
+    return this.addPerson(crimeDataId, 'ACCUSED', accusedData, user);
+  }
+
+  async addDeceased(crimeDataId, deceasedData, user) {
+    return this.addPerson(crimeDataId, 'DECEASED', deceasedData, user);
+  }
 
-    logger.info(`Accused added to crime data ${crimeDataId} by user ${createdBy}`);
-    return accused;
+  async addWitness(crimeDataId, witnessData, user) {
+    return this.addPerson(crimeDataId, 'WITNESS', witnessData, user);
   }
 
   /**
-   * Add deceased to crime data
-   * @param {number} crimeDataId - Crime data ID
-   * @param {Object} deceasedData - Deceased data
-   * @param {number} createdBy - User ID who added the deceased
-   * @returns {Object} Created deceased record
+   * Person row from request data; only PERSON_FIELDS are taken over
    */
-  async addDeceased(crimeDataId, deceasedData, createdBy) {
-    // Verify crime data exists
-    const crimeData = await CIDCrimeData.findByPk(crimeDataId);
-    if (!crimeData || !crimeData.active) {
-      throw new Error('Crime data not found');
-    }
-
-    const deceased = await CIDCrimeDeceasedPerson.create({
-      crimeDataId,
-      ...deceasedData,
-      active: true,
-      createdBy
+  personRecord(crimeDataId, role, personData, createdBy) {
+    const record = { crimeDataId, role, active: true, createdBy };
+    PERSON_FIELDS.forEach(field => {
+      if (personData[field] !== undefined) record[field] = personData[field];
     });
-
-    logger.info(`Deceased added to crime data ${crimeDataId} by user ${createdBy}`);
-    return deceased;
+    return record;
   }
 }
 
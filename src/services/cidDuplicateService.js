@@ -0,0 +1,666 @@
+const {
+  CIDCrimeData,
+  CIDCrimePerson,
+  CIDDuplicateCandidate,
+  CIDCaseMerge,
+  CIDDistrict,
+  CIDPoliceStation,
+  StoredFile,
+  User
+} = require('../models');
+const sequelize = require('../config/database');
+const jurisdictionService = require('./jurisdictionService');
+const geo = require('../utils/geo');
+const firNumberUtil = require('../utils/firNumberUtil');
+const logger = require('../utils/logger');
+const {
+  ValidationException,
+  NotFoundException,
+  AuthorizationException,
+  BusinessRuleException
+} = require('../exceptions');
+const { Op } = require('sequelize');
+
+// Score (0-100) from which a pair of cases is queued for review
+const DUPLICATE_SCORE_THRESHOLD = parseInt(process.env.CID_DUPLICATE_SCORE_THRESHOLD) || 60;
+// Days either side of the date of occurrence searched for duplicates
+const DUPLICATE_DATE_WINDOW_DAYS = parseInt(process.env.CID_DUPLICATE_DATE_WINDOW_DAYS) || 3;
+// Crime scenes closer than this are treated as the same place
+const DUPLICATE_DISTANCE_KM = parseFloat(process.env.CID_DUPLICATE_DISTANCE_KM) || 0.5;
+// Existing cases compared against one case
+const DUPLICATE_MAX_COMPARISONS = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Case fields whose change re-runs detection
+const DETECTION_FIELDS = [
+  'firNumber', 'crimeNumber', 'dateOfOccurrence', 'policeStationId', 'districtId',
+  'placeOfOccurrence', 'location', 'address1', 'latitude', 'longitude'
+];
+
+// Kept case fields filled from the merged case when empty
+const MERGE_FILL_FIELDS = [
+  'crimeNumber', 'section', 'categoryTypeId', 'modusId', 'subDivisionId', 'policeStationId',
+  'placeOfOccurrence', 'location', 'address1', 'address2', 'timeOfOccurrence', 'briefFacts',
+  'cashCollection', 'cashCollectionAmount', 'lootedPropertyValue'
+];
+
+// Free-text fields appended from the merged case
+const MERGE_APPEND_FIELDS = ['remark', 'otherEvidence', 'lootedItems'];
+
+const CASE_SUMMARY_ATTRIBUTES = [
+  'id', 'firNumber', 'crimeNumber', 'dateOfOccurrence', 'placeOfOccurrence', 'location',
+  'districtId', 'policeStationId', 'status', 'active', 'mergedIntoId', 'stateId', 'rangeId', 'battalionId'
+];
+
+const caseSummaryIncludes = () => [
+  { model: CIDDistrict, as: 'district', attributes: ['id', 'name'] },
+  { model: CIDPoliceStation, as: 'policeStation', attributes: ['id', 'name'] }
+];
+
+/**
+ * Duplicate FIR detection for CID cases. A case is compared with cases
+ * recorded around the same date or under the same FIR number, across all
+ * jurisdictions since duplicates usually come from different units; cases
+ * outside the user's jurisdiction are shown only by their owning unit. Likely
+ * pairs go to a review queue where they are dismissed or merged; a merge
+ * moves persons, files, evidence and remarks onto the kept case and keeps
+ * the merged record, deactivated, with a snapshot of how it was.
+ */
+class CIDDuplicateService {
+  /**
+   * Score a case against existing cases and queue the likely duplicates
+   * @param {Object} crimeData - Case (model instance)
+   * @param {Object} options - { transaction, detectedBy, user }; matched cases
+   *   outside the user's jurisdiction are reduced to their owning unit
+   * @returns {Array} Pending candidates of the case: [{ candidateId, score, reasons, matchedCase }]
+   */
+  async detect(crimeData, { transaction = null, detectedBy = null, user = null } = {}) {
+    const matches = await this.findMatches(crimeData, transaction);
+    const kept = new Set();
+    const results = [];
+
+    for (const { other, score, reasons } of matches) {
+      const pair = this.pair(crimeData.id, other.id);
+      let candidate = await CIDDuplicateCandidate.findOne({ where: pair, transaction });
+
+      if (!candidate) {
+        candidate = await CIDDuplicateCandidate.create({ ...pair, score, reasons, detectedBy }, { transaction });
+      } else if (candidate.status === 'PENDING') {
+        await candidate.update({ score, reasons }, { transaction });
+      } else {
+        // Reviewed pairs are not raised again
+        continue;
+      }
+
+      kept.add(candidate.id);
+      const restricted = !this.canView(user, other);
+      results.push({
+        candidateId: candidate.id,
+        score,
+        reasons: this.visibleReasons(reasons, restricted),
+        matchedCase: this.caseSummary(other, user)
+      });
+    }
+
+    // Pending pairs the case no longer resembles after an edit
+    await CIDDuplicateCandidate.destroy({
+      where: {
+        status: 'PENDING',
+        id: { [Op.notIn]: [...kept, 0] },
+        [Op.or]: [{ crimeDataId: crimeData.id }, { matchedCrimeDataId: crimeData.id }]
+      },
+      transaction
+    });
+
+    if (results.length) {
+      logger.info(`CID case ${crimeData.id} matches ${results.length} possible duplicates`);
+    }
+    return results;
+  }
+
+  /**
+   * Whether an update touches the fields detection looks at
+   */
+  affectsDetection(updateData) {
+    return DETECTION_FIELDS.some(field => updateData[field] !== undefined);
+  }
+
+  /**
+   * Existing cases scoring at or above the threshold, best first
+   * @returns {Array} [{ other, score, reasons }]
+   */
+  async findMatches(crimeData, transaction = null) {
+    const query = (where) => CIDCrimeData.findAll({
+      where: { active: true, id: { [Op.ne]: crimeData.id }, ...where },
+      attributes: [...CASE_SUMMARY_ATTRIBUTES, 'categoryId', 'address1', 'latitude', 'longitude'],
+      include: caseSummaryIncludes(),
+      order: [['dateOfOccurrence', 'DESC']],
+      limit: DUPLICATE_MAX_COMPARISONS,
+      transaction
+    });
+
+    // The same FIR number in any format, through the indexed normalized
+    // column, and everything recorded around the same date. Separate
+    // queries so a busy date window cannot crowd out the FIR matches.
+    const searches = [];
+    const firNumber = this.normalizeFir(crimeData.firNumber);
+    if (firNumber) searches.push({ firNumberNormalized: firNumber });
+    if (crimeData.dateOfOccurrence) {
+      const date = new Date(crimeData.dateOfOccurrence).getTime();
+      searches.push({
+        dateOfOccurrence: {
+          [Op.between]: [new Date(date - DUPLICATE_DATE_WINDOW_DAYS * DAY_MS), new Date(date + DUPLICATE_DATE_WINDOW_DAYS * DAY_MS)]
+        }
+      });
+    }
+
+    const others = new Map();
+    for (const where of searches) {
+      (await query(where)).forEach(other => others.set(other.id, other));
+    }
+
+    return [...others.values()]
+      .map(other => ({ other, ...this.score(crimeData, other) }))
+      .filter(match => match.score >= DUPLICATE_SCORE_THRESHOLD)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Likelihood (0-100) that two cases record the same FIR, with the rules
+   * that contributed
+   * @returns {Object} { score, reasons: [{ rule, points, detail }] }
+   */
+  score(a, b) {
+    const reasons = [];
+    const add = (rule, points, detail) => reasons.push({ rule, points, detail });
+
+    const firA = this.normalizeFir(a.firNumber);
+    const firB = this.normalizeFir(b.firNumber);
+    if (firA && firA === firB) {
+      add('FIR_NUMBER', 45, `${a.firNumber} / ${b.firNumber}`);
+    } else if (firA && firB && this.similarity(this.compact(a.firNumber), this.compact(b.firNumber)) >= 0.8) {
+      add('FIR_NUMBER_SIMILAR', 30, `${a.firNumber} / ${b.firNumber}`);
+    }
+
+    const crimeNumber = this.compact(a.crimeNumber);
+    if (crimeNumber && crimeNumber === this.compact(b.crimeNumber)) {
+      add('CRIME_NUMBER', 10, a.crimeNumber);
+    }
+
+    if (a.policeStationId && a.policeStationId === b.policeStationId) {
+      add('POLICE_STATION', 20, `Police station ${a.policeStationId}`);
+    } else if (a.districtId && a.districtId === b.districtId) {
+      add('DISTRICT', 5, `District ${a.districtId}`);
+    }
+
+    if (a.dateOfOccurrence && b.dateOfOccurrence) {
+      const days = Math.abs(this.dayNumber(a.dateOfOccurrence) - this.dayNumber(b.dateOfOccurrence));
+      if (days === 0) add('SAME_DATE', 15, 'Same date of occurrence');
+      else if (days <= DUPLICATE_DATE_WINDOW_DAYS) add('NEAR_DATE', 8, `${days} days apart`);
+    }
+
+    const placeA = this.placeText(a);
+    const placeB = this.placeText(b);
+    if (placeA && placeB) {
+      const similarity = this.similarity(placeA, placeB);
+      if (similarity >= 0.85) add('LOCATION', 20, `Place of occurrence ${Math.round(similarity * 100)}% similar`);
+      else if (similarity >= 0.6) add('LOCATION_SIMILAR', 10, `Place of occurrence ${Math.round(similarity * 100)}% similar`);
+    }
+
+    if (a.latitude !== null && a.latitude !== undefined && b.latitude !== null && b.latitude !== undefined) {
+      const distance = geo.distanceKm(Number(a.latitude), Number(a.longitude), Number(b.latitude), Number(b.longitude));
+      if (distance <= DUPLICATE_DISTANCE_KM) add('COORDINATES', 20, `${Math.round(distance * 1000)} m apart`);
+    }
+
+    if (a.categoryId && a.categoryId === b.categoryId) {
+      add('CATEGORY', 5, `Category ${a.categoryId}`);
+    }
+
+    const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0));
+    return { score, reasons };
+  }
+
+  /**
+   * FIR number as stored in fir_number_normalized, so "FIR No. 012/2024",
+   * "12-2024" and "12/24" compare equal
+   */
+  normalizeFir(value) {
+    return firNumberUtil.normalize(value);
+  }
+
+  // Letters and digits of any script; names are often entered in Hindi
+  compact(value) {
+    return String(value || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+  }
+
+  placeText(crimeData) {
+    return [crimeData.placeOfOccurrence, crimeData.location, crimeData.address1]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+      .trim();
+  }
+
+  dayNumber(date) {
+    const value = new Date(date);
+    return Math.floor(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) / DAY_MS);
+  }
+
+  /**
+   * Dice coefficient over character bigrams; tolerant of spelling
+   * differences and word order
+   * @returns {number} 0..1
+   */
+  similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const bigrams = (text) => {
+      const counts = new Map();
+      text.split(' ').forEach(word => {
+        const padded = ` ${word} `;
+        for (let i = 0; i < padded.length - 1; i++) {
+          const bigram = padded.substring(i, i + 2);
+          counts.set(bigram, (counts.get(bigram) || 0) + 1);
+        }
+      });
+      return counts;
+    };
+
+    const countsA = bigrams(a);
+    const countsB = bigrams(b);
+    let overlap = 0;
+    let total = 0;
+    countsA.forEach((count, bigram) => {
+      overlap += Math.min(count, countsB.get(bigram) || 0);
+      total += count;
+    });
+    countsB.forEach(count => { total += count; });
+
+    return total ? (2 * overlap) / total : 0;
+  }
+
+  // Pairs are stored newer case first so each pair has one row
+  pair(idA, idB) {
+    return {
+      crimeDataId: Math.max(idA, idB),
+      matchedCrimeDataId: Math.min(idA, idB)
+    };
+  }
+
+  /**
+   * Re-run detection for one case, e.g. for records entered before detection existed
+   */
+  async scan(crimeDataId, user) {
+    const crimeData = await CIDCrimeData.findByPk(crimeDataId);
+    if (!crimeData || !crimeData.active) {
+      throw new NotFoundException('Crime data', crimeDataId);
+    }
+    jurisdictionService.assertCanAccess(user, crimeData, `crime data ${crimeDataId}`);
+
+    return this.detect(crimeData, { detectedBy: user.id, user });
+  }
+
+  /**
+   * Review queue: pairs where at least one case is in the user's jurisdiction
+   * @param {Object} filters - { status (default PENDING), minScore, crimeDataId, page, size }
+   */
+  async listCandidates(filters, user) {
+    const page = parseInt(filters.page) || 0;
+    const size = Math.min(parseInt(filters.size) || 20, 100);
+
+    const where = { status: String(filters.status || 'PENDING').toUpperCase() };
+    if (filters.minScore) where.score = { [Op.gte]: parseFloat(filters.minScore) };
+    if (filters.crimeDataId) {
+      const id = parseInt(filters.crimeDataId);
+      where[Op.or] = [{ crimeDataId: id }, { matchedCrimeDataId: id }];
+    }
+
+    if (!jurisdictionService.isGlobal(user)) {
+      const scoped = (as) => jurisdictionService.scopeWhere(user, {
+        stateId: `$${as}.state_id$`,
+        rangeId: `$${as}.range_id$`,
+        battalionId: `$${as}.battalion_id$`
+      });
+      where[Op.and] = [{ [Op.or]: [scoped('crimeData'), scoped('matchedCrimeData')] }];
+    }
+
+    const { count, rows } = await CIDDuplicateCandidate.findAndCountAll({
+      where,
+      include: [
+        { model: CIDCrimeData, as: 'crimeData', attributes: CASE_SUMMARY_ATTRIBUTES, include: caseSummaryIncludes() },
+        { model: CIDCrimeData, as: 'matchedCrimeData', attributes: CASE_SUMMARY_ATTRIBUTES, include: caseSummaryIncludes() },
+        { model: User, as: 'reviewer', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['score', 'DESC'], ['created_date', 'ASC']],
+      limit: size,
+      offset: page * size,
+      distinct: true
+    });
+
+    return {
+      candidates: rows.map(candidate => this.toDTO(candidate, user)),
+      pagination: {
+        currentPage: page,
+        pageSize: size,
+        totalElements: count,
+        totalPages: Math.ceil(count / size)
+      }
+    };
+  }
+
+  /**
+   * Mark a suspected pair as distinct cases
+   */
+  async dismiss(candidateId, { remarks = null } = {}, user) {
+    const candidate = await this.loadPending(candidateId);
+    const [crimeData, matched] = await Promise.all([
+      CIDCrimeData.findByPk(candidate.crimeDataId),
+      CIDCrimeData.findByPk(candidate.matchedCrimeDataId)
+    ]);
+    if (![crimeData, matched].some(record => record && jurisdictionService.canAccess(user, record))) {
+      throw new AuthorizationException('Access denied: both cases are outside your jurisdiction');
+    }
+
+    await candidate.update({
+      status: 'DISMISSED',
+      reviewedBy: user.id,
+      reviewedAt: new Date(),
+      reviewRemarks: remarks
+    });
+
+    logger.info(`Duplicate candidate ${candidateId} dismissed by user ${user.id}`);
+    return this.getCandidate(candidateId, user);
+  }
+
+  /**
+   * Merge a suspected pair into one case
+   * @param {number} candidateId - Duplicate candidate ID
+   * @param {Object} options - { keepCaseId (default the older case), remarks }
+   * @param {Object} user - Acting user; needs access to both cases
+   * @returns {Object} { keptCaseId, mergedCaseId, mergeId, changes }
+   */
+  async merge(candidateId, { keepCaseId = null, remarks = null } = {}, user) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const candidate = await this.loadPending(candidateId, transaction);
+      const ids = [candidate.crimeDataId, candidate.matchedCrimeDataId];
+      const targetId = keepCaseId ? parseInt(keepCaseId) : candidate.matchedCrimeDataId;
+      if (!ids.includes(targetId)) {
+        throw new ValidationException('The kept case must be one of the pair', [
+          { field: 'keepCaseId', message: `keepCaseId must be ${ids.join(' or ')}` }
+        ], 'keepCaseId');
+      }
+      const sourceId = ids.find(id => id !== targetId);
+
+      const [target, source] = await Promise.all([
+        CIDCrimeData.findByPk(targetId, { transaction, lock: transaction.LOCK.UPDATE }),
+        CIDCrimeData.findByPk(sourceId, { transaction, lock: transaction.LOCK.UPDATE })
+      ]);
+      [[target, targetId], [source, sourceId]].forEach(([record, id]) => {
+        if (!record || !record.active) throw new NotFoundException('Crime data', id);
+        jurisdictionService.assertCanAccess(user, record, `crime data ${id}`);
+      });
+
+      const persons = await CIDCrimePerson.findAll({
+        where: { crimeDataId: { [Op.in]: ids }, active: true },
+        transaction
+      });
+      const targetPersons = persons.filter(person => person.crimeDataId === targetId);
+      const sourcePersons = persons.filter(person => person.crimeDataId === sourceId);
+      const sourceFiles = await StoredFile.findAll({
+        where: { entityType: 'CID_CRIME', entityId: sourceId, active: true },
+        attributes: ['id'],
+        transaction
+      });
+
+      const snapshot = { ...source.toJSON(), persons: sourcePersons.map(person => person.toJSON()) };
+
+      // Persons already on the kept case are not copied twice
+      const movedPersonIds = [];
+      const skippedPersonIds = [];
+      for (const person of sourcePersons) {
+        const existing = targetPersons.find(other => this.samePerson(person, other));
+        if (existing) {
+          await person.update({ active: false, updatedBy: user.id }, { transaction });
+          skippedPersonIds.push(person.id);
+        } else {
+          await person.update({ crimeDataId: targetId, updatedBy: user.id }, { transaction });
+          movedPersonIds.push(person.id);
+        }
+      }
+
+      if (sourceFiles.length) {
+        await StoredFile.update({ entityId: targetId }, {
+          where: { id: { [Op.in]: sourceFiles.map(file => file.id) } },
+          transaction
+        });
+      }
+
+      const values = this.mergedValues(target, source);
+      await target.update({ ...values, updatedBy: user.id }, { transaction });
+      await source.update({
+        active: false,
+        mergedIntoId: targetId,
+        mergedAt: new Date(),
+        updatedBy: user.id
+      }, { transaction });
+
+      const changes = {
+        movedPersonIds,
+        skippedPersonIds,
+        movedFileIds: sourceFiles.map(file => file.id),
+        filledFields: Object.keys(values)
+      };
+      const mergeRecord = await CIDCaseMerge.create({
+        targetCrimeDataId: targetId,
+        sourceCrimeDataId: sourceId,
+        duplicateCandidateId: candidate.id,
+        sourceSnapshot: snapshot,
+        changes,
+        mergedBy: user.id,
+        remarks
+      }, { transaction });
+
+      await candidate.update({
+        status: 'MERGED',
+        reviewedBy: user.id,
+        reviewedAt: new Date(),
+        reviewRemarks: remarks
+      }, { transaction });
+      await this.repointCandidates(sourceId, targetId, user, transaction);
+
+      await transaction.commit();
+      logger.info(`CID case ${sourceId} merged into ${targetId} by user ${user.id}`);
+
+      return { keptCaseId: targetId, mergedCaseId: sourceId, mergeId: mergeRecord.id, changes };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Values the kept case takes from the merged one: empty fields are
+   * filled and free-text evidence and remarks are appended
+   */
+  mergedValues(target, source) {
+    const values = {};
+    const isEmpty = (value) => value === null || value === undefined || value === '';
+
+    MERGE_FILL_FIELDS.forEach(field => {
+      if (isEmpty(target[field]) && !isEmpty(source[field])) values[field] = source[field];
+    });
+    if (isEmpty(target.latitude) && !isEmpty(source.latitude)) {
+      values.latitude = source.latitude;
+      values.longitude = source.longitude;
+    }
+
+    MERGE_APPEND_FIELDS.forEach(field => {
+      const text = source[field];
+      if (isEmpty(text) || (target[field] || '').includes(text)) return;
+      const entry = `[Merged from FIR ${source.firNumber}] ${text}`;
+      values[field] = isEmpty(target[field]) ? entry : `${target[field]}\n${entry}`;
+    });
+
+    return values;
+  }
+
+  // Names that reduce to nothing never identify a person
+  samePerson(a, b) {
+    const name = this.compact(a.name);
+    if (a.role !== b.role || !name || name !== this.compact(b.name)) return false;
+    const relativeA = this.compact(a.relativeName);
+    const relativeB = this.compact(b.relativeName);
+    if (relativeA && relativeB && relativeA !== relativeB) return false;
+    if (a.age && b.age && Math.abs(a.age - b.age) > 2) return false;
+    return true;
+  }
+
+  /**
+   * Pending pairs of the merged case now concern the kept case
+   */
+  async repointCandidates(sourceId, targetId, user, transaction) {
+    const candidates = await CIDDuplicateCandidate.findAll({
+      where: {
+        status: 'PENDING',
+        [Op.or]: [{ crimeDataId: sourceId }, { matchedCrimeDataId: sourceId }]
+      },
+      transaction
+    });
+
+    for (const candidate of candidates) {
+      const otherId = candidate.crimeDataId === sourceId ? candidate.matchedCrimeDataId : candidate.crimeDataId;
+      if (otherId === targetId) {
+        await candidate.update({
+          status: 'MERGED',
+          reviewedBy: user.id,
+          reviewedAt: new Date(),
+          reviewRemarks: `Merged with candidate pair of case ${sourceId}`
+        }, { transaction });
+        continue;
+      }
+
+      const pair = this.pair(targetId, otherId);
+      const existing = await CIDDuplicateCandidate.findOne({ where: pair, transaction });
+      if (existing) {
+        await candidate.destroy({ transaction });
+      } else {
+        await candidate.update(pair, { transaction });
+      }
+    }
+  }
+
+  async loadPending(candidateId, transaction = null) {
+    const candidate = await CIDDuplicateCandidate.findByPk(candidateId, {
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE })
+    });
+    if (!candidate) throw new NotFoundException('Duplicate candidate', candidateId);
+    if (candidate.status !== 'PENDING') {
+      throw new BusinessRuleException(
+        `Duplicate candidate was already ${candidate.status.toLowerCase()}`,
+        'DUPLICATE_ALREADY_REVIEWED',
+        { candidateId, status: candidate.status }
+      );
+    }
+    return candidate;
+  }
+
+  /**
+   * Suspected pair; with a user, one of its cases must be in their jurisdiction
+   */
+  async getCandidate(candidateId, user = null) {
+    const candidate = await CIDDuplicateCandidate.findByPk(candidateId, {
+      include: [
+        { model: CIDCrimeData, as: 'crimeData', attributes: CASE_SUMMARY_ATTRIBUTES, include: caseSummaryIncludes() },
+        { model: CIDCrimeData, as: 'matchedCrimeData', attributes: CASE_SUMMARY_ATTRIBUTES, include: caseSummaryIncludes() },
+        { model: User, as: 'reviewer', attributes: ['id', 'firstName', 'lastName'] }
+      ]
+    });
+    if (!candidate) throw new NotFoundException('Duplicate candidate', candidateId);
+    if (user && ![candidate.crimeData, candidate.matchedCrimeData].some(record => record && jurisdictionService.canAccess(user, record))) {
+      throw new AuthorizationException('Access denied: both cases are outside your jurisdiction');
+    }
+    return this.toDTO(candidate, user);
+  }
+
+  /**
+   * Merges into or out of a case, with the merged record as it was
+   */
+  async listMerges(crimeDataId, user) {
+    const crimeData = await CIDCrimeData.findByPk(crimeDataId);
+    if (!crimeData) throw new NotFoundException('Crime data', crimeDataId);
+    jurisdictionService.assertCanAccess(user, crimeData, `crime data ${crimeDataId}`);
+
+    return CIDCaseMerge.findAll({
+      where: {
+        [Op.or]: [{ targetCrimeDataId: crimeDataId }, { sourceCrimeDataId: crimeDataId }]
+      },
+      include: [{ model: User, as: 'merger', attributes: ['id', 'firstName', 'lastName'] }],
+      order: [['created_date', 'DESC']]
+    });
+  }
+
+  // Without a user (internal callers) every case is visible
+  canView(user, crimeData) {
+    return !user || jurisdictionService.canAccess(user, crimeData);
+  }
+
+  /**
+   * Case as shown next to a suspected duplicate; a case outside the user's
+   * jurisdiction shows only the unit that owns it
+   */
+  caseSummary(crimeData, user = null) {
+    if (!crimeData) return null;
+    if (!this.canView(user, crimeData)) {
+      return {
+        restricted: true,
+        stateId: crimeData.stateId,
+        rangeId: crimeData.rangeId,
+        battalionId: crimeData.battalionId
+      };
+    }
+    return {
+      id: crimeData.id,
+      firNumber: crimeData.firNumber,
+      crimeNumber: crimeData.crimeNumber,
+      dateOfOccurrence: crimeData.dateOfOccurrence,
+      placeOfOccurrence: crimeData.placeOfOccurrence,
+      location: crimeData.location,
+      status: crimeData.status,
+      active: crimeData.active,
+      mergedIntoId: crimeData.mergedIntoId,
+      district: crimeData.district || null,
+      policeStation: crimeData.policeStation || null
+    };
+  }
+
+  // Reason details quote FIR numbers and places of both cases
+  visibleReasons(reasons, restricted) {
+    return restricted ? reasons.map(({ rule, points }) => ({ rule, points })) : reasons;
+  }
+
+  toDTO(candidate, user = null) {
+    const reasons = typeof candidate.reasons === 'string' ? JSON.parse(candidate.reasons) : candidate.reasons;
+    const restricted = [candidate.crimeData, candidate.matchedCrimeData]
+      .some(record => record && !this.canView(user, record));
+    return {
+      id: candidate.id,
+      score: parseFloat(candidate.score),
+      reasons: this.visibleReasons(reasons || [], restricted),
+      status: candidate.status,
+      crimeData: this.caseSummary(candidate.crimeData, user),
+      matchedCrimeData: this.caseSummary(candidate.matchedCrimeData, user),
+      reviewer: candidate.reviewer || null,
+      reviewedAt: candidate.reviewedAt,
+      reviewRemarks: candidate.reviewRemarks,
+      detectedAt: candidate.created_date
+    };
+  }
+}
+
+module.exports = new CIDDuplicateService();
@@ -0,0 +1,423 @@
+const {
+  CIDCrimeData,
+  CIDCrimeCategory,
+  CIDPoliceStation
+} = require('../models');
+const sequelize = require('../config/database');
+const cidAnalyticsService = require('./cidAnalyticsService');
+const jurisdictionService = require('./jurisdictionService');
+const geo = require('../utils/geo');
+const logger = require('../utils/logger');
+const { ValidationException, NotFoundException } = require('../exceptions');
+const { Op } = require('sequelize');
+
+// Cases returned by one spatial query or GeoJSON export
+const CID_GEO_MAX_FEATURES = parseInt(process.env.CID_GEO_MAX_FEATURES) || 5000;
+// Largest radius accepted by radius searches
+const CID_GEO_MAX_RADIUS_KM = parseInt(process.env.CID_GEO_MAX_RADIUS_KM) || 200;
+
+// Feature property used to find the police station of an imported boundary
+const BOUNDARY_MATCH_FIELDS = ['code', 'id', 'name'];
+
+// Case attributes returned with locations
+const CASE_ATTRIBUTES = [
+  'id', 'firNumber', 'dateOfOccurrence', 'placeOfOccurrence', 'status',
+  'categoryId', 'districtId', 'subDivisionId', 'policeStationId', 'latitude', 'longitude'
+];
+
+/**
+ * Crime scene geolocation: police station boundaries imported from GeoJSON,
+ * automatic assignment of located cases to the station whose boundary
+ * contains them, and radius/polygon searches returning GeoJSON for maps.
+ */
+class CIDGeoService {
+  /**
+   * Import police station boundaries from a GeoJSON FeatureCollection
+   * @param {Object} file - Multer file held in memory, or null when geojson is given
+   * @param {Object} options - { geojson, matchBy (code, id, name), dryRun (default true) }
+   * @param {Object} user - Importing user
+   * @returns {Object} Import report
+   * @throws {ValidationException} Bad file, or rejected features on a real import
+   */
+  async importBoundaries(file, { geojson = null, matchBy = 'code', dryRun = true } = {}, user) {
+    const collection = geojson || this.parseGeoJSONFile(file);
+    const match = String(matchBy || 'code').toLowerCase();
+    if (!BOUNDARY_MATCH_FIELDS.includes(match)) {
+      throw new ValidationException('Invalid matchBy', [
+        { field: 'matchBy', message: `Allowed values: ${BOUNDARY_MATCH_FIELDS.join(', ')}` }
+      ], 'matchBy');
+    }
+    if (collection?.type !== 'FeatureCollection' || !Array.isArray(collection.features) || !collection.features.length) {
+      throw new ValidationException('Expected a GeoJSON FeatureCollection with at least one feature', [], 'file');
+    }
+
+    const stations = await CIDPoliceStation.findAll({
+      where: { active: true },
+      attributes: ['id', 'name', 'code']
+    });
+    const lookup = new Map();
+    stations.forEach(station => {
+      const key = this.matchKey(match, station[match]);
+      lookup.set(key, lookup.has(key) ? null : station);
+    });
+
+    const seen = new Map();
+    const plan = collection.features.map((feature, index) => {
+      const item = { featureIndex: index, key: feature?.properties?.[match] ?? null, policeStation: null, errors: [] };
+      const reject = (field, message) => item.errors.push({ field, message });
+
+      if (item.key === null || item.key === '') {
+        reject(`properties.${match}`, `Feature has no ${match} property`);
+        return item;
+      }
+      const station = lookup.get(this.matchKey(match, item.key));
+      if (station === undefined) reject(`properties.${match}`, `No active police station with ${match} '${item.key}'`);
+      if (station === null) reject(`properties.${match}`, `Several police stations have ${match} '${item.key}'`);
+
+      try {
+        item.geometry = geo.toPolygonGeometry(feature, 'geometry');
+        item.bounds = geo.geometryBounds(item.geometry);
+      } catch (error) {
+        if (!error.validationErrors) throw error;
+        error.validationErrors.forEach(detail => reject(detail.field, detail.message));
+      }
+
+      if (station) {
+        item.policeStation = { id: station.id, code: station.code, name: station.name };
+        if (seen.has(station.id)) {
+          reject(`properties.${match}`, `Police station already has a boundary in feature ${seen.get(station.id)}`);
+        }
+        seen.set(station.id, index);
+      }
+      return item;
+    });
+
+    const report = {
+      dryRun,
+      committed: false,
+      matchBy: match,
+      totalFeatures: plan.length,
+      summary: {
+        matched: plan.filter(item => !item.errors.length).length,
+        rejected: plan.filter(item => item.errors.length).length
+      },
+      features: plan.map(({ featureIndex, key, policeStation, bounds, errors }) => ({ featureIndex, key, policeStation, bounds: bounds || null, errors })),
+      errors: plan.flatMap(item => item.errors.map(error => ({ featureIndex: item.featureIndex, ...error })))
+    };
+
+    if (dryRun) return report;
+
+    if (report.errors.length) {
+      throw new ValidationException(
+        `${report.summary.rejected} of ${plan.length} features were rejected; nothing was imported`,
+        report.errors,
+        'file'
+      );
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      for (const item of plan) {
+        await CIDPoliceStation.update({
+          boundary: item.geometry,
+          ...item.bounds,
+          updatedBy: user.id
+        }, { where: { id: item.policeStation.id }, transaction });
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info(`Police station boundaries imported by user ${user.id}: ${plan.length} stations`);
+    report.committed = true;
+    return report;
+  }
+
+  parseGeoJSONFile(file) {
+    if (!file) {
+      throw new ValidationException('No GeoJSON uploaded', [{ field: 'file', message: 'Upload a .geojson/.json file or send a FeatureCollection' }], 'file');
+    }
+    try {
+      return JSON.parse(file.buffer.toString('utf8'));
+    } catch (error) {
+      throw new ValidationException('File is not valid JSON', [{ field: 'file', message: error.message }], 'file');
+    }
+  }
+
+  matchKey(match, value) {
+    if (match === 'id') return parseInt(value);
+    return String(value).trim().toLowerCase();
+  }
+
+  /**
+   * Police station whose boundary contains a point. Where boundaries
+   * overlap, the smallest one wins.
+   * @returns {Object|null} Police station (id, name, code, cidDistrictId, cidSubDivisionId)
+   */
+  async findContainingStation(latitude, longitude, transaction = null) {
+    const candidates = await CIDPoliceStation.scope('withBoundary').findAll({
+      where: {
+        active: true,
+        boundary: { [Op.ne]: null },
+        minLat: { [Op.lte]: latitude },
+        maxLat: { [Op.gte]: latitude },
+        minLng: { [Op.lte]: longitude },
+        maxLng: { [Op.gte]: longitude }
+      },
+      attributes: ['id', 'name', 'code', 'cidDistrictId', 'cidSubDivisionId', 'boundary', 'minLat', 'maxLat', 'minLng', 'maxLng'],
+      transaction
+    });
+
+    const containing = candidates
+      .filter(station => geo.containsPoint(this.boundaryOf(station), latitude, longitude))
+      .sort((a, b) => geo.boundsArea(this.boundsOf(a)) - geo.boundsArea(this.boundsOf(b)));
+
+    return containing[0] || null;
+  }
+
+  // MySQL may hand JSON columns back as strings
+  boundaryOf(station) {
+    return typeof station.boundary === 'string' ? JSON.parse(station.boundary) : station.boundary;
+  }
+
+  boundsOf(station) {
+    return {
+      minLat: Number(station.minLat),
+      maxLat: Number(station.maxLat),
+      minLng: Number(station.minLng),
+      maxLng: Number(station.maxLng)
+    };
+  }
+
+  /**
+   * Police station, sub-division and district of a point
+   * @returns {Object} { latitude, longitude, policeStation, subDivisionId, districtId }
+   */
+  async locate(latitude, longitude) {
+    const point = geo.parsePoint(latitude, longitude);
+    const station = await this.findContainingStation(point.latitude, point.longitude);
+
+    return {
+      ...point,
+      policeStation: station ? { id: station.id, name: station.name, code: station.code } : null,
+      subDivisionId: station?.cidSubDivisionId || null,
+      districtId: station?.cidDistrictId || null
+    };
+  }
+
+  /**
+   * Case values for a location: the coordinates and, when the case has no
+   * police station yet or reassignment is requested, the station, sub-division
+   * and district containing the point
+   * @param {Object} data - { latitude, longitude, policeStationId, autoAssign }
+   * @returns {Object} Values to store on the case
+   */
+  async locationValues({ latitude, longitude, policeStationId = null, autoAssign = null }, transaction = null) {
+    const point = geo.parsePoint(latitude, longitude);
+    const values = { latitude: point.latitude, longitude: point.longitude };
+
+    const assign = autoAssign === null || autoAssign === undefined
+      ? !policeStationId
+      : String(autoAssign).toLowerCase() !== 'false';
+    if (!assign) return values;
+
+    const station = await this.findContainingStation(point.latitude, point.longitude, transaction);
+    if (station) {
+      values.policeStationId = station.id;
+      values.subDivisionId = station.cidSubDivisionId || null;
+      values.districtId = station.cidDistrictId;
+    }
+    return values;
+  }
+
+  /**
+   * Set or clear the crime scene location of a case
+   * @param {number} id - Crime data ID
+   * @param {Object} data - { latitude, longitude, autoAssign }; null coordinates clear the location
+   * @param {Object} user - Acting user
+   * @returns {Object} { id, latitude, longitude, policeStationId, subDivisionId, districtId, autoAssigned }
+   */
+  async setCaseLocation(id, data, user) {
+    const crimeData = await CIDCrimeData.findByPk(id);
+    if (!crimeData || !crimeData.active) {
+      throw new NotFoundException('Crime data', id);
+    }
+    jurisdictionService.assertCanAccess(user, crimeData, `crime data ${id}`);
+
+    let values;
+    if (data.latitude === null && data.longitude === null) {
+      values = { latitude: null, longitude: null };
+    } else {
+      values = await this.locationValues({
+        latitude: data.latitude,
+        longitude: data.longitude,
+        policeStationId: crimeData.policeStationId,
+        autoAssign: data.autoAssign
+      });
+    }
+
+    const autoAssigned = values.policeStationId !== undefined && values.policeStationId !== crimeData.policeStationId;
+    await crimeData.update({ ...values, updatedBy: user.id });
+
+    if (autoAssigned) {
+      logger.info(`CID case ${id} assigned to police station ${values.policeStationId} from its location`);
+    }
+
+    return {
+      id: crimeData.id,
+      latitude: crimeData.latitude,
+      longitude: crimeData.longitude,
+      policeStationId: crimeData.policeStationId,
+      subDivisionId: crimeData.subDivisionId,
+      districtId: crimeData.districtId,
+      autoAssigned
+    };
+  }
+
+  /**
+   * Located cases within a radius of a point, nearest first
+   * @param {Object} params - { latitude, longitude, radiusKm } plus the analytics filters
+   * @returns {Object} GeoJSON FeatureCollection; features carry distanceKm
+   */
+  async casesWithinRadius(params, user) {
+    const center = geo.parsePoint(params.latitude, params.longitude);
+    const radiusKm = Number(params.radiusKm);
+    if (!(radiusKm > 0) || radiusKm > CID_GEO_MAX_RADIUS_KM) {
+      throw new ValidationException('Invalid radius', [
+        { field: 'radiusKm', message: `radiusKm must be greater than 0 and at most ${CID_GEO_MAX_RADIUS_KM}` }
+      ], 'radiusKm');
+    }
+
+    const cases = await this.locatedCases(params, user, geo.radiusBounds(center.latitude, center.longitude, radiusKm));
+    const matches = cases
+      .map(crimeData => ({
+        crimeData,
+        distanceKm: geo.distanceKm(center.latitude, center.longitude, Number(crimeData.latitude), Number(crimeData.longitude))
+      }))
+      .filter(({ distanceKm }) => distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+
+    return this.toFeatureCollection(matches, { center, radiusKm });
+  }
+
+  /**
+   * Located cases inside a GeoJSON Polygon or MultiPolygon
+   * @param {Object} geometry - Polygon/MultiPolygon geometry or Feature
+   * @param {Object} filters - Analytics filters
+   * @returns {Object} GeoJSON FeatureCollection
+   */
+  async casesWithinPolygon(geometry, filters, user) {
+    const polygon = geo.toPolygonGeometry(geometry, 'geometry');
+    const cases = await this.locatedCases(filters, user, geo.geometryBounds(polygon));
+    const matches = cases
+      .filter(crimeData => geo.containsPoint(polygon, Number(crimeData.latitude), Number(crimeData.longitude)))
+      .map(crimeData => ({ crimeData }));
+
+    return this.toFeatureCollection(matches);
+  }
+
+  /**
+   * Located cases as GeoJSON, optionally inside a bounding box
+   * @param {Object} filters - Analytics filters plus bbox ("minLng,minLat,maxLng,maxLat")
+   * @returns {Object} GeoJSON FeatureCollection
+   */
+  async casesGeoJSON(filters, user) {
+    let bounds = null;
+    if (filters.bbox) {
+      const parts = String(filters.bbox).split(',').map(Number);
+      if (parts.length !== 4 || parts.some(isNaN)) {
+        throw new ValidationException('Invalid bbox', [{ field: 'bbox', message: 'bbox must be minLng,minLat,maxLng,maxLat' }], 'bbox');
+      }
+      const [minLng, minLat, maxLng, maxLat] = parts;
+      bounds = { minLat, maxLat, minLng, maxLng };
+    }
+
+    const cases = await this.locatedCases(filters, user, bounds);
+    return this.toFeatureCollection(cases.map(crimeData => ({ crimeData })));
+  }
+
+  /**
+   * Police station boundaries as GeoJSON
+   * @param {Object} filters - { districtId, subDivisionId }
+   * @returns {Object} GeoJSON FeatureCollection
+   */
+  async boundariesGeoJSON(filters = {}) {
+    const where = { active: true, boundary: { [Op.ne]: null } };
+    if (filters.districtId) where.cidDistrictId = parseInt(filters.districtId);
+    if (filters.subDivisionId) where.cidSubDivisionId = parseInt(filters.subDivisionId);
+
+    const stations = await CIDPoliceStation.scope('withBoundary').findAll({
+      where,
+      attributes: ['id', 'name', 'code', 'cidDistrictId', 'cidSubDivisionId', 'boundary'],
+      order: [['name', 'ASC']]
+    });
+
+    return geo.featureCollection(stations.map(station => ({
+      type: 'Feature',
+      id: station.id,
+      geometry: this.boundaryOf(station),
+      properties: {
+        id: station.id,
+        name: station.name,
+        code: station.code,
+        districtId: station.cidDistrictId,
+        subDivisionId: station.cidSubDivisionId
+      }
+    })));
+  }
+
+  /**
+   * Cases with coordinates inside the bounds, within the user's jurisdiction
+   */
+  async locatedCases(filters, user, bounds = null) {
+    const where = cidAnalyticsService.buildWhere(filters, user);
+    where.latitude = bounds ? { [Op.between]: [bounds.minLat, bounds.maxLat] } : { [Op.ne]: null };
+    where.longitude = bounds ? { [Op.between]: [bounds.minLng, bounds.maxLng] } : { [Op.ne]: null };
+
+    const cases = await CIDCrimeData.findAll({
+      where,
+      attributes: CASE_ATTRIBUTES,
+      include: [
+        { model: CIDCrimeCategory, as: 'category', attributes: ['id', 'categoryName'] },
+        { model: CIDPoliceStation, as: 'policeStation', attributes: ['id', 'name'] }
+      ],
+      order: [['dateOfOccurrence', 'DESC']],
+      limit: CID_GEO_MAX_FEATURES + 1
+    });
+
+    if (cases.length > CID_GEO_MAX_FEATURES) {
+      throw new ValidationException(
+        `More than ${CID_GEO_MAX_FEATURES} cases match; narrow the area, dates or filters`,
+        [{ field: 'filters', message: `At most ${CID_GEO_MAX_FEATURES} cases are returned per query` }],
+        'filters'
+      );
+    }
+    return cases;
+  }
+
+  toFeatureCollection(matches, query = null) {
+    const collection = geo.featureCollection(matches.map(({ crimeData, distanceKm }) =>
+      geo.pointFeature(crimeData.id, crimeData.latitude, crimeData.longitude, {
+        id: crimeData.id,
+        firNumber: crimeData.firNumber,
+        dateOfOccurrence: crimeData.dateOfOccurrence,
+        placeOfOccurrence: crimeData.placeOfOccurrence,
+        status: crimeData.status,
+        categoryId: crimeData.categoryId,
+        categoryName: crimeData.category?.categoryName || null,
+        districtId: crimeData.districtId,
+        subDivisionId: crimeData.subDivisionId,
+        policeStationId: crimeData.policeStationId,
+        policeStationName: crimeData.policeStation?.name || null,
+        ...(distanceKm !== undefined && { distanceKm: Math.round(distanceKm * 1000) / 1000 })
+      })
+    ));
+
+    if (query) collection.query = query;
+    return collection;
+  }
+}
+
+module.exports = new CIDGeoService();
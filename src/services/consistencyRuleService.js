@@ -0,0 +1,245 @@
+const { TopicConsistencyRule, Topic, SubTopic, Question, PerformanceStatistic } = require('../models');
+const formulaEngine = require('../utils/formulaEngine');
+const logger = require('../utils/logger');
+const {
+  ValidationException,
+  NotFoundException,
+  BusinessRuleException
+} = require('../exceptions');
+const { Op } = require('sequelize');
+
+const SEVERITIES = ['BLOCK', 'WARN'];
+
+/**
+ * Cross-question consistency rules of a topic. A rule compares two formula
+ * expressions ("Q5 = Q2 + Q3 - Q4"), referencing questions the same way as
+ * question.que_formula. On grid forms (ST/Q, Q/ST) a reference without a
+ * sub-topic is checked once per sub-topic row.
+ */
+class ConsistencyRuleService {
+  isGridForm(topic) {
+    return topic?.formType === 'ST/Q' || topic?.formType === 'Q/ST';
+  }
+
+  /**
+   * List rules, optionally of one topic
+   * @param {Object} filters - { topicId, active }
+   * @returns {Array} Rules
+   */
+  async listRules(filters = {}) {
+    const where = {};
+    if (filters.topicId) where.topicId = filters.topicId;
+    where.active = filters.active === undefined ? true : filters.active;
+
+    return TopicConsistencyRule.findAll({
+      where,
+      include: [{ model: Topic, as: 'topic', attributes: ['id', 'topicName', 'formType'] }],
+      order: [['topicId', 'ASC'], ['id', 'ASC']]
+    });
+  }
+
+  /**
+   * Check a rule definition against its topic
+   * @param {Object} data - { topicId, name, expression, severity, tolerance }
+   * @returns {Object} Topic of the rule
+   */
+  async validateRule({ topicId, name, expression, severity, tolerance }) {
+    if (!topicId) throw new ValidationException('Topic ID is required', [], 'topicId');
+    if (!name || !String(name).trim()) throw new ValidationException('Name is required', [], 'name');
+    if (severity && !SEVERITIES.includes(severity)) {
+      throw new ValidationException(`Severity must be one of: ${SEVERITIES.join(', ')}`, [], 'severity');
+    }
+    if (tolerance !== undefined && tolerance !== null && (isNaN(Number(tolerance)) || Number(tolerance) < 0)) {
+      throw new ValidationException('Tolerance must be a non-negative number', [], 'tolerance');
+    }
+
+    const topic = await Topic.findByPk(topicId);
+    if (!topic) throw new NotFoundException('Topic', topicId);
+
+    const parsed = formulaEngine.parseRule(expression);
+
+    const [questions, subTopics] = await Promise.all([
+      Question.findAll({ where: { topicId, active: true }, attributes: ['id'] }),
+      SubTopic.findAll({ where: { topicId, active: true }, attributes: ['id'] })
+    ]);
+    const questionIds = new Set(questions.map(q => q.id));
+    const subTopicIds = new Set(subTopics.map(st => st.id));
+
+    const errors = [];
+    parsed.references.forEach(ref => {
+      if (!questionIds.has(ref.questionId)) {
+        errors.push({ field: 'expression', message: `Question ${ref.questionId} is not an active question of this topic` });
+      }
+      if (ref.subTopicId && !subTopicIds.has(ref.subTopicId)) {
+        errors.push({ field: 'expression', message: `Sub-topic ${ref.subTopicId} is not an active sub-topic of this topic` });
+      }
+    });
+    if (errors.length) {
+      throw new ValidationException('Rule references unknown questions or sub-topics', errors, 'expression');
+    }
+
+    return topic;
+  }
+
+  async createRule(data, userId) {
+    await this.validateRule(data);
+
+    const rule = await TopicConsistencyRule.create({
+      topicId: data.topicId,
+      name: String(data.name).trim(),
+      expression: String(data.expression).trim(),
+      severity: data.severity || 'BLOCK',
+      message: data.message || null,
+      tolerance: data.tolerance || 0,
+      createdBy: userId,
+      updatedBy: userId,
+      active: true
+    });
+
+    logger.info(`Consistency rule ${rule.id} created on topic ${rule.topicId} by user ${userId}`);
+    return rule;
+  }
+
+  async updateRule(id, data, userId) {
+    const rule = await TopicConsistencyRule.findOne({ where: { id, active: true } });
+    if (!rule) throw new NotFoundException('Consistency rule', id);
+
+    const merged = {
+      topicId: data.topicId || rule.topicId,
+      name: data.name !== undefined ? data.name : rule.name,
+      expression: data.expression !== undefined ? data.expression : rule.expression,
+      severity: data.severity || rule.severity,
+      tolerance: data.tolerance !== undefined ? data.tolerance : rule.tolerance
+    };
+    await this.validateRule(merged);
+
+    await rule.update({
+      ...merged,
+      name: String(merged.name).trim(),
+      expression: String(merged.expression).trim(),
+      message: data.message !== undefined ? data.message : rule.message,
+      updatedBy: userId
+    });
+
+    logger.info(`Consistency rule ${id} updated by user ${userId}`);
+    return rule;
+  }
+
+  async deleteRule(id, userId) {
+    const rule = await TopicConsistencyRule.findOne({ where: { id, active: true } });
+    if (!rule) throw new NotFoundException('Consistency rule', id);
+
+    await rule.update({ active: false, updatedBy: userId });
+    logger.info(`Consistency rule ${id} deleted by user ${userId}`);
+  }
+
+  /**
+   * Evaluate the rules against a user's answers for a month
+   * @param {Object} params - { userId, monthYear, topicIds, overrides }
+   *   topicIds  - topics to check (default: every topic the user answered that month)
+   *   overrides - unsaved rows ({ topicId, questionId, subTopicId, value }) taking precedence over stored answers
+   * @returns {Object} { violations, blocking, warnings }
+   */
+  async evaluate({ userId, monthYear, topicIds = null, overrides = [] }) {
+    const storedRows = await PerformanceStatistic.findAll({
+      where: {
+        userId,
+        monthYear,
+        active: true,
+        ...(topicIds ? { topicId: { [Op.in]: topicIds } } : {})
+      },
+      attributes: ['topicId', 'questionId', 'subTopicId', 'value']
+    });
+
+    const checkedTopicIds = topicIds || [...new Set([
+      ...storedRows.map(row => row.topicId),
+      ...overrides.map(row => row.topicId)
+    ])].filter(Boolean);
+
+    const violations = [];
+    if (!checkedTopicIds.length) return { violations, blocking: [], warnings: [] };
+
+    const rules = await TopicConsistencyRule.findAll({
+      where: { topicId: { [Op.in]: checkedTopicIds }, active: true },
+      include: [{ model: Topic, as: 'topic', attributes: ['id', 'topicName', 'formType'] }],
+      order: [['id', 'ASC']]
+    });
+    if (!rules.length) return { violations, blocking: [], warnings: [] };
+
+    const subTopics = await SubTopic.findAll({
+      where: { topicId: { [Op.in]: [...new Set(rules.map(rule => rule.topicId))] }, active: true },
+      attributes: ['id', 'topicId', 'subTopicName']
+    });
+
+    for (const rule of rules) {
+      const isGrid = this.isGridForm(rule.topic);
+      const cellOf = row => formulaEngine.cellKey(row.questionId, isGrid ? row.subTopicId : null);
+
+      const values = {};
+      storedRows.filter(row => row.topicId === rule.topicId).forEach(row => { values[cellOf(row)] = row.value; });
+      overrides.filter(row => row.topicId === rule.topicId).forEach(row => { values[cellOf(row)] = row.value; });
+
+      let parsed;
+      try {
+        parsed = formulaEngine.parseRule(rule.expression);
+      } catch (error) {
+        logger.warn(`Invalid consistency rule ${rule.id}: ${error.message}`);
+        continue;
+      }
+
+      const topicSubTopics = subTopics.filter(st => st.topicId === rule.topicId);
+      const rows = isGrid && parsed.references.some(ref => !ref.subTopicId) ? topicSubTopics : [null];
+
+      for (const subTopic of rows) {
+        const resolve = ref => formulaEngine.resolveCell(ref, isGrid, subTopic?.id);
+        const cells = parsed.references.map(resolve);
+
+        // Nothing to check until at least one of the referenced answers is filled
+        if (!cells.some(cell => values[cell] !== undefined && values[cell] !== null && values[cell] !== '')) continue;
+
+        const left = formulaEngine.evaluate(parsed.left, ref => values[resolve(ref)]);
+        const right = formulaEngine.evaluate(parsed.right, ref => values[resolve(ref)]);
+        if (formulaEngine.compare(left, parsed.operator, right, Number(rule.tolerance) || 0)) continue;
+
+        const where = subTopic ? ` (${subTopic.subTopicName})` : '';
+        violations.push({
+          ruleId: rule.id,
+          topicId: rule.topicId,
+          topicName: rule.topic?.topicName,
+          subTopicId: subTopic?.id || null,
+          name: rule.name,
+          severity: rule.severity,
+          expression: rule.expression,
+          left: formulaEngine.formatResult(left),
+          right: formulaEngine.formatResult(right),
+          message: `${rule.message || rule.name}${where}: ${rule.expression} does not hold ` +
+            `(${formulaEngine.formatResult(left)} vs ${formulaEngine.formatResult(right)})`
+        });
+      }
+    }
+
+    return {
+      violations,
+      blocking: violations.filter(v => v.severity === 'BLOCK'),
+      warnings: violations.filter(v => v.severity === 'WARN')
+    };
+  }
+
+  /**
+   * Throw when an evaluation has blocking violations
+   * @param {Object} result - Output of evaluate()
+   */
+  assertNoBlocking(result) {
+    if (result.blocking.length) {
+      throw new BusinessRuleException(
+        result.blocking.length === 1
+          ? result.blocking[0].message
+          : `${result.blocking.length} consistency rules failed`,
+        'CONSISTENCY_RULE_VIOLATION',
+        { violations: result.blocking, warnings: result.warnings }
+      );
+    }
+  }
+}
+
+module.exports = new ConsistencyRuleService();
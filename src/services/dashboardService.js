@@ -5,14 +5,43 @@ const {
   Menu, SubMenu
 } = require('../models');
 const { Op, Sequelize } = require('sequelize');
-
+const jurisdictionService = require('./jurisdictionService');
+const reportCache = require('../utils/reportCache');
+
+/**
+ * Dashboard figures. Methods taking a user count only the users, units and
+ * performance data inside that user's jurisdiction; configuration counts
+ * (roles, menus, modules, questions) are global.
+ */
 class DashboardService {
   
+  /**
+   * Performance aggregates are cached per jurisdiction until statistics are
+   * saved (see utils/reportCache). Only wrap figures computed from
+   * performance statistics: saving users or configuration does not
+   * invalidate the cache, so those counts are computed on every call.
+   * @param {string} method - Method name, part of the cache key
+   * @param {Object} user - Requesting user whose jurisdiction scopes the figures
+   * @param {Object} params - Other arguments of the method
+   * @param {Function} compute - Async function producing the figures
+   */
+  static async cached(method, user, params, compute) {
+    const key = reportCache.buildKey(`dashboard:${method}`, {
+      params,
+      scope: jurisdictionService.getScope(user)
+    });
+    const { value } = await reportCache.wrap(key, compute);
+    return value;
+  }
+
   /**
    * Get dashboard overview with key metrics
    */
-  static async getOverview() {
+  static async getOverview(user = null) {
     try {
+      const scope = jurisdictionService.scopeWhere(user);
+      const battalionWhere = await jurisdictionService.battalionWhere(user);
+
       // Parallel execution for better performance
       const [
         totalUsers,
@@ -28,29 +57,34 @@ class DashboardService {
         totalTopics,
         totalSubTopics,
         totalQuestions,
-        totalPerformanceRecords,
-        recentPerformanceCount
+        performanceCounts
       ] = await Promise.all([
-        User.count(),
-        User.count({ where: { active: true } }),
+        User.count({ where: scope }),
+        User.count({ where: { ...scope, active: true } }),
         Role.count(),
         Permission.count(),
         Menu.count(),
         SubMenu.count(),
-        State.count(),
+        State.count({ where: jurisdictionService.stateWhere(user) }),
         Module.count(),
-        Range.count(),
-        Battalion.count(),
+        Range.count({ where: jurisdictionService.rangeWhere(user) }),
+        Battalion.count({ where: battalionWhere }),
         Topic.count(),
         SubTopic.count(),
         Question.count(),
-        PerformanceStatistic.count(),
-        PerformanceStatistic.count({
-          where: {
-            created_date: {
-              [Op.gte]: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // Last 30 days
-            }
-          }
+        DashboardService.cached('getOverview', user, {}, async () => {
+          const [totalPerformanceRecords, recentPerformanceCount] = await Promise.all([
+            PerformanceStatistic.count({ where: scope }),
+            PerformanceStatistic.count({
+              where: {
+                ...scope,
+                created_date: {
+                  [Op.gte]: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // Last 30 days
+                }
+              }
+            })
+          ]);
+          return { totalPerformanceRecords, recentPerformanceCount };
         })
       ]);
 
@@ -69,8 +103,8 @@ class DashboardService {
         topics: totalTopics,
         subTopics: totalSubTopics,
         questions: totalQuestions,
-        totalPerformanceRecords,
-        recentPerformanceCount,
+        totalPerformanceRecords: performanceCounts.totalPerformanceRecords,
+        recentPerformanceCount: performanceCounts.recentPerformanceCount,
         userActivationRate: totalUsers > 0 ? ((activeUsers / totalUsers) * 100).toFixed(2) : 0
       };
     } catch (error) {
@@ -81,17 +115,18 @@ class DashboardService {
   /**
    * Get comprehensive dashboard statistics
    */
-  static async getStats() {
+  static async getStats(user = null) {
     try {
+      // Performance figures are cached by getPerformanceStatistics
       const [
         userStats,
         performanceStats,
         geographyStats,
         moduleStats
       ] = await Promise.all([
-        this.getUserStatistics(),
-        this.getPerformanceStatistics(),
-        this.getGeographyStatistics(),
+        this.getUserStatistics(user),
+        this.getPerformanceStatistics(user),
+        this.getGeographyStatistics(user),
         this.getModuleStatistics()
       ]);
 
@@ -110,18 +145,20 @@ class DashboardService {
   /**
    * Get user statistics
    */
-  static async getUserStatistics() {
+  static async getUserStatistics(user = null) {
     try {
+      const scope = jurisdictionService.scopeWhere(user);
       const [
         totalUsers,
         activeUsers,
         usersByRole,
         recentUsers
       ] = await Promise.all([
-        User.count(),
-        User.count({ where: { active: true } }),
+        User.count({ where: scope }),
+        User.count({ where: { ...scope, active: true } }),
         User.findAll({
           attributes: ['roleId', [Sequelize.fn('COUNT', Sequelize.col('User.id')), 'count']],
+          where: scope,
           include: [{
             model: Role,
             as: 'role',
@@ -132,6 +169,7 @@ class DashboardService {
         }),
         User.count({
           where: {
+            ...scope,
             created_date: {
               [Op.gte]: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // Last 7 days
             }
@@ -157,7 +195,7 @@ class DashboardService {
   /**
    * Get users grouped by role
    */
-  static async getUsersByRole() {
+  static async getUsersByRole(user = null) {
     try {
       const usersByRole = await User.findAll({
         attributes: [
@@ -169,7 +207,7 @@ class DashboardService {
           as: 'role',
           attributes: ['id', 'roleName']
         }],
-        where: { active: true },
+        where: { active: true, ...jurisdictionService.scopeWhere(user) },
         group: ['roleId', 'role.id', 'role.roleName'],
         raw: false
       });
@@ -187,7 +225,7 @@ class DashboardService {
   /**
    * Get users grouped by state
    */
-  static async getUsersByState() {
+  static async getUsersByState(user = null) {
     try {
       const usersByState = await User.findAll({
         attributes: [
@@ -201,7 +239,8 @@ class DashboardService {
         }],
         where: { 
           active: true,
-          stateId: { [Op.not]: null }
+          stateId: { [Op.not]: null },
+          ...jurisdictionService.scopeWhere(user)
         },
         group: ['stateId', 'state.id', 'state.stateName'],
         raw: false
@@ -220,7 +259,7 @@ class DashboardService {
   /**
    * Get recent users (last 30 days)
    */
-  static async getRecentUsers(limit = 10) {
+  static async getRecentUsers(limit = 10, user = null) {
     try {
       const recentUsers = await User.findAll({
         attributes: ['id', 'firstName', 'lastName', 'email', 'created_date'],
@@ -230,6 +269,7 @@ class DashboardService {
           attributes: ['roleName']
         }],
         where: {
+          ...jurisdictionService.scopeWhere(user),
           created_date: {
             [Op.gte]: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
           }
@@ -247,193 +287,208 @@ class DashboardService {
   /**
    * Get performance statistics overview
    */
-  static async getPerformanceStatistics() {
-    try {
-      const [
-        totalRecords,
-        recordsThisMonth,
-        averagePerUser,
-        topPerformers
-      ] = await Promise.all([
-        PerformanceStatistic.count(),
-        PerformanceStatistic.count({
-          where: {
-            created_date: {
-              [Op.gte]: new Date(new Date().getFullYear(), new Date().getMonth(), 1)
+  static async getPerformanceStatistics(user = null) {
+    return DashboardService.cached('getPerformanceStatistics', user, {}, async () => {
+      try {
+        const scope = jurisdictionService.scopeWhere(user);
+        const [
+          totalRecords,
+          recordsThisMonth,
+          averagePerUser,
+          topPerformers
+        ] = await Promise.all([
+          PerformanceStatistic.count({ where: scope }),
+          PerformanceStatistic.count({
+            where: {
+              ...scope,
+              created_date: {
+                [Op.gte]: new Date(new Date().getFullYear(), new Date().getMonth(), 1)
+              }
             }
-          }
-        }),
-        this.getAveragePerformancePerUser(),
-        this.getTopPerformers(5)
-      ]);
-
-      return {
-        totalRecords,
-        recordsThisMonth,
-        averagePerUser,
-        topPerformers
-      };
-    } catch (error) {
-      throw new Error(`Error getting performance statistics: ${error.message}`);
-    }
+          }),
+          this.getAveragePerformancePerUser(user),
+          this.getTopPerformers(5, user)
+        ]);
+
+        return {
+          totalRecords,
+          recordsThisMonth,
+          averagePerUser,
+          topPerformers
+        };
+      } catch (error) {
+        throw new Error(`Error getting performance statistics: ${error.message}`);
+      }
+    });
   }
 
   /**
    * Get battalion-wise performance statistics for current month - 1
    */
-  static async getBattalionPerformanceStats() {
-    try {
-      // Calculate previous month (current month - 1)
-      const now = new Date();
-      const prevMonth = new Date(now);
-      prevMonth.setMonth(now.getMonth() - 1);
-      const prevMonthYear = prevMonth.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }).toUpperCase();
-
-      // Get all active battalions
-      const battalions = await Battalion.findAll({
-        where: { active: true },
-        attributes: ['id', 'battalionName'],
-        order: [['battalionName', 'ASC']]
-      });
-
-      // Get total active modules count
-      const totalActiveModules = await Module.count({
-        where: { active: true }
-      });
-
-      // Get battalion performance data for previous month
-      const battalionStats = await Promise.all(
-        battalions.map(async (battalion) => {
-          // Count distinct modules with performance data for this battalion in previous month
-          const modulesWithData = await PerformanceStatistic.findAll({
-            attributes: ['moduleId'],
-            where: {
+  static async getBattalionPerformanceStats(user = null) {
+    return DashboardService.cached('getBattalionPerformanceStats', user, {}, async () => {
+      try {
+        // Calculate previous month (current month - 1)
+        const now = new Date();
+        const prevMonth = new Date(now);
+        prevMonth.setMonth(now.getMonth() - 1);
+        const prevMonthYear = prevMonth.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }).toUpperCase();
+
+        // Get all active battalions
+        const battalions = await Battalion.findAll({
+          where: { active: true, ...await jurisdictionService.battalionWhere(user) },
+          attributes: ['id', 'battalionName'],
+          order: [['battalionName', 'ASC']]
+        });
+
+        // Get total active modules count
+        const totalActiveModules = await Module.count({
+          where: { active: true }
+        });
+
+        // Get battalion performance data for previous month
+        const battalionStats = await Promise.all(
+          battalions.map(async (battalion) => {
+            // Count distinct modules with performance data for this battalion in previous month
+            const modulesWithData = await PerformanceStatistic.findAll({
+              attributes: ['moduleId'],
+              where: {
+                battalionId: battalion.id,
+                monthYear: { [Op.like]: `%${prevMonthYear}%` },
+                active: true
+              },
+              group: ['moduleId'],
+              raw: true
+            });
+
+            const moduleCount = modulesWithData.length;
+
+            return {
               battalionId: battalion.id,
-              monthYear: { [Op.like]: `%${prevMonthYear}%` },
-              active: true
-            },
-            group: ['moduleId'],
-            raw: true
-          });
-
-          const moduleCount = modulesWithData.length;
-
-          return {
-            battalionId: battalion.id,
-            battalionName: battalion.battalionName,
-            modulesWithData: moduleCount,
-            totalActiveModules: totalActiveModules,
-            completionPercentage: totalActiveModules > 0 ? 
-              ((moduleCount / totalActiveModules) * 100).toFixed(1) : '0.0'
-          };
-        })
-      );
-
-      return {
-        monthYear: prevMonthYear,
-        battalionStats: battalionStats,
-        totalBattalions: battalions.length,
-        totalActiveModules: totalActiveModules
-      };
-    } catch (error) {
-      throw new Error(`Error getting battalion performance statistics: ${error.message}`);
-    }
+              battalionName: battalion.battalionName,
+              modulesWithData: moduleCount,
+              totalActiveModules: totalActiveModules,
+              completionPercentage: totalActiveModules > 0 ? 
+                ((moduleCount / totalActiveModules) * 100).toFixed(1) : '0.0'
+            };
+          })
+        );
+
+        return {
+          monthYear: prevMonthYear,
+          battalionStats: battalionStats,
+          totalBattalions: battalions.length,
+          totalActiveModules: totalActiveModules
+        };
+      } catch (error) {
+        throw new Error(`Error getting battalion performance statistics: ${error.message}`);
+      }
+    });
   }
 
   /** 
    * Get performance data by month (last 12 months)
    */
-  static async getPerformanceByMonth() {
-    try {
-      const monthsData = await PerformanceStatistic.findAll({
-        attributes: [
-          [Sequelize.fn('DATE_FORMAT', Sequelize.col('created_date'), '%Y-%m'), 'month'],
-          [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']
-        ],
-        where: {
-          created_date: {
-            [Op.gte]: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000) // Last year
-          }
-        },
-        group: [Sequelize.fn('DATE_FORMAT', Sequelize.col('created_date'), '%Y-%m')],
-        order: [[Sequelize.fn('DATE_FORMAT', Sequelize.col('created_date'), '%Y-%m'), 'ASC']],
-        raw: true
-      });
-
-      return monthsData.map(item => ({
-        month: item.month,
-        count: parseInt(item.count)
-      }));
-    } catch (error) {
-      throw new Error(`Error getting performance by month: ${error.message}`);
-    }
+  static async getPerformanceByMonth(user = null) {
+    return DashboardService.cached('getPerformanceByMonth', user, {}, async () => {
+      try {
+        const monthsData = await PerformanceStatistic.findAll({
+          attributes: [
+            [Sequelize.fn('DATE_FORMAT', Sequelize.col('created_date'), '%Y-%m'), 'month'],
+            [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']
+          ],
+          where: {
+            ...jurisdictionService.scopeWhere(user),
+            created_date: {
+              [Op.gte]: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000) // Last year
+            }
+          },
+          group: [Sequelize.fn('DATE_FORMAT', Sequelize.col('created_date'), '%Y-%m')],
+          order: [[Sequelize.fn('DATE_FORMAT', Sequelize.col('created_date'), '%Y-%m'), 'ASC']],
+          raw: true
+        });
+
+        return monthsData.map(item => ({
+          month: item.month,
+          count: parseInt(item.count)
+        }));
+      } catch (error) {
+        throw new Error(`Error getting performance by month: ${error.message}`);
+      }
+    });
   }
 
   /**
    * Get performance data by module
    */
-  static async getPerformanceByModule() {
-    try {
-      const moduleData = await PerformanceStatistic.findAll({
-        attributes: [
-          'moduleId',
-          [Sequelize.fn('COUNT', Sequelize.col('PerformanceStatistic.id')), 'count']
-        ],
-        include: [{
-          model: Module,
-          as: 'module',
-          attributes: ['id', 'moduleName']
-        }],
-        where: {
-          moduleId: { [Op.not]: null }
-        },
-        group: ['moduleId', 'module.id', 'module.moduleName'],
-        raw: false
-      });
+  static async getPerformanceByModule(user = null) {
+    return DashboardService.cached('getPerformanceByModule', user, {}, async () => {
+      try {
+        const moduleData = await PerformanceStatistic.findAll({
+          attributes: [
+            'moduleId',
+            [Sequelize.fn('COUNT', Sequelize.col('PerformanceStatistic.id')), 'count']
+          ],
+          include: [{
+            model: Module,
+            as: 'module',
+            attributes: ['id', 'moduleName']
+          }],
+          where: {
+            moduleId: { [Op.not]: null },
+            ...jurisdictionService.scopeWhere(user)
+          },
+          group: ['moduleId', 'module.id', 'module.moduleName'],
+          raw: false
+        });
 
-      return moduleData.map(item => ({
-        moduleId: item.moduleId,
-        moduleName: item.module ? item.module.moduleName : 'Unknown',
-        count: parseInt(item.dataValues.count)
-      }));
-    } catch (error) {
-      throw new Error(`Error getting performance by module: ${error.message}`);
-    }
+        return moduleData.map(item => ({
+          moduleId: item.moduleId,
+          moduleName: item.module ? item.module.moduleName : 'Unknown',
+          count: parseInt(item.dataValues.count)
+        }));
+      } catch (error) {
+        throw new Error(`Error getting performance by module: ${error.message}`);
+      }
+    });
   }
 
   /**
    * Get performance trends (last 30 days)
    */
-  static async getPerformanceTrends() {
-    try {
-      const trendsData = await PerformanceStatistic.findAll({
-        attributes: [
-          [Sequelize.fn('DATE', Sequelize.col('created_date')), 'date'],
-          [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']
-        ],
-        where: {
-          created_date: {
-            [Op.gte]: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
-          }
-        },
-        group: [Sequelize.fn('DATE', Sequelize.col('created_date'))],
-        order: [[Sequelize.fn('DATE', Sequelize.col('created_date')), 'ASC']],
-        raw: true
-      });
-
-      return trendsData.map(item => ({
-        date: item.date,
-        count: parseInt(item.count)
-      }));
-    } catch (error) {
-      throw new Error(`Error getting performance trends: ${error.message}`);
-    }
+  static async getPerformanceTrends(user = null) {
+    return DashboardService.cached('getPerformanceTrends', user, {}, async () => {
+      try {
+        const trendsData = await PerformanceStatistic.findAll({
+          attributes: [
+            [Sequelize.fn('DATE', Sequelize.col('created_date')), 'date'],
+            [Sequelize.fn('COUNT', Sequelize.col('id')), 'count']
+          ],
+          where: {
+            ...jurisdictionService.scopeWhere(user),
+            created_date: {
+              [Op.gte]: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+            }
+          },
+          group: [Sequelize.fn('DATE', Sequelize.col('created_date'))],
+          order: [[Sequelize.fn('DATE', Sequelize.col('created_date')), 'ASC']],
+          raw: true
+        });
+
+        return trendsData.map(item => ({
+          date: item.date,
+          count: parseInt(item.count)
+        }));
+      } catch (error) {
+        throw new Error(`Error getting performance trends: ${error.message}`);
+      }
+    });
   }
 
   /**
    * Get geography statistics
    */
-  static async getGeographyStatistics() {
+  static async getGeographyStatistics(user = null) {
     try {
       const [
         totalStates,
@@ -441,10 +496,10 @@ class DashboardService {
         totalRanges,
         totalBattalions
       ] = await Promise.all([
-        State.count({ where: { active: true } }),
+        State.count({ where: { active: true, ...jurisdictionService.stateWhere(user) } }),
         District.count({ where: { active: true } }),
-        Range.count({ where: { active: true } }),
-        Battalion.count({ where: { active: true } })
+        Range.count({ where: { active: true, ...jurisdictionService.rangeWhere(user) } }),
+        Battalion.count({ where: { active: true, ...await jurisdictionService.battalionWhere(user) } })
       ]);
 
       return {
@@ -461,7 +516,7 @@ class DashboardService {
   /**
    * Get geographic distribution of users
    */
-  static async getGeographicDistribution() {
+  static async getGeographicDistribution(user = null) {
     try {
       const distribution = await User.findAll({
         attributes: [
@@ -487,7 +542,7 @@ class DashboardService {
             attributes: ['battalionName']
           }
         ],
-        where: { active: true },
+        where: { active: true, ...jurisdictionService.scopeWhere(user) },
         group: ['stateId', 'rangeId', 'battalionId'],
         raw: false
       });
@@ -620,7 +675,7 @@ class DashboardService {
   /**
    * Get recent activity (performance statistics created in last 24 hours)
    */
-  static async getRecentActivity(limit = 20) {
+  static async getRecentActivity(limit = 20, user = null) {
     try {
       const recentActivity = await PerformanceStatistic.findAll({
         attributes: ['id', 'userId', 'moduleId', 'topicId', 'created_date'],
@@ -642,6 +697,7 @@ class DashboardService {
           }
         ],
         where: {
+          ...jurisdictionService.scopeWhere(user),
           created_date: {
             [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000)
           }
@@ -661,52 +717,58 @@ class DashboardService {
   /**
    * Get average performance records per user
    */
-  static async getAveragePerformancePerUser() {
-    try {
-      const [totalRecords, totalUsers] = await Promise.all([
-        PerformanceStatistic.count(),
-        User.count({ where: { active: true } })
-      ]);
-
-      return totalUsers > 0 ? (totalRecords / totalUsers).toFixed(2) : 0;
-    } catch (error) {
-      throw new Error(`Error calculating average performance per user: ${error.message}`);
-    }
+  static async getAveragePerformancePerUser(user = null) {
+    return DashboardService.cached('getAveragePerformancePerUser', user, {}, async () => {
+      try {
+        const scope = jurisdictionService.scopeWhere(user);
+        const [totalRecords, totalUsers] = await Promise.all([
+          PerformanceStatistic.count({ where: scope }),
+          User.count({ where: { ...scope, active: true } })
+        ]);
+
+        return totalUsers > 0 ? (totalRecords / totalUsers).toFixed(2) : 0;
+      } catch (error) {
+        throw new Error(`Error calculating average performance per user: ${error.message}`);
+      }
+    });
   }
 
   /**
    * Get top performers (users with most performance records)
    */
-  static async getTopPerformers(limit = 5) {
-    try {
-      const topPerformers = await PerformanceStatistic.findAll({
-        attributes: [
-          'userId',
-          [Sequelize.fn('COUNT', Sequelize.col('PerformanceStatistic.id')), 'recordCount']
-        ],
-        include: [{
-          model: User,
-          as: 'user',
-          attributes: ['firstName', 'lastName', 'email']
-        }],
-        where: {
-          userId: { [Op.not]: null }
-        },
-        group: ['userId', 'user.id'],
-        order: [[Sequelize.fn('COUNT', Sequelize.col('PerformanceStatistic.id')), 'DESC']],
-        limit,
-        raw: false
-      });
-
-      return topPerformers.map(item => ({
-        userId: item.userId,
-        userName: item.user ? `${item.user.firstName} ${item.user.lastName}` : 'Unknown',
-        email: item.user ? item.user.email : null,
-        recordCount: parseInt(item.dataValues.recordCount)
-      }));
-    } catch (error) {
-      throw new Error(`Error getting top performers: ${error.message}`);
-    }
+  static async getTopPerformers(limit = 5, user = null) {
+    return DashboardService.cached('getTopPerformers', user, { limit }, async () => {
+      try {
+        const topPerformers = await PerformanceStatistic.findAll({
+          attributes: [
+            'userId',
+            [Sequelize.fn('COUNT', Sequelize.col('PerformanceStatistic.id')), 'recordCount']
+          ],
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['firstName', 'lastName', 'email']
+          }],
+          where: {
+            userId: { [Op.not]: null },
+            ...jurisdictionService.scopeWhere(user)
+          },
+          group: ['userId', 'user.id'],
+          order: [[Sequelize.fn('COUNT', Sequelize.col('PerformanceStatistic.id')), 'DESC']],
+          limit,
+          raw: false
+        });
+
+        return topPerformers.map(item => ({
+          userId: item.userId,
+          userName: item.user ? `${item.user.firstName} ${item.user.lastName}` : 'Unknown',
+          email: item.user ? item.user.email : null,
+          recordCount: parseInt(item.dataValues.recordCount)
+        }));
+      } catch (error) {
+        throw new Error(`Error getting top performers: ${error.message}`);
+      }
+    });
   }
 
   /**
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Op } = require('sequelize');
+const { StoredFile, User, Communications, CIDCrimeData } = require('../models');
+const { ValidationException, NotFoundException, AuthorizationException } = require('../exceptions');
+const jurisdictionService = require('./jurisdictionService');
+const storage = require('../utils/storage');
+const logger = require('../utils/logger');
+
+/**
+ * Records a file may be linked to. A user who can read the linked record can
+ * read its files, and linking requires the same access.
+ */
+const LINK_TYPES = {
+  COMMUNICATION: {
+    label: 'Communication',
+    canAccess: async (id, user) => {
+      const communication = await Communications.findByPk(id, { attributes: ['id', 'createdBy'] });
+      if (!communication) return null;
+      if (communication.createdBy === user.id || jurisdictionService.isGlobal(user)) return true;
+      if (!communication.createdBy) return false;
+
+      const creator = await User.findByPk(communication.createdBy, { attributes: ['id', 'stateId', 'rangeId', 'battalionId'] });
+      return jurisdictionService.canAccess(user, creator);
+    }
+  },
+  CID_CRIME: {
+    label: 'CID crime record',
+    canAccess: async (id, user) => {
+      const crime = await CIDCrimeData.findByPk(id, { attributes: ['id', 'stateId', 'rangeId', 'battalionId'] });
+      if (!crime) return null;
+      return jurisdictionService.canAccess(user, crime);
+    }
+  }
+};
+
+// Upload types holding scratch files (e.g. an attachment staged before its
+// record is saved); only these are removed by cleanup when left unlinked
+const TEMPORARY_UPLOAD_TYPES = ['temp'];
+
+/**
+ * Uploaded files: writes the bytes through the configured storage adapter,
+ * keeps a metadata record per file and authorizes every read against the
+ * record rather than the file name.
+ */
+class FileService {
+  /**
+   * Store an uploaded file
+   * @param {Object} file - Multer file held in memory ({ originalname, mimetype, buffer })
+   * @param {Object} options - { uploadType, entityType, entityId }
+   * @param {Object} user - Uploading user
+   * @returns {Object} File DTO
+   */
+  async store(file, { uploadType = 'general', entityType = null, entityId = null } = {}, user) {
+    if (!/^[a-z0-9_-]{1,30}$/i.test(uploadType)) {
+      throw new ValidationException('Invalid upload type', [{ field: 'type', message: 'Letters, digits, - and _ only' }], 'type');
+    }
+    const link = await this.resolveLink(entityType, entityId, user);
+
+    const checksum = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const now = new Date();
+    const storageKey = [
+      uploadType,
+      now.getFullYear(),
+      String(now.getMonth() + 1).padStart(2, '0'),
+      `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`
+    ].join('/');
+
+    const adapter = storage.getAdapter();
+    await adapter.put(storageKey, file.buffer, { contentType: file.mimetype, checksum });
+
+    try {
+      const record = await StoredFile.create({
+        ownerId: user.id,
+        uploadType,
+        originalName: path.basename(file.originalname),
+        mimeType: file.mimetype,
+        size: file.buffer.length,
+        checksum,
+        storageDriver: adapter.name,
+        storageKey,
+        entityType: link.entityType,
+        entityId: link.entityId,
+        stateId: user.stateId || null,
+        rangeId: user.rangeId || null,
+        battalionId: user.battalionId || null
+      });
+
+      logger.info(`File stored: ${record.id} (${file.originalname}) by user ${user.id}`);
+      return this.toDTO(record);
+    } catch (error) {
+      // Do not leave bytes behind without a record pointing at them
+      await adapter.delete(storageKey).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the record a file is linked to
+   * @returns {Object} { entityType, entityId }, both null when unlinked
+   */
+  async resolveLink(entityType, entityId, user) {
+    if (!entityType && !entityId) return { entityType: null, entityId: null };
+
+    const type = String(entityType || '').toUpperCase();
+    const id = parseInt(entityId);
+    if (!LINK_TYPES[type]) {
+      throw new ValidationException('Invalid linked record type', [
+        { field: 'entityType', message: `Allowed types: ${Object.keys(LINK_TYPES).join(', ')}` }
+      ], 'entityType');
+    }
+    if (!id) {
+      throw new ValidationException('Linked record ID is required', [
+        { field: 'entityId', message: 'entityId must be a positive integer' }
+      ], 'entityId');
+    }
+
+    const allowed = await LINK_TYPES[type].canAccess(id, user);
+    if (allowed === null) throw new NotFoundException(LINK_TYPES[type].label, id);
+    if (!allowed) {
+      throw new AuthorizationException(`Access denied: ${LINK_TYPES[type].label.toLowerCase()} ${id} is outside your jurisdiction`);
+    }
+
+    return { entityType: type, entityId: id };
+  }
+
+  /**
+   * File record the user may read
+   * @throws {NotFoundException|AuthorizationException}
+   */
+  async findAccessible(id, user) {
+    const record = await StoredFile.findOne({ where: { id, active: true } });
+    if (!record) throw new NotFoundException('File', id);
+
+    if (record.ownerId === user.id || jurisdictionService.canAccess(user, record)) {
+      return record;
+    }
+    if (record.entityType && LINK_TYPES[record.entityType]) {
+      if (await LINK_TYPES[record.entityType].canAccess(record.entityId, user)) return record;
+    }
+
+    throw new AuthorizationException('Access denied: this file is outside your jurisdiction');
+  }
+
+  /**
+   * Metadata of a file
+   */
+  async get(id, user) {
+    return this.toDTO(await this.findAccessible(id, user));
+  }
+
+  /**
+   * Open a file for download
+   * @returns {Object} { file, stream }
+   */
+  async open(id, user) {
+    const record = await this.findAccessible(id, user);
+    const stream = await storage.getAdapter(record.storageDriver).getStream(record.storageKey);
+    return { file: this.toDTO(record), stream };
+  }
+
+  /**
+   * Delete a file (owner or global users)
+   */
+  async remove(id, user) {
+    const record = await this.findAccessible(id, user);
+    if (record.ownerId !== user.id && !jurisdictionService.isGlobal(user)) {
+      throw new AuthorizationException('You can only delete your own files');
+    }
+
+    await record.update({ active: false });
+    await storage.getAdapter(record.storageDriver).delete(record.storageKey);
+
+    logger.info(`File deleted: ${record.id} by user ${user.id}`);
+  }
+
+  /**
+   * Files inside the user's jurisdiction
+   * @param {Object} filters - { uploadType, entityType, entityId, page, size }
+   */
+  async list(filters, user) {
+    const page = parseInt(filters.page) || 0;
+    const size = Math.min(parseInt(filters.size) || 20, 100);
+
+    const where = { active: true };
+    if (filters.uploadType) where.uploadType = filters.uploadType;
+    if (filters.entityType) where.entityType = String(filters.entityType).toUpperCase();
+    if (filters.entityId) where.entityId = parseInt(filters.entityId);
+
+    if (!jurisdictionService.isGlobal(user)) {
+      where[Op.or] = [{ ownerId: user.id }, jurisdictionService.scopeWhere(user)];
+    }
+
+    const { count, rows } = await StoredFile.findAndCountAll({
+      where,
+      order: [['created_date', 'DESC']],
+      limit: size,
+      offset: page * size
+    });
+
+    return {
+      files: rows.map(record => this.toDTO(record)),
+      pagination: {
+        currentPage: page,
+        pageSize: size,
+        totalElements: count,
+        totalPages: Math.ceil(count / size)
+      }
+    };
+  }
+
+  /**
+   * Delete temporary uploads never linked to a record that are older than
+   * the cutoff. Other uploads are kept whether linked or not.
+   * @param {Date} cutoffDate
+   * @returns {Object} { deletedFiles, freedSpace }
+   */
+  async cleanup(cutoffDate) {
+    const records = await StoredFile.findAll({
+      where: {
+        active: true,
+        uploadType: { [Op.in]: TEMPORARY_UPLOAD_TYPES },
+        entityType: null,
+        created_date: { [Op.lt]: cutoffDate }
+      }
+    });
+
+    let deletedFiles = 0;
+    let freedSpace = 0;
+    for (const record of records) {
+      try {
+        await storage.getAdapter(record.storageDriver).delete(record.storageKey);
+        await record.update({ active: false });
+        deletedFiles++;
+        freedSpace += Number(record.size);
+      } catch (error) {
+        logger.warn(`Could not delete stored file ${record.id}:`, error.message);
+      }
+    }
+
+    return { deletedFiles, freedSpace };
+  }
+
+  toDTO(record) {
+    return {
+      id: record.id,
+      originalName: record.originalName,
+      mimeType: record.mimeType,
+      size: Number(record.size),
+      checksum: record.checksum,
+      uploadType: record.uploadType,
+      entityType: record.entityType,
+      entityId: record.entityId,
+      ownerId: record.ownerId,
+      createdAt: record.created_date,
+      url: `/api/files/${record.id}/download`
+    };
+  }
+}
+
+module.exports = new FileService();
@@ -4,6 +4,10 @@ const performanceStatisticService = require('./performanceStatisticService');
 const communicationService = require('./communicationService');
 const reportService = require('./reportService');
 const cidCrimeDataService = require('./cidCrimeDataService');
+const cidCaseLifecycleService = require('./cidCaseLifecycleService');
+const cidAnalyticsService = require('./cidAnalyticsService');
+const cidGeoService = require('./cidGeoService');
+const cidDuplicateService = require('./cidDuplicateService');
 const battalionService = require('./battalionService');
 const rangeService = require('./rangeService');
 
@@ -14,6 +18,10 @@ module.exports = {
   communicationService,
   reportService,
   cidCrimeDataService,
+  cidCaseLifecycleService,
+  cidAnalyticsService,
+  cidGeoService,
+  cidDuplicateService,
   battalionService,
   rangeService
 };
\ No newline at end of file
@@ -0,0 +1,243 @@
+const { User, Range, Battalion } = require('../models');
+const { AuthorizationException } = require('../exceptions');
+const { Op } = require('sequelize');
+
+// Roles that see every unit when their user record carries none
+const GLOBAL_ROLES = ['SUPER_ADMIN', 'ADMIN'];
+
+/**
+ * Data scoping by jurisdiction. A user's jurisdiction is derived from the
+ * unit columns of the user record, the same way the approval workflow does:
+ *   battalionId set          -> BATTALION (own battalion)
+ *   rangeId, no battalionId  -> RANGE     (battalions of the range)
+ *   stateId only             -> STATE     (ranges and battalions of the state)
+ *   none, admin role         -> GLOBAL    (no restriction)
+ *   none, any other role     -> NONE      (no unit data at all)
+ * Read queries on unit-stamped tables (performance_statistic,
+ * cid_crime_data, user, ...) are narrowed to that subtree.
+ */
+class JurisdictionService {
+  /**
+   * Jurisdiction of a user
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { level, stateId, rangeId, battalionId }
+   */
+  getScope(user) {
+    const scope = {
+      stateId: user?.stateId || null,
+      rangeId: user?.rangeId || null,
+      battalionId: user?.battalionId || null
+    };
+
+    if (scope.battalionId) return { level: 'BATTALION', ...scope };
+    if (scope.rangeId) return { level: 'RANGE', ...scope };
+    if (scope.stateId) return { level: 'STATE', ...scope };
+    if (GLOBAL_ROLES.includes(user?.role?.roleName)) return { level: 'GLOBAL', ...scope };
+    return { level: 'NONE', ...scope };
+  }
+
+  isGlobal(user) {
+    return this.getScope(user).level === 'GLOBAL';
+  }
+
+  /**
+   * Where fragment restricting a unit-stamped model to the user's jurisdiction
+   * @param {Object} user - Authenticated user (no restriction when absent)
+   * @param {Object} fields - Attribute names of the unit columns when they differ
+   * @returns {Object} Where fragment, empty for global users, matching nothing without a jurisdiction
+   */
+  scopeWhere(user, fields = {}) {
+    if (!user) return {};
+
+    const { stateId = 'stateId', rangeId = 'rangeId', battalionId = 'battalionId' } = fields;
+    const scope = this.getScope(user);
+
+    switch (scope.level) {
+      case 'BATTALION': return { [battalionId]: scope.battalionId };
+      case 'RANGE': return { [rangeId]: scope.rangeId };
+      case 'STATE': return { [stateId]: scope.stateId };
+      case 'NONE': return { [battalionId]: { [Op.in]: [] } };
+      default: return {};
+    }
+  }
+
+  /**
+   * AND the user's jurisdiction into an existing where clause without
+   * overwriting filters on the same columns
+   * @param {Object} where - Where clause of the query
+   * @param {Object} user - Authenticated user
+   * @param {Object} fields - See scopeWhere
+   * @returns {Object} Scoped where clause
+   */
+  applyScope(where, user, fields = {}) {
+    const scoped = this.scopeWhere(user, fields);
+    if (!Object.keys(scoped).length) return where;
+    if (!where || (!Object.keys(where).length && !Object.getOwnPropertySymbols(where).length)) return scoped;
+    return { [Op.and]: [where, scoped] };
+  }
+
+  /**
+   * Where clause for the State table
+   */
+  stateWhere(user) {
+    const scope = this.getScope(user);
+    switch (scope.level) {
+      case 'GLOBAL': return {};
+      case 'NONE': return { id: { [Op.in]: [] } };
+      default: return { id: scope.stateId };
+    }
+  }
+
+  /**
+   * Where clause for the Range table
+   */
+  rangeWhere(user) {
+    const scope = this.getScope(user);
+    switch (scope.level) {
+      case 'BATTALION':
+      case 'RANGE': return { id: scope.rangeId };
+      case 'STATE': return { stateId: scope.stateId };
+      case 'NONE': return { id: { [Op.in]: [] } };
+      default: return {};
+    }
+  }
+
+  /**
+   * Where clause for the Battalion table (battalions only carry their range)
+   */
+  async battalionWhere(user) {
+    const scope = this.getScope(user);
+    switch (scope.level) {
+      case 'BATTALION': return { id: scope.battalionId };
+      case 'RANGE': return { rangeId: scope.rangeId };
+      case 'STATE': {
+        const ranges = await Range.findAll({ where: { stateId: scope.stateId }, attributes: ['id'] });
+        return { rangeId: { [Op.in]: ranges.map(r => r.id) } };
+      }
+      case 'NONE': return { id: { [Op.in]: [] } };
+      default: return {};
+    }
+  }
+
+  /**
+   * IDs of the users inside the jurisdiction, for tables that are only
+   * keyed by user
+   * @returns {Array|null} User IDs, null for global users
+   */
+  async getUserIds(user) {
+    if (!user || this.isGlobal(user)) return null;
+    const users = await User.findAll({ where: this.scopeWhere(user), attributes: ['id'] });
+    return users.map(u => u.id);
+  }
+
+  /**
+   * Whether a unit-stamped record falls inside the user's jurisdiction
+   * @param {Object} user - Authenticated user
+   * @param {Object} target - { stateId, rangeId, battalionId } of the record
+   * @returns {boolean}
+   */
+  canAccess(user, target) {
+    const scope = this.getScope(user);
+    switch (scope.level) {
+      case 'BATTALION': return target?.battalionId === scope.battalionId;
+      case 'RANGE': return target?.rangeId === scope.rangeId;
+      case 'STATE': return target?.stateId === scope.stateId;
+      case 'GLOBAL': return true;
+      default: return false;
+    }
+  }
+
+  /**
+   * @throws {AuthorizationException} When the record is outside the jurisdiction
+   */
+  assertCanAccess(user, target, resource = 'this record') {
+    if (!this.canAccess(user, target)) {
+      throw new AuthorizationException(`Access denied: ${resource} is outside your jurisdiction`);
+    }
+  }
+
+  /**
+   * Check the user may read the data of another user
+   * @param {Object} viewer - Authenticated user
+   * @param {number} userId - User whose data is requested
+   */
+  async assertCanAccessUser(viewer, userId) {
+    if (this.isGlobal(viewer) || viewer.id === userId) return;
+
+    const target = await User.findByPk(userId, { attributes: ['id', 'stateId', 'rangeId', 'battalionId'] });
+    this.assertCanAccess(viewer, target, `user ${userId}`);
+  }
+
+  /**
+   * Check the user may read the given battalions
+   * @param {Object} user - Authenticated user
+   * @param {Array} battalionIds - Requested battalion IDs
+   */
+  async assertCanAccessBattalions(user, battalionIds) {
+    if (this.isGlobal(user) || !battalionIds.length) return;
+
+    const battalions = await Battalion.findAll({
+      where: { id: { [Op.in]: battalionIds } },
+      attributes: ['id', 'rangeId'],
+      include: [{ model: Range, as: 'range', attributes: ['id', 'stateId'] }]
+    });
+
+    battalionIds.forEach(id => {
+      const battalion = battalions.find(b => b.id === id);
+      this.assertCanAccess(user, {
+        battalionId: id,
+        rangeId: battalion?.rangeId,
+        stateId: battalion?.range?.stateId
+      }, `battalion ${id}`);
+    });
+  }
+
+  /**
+   * Check the user may read the given range
+   */
+  async assertCanAccessRange(user, rangeId) {
+    const scope = this.getScope(user);
+    if (scope.level === 'GLOBAL') return;
+    if (scope.level === 'BATTALION') {
+      // Only their own range, which still narrows to their battalion
+      this.assertCanAccess(user, { battalionId: rangeId === scope.rangeId ? scope.battalionId : null }, `range ${rangeId}`);
+      return;
+    }
+
+    const range = await Range.findByPk(rangeId, { attributes: ['id', 'stateId'] });
+    this.assertCanAccess(user, { rangeId, stateId: range?.stateId }, `range ${rangeId}`);
+  }
+
+  /**
+   * Validate the unit filters of a report request against the user's
+   * jurisdiction, and narrow the request to it
+   * @param {Object} request - Report request
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Restricted request
+   */
+  async restrictReportRequest(request, user) {
+    const restricted = { ...request };
+    const scope = this.getScope(user);
+    if (scope.level === 'NONE') {
+      throw new AuthorizationException('Access denied: no jurisdiction is assigned to your account');
+    }
+
+    const battalionIds = [
+      ...(restricted.battalionId ? [parseInt(restricted.battalionId)] : []),
+      ...(Array.isArray(restricted.battalionIds) ? restricted.battalionIds.map(id => parseInt(id)) : [])
+    ];
+    await this.assertCanAccessBattalions(user, battalionIds);
+    if (restricted.rangeId) await this.assertCanAccessRange(user, parseInt(restricted.rangeId));
+
+    if (scope.level === 'BATTALION') {
+      restricted.battalionId = scope.battalionId;
+      restricted.battalionIds = [scope.battalionId];
+    } else if (scope.level === 'RANGE' && !battalionIds.length) {
+      restricted.rangeId = scope.rangeId;
+    }
+
+    return restricted;
+  }
+}
+
+module.exports = new JurisdictionService();
@@ -0,0 +1,537 @@
+const Joi = require('joi');
+const models = require('../models');
+const sequelize = require('../config/database');
+const tabularFileParser = require('../utils/tabularFileParser');
+const answerValidator = require('../utils/answerValidator');
+const logger = require('../utils/logger');
+const { ValidationException } = require('../exceptions');
+
+const MASTER_DATA_IMPORT_MAX_ROWS = parseInt(process.env.MASTER_DATA_IMPORT_MAX_ROWS) || 5000;
+
+const BOOLEAN = Joi.boolean().truthy('yes', 'y', '1').falsy('no', 'n', '0');
+const MONTH = Joi.number().integer().min(1).max(12);
+
+/**
+ * Importable entities. Each is matched on its natural key: the name field
+ * within its scope references (e.g. a battalion by name within its range).
+ * References are given by name in the column named after the referenced
+ * entity's name field (stateName, rangeName, moduleName, ...) and resolved
+ * through that entity's own natural key, so a question row names its
+ * module, topic and optionally sub-topic.
+ *   columns          -> own columns (Joi rules for the cell text)
+ *   requiredOnCreate -> columns needed only when the row creates a record
+ *   references       -> { field, entity, scope, required }
+ */
+const ENTITIES = {
+  STATE: {
+    model: 'State',
+    label: 'State',
+    nameField: 'stateName',
+    references: [],
+    columns: {
+      stateName: Joi.string().min(2).max(250),
+      stateDescription: Joi.string().allow('')
+    },
+    requiredOnCreate: []
+  },
+  RANGE: {
+    model: 'Range',
+    label: 'Range',
+    nameField: 'rangeName',
+    references: [{ field: 'stateId', entity: 'STATE', scope: true, required: true }],
+    columns: {
+      rangeName: Joi.string().min(2).max(250),
+      rangeHead: Joi.string().min(2).max(250),
+      rangeContactNo: Joi.string().max(20),
+      rangeMobileNo: Joi.string().max(20),
+      rangeEmail: Joi.string().email().max(50),
+      rangeDescription: Joi.string().allow('')
+    },
+    requiredOnCreate: ['rangeHead', 'rangeContactNo', 'rangeMobileNo', 'rangeEmail']
+  },
+  DISTRICT: {
+    model: 'District',
+    label: 'District',
+    nameField: 'districtName',
+    references: [],
+    columns: {
+      districtName: Joi.string().min(2).max(255)
+    },
+    requiredOnCreate: []
+  },
+  BATTALION: {
+    model: 'Battalion',
+    label: 'Battalion',
+    nameField: 'battalionName',
+    references: [
+      { field: 'rangeId', entity: 'RANGE', scope: true, required: true },
+      { field: 'districtId', entity: 'DISTRICT' }
+    ],
+    columns: {
+      battalionName: Joi.string().min(2).max(255),
+      battalionHead: Joi.string().max(255),
+      battalionContactNo: Joi.string().max(20),
+      battalionMobileNo: Joi.string().max(20),
+      battalionEmail: Joi.string().email().max(255),
+      battalionArea: Joi.string().allow('')
+    },
+    requiredOnCreate: []
+  },
+  MODULE: {
+    model: 'Module',
+    label: 'Module',
+    nameField: 'moduleName',
+    references: [],
+    columns: {
+      moduleName: Joi.string().min(2).max(100),
+      priority: Joi.number().integer().min(1)
+    },
+    requiredOnCreate: []
+  },
+  TOPIC: {
+    model: 'Topic',
+    label: 'Topic',
+    nameField: 'topicName',
+    references: [{ field: 'moduleId', entity: 'MODULE', scope: true, required: true }],
+    columns: {
+      topicName: Joi.string().min(2).max(100),
+      subName: Joi.string().max(500).allow(''),
+      priority: Joi.number().integer().min(0),
+      formType: Joi.string().uppercase().valid('NORMAL', 'Q/ST', 'ST/Q'),
+      isShowCummulative: BOOLEAN,
+      isShowPrevious: BOOLEAN,
+      isStartJan: BOOLEAN,
+      startMonth: MONTH,
+      endMonth: MONTH
+    },
+    requiredOnCreate: []
+  },
+  SUB_TOPIC: {
+    model: 'SubTopic',
+    label: 'Sub-topic',
+    nameField: 'subTopicName',
+    references: [{ field: 'topicId', entity: 'TOPIC', scope: true, required: true }],
+    columns: {
+      subTopicName: Joi.string().min(2).max(100),
+      priority: Joi.number().integer().min(0)
+    },
+    requiredOnCreate: []
+  },
+  QUESTION: {
+    model: 'Question',
+    label: 'Question',
+    nameField: 'question',
+    references: [
+      { field: 'topicId', entity: 'TOPIC', scope: true, required: true },
+      { field: 'subTopicId', entity: 'SUB_TOPIC', scope: true }
+    ],
+    columns: {
+      question: Joi.string().min(2).max(1000),
+      priority: Joi.number().integer().min(0),
+      type: Joi.string().max(50),
+      defaultVal: Joi.string().max(255),
+      isPrevious: BOOLEAN,
+      isCumulative: BOOLEAN,
+      // JSON object, see answerValidator
+      validationRules: Joi.string()
+    },
+    requiredOnCreate: []
+  }
+};
+
+// Every entity can be (de)activated from the file
+Object.values(ENTITIES).forEach(definition => { definition.columns.active = BOOLEAN; });
+
+/**
+ * Bulk import of the master data hierarchy (states, ranges, districts,
+ * battalions, modules, topics, sub-topics and questions) from CSV or XLSX.
+ *
+ * File headers are matched to fields by name (case, spaces and underscores
+ * ignored, e.g. "Range Name" -> rangeName) or through an explicit mapping
+ * { field: header }. Rows are upserted on the entity's natural key; empty
+ * cells leave existing values unchanged. A dry run reports what each row
+ * would do; a real import writes all rows in one transaction or none.
+ */
+class MasterDataImportService {
+  get entities() {
+    return Object.keys(ENTITIES);
+  }
+
+  /**
+   * Columns of each entity, for building import files
+   */
+  describe() {
+    return this.entities.map(entity => {
+      const definition = ENTITIES[entity];
+      return {
+        entity,
+        label: definition.label,
+        naturalKey: [...this.referenceColumns(entity, true), definition.nameField],
+        columns: this.columnsOf(entity).map(field => ({
+          field,
+          required: this.requiredColumns(entity).includes(field),
+          requiredOnCreate: definition.requiredOnCreate.includes(field)
+        }))
+      };
+    });
+  }
+
+  /**
+   * Validate and optionally import a file
+   * @param {string} entity - Entity name (e.g. BATTALION)
+   * @param {Object} file - { buffer, originalname }
+   * @param {Object} options - { dryRun, mapping }
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Import report
+   * @throws {ValidationException} Bad file or mapping, or rejected rows on a real import
+   */
+  async import(entity, file, { dryRun = true, mapping = null } = {}, user) {
+    const entityName = String(entity || '').toUpperCase().replace(/-/g, '_');
+    const definition = ENTITIES[entityName];
+    if (!definition) {
+      throw new ValidationException(`Entity must be one of: ${this.entities.join(', ')}`, [], 'entity');
+    }
+
+    const { headers, rows } = await tabularFileParser.parse(file.buffer, file.originalname);
+    if (!rows.length) {
+      throw new ValidationException('The file contains no data rows', [], 'file');
+    }
+    if (rows.length > MASTER_DATA_IMPORT_MAX_ROWS) {
+      throw new ValidationException(`A file can contain at most ${MASTER_DATA_IMPORT_MAX_ROWS} rows`, [], 'file');
+    }
+
+    const headerByField = this.mapColumns(entityName, headers, this.parseMapping(mapping));
+    const indexes = await this.loadIndexes(entityName);
+    const plan = this.plan(entityName, rows, headerByField, indexes, user);
+
+    const report = {
+      entity: entityName,
+      dryRun,
+      committed: false,
+      totalRows: rows.length,
+      columns: headerByField,
+      ignoredHeaders: headers.filter(header => !Object.values(headerByField).includes(header)),
+      summary: {
+        created: plan.filter(item => item.action === 'CREATE').length,
+        updated: plan.filter(item => item.action === 'UPDATE').length,
+        unchanged: plan.filter(item => item.action === 'UNCHANGED').length,
+        rejected: plan.filter(item => item.action === 'REJECTED').length
+      },
+      rows: plan.map(({ rowNumber, action, name, id, changes, errors }) => ({ rowNumber, action, name, id, changes, errors })),
+      errors: plan.flatMap(item => item.errors.map(error => ({ rowNumber: item.rowNumber, ...error })))
+    };
+
+    if (dryRun) return report;
+
+    if (report.errors.length) {
+      throw new ValidationException(
+        `${report.summary.rejected} of ${rows.length} rows were rejected; nothing was imported`,
+        report.errors,
+        'file'
+      );
+    }
+
+    await this.commit(entityName, plan, user);
+    logger.info(`Master data import of ${entityName} by user ${user.id}: ${report.summary.created} created, ${report.summary.updated} updated`);
+
+    report.committed = true;
+    report.rows = plan.map(({ rowNumber, action, name, id, changes }) => ({ rowNumber, action, name, id, changes, errors: [] }));
+    return report;
+  }
+
+  /**
+   * Decide what each row does
+   * @returns {Array} [{ rowNumber, action, name, id, changes, data, errors }]
+   */
+  plan(entityName, rows, headerByField, indexes, user) {
+    const definition = ENTITIES[entityName];
+    const index = indexes.get(entityName);
+    const hasAuditFields = !!models[definition.model].rawAttributes.createdBy;
+    const seen = new Map();
+
+    return rows.map(({ rowNumber, values: raw }) => {
+      const values = {};
+      Object.entries(headerByField).forEach(([field, header]) => {
+        if (raw[header] !== undefined && raw[header] !== '') values[field] = raw[header];
+      });
+
+      const item = { rowNumber, action: 'REJECTED', name: values[definition.nameField] || null, id: null, changes: null, data: null, errors: [] };
+      const reject = (field, message) => item.errors.push({ field, message });
+
+      // References, including the scope of the natural key
+      const resolved = {};
+      const scope = {};
+      definition.references.forEach(reference => {
+        const result = this.resolve(reference.entity, values, indexes);
+        if (result.error) return reject(result.error.field, result.error.message);
+        if (result.id === null && reference.required) {
+          return reject(ENTITIES[reference.entity].nameField, `${ENTITIES[reference.entity].nameField} is required`);
+        }
+        if (reference.scope) scope[reference.field] = result.id;
+        if (result.id !== null) resolved[reference.field] = result.id;
+      });
+
+      if (!values[definition.nameField]) reject(definition.nameField, `${definition.nameField} is required`);
+      if (item.errors.length) return item;
+
+      const key = this.keyOf(entityName, scope, values[definition.nameField]);
+      const existing = index.get(key);
+      if (seen.has(key)) {
+        reject(definition.nameField, `Duplicate of row ${seen.get(key)}`);
+        return item;
+      }
+      seen.set(key, rowNumber);
+
+      const own = {};
+      Object.keys(definition.columns).forEach(field => {
+        if (values[field] !== undefined) own[field] = values[field];
+      });
+
+      const schema = Joi.object(definition.columns).fork(
+        existing ? [] : definition.requiredOnCreate,
+        rule => rule.required()
+      );
+      const { error, value } = schema.validate(own, { abortEarly: false, convert: true, errors: { wrap: { label: '' } } });
+      if (error) {
+        error.details.forEach(detail => reject(detail.path.join('.'), detail.message));
+        return item;
+      }
+
+      if (value.validationRules !== undefined) {
+        try {
+          value.validationRules = JSON.parse(value.validationRules);
+          answerValidator.assertValidRules(value.validationRules);
+        } catch (ruleError) {
+          reject('validationRules', ruleError instanceof SyntaxError ? 'validationRules must be a JSON object' : ruleError.message);
+          return item;
+        }
+      }
+
+      const data = { ...resolved, ...value };
+      if (!existing) {
+        item.action = 'CREATE';
+        item.data = {
+          active: true,
+          ...data,
+          ...(hasAuditFields ? { createdBy: user.id, updatedBy: user.id } : {})
+        };
+        return item;
+      }
+
+      item.id = existing.id;
+      const changes = {};
+      Object.entries(data).forEach(([field, next]) => {
+        const current = existing.get(field);
+        if (this.comparable(current) !== this.comparable(next)) changes[field] = { from: current ?? null, to: next };
+      });
+
+      if (!Object.keys(changes).length) {
+        item.action = 'UNCHANGED';
+        return item;
+      }
+
+      item.action = 'UPDATE';
+      item.changes = changes;
+      item.data = {
+        ...Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+        ...(hasAuditFields ? { updatedBy: user.id } : {})
+      };
+      return item;
+    });
+  }
+
+  /**
+   * Write a validated plan in one transaction; model validation errors reject the whole import
+   */
+  async commit(entityName, plan, user) {
+    const Model = models[ENTITIES[entityName].model];
+    const transaction = await sequelize.transaction();
+    const errors = [];
+
+    try {
+      for (const item of plan) {
+        try {
+          if (item.action === 'CREATE') {
+            const created = await Model.create(item.data, { transaction });
+            item.id = created.id;
+          } else if (item.action === 'UPDATE') {
+            await Model.update(item.data, { where: { id: item.id }, transaction });
+          }
+        } catch (error) {
+          if (!error.errors) throw error;
+          error.errors.forEach(detail => errors.push({ rowNumber: item.rowNumber, field: detail.path, message: detail.message }));
+        }
+      }
+
+      if (errors.length) {
+        throw new ValidationException(`${errors.length} rows were rejected by the database; nothing was imported`, errors, 'file');
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      logger.error(`Master data import of ${entityName} by user ${user.id} rolled back: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * ID of the record a row refers to through the entity's natural key
+   * @returns {Object} { id } (null when the row does not name one) or { error }
+   */
+  resolve(entityName, values, indexes) {
+    const definition = ENTITIES[entityName];
+    const name = values[definition.nameField];
+    if (!name) return { id: null };
+
+    const scope = {};
+    for (const reference of definition.references.filter(r => r.scope)) {
+      const result = this.resolve(reference.entity, values, indexes);
+      if (result.error) return result;
+      if (result.id === null && reference.required) {
+        const field = ENTITIES[reference.entity].nameField;
+        return { error: { field, message: `${field} is required to find ${definition.label.toLowerCase()} '${name}'` } };
+      }
+      scope[reference.field] = result.id;
+    }
+
+    const found = indexes.get(entityName).get(this.keyOf(entityName, scope, name));
+    if (!found) {
+      const within = definition.references
+        .filter(r => r.scope && scope[r.field])
+        .map(r => `${ENTITIES[r.entity].label.toLowerCase()} '${values[ENTITIES[r.entity].nameField]}'`);
+      return {
+        error: {
+          field: definition.nameField,
+          message: `${definition.label} '${name}' not found${within.length ? ` in ${within.join(', ')}` : ''}`
+        }
+      };
+    }
+    return { id: found.id };
+  }
+
+  /**
+   * Natural key: scope IDs and the normalized name
+   */
+  keyOf(entityName, scope, name) {
+    const definition = ENTITIES[entityName];
+    const scopeIds = definition.references.filter(r => r.scope).map(r => scope[r.field] ?? '');
+    return [...scopeIds, String(name).trim().replace(/\s+/g, ' ').toLowerCase()].join('|');
+  }
+
+  /**
+   * Records of the entity and everything it references, by natural key.
+   * Active records are indexed first so they win over inactive duplicates.
+   * @returns {Map} Entity -> Map(key -> record)
+   */
+  async loadIndexes(entityName) {
+    const needed = new Set();
+    const collect = name => {
+      if (needed.has(name)) return;
+      needed.add(name);
+      ENTITIES[name].references.forEach(reference => collect(reference.entity));
+    };
+    collect(entityName);
+
+    const indexes = new Map();
+    await Promise.all([...needed].map(async name => {
+      const definition = ENTITIES[name];
+      const records = await models[definition.model].findAll({ order: [['active', 'DESC'], ['id', 'ASC']] });
+      const index = new Map();
+      records.forEach(record => {
+        const scope = {};
+        definition.references.filter(r => r.scope).forEach(r => { scope[r.field] = record.get(r.field); });
+        const key = this.keyOf(name, scope, record.get(definition.nameField));
+        if (!index.has(key)) index.set(key, record);
+      });
+      indexes.set(name, index);
+    }));
+    return indexes;
+  }
+
+  /**
+   * Header of each field: the explicit mapping first, then headers named like the field
+   * @returns {Object} field -> header
+   */
+  mapColumns(entityName, headers, mapping) {
+    const fields = this.columnsOf(entityName);
+    const normalize = text => String(text).toLowerCase().replace(/[\s_-]+/g, '');
+    const errors = [];
+    const headerByField = {};
+
+    Object.entries(mapping).forEach(([field, header]) => {
+      if (!fields.includes(field)) errors.push({ field: `mapping.${field}`, message: 'Unknown field' });
+      else if (!headers.includes(header)) errors.push({ field: `mapping.${field}`, message: `Column '${header}' is not in the file` });
+      else headerByField[field] = header;
+    });
+
+    fields.filter(field => !headerByField[field]).forEach(field => {
+      const header = headers.find(h => normalize(h) === normalize(field));
+      if (header) headerByField[field] = header;
+    });
+
+    this.requiredColumns(entityName)
+      .filter(field => !headerByField[field])
+      .forEach(field => errors.push({ field, message: `Column ${field} is missing` }));
+
+    if (errors.length) {
+      throw new ValidationException(errors[0].message, errors, errors[0].field);
+    }
+    return headerByField;
+  }
+
+  parseMapping(mapping) {
+    if (!mapping) return {};
+    if (typeof mapping === 'object' && !Array.isArray(mapping)) return mapping;
+    try {
+      const parsed = JSON.parse(mapping);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Reported below
+    }
+    throw new ValidationException('Mapping must be a JSON object of field -> column header', [], 'mapping');
+  }
+
+  /**
+   * Name columns of the references of an entity, ancestors first
+   * @param {boolean} scopeOnly - Only the references that form the natural key
+   */
+  referenceColumns(entityName, scopeOnly = false) {
+    const columns = [];
+    ENTITIES[entityName].references
+      .filter(reference => !scopeOnly || reference.scope)
+      .forEach(reference => {
+        this.referenceColumns(reference.entity, true).forEach(column => {
+          if (!columns.includes(column)) columns.push(column);
+        });
+        const column = ENTITIES[reference.entity].nameField;
+        if (!columns.includes(column)) columns.push(column);
+      });
+    return columns;
+  }
+
+  columnsOf(entityName) {
+    return [...this.referenceColumns(entityName), ...Object.keys(ENTITIES[entityName].columns)];
+  }
+
+  /**
+   * Columns every file must have: the name and the names of required references
+   */
+  requiredColumns(entityName) {
+    const definition = ENTITIES[entityName];
+    const required = [];
+    const addReference = reference => {
+      ENTITIES[reference.entity].references.filter(r => r.required).forEach(addReference);
+      required.push(ENTITIES[reference.entity].nameField);
+    };
+    definition.references.filter(r => r.required).forEach(addReference);
+    return [...new Set([...required, definition.nameField])];
+  }
+
+  comparable(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+}
+
+module.exports = new MasterDataImportService();
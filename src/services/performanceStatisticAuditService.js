@@ -0,0 +1,161 @@
+const { PerformanceStatisticHistory, User } = require('../models');
+const logger = require('../utils/logger');
+const jurisdictionService = require('./jurisdictionService');
+const { ValidationException } = require('../exceptions');
+const { Op } = require('sequelize');
+
+// Fields of performance_statistic whose changes are kept in the history
+const TRACKED_FIELDS = ['value', 'status', 'active', 'monthYear', 'questionId', 'subTopicId'];
+
+class PerformanceStatisticAuditService {
+  /**
+   * Build the audit context of an HTTP request
+   * @param {Object} req - Express request (authenticated)
+   * @param {string} source - Optional source label (default: METHOD path)
+   * @returns {Object} { changedBy, source, ipAddress }
+   */
+  contextFromRequest(req, source = null) {
+    return {
+      changedBy: req.user?.id || null,
+      source: (source || `${req.method} ${req.originalUrl.split('?')[0]}`).slice(0, 255),
+      ipAddress: req.ip || null
+    };
+  }
+
+  /**
+   * Snapshot of the tracked fields of a row, taken before it is modified
+   */
+  snapshot(statistic) {
+    const snapshot = {};
+    TRACKED_FIELDS.forEach(field => { snapshot[field] = statistic.get ? statistic.get(field) : statistic[field]; });
+    return snapshot;
+  }
+
+  toText(value) {
+    if (value === undefined || value === null) return null;
+    return String(value).slice(0, 250);
+  }
+
+  buildEntry(statistic, action, fieldName, oldValue, newValue, context) {
+    return {
+      performanceStatisticId: statistic.id,
+      userId: statistic.userId,
+      monthYear: statistic.monthYear,
+      questionId: statistic.questionId,
+      subTopicId: statistic.subTopicId,
+      action,
+      fieldName,
+      oldValue: this.toText(oldValue),
+      newValue: this.toText(newValue),
+      changedBy: context?.changedBy || statistic.updatedBy || null,
+      source: context?.source || null,
+      ipAddress: context?.ipAddress || null
+    };
+  }
+
+  async write(entries, transaction = null) {
+    if (!entries.length) return;
+    await PerformanceStatisticHistory.bulkCreate(entries, { transaction });
+  }
+
+  /**
+   * Record newly created rows
+   * @param {Array} statistics - Created rows
+   * @param {Object} context - Audit context
+   * @param {Object} transaction - Optional transaction
+   */
+  async recordCreate(statistics, context, transaction = null) {
+    const entries = [];
+    for (const statistic of statistics) {
+      TRACKED_FIELDS.forEach(field => {
+        const value = statistic.get ? statistic.get(field) : statistic[field];
+        if (value !== undefined && value !== null) {
+          entries.push(this.buildEntry(statistic, 'CREATE', field, null, value, context));
+        }
+      });
+    }
+    await this.write(entries, transaction);
+  }
+
+  /**
+   * Record the fields of a row that differ from its snapshot
+   * @param {Object} statistic - Updated row
+   * @param {Object} before - snapshot() taken before the update
+   * @param {Object} context - Audit context
+   * @param {Object} transaction - Optional transaction
+   */
+  async recordUpdate(statistic, before, context, transaction = null) {
+    const after = this.snapshot(statistic);
+    const entries = TRACKED_FIELDS
+      .filter(field => this.toText(before[field]) !== this.toText(after[field]))
+      .map(field => {
+        // A soft delete is an update of "active" but reads as a delete in the trail
+        const action = field === 'active' && after.active === false ? 'DELETE' : 'UPDATE';
+        return this.buildEntry(statistic, action, field, before[field], after[field], context);
+      });
+    await this.write(entries, transaction);
+  }
+
+  /**
+   * Record the same field change on many rows (bulk status updates)
+   * @param {Array} statistics - Rows as they were before the change
+   * @param {Object} changes - Field/value pairs applied to every row
+   * @param {Object} context - Audit context
+   * @param {Object} transaction - Optional transaction
+   */
+  async recordBulkUpdate(statistics, changes, context, transaction = null) {
+    const entries = [];
+    for (const statistic of statistics) {
+      Object.entries(changes)
+        .filter(([field]) => TRACKED_FIELDS.includes(field))
+        .forEach(([field, value]) => {
+          const oldValue = statistic.get ? statistic.get(field) : statistic[field];
+          if (this.toText(oldValue) !== this.toText(value)) {
+            entries.push(this.buildEntry(statistic, 'UPDATE', field, oldValue, value, context));
+          }
+        });
+    }
+    await this.write(entries, transaction);
+  }
+
+  /**
+   * History of a user's month, optionally narrowed to one question / sub-topic
+   * @param {Object} filters - { userId, monthYear, questionId, subTopicId, performanceStatisticId, page, limit }
+   * @param {Object} viewer - Requesting user; entries are limited to users of their jurisdiction
+   * @returns {Object} { history, total }
+   */
+  async getHistory(filters = {}, viewer = null) {
+    const { userId, monthYear, questionId, subTopicId, performanceStatisticId, page = 1, limit = 100 } = filters;
+
+    if (!performanceStatisticId && (!userId || !monthYear)) {
+      throw new ValidationException('User ID and month-year (or a statistic ID) are required', [], 'userId');
+    }
+
+    const where = {};
+    if (performanceStatisticId) where.performanceStatisticId = performanceStatisticId;
+    if (userId) where.userId = userId;
+    if (monthYear) where.monthYear = monthYear;
+    if (questionId) where.questionId = questionId;
+    if (subTopicId) where.subTopicId = subTopicId;
+
+    const scopedUserIds = await jurisdictionService.getUserIds(viewer);
+    if (scopedUserIds) where[Op.and] = [{ userId: { [Op.in]: scopedUserIds } }];
+
+    const { count, rows } = await PerformanceStatisticHistory.findAndCountAll({
+      where,
+      include: [{
+        model: User,
+        as: 'changedByUser',
+        attributes: ['id', 'firstName', 'lastName']
+      }],
+      order: [['created_date', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    logger.info(`Retrieved ${rows.length} history entries for user ${userId || '-'} month ${monthYear || '-'}`);
+    return { history: rows, total: count };
+  }
+}
+
+module.exports = new PerformanceStatisticAuditService();
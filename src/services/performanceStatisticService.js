@@ -1,7 +1,38 @@
-const { PerformanceStatistic, User, Question, Module, Topic, SubTopic, State, Range, District, Battalion } = require('../models');
+const { PerformanceStatistic, PerformanceStatisticOtp, User, Question, Module, Topic, SubTopic, State, Range, District, Battalion } = require('../models');
+const sequelize = require('../config/database');
 const logger = require('../utils/logger');
+const otpUtility = require('../utils/otpUtility');
+const smsUtil = require('../utils/smsUtil');
+const formulaEngine = require('../utils/formulaEngine');
+const monthYearUtil = require('../utils/monthYearUtil');
+const answerValidator = require('../utils/answerValidator');
+const reportingPeriodService = require('./reportingPeriodService');
+const performanceSubmissionService = require('./performanceSubmissionService');
+const performanceStatisticAuditService = require('./performanceStatisticAuditService');
+const consistencyRuleService = require('./consistencyRuleService');
+const jurisdictionService = require('./jurisdictionService');
+const { hashPassword, comparePassword } = require('../utils/helpers');
+const {
+  ValidationException,
+  NotFoundException,
+  BusinessRuleException,
+  ExternalServiceException,
+  RateLimitException
+} = require('../exceptions');
 const { Op, Sequelize } = require('sequelize');
 
+// OTP settings for final submission of monthly statistics
+const OTP_VALIDITY_MINUTES = parseInt(process.env.OTP_VALIDITY_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_MAX_SENDS = parseInt(process.env.OTP_MAX_SENDS) || 5;
+
+// Columns refreshed when an answer already exists for the user/question/sub-topic/month
+const UPSERT_UPDATE_FIELDS = [
+  'value', 'status', 'periodKey', 'moduleId', 'topicId', 'battalionId', 'rangeId', 'stateId', 'updatedBy', 'active',
+  'updated_date'
+];
+
 class PerformanceStatisticService {
   /**
    * Get all performance statistics by user ID
@@ -362,11 +393,13 @@ class PerformanceStatisticService {
 
   /**
    * Get all unique month-year labels
+   * @param {Object} viewer - Requesting user; rows are limited to their jurisdiction
    * @returns {Array} Array of month-year labels
    */
-  async getAllLabels() {
+  async getAllLabels(viewer = null) {
     const results = await PerformanceStatistic.findAll({
       attributes: ['monthYear'],
+      where: jurisdictionService.scopeWhere(viewer),
       group: ['monthYear'],
       order: [['monthYear', 'ASC']],
       raw: true
@@ -378,9 +411,10 @@ class PerformanceStatisticService {
   /**
    * Get labels by various filters
    * @param {Object} filters - Filter conditions
+   * @param {Object} viewer - Requesting user; rows are limited to their jurisdiction
    * @returns {Array} Array of month-year labels
    */
-  async getLabelsByFilters(filters) {
+  async getLabelsByFilters(filters, viewer = null) {
     const { districtId, rangeId, stateId, moduleId, topicId, subTopicId, questionIds } = filters;
     
     const whereCondition = {
@@ -411,7 +445,7 @@ class PerformanceStatisticService {
 
     const results = await PerformanceStatistic.findAll({
       attributes: ['monthYear'],
-      where: whereCondition,
+      where: jurisdictionService.applyScope(whereCondition, viewer),
       group: ['monthYear'],
       order: [['monthYear', 'ASC']],
       raw: true
@@ -423,9 +457,10 @@ class PerformanceStatisticService {
   /**
    * Get values for report generation
    * @param {Object} filters - Filter conditions
+   * @param {Object} viewer - Requesting user; rows are limited to their jurisdiction
    * @returns {Array} Report data
    */
-  async getValuesForReport(filters) {
+  async getValuesForReport(filters, viewer = null) {
     const { type, id, questionId, subTopicId, userIds } = filters;
     
     let whereCondition = {
@@ -468,7 +503,7 @@ class PerformanceStatisticService {
 
     const results = await PerformanceStatistic.findAll({
       attributes,
-      where: whereCondition,
+      where: jurisdictionService.applyScope(whereCondition, viewer),
       group: groupBy,
       order: [['monthYear', 'ASC']],
       include: type === 'user' || type === 'multiUser' ? [
@@ -487,21 +522,21 @@ class PerformanceStatisticService {
   /**
    * Create new performance statistic
    * @param {Object} data - Performance statistic data
+   * @param {Object} auditContext - Who/where the change comes from (see performanceStatisticAuditService)
    * @returns {Object} Created performance statistic
    */
-  async create(data) {
+  async create(data, auditContext = null) {
     const { 
       userId, 
       questionId, 
       moduleId, 
-      topicId, 
       subTopicId, 
       stateId, 
       rangeId, 
+      battalionId,
       districtId, 
       value, 
-      monthYear,
-      status = 'INPROGRESS'
+      monthYear
     } = data;
 
     // Validation
@@ -509,22 +544,44 @@ class PerformanceStatisticService {
       throw new Error('User ID, question ID, module ID, value, and month-year are required');
     }
 
-    const statistic = await PerformanceStatistic.create({
-      userId,
-      questionId,
-      moduleId,
-      topicId,
-      subTopicId,
-      stateId,
-      rangeId,
-      districtId,
-      value,
-      monthYear,
-      status,
-      createdBy: userId,
-      updatedBy: userId,
-      active: true
-    });
+    // Editability of a returned submission is per topic, so the topic comes from the question
+    const question = await Question.findByPk(questionId, { attributes: ['id', 'topicId'] });
+    if (!question) {
+      throw new NotFoundException('Question', questionId);
+    }
+    const topicId = question.topicId;
+
+    await this.assertSubmissionWritable(userId, monthYear, [topicId]);
+    const normalizedValue = await this.validateAnswerValue(questionId, value);
+
+    const transaction = await sequelize.transaction();
+    let statistic;
+
+    try {
+      statistic = await PerformanceStatistic.create({
+        userId,
+        questionId,
+        moduleId,
+        topicId,
+        subTopicId,
+        stateId,
+        rangeId,
+        battalionId,
+        districtId,
+        value: normalizedValue,
+        monthYear,
+        status: 'INPROGRESS',
+        createdBy: userId,
+        updatedBy: userId,
+        active: true
+      }, { transaction });
+
+      await performanceStatisticAuditService.recordCreate([statistic], auditContext, transaction);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
 
     logger.info(`Performance statistic created for user ${userId}, question ${questionId}, month ${monthYear}`);
     return statistic;
@@ -534,15 +591,48 @@ class PerformanceStatisticService {
    * Update performance statistic
    * @param {number} id - Performance statistic ID
    * @param {Object} updateData - Update data
+   * @param {Object} user - Updating user; rows outside their jurisdiction are refused
+   * @param {Object} auditContext - Who/where the change comes from
    * @returns {Object} Updated performance statistic
    */
-  async update(id, updateData) {
+  async update(id, updateData, user, auditContext = null) {
     const statistic = await PerformanceStatistic.findByPk(id);
     if (!statistic) {
       throw new Error('Performance statistic not found');
     }
+    jurisdictionService.assertCanAccess(user, statistic, `performance statistic ${id}`);
+
+    // Row status only moves through OTP submission and the review workflow;
+    // owner and unit columns cannot move a row between jurisdictions, and the
+    // month and question identify the answer (its history and the submission
+    // lock follow them), so a different answer is a new row
+    const {
+      status, userId, stateId, rangeId, battalionId,
+      monthYear, periodKey, moduleId, topicId, subTopicId, questionId,
+      ...changes
+    } = updateData;
+    updateData = changes;
+
+    await this.assertSubmissionWritable(statistic.userId, statistic.monthYear, [statistic.topicId]);
+
+    if (updateData.value !== undefined) {
+      updateData = {
+        ...updateData,
+        value: await this.validateAnswerValue(statistic.questionId, updateData.value)
+      };
+    }
 
-    await statistic.update(updateData);
+    const before = performanceStatisticAuditService.snapshot(statistic);
+    const transaction = await sequelize.transaction();
+
+    try {
+      await statistic.update(updateData, { transaction });
+      await performanceStatisticAuditService.recordUpdate(statistic, before, auditContext, transaction);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
 
     logger.info(`Performance statistic ${id} updated`);
     return statistic;
@@ -551,15 +641,33 @@ class PerformanceStatisticService {
   /**
    * Delete performance statistic (soft delete)
    * @param {number} id - Performance statistic ID
+   * @param {Object} user - Deleting user; rows outside their jurisdiction are refused
+   * @param {Object} auditContext - Who/where the change comes from
    * @returns {Object} Response
    */
-  async delete(id) {
+  async delete(id, user, auditContext = null) {
     const statistic = await PerformanceStatistic.findByPk(id);
     if (!statistic) {
       throw new Error('Performance statistic not found');
     }
+    jurisdictionService.assertCanAccess(user, statistic, `performance statistic ${id}`);
 
-    await statistic.update({ active: false });
+    await this.assertSubmissionWritable(statistic.userId, statistic.monthYear, [statistic.topicId]);
+
+    const before = performanceStatisticAuditService.snapshot(statistic);
+    const transaction = await sequelize.transaction();
+
+    try {
+      await statistic.update(
+        { active: false, ...(auditContext?.changedBy ? { updatedBy: auditContext.changedBy } : {}) },
+        { transaction }
+      );
+      await performanceStatisticAuditService.recordUpdate(statistic, before, auditContext, transaction);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
 
     logger.info(`Performance statistic ${id} deleted`);
     return {
@@ -569,33 +677,269 @@ class PerformanceStatisticService {
   }
 
   /**
-   * Bulk create performance statistics
-   * @param {Array} dataArray - Array of performance statistic data
-   * @returns {Array} Created performance statistics
+   * Bulk save performance statistics of the requesting user. Rows matching an
+   * existing answer of the same question/sub-topic/month are updated, others
+   * inserted; the batch is all-or-nothing. Only the question, sub-topic, month
+   * and value come from the client; owner, unit columns and status are stamped
+   * on the server as in saveStatistics.
+   * @param {Array} dataArray - Array of { questionId, subTopicId, monthYear, value }
+   * @param {Object} user - Authenticated user the answers belong to
+   * @param {Object} auditContext - Who/where the change comes from
+   * @returns {Object} { count, summary, items, data }
    */
-  async bulkCreate(dataArray) {
+  async bulkCreate(dataArray, user, auditContext = null) {
     if (!Array.isArray(dataArray) || dataArray.length === 0) {
-      throw new Error('Data array is required');
+      throw new ValidationException('Data array is required', [], 'statistics');
+    }
+
+    const rows = dataArray.map(item => {
+      const parsed = monthYearUtil.parse(item.monthYear);
+      return {
+        userId: user.id,
+        questionId: item.questionId,
+        subTopicId: item.subTopicId || null,
+        value: item.value,
+        monthYear: parsed ? monthYearUtil.format(parsed.year, parsed.month) : item.monthYear,
+        status: 'INPROGRESS',
+        battalionId: user.battalionId || null,
+        rangeId: user.rangeId || null,
+        stateId: user.stateId || null,
+        createdBy: user.id,
+        updatedBy: user.id,
+        active: true
+      };
+    });
+
+    const rejected = await this.validateStatisticRows(rows);
+    if (rejected.length) {
+      throw new ValidationException(`${rejected.length} of ${rows.length} statistics were rejected`, rejected, 'statistics');
     }
 
-    const statistics = await PerformanceStatistic.bulkCreate(dataArray, {
-      validate: true,
-      returning: true
+    // Every month in the batch must be an open period (or a returned topic)
+    const topicsByMonth = new Map();
+    rows.forEach(row => {
+      if (!topicsByMonth.has(row.monthYear)) topicsByMonth.set(row.monthYear, new Set());
+      topicsByMonth.get(row.monthYear).add(row.topicId);
     });
+    for (const [monthYear, topicIds] of topicsByMonth) {
+      await this.assertSubmissionWritable(user, monthYear, [...topicIds]);
+    }
 
-    logger.info(`${statistics.length} performance statistics created in bulk`);
-    return statistics;
+    const transaction = await sequelize.transaction();
+
+    try {
+      const result = await this.upsertStatistics(rows, auditContext, transaction);
+      await transaction.commit();
+
+      logger.info(`Bulk saved ${rows.length} performance statistics: ${result.summary.inserted} inserted, ${result.summary.updated} updated`);
+      return result;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a single answer against its question
+   * @param {number} questionId - Question ID
+   * @param {*} value - Submitted value
+   * @returns {*} Normalized value
+   */
+  async validateAnswerValue(questionId, value) {
+    const question = await Question.findByPk(questionId, { attributes: ['id', 'question', 'type', 'validationRules'] });
+    if (!question) {
+      throw new NotFoundException('Question', questionId);
+    }
+
+    const result = answerValidator.validate(question, value);
+    if (result.errors.length) {
+      throw new ValidationException(
+        `${question.question}: ${result.errors[0].message}`,
+        result.errors.map(error => ({ questionId: question.id, field: 'value', ...error })),
+        'value'
+      );
+    }
+    return result.value;
+  }
+
+  /**
+   * Key of an answer: one row per user, question, sub-topic and month
+   */
+  getStatisticKey(row) {
+    return `${row.userId}|${row.questionId}|${row.subTopicId || ''}|${row.monthYear}`;
+  }
+
+  /**
+   * Validate a save payload before anything is written: structure, then each
+   * value against its question's type and rules. Fills topicId and moduleId
+   * from the question when they are missing and normalizes accepted values.
+   * @param {Array} rows - Normalized rows (userId, questionId, subTopicId, monthYear, value)
+   * @returns {Array} Rejected items ({ index, questionId, subTopicId, field, code, message })
+   */
+  async validateStatisticRows(rows) {
+    const questionIds = [...new Set(rows.map(row => parseInt(row.questionId)).filter(Boolean))];
+    const subTopicIds = [...new Set(rows.map(row => parseInt(row.subTopicId)).filter(Boolean))];
+
+    const [questions, subTopics] = await Promise.all([
+      questionIds.length
+        ? Question.findAll({
+          where: { id: { [Op.in]: questionIds }, active: true },
+          attributes: ['id', 'topicId', 'subTopicId', 'question', 'type', 'validationRules'],
+          include: [{ model: Topic, as: 'topic', attributes: ['id', 'moduleId'] }]
+        })
+        : [],
+      subTopicIds.length
+        ? SubTopic.findAll({ where: { id: { [Op.in]: subTopicIds }, active: true }, attributes: ['id', 'topicId'] })
+        : []
+    ]);
+
+    const questionMap = new Map(questions.map(q => [q.id, q]));
+    const subTopicMap = new Map(subTopics.map(st => [st.id, st]));
+    const seen = new Set();
+    const rejected = [];
+
+    rows.forEach((row, index) => {
+      const reject = (field, code, message) => rejected.push({
+        index,
+        questionId: row.questionId || null,
+        subTopicId: row.subTopicId || null,
+        field,
+        code,
+        message
+      });
+
+      if (!row.userId) return reject('userId', 'REQUIRED', 'User ID is required');
+      if (!monthYearUtil.parse(row.monthYear)) {
+        return reject('monthYear', 'INVALID_MONTH_YEAR', `Invalid month-year '${row.monthYear}'`);
+      }
+
+      const question = questionMap.get(parseInt(row.questionId));
+      if (!question) {
+        return reject('questionId', 'UNKNOWN_QUESTION', `Question ${row.questionId} does not exist or is inactive`);
+      }
+
+      row.questionId = question.id;
+      row.topicId = row.topicId || question.topicId;
+      row.moduleId = row.moduleId || question.topic?.moduleId || null;
+      row.subTopicId = row.subTopicId ? parseInt(row.subTopicId) : null;
+
+      if (row.topicId !== question.topicId) {
+        return reject('topicId', 'TOPIC_MISMATCH', `Question ${question.id} does not belong to topic ${row.topicId}`);
+      }
+      if (row.subTopicId) {
+        const subTopic = subTopicMap.get(row.subTopicId);
+        if (!subTopic || subTopic.topicId !== question.topicId) {
+          return reject('subTopicId', 'SUB_TOPIC_MISMATCH', `Sub-topic ${row.subTopicId} does not belong to the question's topic`);
+        }
+      }
+
+      const key = this.getStatisticKey(row);
+      if (seen.has(key)) {
+        return reject('questionId', 'DUPLICATE_ANSWER', 'Duplicate answer for the same question and sub-topic');
+      }
+      seen.add(key);
+
+      const { value, errors } = answerValidator.validate(question, row.value);
+      errors.forEach(error => reject('value', error.code, `${question.question}: ${error.message}`));
+      if (!errors.length) row.value = value;
+    });
+
+    return rejected;
+  }
+
+  /**
+   * Set-based upsert of validated rows: one lookup of the existing answers,
+   * one multi-row insert and one multi-row update, all in the caller's
+   * transaction. Unchanged answers are not written.
+   * @param {Array} rows - Rows accepted by validateStatisticRows
+   * @param {Object} auditContext - Who/where the change comes from
+   * @param {Object} transaction - Open transaction
+   * @returns {Object} { count, summary, items, data }
+   */
+  async upsertStatistics(rows, auditContext, transaction) {
+    const existingRows = await PerformanceStatistic.findAll({
+      where: {
+        userId: { [Op.in]: [...new Set(rows.map(row => row.userId))] },
+        monthYear: { [Op.in]: [...new Set(rows.map(row => row.monthYear))] },
+        questionId: { [Op.in]: [...new Set(rows.map(row => row.questionId))] }
+      },
+      order: [['active', 'ASC'], ['id', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    // Active rows are ordered last so they win over stale duplicates
+    const existingByKey = new Map();
+    existingRows.forEach(row => existingByKey.set(this.getStatisticKey(row), row));
+
+    const inserts = [];
+    const updates = [];
+    const items = rows.map((row, index) => {
+      const existing = existingByKey.get(this.getStatisticKey(row));
+      const item = { index, questionId: row.questionId, subTopicId: row.subTopicId, id: null, action: null };
+
+      if (!existing) {
+        inserts.push({ row, item });
+        item.action = 'INSERTED';
+        return item;
+      }
+
+      item.id = existing.id;
+      const before = performanceStatisticAuditService.snapshot(existing);
+      const after = { ...existing.get({ plain: true }), ...row, id: existing.id, createdBy: existing.createdBy };
+      const changed = UPSERT_UPDATE_FIELDS.some(field =>
+        field !== 'updatedBy' && field !== 'updated_date' && after[field] !== undefined &&
+        String(after[field] ?? '') !== String(existing.get(field) ?? '')
+      );
+
+      item.action = changed ? 'UPDATED' : 'UNCHANGED';
+      if (changed) updates.push({ after, before });
+      return item;
+    });
+
+    if (inserts.length) {
+      const created = await PerformanceStatistic.bulkCreate(inserts.map(({ row }) => row), { transaction });
+      created.forEach((statistic, i) => { inserts[i].item.id = statistic.id; });
+      await performanceStatisticAuditService.recordCreate(created, auditContext, transaction);
+    }
+
+    if (updates.length) {
+      await PerformanceStatistic.bulkCreate(updates.map(({ after }) => after), {
+        updateOnDuplicate: UPSERT_UPDATE_FIELDS,
+        transaction
+      });
+      for (const { after, before } of updates) {
+        await performanceStatisticAuditService.recordUpdate(after, before, auditContext, transaction);
+      }
+    }
+
+    const savedIds = items.map(item => item.id);
+    const data = await PerformanceStatistic.findAll({ where: { id: { [Op.in]: savedIds } }, transaction });
+
+    return {
+      count: items.length,
+      summary: {
+        inserted: inserts.length,
+        updated: updates.length,
+        unchanged: items.length - inserts.length - updates.length,
+        rejected: 0
+      },
+      items,
+      data
+    };
   }
 
   /**
    * Get performance statistics with pagination
    * @param {Object} filters - Filter and pagination options
+   * @param {Object} viewer - Requesting user; rows are limited to their jurisdiction
    * @returns {Object} Paginated performance statistics
    */
-  async getWithPagination(filters = {}) {
+  async getWithPagination(filters = {}, viewer = null) {
     const { 
       page = 1, 
       limit = 20, 
+      id,
       userId, 
       questionId, 
       moduleId, 
@@ -611,6 +955,7 @@ class PerformanceStatisticService {
     const offset = (page - 1) * limit;
     const whereCondition = { active: true };
 
+    if (id) whereCondition.id = id;
     if (userId) whereCondition.userId = userId;
     if (questionId) whereCondition.questionId = questionId;
     if (moduleId) whereCondition.moduleId = moduleId;
@@ -623,7 +968,7 @@ class PerformanceStatisticService {
     if (monthYear) whereCondition.monthYear = { [Op.like]: `%${monthYear}%` };
 
     const { count, rows } = await PerformanceStatistic.findAndCountAll({
-      where: whereCondition,
+      where: jurisdictionService.applyScope(whereCondition, viewer),
       include: [
         { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email'] },
         { model: Question, as: 'question' },
@@ -654,27 +999,18 @@ class PerformanceStatisticService {
    * @param {Object} params - Module and topic parameters
    * @returns {Object} Form data with modules, topics, and questions
    */
- async getPerformanceForm({ modulePathId, topicPathId, userId }) {
+ async getPerformanceForm({ modulePathId, topicPathId, userId, monthYear = null }) {
     try {
       console.log(`Performance form request - Module: ${modulePathId}, Topic: ${topicPathId}, User: ${userId}`);
       
       const startTime = process.hrtime.bigint();
       logger.info(`Function Started AT: ${new Date().toISOString()}`);
 
-      // Date calculations
-      const now = new Date();
-      const currentMonth = now.getMonth();
-      const currentYear = now.getFullYear();
-      
-      // Calculate previous month (current - 2 months as per Java logic)
-      const prevMonth = new Date(now);
-      prevMonth.setMonth(currentMonth - 2);
-      const prevMonthYear = prevMonth.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }).toUpperCase();
-      
-      // Calculate current month year (current month - 1)
-      const currentMonthDate = new Date(now);
-      currentMonthDate.setMonth(now.getMonth() - 1);
-      const currentMonthYear = currentMonthDate.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }).toUpperCase();
+      // Reporting month defaults to the previous calendar month; "previous" values come from the month before it
+      const currentMonthYear = monthYear
+        ? reportingPeriodService.normalizeMonthYear(monthYear)
+        : this.getReportingMonthYear();
+      const prevMonthYear = monthYearUtil.addMonths(currentMonthYear, -1);
 
       // Get user details
       const user = await User.findByPk(userId, {
@@ -685,6 +1021,17 @@ class PerformanceStatisticService {
         throw new Error('User not found');
       }
 
+      // Closed periods and returns under review are served read-only
+      const [period, submission] = await Promise.all([
+        reportingPeriodService.getPeriodStatus(user, currentMonthYear),
+        performanceSubmissionService.findSubmission(userId, currentMonthYear)
+      ]);
+      const isWritable = submission ? submission.status === 'RETURNED' : period.isOpen;
+      // A returned submission reopens only the commented topics (null: all)
+      const editableTopicIds = submission?.status === 'RETURNED'
+        ? await performanceSubmissionService.getEditableTopicIds(submission)
+        : null;
+
       // Get module by priority
       const modules = await Module.findAll({
         where: { 
@@ -742,16 +1089,27 @@ class PerformanceStatisticService {
         let topicData;
         switch (currentTopic.formType) {
           case 'NORMAL':
-            topicData = await this.processNormalForm(currentTopic, userId, currentMonthYear, prevMonthYear, currentYear);
+            topicData = await this.processNormalForm(currentTopic, userId, currentMonthYear, prevMonthYear);
             break;
           case 'ST/Q':
-            topicData = await this.processSTQForm(currentTopic, userId, currentMonthYear, prevMonthYear, currentYear);
+            topicData = await this.processSTQForm(currentTopic, userId, currentMonthYear, prevMonthYear);
             break;
           case 'Q/ST':
-            topicData = await this.processQSTForm(currentTopic, userId, currentMonthYear, prevMonthYear, currentYear);
+            topicData = await this.processQSTForm(currentTopic, userId, currentMonthYear, prevMonthYear);
             break;
           default:
-            topicData = await this.processNormalForm(currentTopic, userId, currentMonthYear, prevMonthYear, currentYear);
+            topicData = await this.processNormalForm(currentTopic, userId, currentMonthYear, prevMonthYear);
+        }
+
+        const isTopicWritable = isWritable && (!editableTopicIds || editableTopicIds.includes(currentTopic.id));
+        if (!isTopicWritable) {
+          (topicData.questions || []).forEach(question => {
+            question.isDisabled = true;
+            if (question.isDisabledList) {
+              question.isDisabledList = question.isDisabledList.map(() => true);
+            }
+          });
+          (topicData.subTopics || []).forEach(subTopic => { subTopic.isDisabled = true; });
         }
 
         // Add navigation info
@@ -762,7 +1120,7 @@ class PerformanceStatisticService {
           id: module.id,
           moduleName: module.moduleName,
           priority: module.priority,
-          isDisabled: moduleCompletionCount > 0,
+          isDisabled: !isWritable || (moduleCompletionCount > 0 && submission?.status !== 'RETURNED'),
           topicDTOs: [topicData]
         });
       }
@@ -774,6 +1132,11 @@ class PerformanceStatisticService {
         modules: moduleData,
         userDistrict: user.battalion?.battalionName || 'Unknown District',
         monthYear: currentMonthYear,
+        isPeriodOpen: period.isOpen,
+        periodSource: period.source,
+        submissionId: submission?.id || null,
+        submissionStatus: submission?.status || null,
+        editableTopicIds,
         isSuccess,
         nextModule: nextModules.length > 0,
         prevModule: prevModules.length > 0,
@@ -787,16 +1150,12 @@ class PerformanceStatisticService {
     }
   }
 
-  async processNormalForm(topic, userId, currentMonthYear, prevMonthYear, currentYear) {
-    const questions = await Question.findAll({
-      where: { topicId: topic.id, active: true },
-      order: [['priority', 'ASC']]
-    });
-
+  async processNormalForm(topic, userId, currentMonthYear, prevMonthYear) {
+    const [questions, subTopics, user] = await this.loadTopicDefinition(topic, userId);
     const questionIds = questions.map(q => q.id);
-    
-    // Generate financial year months
-    const months = this.generateFinancialYearMonths(topic, currentYear);
+
+    // Months of the topic window up to the reporting month (cumulative values)
+    const months = this.generateFinancialYearMonths(topic, currentMonthYear);
 
     // Bulk queries for performance
     const [prevData, finYearData, currentData] = await Promise.all([
@@ -805,14 +1164,24 @@ class PerformanceStatisticService {
       this.getBulkCurrentData(currentMonthYear, questionIds, userId)
     ]);
 
+    const prevValues = this.indexByCell(prevData);
+    const currentRows = this.indexByCell(currentData);
+    const finYearTotals = this.sumByCell(finYearData);
+    const subTopicNames = new Map(subTopics.map(st => [st.id, st.subTopicName]));
+
+    // "Beginning of month" questions carry over last month's "end of month" answer of the same group
+    const endOfMonthQuestions = new Map();
+    questions
+      .filter(q => this.isEndOfMonthQuestion(q.question || ''))
+      .forEach(q => endOfMonthQuestions.set(q.subTopicId || 0, q.id));
+
     const processedQuestions = [];
-    let totalCurrentCount = 0;
-    let lastMonthEndValue = null;
     let oldSubTopicID = 0;
     let tId = 1;
 
     for (const question of questions) {
       const questionDTO = this.createQuestionDTO(question);
+      const cell = formulaEngine.cellKey(question.id);
 
       // Handle subtopic grouping
       if (question.subTopicId && question.subTopicId !== oldSubTopicID) {
@@ -821,76 +1190,70 @@ class PerformanceStatisticService {
       }
       questionDTO.tId = tId++;
 
-      // Find data for this question
-      const prevValue = prevData.find(d => d.questionId === question.id)?.value;
-      const finYearValue = finYearData.find(d => d.questionId === question.id)?.value;
-      const currentValue = currentData.find(d => d.questionId === question.id)?.value;
-      const status = currentData.find(d => d.questionId === question.id)?.status;
+      const prevValue = prevValues.get(cell)?.value;
+      const currentRow = currentRows.get(cell);
 
-      // Set previous count
-      if (prevValue && this.shouldShowPrevious(question, topic)) {
-        questionDTO.previousCount = prevValue;
-        
-        if (this.shouldIncludeInTotal(question, prevValue)) {
-          totalCurrentCount += this.parseNumericValue(prevValue);
-        }
+      if (this.shouldShowPrevious(question, topic, currentMonthYear)) {
+        questionDTO.previousCount = prevValue || '0';
       }
 
-      // Set financial year count
-      if (finYearValue && this.shouldShowCummulative(question)) {
-        questionDTO.finYearCount = finYearValue;
-        
-        // Check for end of month values
-        if (this.isEndOfMonthQuestion(question.question)) {
-          lastMonthEndValue = prevValue;
-        }
+      if (months.length > 0 && this.shouldShowCummulative(question, topic)) {
+        questionDTO.finYearCount = formulaEngine.formatResult(finYearTotals.get(cell) || 0);
       }
 
-      // Apply default value logic
-      const processedCurrentValue = await this.applyDefaultValue(
-        question, 
-        prevValue, 
-        currentValue, 
-        userId, 
+      const endOfMonthQuestionId = endOfMonthQuestions.get(question.subTopicId || 0);
+      const lastMonthEndValue = endOfMonthQuestionId
+        ? prevValues.get(formulaEngine.cellKey(endOfMonthQuestionId))?.value
+        : null;
+
+      questionDTO.currentCount = await this.applyDefaultValue(
+        question,
+        prevValue,
+        currentRow?.value,
+        userId,
         prevMonthYear,
-        lastMonthEndValue
+        lastMonthEndValue,
+        user
       );
 
-      questionDTO.currentCount = processedCurrentValue;
+      questionDTO.isDisabled = currentRow?.status === 'SUCCESS' || !!this.hasFormula(question);
 
-      // Calculate totals
-      if (this.shouldIncludeInTotal(question, processedCurrentValue)) {
-        totalCurrentCount += this.parseNumericValue(processedCurrentValue);
+      if (question.subTopicId && subTopicNames.has(question.subTopicId)) {
+        questionDTO.subTopicName = subTopicNames.get(question.subTopicId);
       }
 
-      // Set disabled status
-      questionDTO.isDisabled = status === 'SUCCESS' || this.hasFormula(question);
+      processedQuestions.push(questionDTO);
+    }
 
-      // Get subtopic info if exists
-      if (question.subTopicId) {
-        const subTopic = await SubTopic.findByPk(question.subTopicId);
-        if (subTopic) {
-          questionDTO.subTopicName = subTopic.subTopicName;
-        }
-      }
+    // Fill computed answers for formula questions
+    const enteredCells = new Set(currentData.filter(d => d.value).map(d => formulaEngine.cellKey(d.questionId)));
+    const values = {};
+    processedQuestions.forEach(q => { values[formulaEngine.cellKey(q.id)] = q.currentCount; });
 
-      processedQuestions.push(questionDTO);
+    const computed = this.computeFormulaValues(topic, questions, values, enteredCells, []);
+    for (const questionDTO of processedQuestions) {
+      const computedValue = computed[formulaEngine.cellKey(questionDTO.id)];
+      if (computedValue !== undefined) {
+        questionDTO.currentCount = computedValue;
+      }
     }
 
-    // Get subtopics
-    const subTopics = await SubTopic.findAll({
-      where: { topicId: topic.id, active: true },
-      order: [['priority', 'ASC']]
+    const totals = { totalCurrentCount: 0, totalPreviousCount: 0, totalFinYearCount: 0 };
+    questions.forEach((question, index) => {
+      const questionDTO = processedQuestions[index];
+      if (this.shouldIncludeInTotal(question, questionDTO.currentCount)) {
+        totals.totalCurrentCount += this.parseNumericValue(questionDTO.currentCount);
+      }
+      if (this.shouldIncludeInTotal(question, questionDTO.previousCount)) {
+        totals.totalPreviousCount += this.parseNumericValue(questionDTO.previousCount);
+      }
+      if (this.shouldIncludeInTotal(question, questionDTO.finYearCount)) {
+        totals.totalFinYearCount += this.parseNumericValue(questionDTO.finYearCount);
+      }
     });
 
     return {
-      id: topic.id,
-      topicName: topic.topicName,
-      topicSubName: topic.topicSubName,
-      formType: topic.formType,
-      moduleId: topic.moduleId,
-      isShowPrevious: topic.isShowPrevious !== false,
-      isShowCummulative: topic.isShowCummulative !== false,
+      ...this.createTopicDTO(topic, currentMonthYear, months),
       questionDTOs: processedQuestions,
       questions: processedQuestions,
       subTopics: subTopics.map(st => ({
@@ -898,32 +1261,29 @@ class PerformanceStatisticService {
         subTopicName: st.subTopicName,
         isDisabled: false
       })),
-      totalCurrentCount
+      ...totals
     };
   }
 
-  async processSTQForm(topic, userId, currentMonthYear, prevMonthYear, currentYear) {
-    const [questions, subTopics] = await Promise.all([
-      Question.findAll({
-        where: { topicId: topic.id, active: true },
-        order: [['priority', 'ASC']]
-      }),
-      SubTopic.findAll({
-        where: { topicId: topic.id, active: true },
-        order: [['priority', 'ASC']]
-      })
-    ]);
+  async processSTQForm(topic, userId, currentMonthYear, prevMonthYear) {
+    const [questions, subTopics] = await this.loadTopicDefinition(topic, userId);
 
     const questionIds = questions.map(q => q.id);
     const subTopicIds = subTopics.map(st => st.id);
+    const months = this.generateFinancialYearMonths(topic, currentMonthYear);
 
     // Bulk queries for subtopic combinations
     const [currentCountData, valueData, finYearData] = await Promise.all([
       this.getCurrentCountAllByUser(currentMonthYear, questionIds, userId, subTopicIds),
       this.getCountByPreviousMonthSub(prevMonthYear, questionIds, userId, subTopicIds),
-      this.getFinYearCountAllByUser(currentYear, questionIds, userId, subTopicIds)
+      this.getFinYearCountAllByUser(months, questionIds, userId, subTopicIds)
     ]);
 
+    const currentRows = this.indexByCell(currentCountData);
+    const prevValues = this.indexByCell(valueData);
+    const finYearTotals = this.sumByCell(finYearData);
+    const formulaCells = this.getFormulaCells(topic, questions, subTopicIds);
+
     const processedQuestions = [];
     const processedSubTopics = subTopics.map(st => ({
       id: st.id,
@@ -937,130 +1297,218 @@ class PerformanceStatisticService {
       const questionDTO = this.createQuestionDTO(question);
       questionDTO.tId = tId++;
 
+      const showPrevious = this.shouldShowPrevious(question, topic, currentMonthYear);
+      const showCummulative = months.length > 0 && this.shouldShowCummulative(question, topic);
+
       const currentCountList = [];
       const valueList = [];
       const finYearList = [];
+      const isDisabledList = [];
 
       for (const subTopic of subTopics) {
-        // Find data for this question-subtopic combination
-        const currentCount = currentCountData.find(
-          d => d.questionId === question.id && d.subTopicId === subTopic.id
-        )?.value;
-
-        const prevValue = valueData.find(
-          d => d.questionId === question.id && d.subTopicId === subTopic.id
-        )?.value;
-
-        const finYearValue = finYearData.find(
-          d => d.questionId === question.id && d.subTopicId === subTopic.id
-        )?.value;
-
-        const status = currentCountData.find(
-          d => d.questionId === question.id && d.subTopicId === subTopic.id
-        )?.status;
+        const cell = formulaEngine.cellKey(question.id, subTopic.id);
+        const currentRow = currentRows.get(cell);
+        const prevValue = prevValues.get(cell)?.value;
 
         // Apply default value logic
         const processedValue = await this.applyDefaultValueForSubTopic(
           question,
           subTopic,
           prevValue,
-          currentCount,
+          currentRow?.value,
           userId,
           prevMonthYear
         );
 
         currentCountList.push(processedValue || '0');
-        valueList.push(prevValue || '0');
-        finYearList.push(finYearValue || '0');
-
-        // Check if this combination is disabled
-        if (status === 'SUCCESS' || this.hasFormulaForCombination(question, subTopic)) {
-          questionDTO.isDisabled = true;
-        }
+        valueList.push(showPrevious ? prevValue || '0' : null);
+        finYearList.push(showCummulative ? formulaEngine.formatResult(finYearTotals.get(cell) || 0) : null);
+        isDisabledList.push(
+          currentRow?.status === 'SUCCESS' ||
+          formulaCells.has(cell) ||
+          !!this.hasFormulaForCombination(question, subTopic)
+        );
       }
 
       questionDTO.currentCountList = currentCountList;
       questionDTO.valueList = valueList;
       questionDTO.finYearList = finYearList;
+      questionDTO.isDisabledList = isDisabledList;
+      questionDTO.isDisabled = isDisabledList.length > 0 && isDisabledList.every(Boolean);
 
       processedQuestions.push(questionDTO);
     }
 
+    // Fill computed answers for formula cells of the grid
+    const enteredCells = new Set(
+      currentCountData.filter(d => d.value).map(d => formulaEngine.cellKey(d.questionId, d.subTopicId))
+    );
+    const values = {};
+    processedQuestions.forEach(q => {
+      subTopics.forEach((st, index) => { values[formulaEngine.cellKey(q.id, st.id)] = q.currentCountList[index]; });
+    });
+
+    const computed = this.computeFormulaValues(topic, questions, values, enteredCells, subTopicIds);
+    processedQuestions.forEach(q => {
+      subTopics.forEach((st, index) => {
+        const computedValue = computed[formulaEngine.cellKey(q.id, st.id)];
+        if (computedValue !== undefined) {
+          q.currentCountList[index] = computedValue;
+        }
+      });
+    });
+
+    // A sub-topic column is read-only once every cell in it is
+    processedSubTopics.forEach((st, index) => {
+      st.isDisabled = processedQuestions.length > 0 && processedQuestions.every(q => q.isDisabledList[index]);
+    });
+
     return {
-      id: topic.id,
-      topicName: topic.topicName,
-      topicSubName: topic.topicSubName,
-      formType: topic.formType,
-      moduleId: topic.moduleId,
-      isShowPrevious: topic.isShowPrevious !== false,
-      isShowCummulative: topic.isShowCummulative !== false,
+      ...this.createTopicDTO(topic, currentMonthYear, months),
       questions: processedQuestions,
       subTopics: processedSubTopics
     };
   }
 
-  async processQSTForm(topic, userId, currentMonthYear, prevMonthYear, currentYear) {
-    // Similar to ST/Q but with different processing logic for new entries
-    const result = await this.processSTQForm(topic, userId, currentMonthYear, prevMonthYear, currentYear);
+  async processQSTForm(topic, userId, currentMonthYear, prevMonthYear) {
+    // Same grid as ST/Q, rendered transposed; cells never answered before are flagged as new
+    const result = await this.processSTQForm(topic, userId, currentMonthYear, prevMonthYear);
 
-    // Add new entry detection for Q/ST form
-    for (const question of result.questions) {
-      for (let i = 0; i < result.subTopics.length; i++) {
-        const subTopic = result.subTopics[i];
-        
-        // Check if this is a new entry
-        const preCount = await PerformanceStatistic.count({
-          where: {
-            questionId: question.id,
-            userId,
-            subTopicId: subTopic.id,
-            monthYear: { [Op.not]: currentMonthYear }
-          }
-        });
+    const answeredBefore = await PerformanceStatistic.findAll({
+      where: {
+        questionId: { [Op.in]: result.questions.map(q => q.id) },
+        subTopicId: { [Op.in]: result.subTopics.map(st => st.id) },
+        userId,
+        monthYear: { [Op.notLike]: `%${currentMonthYear}%` },
+        active: true
+      },
+      attributes: ['questionId', 'subTopicId'],
+      group: ['questionId', 'subTopicId'],
+      raw: true
+    });
 
-        question.isNewList = question.isNewList || [];
-        question.isNewList[i] = preCount === 0;
-      }
+    const answeredCells = new Set(answeredBefore.map(r => formulaEngine.cellKey(r.questionId, r.subTopicId)));
+
+    for (const question of result.questions) {
+      question.isNewList = result.subTopics.map(
+        subTopic => !answeredCells.has(formulaEngine.cellKey(question.id, subTopic.id))
+      );
     }
 
     return result;
   }
 
+  /**
+   * Load the questions, sub-topics and user profile a form builder needs
+   * @returns {Array} [questions, subTopics, user]
+   */
+  async loadTopicDefinition(topic, userId) {
+    return Promise.all([
+      Question.findAll({
+        where: { topicId: topic.id, active: true },
+        order: [['priority', 'ASC']]
+      }),
+      SubTopic.findAll({
+        where: { topicId: topic.id, active: true },
+        order: [['priority', 'ASC']]
+      }),
+      User.findByPk(userId, {
+        attributes: ['id', 'numberPs', 'numberSubdivision', 'numberCircle', 'numberOp']
+      })
+    ]);
+  }
+
+  createTopicDTO(topic, currentMonthYear, months) {
+    return {
+      id: topic.id,
+      topicName: topic.topicName,
+      topicSubName: topic.subName,
+      formType: topic.formType,
+      moduleId: topic.moduleId,
+      isShowPrevious: this.shouldShowPrevious(null, topic, currentMonthYear),
+      isShowCummulative: months.length > 0 && topic.isShowCummulative !== false,
+      startMonth: topic.startMonth,
+      endMonth: topic.endMonth,
+      cumulativeFrom: months[0] || null,
+      cumulativeTo: months[months.length - 1] || null
+    };
+  }
+
+  /**
+   * Index statistic rows by formula cell key (question or question_subTopic)
+   */
+  indexByCell(rows) {
+    const index = new Map();
+    rows.forEach(row => index.set(formulaEngine.cellKey(row.questionId, row.subTopicId), row));
+    return index;
+  }
+
+  /**
+   * Sum numeric statistic values per formula cell key
+   */
+  sumByCell(rows) {
+    const totals = new Map();
+    rows.forEach(row => {
+      const cell = formulaEngine.cellKey(row.questionId, row.subTopicId);
+      totals.set(cell, (totals.get(cell) || 0) + this.parseNumericValue(row.value));
+    });
+    return totals;
+  }
+
+  /**
+   * Cells of a grid topic that are computed by a que_formula
+   * @returns {Set} Cell keys
+   */
+  getFormulaCells(topic, questions, subTopicIds) {
+    try {
+      return new Set(
+        formulaEngine
+          .compileTopic(questions, { isGrid: this.isGridForm(topic), subTopicIds })
+          .filter(assignment => assignment.kind === 'formula')
+          .map(assignment => assignment.cell)
+      );
+    } catch (error) {
+      logger.warn(`Invalid formula in topic ${topic.id}: ${error.message}`);
+      return new Set();
+    }
+  }
+
   // Apply default value logic
-  async applyDefaultValue(question, prevValue, currentValue, userId, prevMonthYear, lastMonthEndValue) {
+  async applyDefaultValue(question, prevValue, currentValue, userId, prevMonthYear, lastMonthEndValue, user = null) {
+    // Defaults only pre-fill; an answer saved for the month always wins
+    if (this.hasValue(currentValue)) return currentValue;
+
     switch (question.defaultVal) {
       case 'PREVIOUS':
         return prevValue || '0';
 
       case 'QUESTION':
-        if (currentValue) return currentValue;
-        
         const questValue = await this.getReferencedQuestionValue(
           question.defaultQue,
           userId,
           prevMonthYear,
-          question.subTopicId
+          question.defaultSub || question.subTopicId
         );
         return questValue || '0';
 
       case 'PS':
-        return await this.getUserPSCount(userId);
+        return user ? this.getUserDefaultCount(user, 'numberPs') : await this.getUserPSCount(userId);
 
       case 'SUB':
-        return await this.getUserSubCount(userId);
+        return user ? this.getUserDefaultCount(user, 'numberSubdivision') : await this.getUserSubCount(userId);
 
       case 'CIRCLE':
-        return await this.getUserCircleCount(userId);
+        return user ? this.getUserDefaultCount(user, 'numberCircle') : await this.getUserCircleCount(userId);
 
       case 'PSOP':
-        return await this.getUserPSOPCount(userId);
+        return user ? this.getUserDefaultCount(user, 'numberOp') : await this.getUserPSOPCount(userId);
 
       case 'NONE':
-        return currentValue || '0';
+        return '0';
 
       default:
         // Handle "beginning of month" logic
-        if (this.isBeginningOfMonthQuestion(question.question) && lastMonthEndValue) {
+        if (this.isBeginningOfMonthQuestion(question.question || '') && lastMonthEndValue) {
           return lastMonthEndValue;
         }
         return '0';
@@ -1068,36 +1516,38 @@ class PerformanceStatisticService {
   }
 
   async applyDefaultValueForSubTopic(question, subTopic, prevValue, currentValue, userId, prevMonthYear) {
+    if (this.hasValue(currentValue)) return currentValue;
+
     switch (question.defaultVal) {
       case 'PREVIOUS':
         return prevValue || '0';
 
       case 'QUESTION':
-        if (currentValue) return currentValue;
-        
         const questValue = await this.getReferencedQuestionValueSub(
           question.defaultQue,
           userId,
           prevMonthYear,
-          subTopic.id
+          question.defaultSub || subTopic.id
         );
         return questValue || '0';
 
-      case 'NONE':
-        return currentValue || '0';
-
       default:
         return '0';
     }
   }
 
+  hasValue(value) {
+    return value !== undefined && value !== null && value !== '';
+  }
+
   // Bulk data retrieval methods
   async getBulkPreviousData(prevMonthYear, questionIds, userId) {
     const results = await PerformanceStatistic.findAll({
       where: {
         monthYear: { [Op.like]: `%${prevMonthYear}%` },
         questionId: { [Op.in]: questionIds },
-        userId
+        userId,
+        active: true
       },
       attributes: ['questionId', 'value']
     });
@@ -1113,7 +1563,8 @@ class PerformanceStatisticService {
       where: {
         monthYear: { [Op.like]: `%${currentMonthYear}%` },
         questionId: { [Op.in]: questionIds },
-        userId
+        userId,
+        active: true
       },
       attributes: ['questionId', 'value', 'status']
     });
@@ -1126,11 +1577,14 @@ class PerformanceStatisticService {
   }
 
   async getBulkFinYearData(months, questionIds, userId) {
+    if (!months.length) return [];
+
     const results = await PerformanceStatistic.findAll({
       where: {
         monthYear: { [Op.in]: months },
         questionId: { [Op.in]: questionIds },
-        userId
+        userId,
+        active: true
       },
       attributes: ['questionId', 'value']
     });
@@ -1147,7 +1601,8 @@ class PerformanceStatisticService {
         monthYear: { [Op.like]: `%${currentMonthYear}%` },
         questionId: { [Op.in]: questionIds },
         userId,
-        subTopicId: { [Op.in]: subTopicIds }
+        subTopicId: { [Op.in]: subTopicIds },
+        active: true
       },
       attributes: ['questionId', 'subTopicId', 'value', 'status']
     });
@@ -1166,7 +1621,8 @@ class PerformanceStatisticService {
         monthYear: { [Op.like]: `%${prevMonthYear}%` },
         questionId: { [Op.in]: questionIds },
         userId,
-        subTopicId: { [Op.in]: subTopicIds }
+        subTopicId: { [Op.in]: subTopicIds },
+        active: true
       },
       attributes: ['questionId', 'subTopicId', 'value']
     });
@@ -1178,15 +1634,16 @@ class PerformanceStatisticService {
     }));
   }
 
-  async getFinYearCountAllByUser(currentYear, questionIds, userId, subTopicIds) {
-    const months = this.generateFinancialYearMonths(null, currentYear);
-    
+  async getFinYearCountAllByUser(months, questionIds, userId, subTopicIds) {
+    if (!months.length) return [];
+
     const results = await PerformanceStatistic.findAll({
       where: {
         monthYear: { [Op.in]: months },
         questionId: { [Op.in]: questionIds },
         userId,
-        subTopicId: { [Op.in]: subTopicIds }
+        subTopicId: { [Op.in]: subTopicIds },
+        active: true
       },
       attributes: ['questionId', 'subTopicId', 'value']
     });
@@ -1198,40 +1655,37 @@ class PerformanceStatisticService {
     }));
   }
 
-  // User count methods
+  // User count methods (station / sub-division / circle / outpost counts of the user's unit)
+  getUserDefaultCount(user, attribute) {
+    return user?.[attribute] !== undefined && user?.[attribute] !== null ? user[attribute].toString() : '0';
+  }
+
   async getUserPSCount(userId) {
-    const user = await User.findByPk(userId, {
-      attributes: ['psCount'] // Assuming ps count field exists
-    });
-    return user?.psCount?.toString() || '0';
+    const user = await User.findByPk(userId, { attributes: ['numberPs'] });
+    return this.getUserDefaultCount(user, 'numberPs');
   }
 
   async getUserSubCount(userId) {
-    const user = await User.findByPk(userId, {
-      attributes: ['subCount'] // Assuming sub count field exists  
-    });
-    return user?.subCount?.toString() || '0';
+    const user = await User.findByPk(userId, { attributes: ['numberSubdivision'] });
+    return this.getUserDefaultCount(user, 'numberSubdivision');
   }
 
   async getUserCircleCount(userId) {
-    const user = await User.findByPk(userId, {
-      attributes: ['circleCount'] // Assuming circle count field exists
-    });
-    return user?.circleCount?.toString() || '0';
+    const user = await User.findByPk(userId, { attributes: ['numberCircle'] });
+    return this.getUserDefaultCount(user, 'numberCircle');
   }
 
   async getUserPSOPCount(userId) {
-    const user = await User.findByPk(userId, {
-      attributes: ['psopCount'] // Assuming psop count field exists
-    });
-    return user?.psopCount?.toString() || '0';
+    const user = await User.findByPk(userId, { attributes: ['numberOp'] });
+    return this.getUserDefaultCount(user, 'numberOp');
   }
 
   async getReferencedQuestionValue(questionId, userId, monthYear, subTopicId = null) {
     const where = {
       questionId,
       userId,
-      monthYear: { [Op.like]: `%${monthYear}%` }
+      monthYear: { [Op.like]: `%${monthYear}%` },
+      active: true
     };
 
     if (subTopicId) {
@@ -1297,6 +1751,7 @@ class PerformanceStatisticService {
       id: question.id,
       question: question.question,
       type: question.type,
+      validationRules: question.validationRules || null,
       topicId: question.topicId,
       subTopicId: question.subTopicId,
       defaultVal: question.defaultVal,
@@ -1313,57 +1768,15 @@ class PerformanceStatisticService {
     };
   }
 
-  generateFinancialYearMonths(topic, currentYear) {
-    const months = [];
-    
-    if (topic && topic.startMonth !== undefined && topic.endMonth !== undefined) {
-      // Calculate the number of months between start and end
-      let startMonth = topic.startMonth;
-      let endMonth = topic.endMonth;
-      
-      // Handle year crossing (e.g., start month 1 (Feb), end month 12 (Jan next year))
-      let monthsToGenerate = 12; // Default to 12 months
-      
-      if (endMonth >= startMonth) {
-        monthsToGenerate = endMonth - startMonth + 1;
-      } else {
-        monthsToGenerate = 12 - startMonth + endMonth + 1;
-      }
-      
-      // Limit to maximum 24 months for safety
-      monthsToGenerate = Math.min(monthsToGenerate, 24);
-      
-      const cal = new Date();
-      cal.setDate(1);
-      cal.setMonth(startMonth);
-      cal.setFullYear(currentYear);
-      
-      for (let i = 0; i < monthsToGenerate; i++) {
-        const monthYear = cal.toLocaleDateString('en-US', { 
-          month: 'short', 
-          year: 'numeric' 
-        }).toUpperCase();
-        months.push(monthYear);
-        
-        // Move to next month
-        cal.setMonth(cal.getMonth() + 1);
-      }
-    } else {
-      // Default financial year: April to March
-      const currentMonth = new Date().getMonth();
-      const startYear = currentMonth >= 3 ? currentYear : currentYear - 1; // April = month 3
-      
-      for (let i = 0; i < 12; i++) {
-        const month = new Date(startYear, 3 + i, 1); // Start from April
-        const monthYear = month.toLocaleDateString('en-US', { 
-          month: 'short', 
-          year: 'numeric' 
-        }).toUpperCase();
-        months.push(monthYear);
-      }
-    }
-    
-    return months;
+  /**
+   * Months of the topic's reporting window (start_month..end_month, default
+   * April-March) from the window start up to and including the reporting month
+   * @param {Object} topic - Topic (startMonth / endMonth are 1-based)
+   * @param {string} currentMonthYear - Reporting month label
+   * @returns {Array<string>} Month-year labels, empty outside the window
+   */
+  generateFinancialYearMonths(topic, currentMonthYear) {
+    return monthYearUtil.getWindowMonths(currentMonthYear, topic?.startMonth, topic?.endMonth);
   }
 
   shouldIncludeInTotal(question, value) {
@@ -1379,22 +1792,25 @@ class PerformanceStatisticService {
     );
   }
 
-  shouldShowPrevious(question, topic) {
-    if (!topic.isShowPrevious) return false;
-    
-    const now = new Date();
-    const currentMonth = now.getMonth();
-    
-    if (topic.isStartJan && currentMonth - 1 !== topic.startMonth) {
-      return true;
-    } else if (!topic.isStartJan) {
-      return true;
+  /**
+   * Previous month values are hidden when the topic or question opts out, and
+   * in the first month of a topic window starting in January, where nothing
+   * carries over from the previous cycle
+   */
+  shouldShowPrevious(question, topic, currentMonthYear) {
+    if (topic.isShowPrevious === false) return false;
+    if (question && question.isPrevious === false) return false;
+
+    if (topic.isStartJan && topic.startMonth && monthYearUtil.isWindowStart(currentMonthYear, topic.startMonth)) {
+      return false;
     }
-    
-    return false;
+
+    return true;
   }
 
-  shouldShowCummulative(question) {
+  shouldShowCummulative(question, topic = null) {
+    if (topic && topic.isShowCummulative === false) return false;
+    if (question.isCumulative === false) return false;
     return question.type !== 'Text' && question.type !== 'Date';
   }
 
@@ -1422,6 +1838,103 @@ class PerformanceStatisticService {
     );
   }
 
+  isGridForm(topic) {
+    return topic?.formType === 'ST/Q' || topic?.formType === 'Q/ST';
+  }
+
+  /**
+   * Evaluate que_formula / default_formula of a topic's questions
+   * @param {Object} topic - Topic
+   * @param {Array} questions - Questions of the topic
+   * @param {Object} values - Current values keyed by formula cell
+   * @param {Set} enteredCells - Cells holding a saved or submitted value
+   * @param {Array} subTopicIds - Sub-topic IDs (grid forms)
+   * @returns {Object} Computed values keyed by formula cell
+   */
+  computeFormulaValues(topic, questions, values, enteredCells, subTopicIds = []) {
+    if (!questions.some(q => q.formula || q.defaultFormula)) {
+      return {};
+    }
+
+    try {
+      const assignments = formulaEngine.compileTopic(questions, {
+        isGrid: this.isGridForm(topic),
+        subTopicIds
+      });
+      return formulaEngine.compute(assignments, values, enteredCells);
+    } catch (error) {
+      logger.warn(`Skipping formulas for topic ${topic.id}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Replace or add computed answers in a submitted statistics payload
+   * @param {Array} performanceStatistics - Submitted statistics
+   * @param {number} userId - User ID
+   * @param {string} monthYear - Month-year label being saved
+   * @returns {Array} Statistics with formula values applied
+   */
+  async applyFormulasToSubmission(performanceStatistics, userId, monthYear) {
+    const topicIds = [...new Set(performanceStatistics.map(stat => stat.topicId).filter(Boolean))];
+    if (topicIds.length === 0) {
+      return performanceStatistics;
+    }
+
+    const [topics, questions, subTopics, savedStats] = await Promise.all([
+      Topic.findAll({ where: { id: { [Op.in]: topicIds } } }),
+      Question.findAll({ where: { topicId: { [Op.in]: topicIds }, active: true } }),
+      SubTopic.findAll({ where: { topicId: { [Op.in]: topicIds }, active: true }, attributes: ['id', 'topicId'] }),
+      PerformanceStatistic.findAll({
+        where: { userId, monthYear, topicId: { [Op.in]: topicIds }, active: true },
+        attributes: ['questionId', 'topicId', 'subTopicId', 'value']
+      })
+    ]);
+
+    const result = performanceStatistics.map(stat => ({ ...stat }));
+
+    for (const topic of topics) {
+      const topicQuestions = questions.filter(q => q.topicId === topic.id);
+      if (!topicQuestions.some(q => q.formula || q.defaultFormula)) continue;
+
+      const isGrid = this.isGridForm(topic);
+      const cellOf = stat => formulaEngine.cellKey(stat.questionId, isGrid ? stat.subTopicId : null);
+      const topicStats = result.filter(stat => stat.topicId === topic.id);
+
+      const values = {};
+      savedStats.filter(stat => stat.topicId === topic.id).forEach(stat => { values[cellOf(stat)] = stat.value; });
+      topicStats.forEach(stat => { values[cellOf(stat)] = stat.value; });
+
+      const assignments = formulaEngine.compileTopic(topicQuestions, {
+        isGrid,
+        subTopicIds: subTopics.filter(st => st.topicId === topic.id).map(st => st.id)
+      });
+      const computed = formulaEngine.compute(assignments, values, new Set(topicStats.map(cellOf)));
+
+      for (const [cell, value] of Object.entries(computed)) {
+        const existing = topicStats.find(stat => cellOf(stat) === cell);
+        if (existing) {
+          existing.value = value;
+          continue;
+        }
+
+        const assignment = assignments.find(a => a.cell === cell);
+        const question = topicQuestions.find(q => q.id === assignment.questionId);
+        if (!question) continue;
+
+        result.push({
+          questionId: question.id,
+          moduleId: topic.moduleId,
+          topicId: topic.id,
+          subTopicId: isGrid ? assignment.subTopicId : question.subTopicId,
+          value
+        });
+      }
+    }
+
+    return result;
+  }
+
   isEndOfMonthQuestion(questionText) {
     return (
       questionText.includes('end of the month') ||
@@ -1589,6 +2102,7 @@ class PerformanceStatisticService {
         tId: tId++,
         question: question.question,
         type: question.type,
+        validationRules: question.validationRules || null,
         topicId: question.topicId,
         subTopicId: question.subTopicId,
         subtopicName,
@@ -1653,30 +2167,35 @@ class PerformanceStatisticService {
 
   /**
    * Save performance statistics
-   * @param {Object} data - Statistics data
+   * @param {Object} data - Statistics data ({ performanceStatistics, userId, monthYear, auditContext })
+   *   monthYear defaults to the current reporting month and must be an open period
    * @returns {Object} Save result
    */
-  async saveStatistics({ performanceStatistics, userId }) {
+  async saveStatistics({ performanceStatistics, userId, monthYear = null, auditContext = null }) {
     try {
-      const now = new Date();
-      // Set to current month - 1
-      now.setMonth(now.getMonth() - 1);
-      const currentMonthYear = now.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }).toUpperCase();
+      const currentMonthYear = monthYear
+        ? reportingPeriodService.normalizeMonthYear(monthYear)
+        : this.getReportingMonthYear();
 
       // Get user details for battalion info
       const user = await User.findByPk(userId, {
         include: [{ model: Battalion, as: 'battalion' }]
       });
-      console.log(`User details:`, user );
-      console.log(`Saving statistics for user ${userId} in battalion ${user.battalion || 'Unknown Battalion'}`);
-      const statisticsToSave = performanceStatistics.map(stat => ({
+      if (!user) {
+        throw new NotFoundException('User', userId);
+      }
+
+      // Computed answers are always derived on the server
+      const statisticsWithFormulas = await this.applyFormulasToSubmission(performanceStatistics, userId, currentMonthYear);
+
+      const statisticsToSave = statisticsWithFormulas.map(stat => ({
         userId,
         questionId: stat.questionId,
         moduleId: stat.moduleId,
         topicId: stat.topicId,
         subTopicId: stat.subTopicId || null,
         value: stat.value,
-        status: stat.status || 'INPROGRESS',
+        status: 'INPROGRESS',
         monthYear: currentMonthYear,
         battalionId: user.battalionId || null,
         rangeId: user.rangeId || null,
@@ -1686,35 +2205,47 @@ class PerformanceStatisticService {
         active: true
       }));
 
-      // Use upsert logic to handle existing records
-      const results = [];
-      for (const stat of statisticsToSave) {
-        const existing = await PerformanceStatistic.findOne({
-          where: {
-            userId: stat.userId,
-            questionId: stat.questionId,
-            monthYear: stat.monthYear,
-            subTopicId: stat.subTopicId
-          }
-        });
+      // Nothing is written unless the whole form is valid
+      const rejected = await this.validateStatisticRows(statisticsToSave);
+      if (rejected.length) {
+        throw new ValidationException(
+          `${rejected.length} of ${statisticsToSave.length} answers were rejected`,
+          rejected,
+          'performanceStatistics'
+        );
+      }
 
-        if (existing) {
-          await existing.update({
-            ...stat,
-            updatedBy: userId
-          });
-          results.push(existing);
-        } else {
-          const newStat = await PerformanceStatistic.create(stat);
-          results.push(newStat);
-        }
+      // Topics are trusted only once validation has matched them to their questions
+      await this.assertSubmissionWritable(
+        user,
+        currentMonthYear,
+        [...new Set(statisticsToSave.map(stat => stat.topicId))]
+      );
+
+      const consistency = await consistencyRuleService.evaluate({
+        userId,
+        monthYear: currentMonthYear,
+        topicIds: [...new Set(statisticsToSave.map(stat => stat.topicId))],
+        overrides: statisticsToSave
+      });
+      consistencyRuleService.assertNoBlocking(consistency);
+
+      const transaction = await sequelize.transaction();
+      let result;
+
+      try {
+        result = await this.upsertStatistics(statisticsToSave, auditContext, transaction);
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
       }
 
-      logger.info(`Saved ${results.length} performance statistics for user ${userId}`);
+      logger.info(`Saved ${result.count} performance statistics for user ${userId}: ${result.summary.inserted} inserted, ${result.summary.updated} updated`);
       return {
         success: true,
-        count: results.length,
-        data: results
+        ...result,
+        warnings: consistency.warnings
       };
 
     } catch (error) {
@@ -1724,33 +2255,148 @@ class PerformanceStatisticService {
   }
 
   /**
-   * Send OTP for verification (placeholder - implement based on your OTP service)
+   * Answers of a month can change only while the return is not under review
+   * and the period is open. The topics a reviewer sent back stay editable
+   * even after the period has closed.
+   * @param {Object|number} userOrId - User or user ID
+   * @param {string} monthYear - Month-year label
+   * @param {Array} topicIds - Topics of the answers being written
+   */
+  async assertSubmissionWritable(userOrId, monthYear, topicIds = null) {
+    const userId = typeof userOrId === 'object' ? userOrId.id : userOrId;
+    const submission = await performanceSubmissionService.findSubmission(userId, monthYear);
+
+    await performanceSubmissionService.assertEditable(submission, topicIds);
+
+    if (!submission) {
+      await reportingPeriodService.assertPeriodOpen(userOrId, monthYear);
+    }
+  }
+
+  /**
+   * Get the month-year label the user is currently reporting for
+   * (previous calendar month, e.g. "AUG 2025")
+   * @param {Date} date - Reference date (default: now)
+   * @returns {string} Month-year label
+   */
+  getReportingMonthYear(date = new Date()) {
+    return monthYearUtil.getReportingMonthYear(date);
+  }
+
+  /**
+   * Send OTP for final submission of a reporting month
    * @param {number} userId - User ID
+   * @param {string} requestedMonthYear - Month to submit (default: current reporting month)
    * @returns {Object} OTP result
    */
-  async sendOTP(userId) {
+  async sendOTP(userId, requestedMonthYear = null) {
     try {
-      // Get user details
       const user = await User.findByPk(userId);
       if (!user) {
-        throw new Error('User not found');
+        throw new NotFoundException('User', userId);
       }
 
-      // Generate 6-digit OTP
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
-      
-      // Store OTP with expiration (implement based on your needs)
-      // This could be in Redis, database, or memory store
-      // For now, we'll just log it (in production, send via SMS/Email)
-      
-      logger.info(`OTP ${otp} generated for user ${userId}`);
-      
-      // In production, send OTP via SMS/Email service
-      // await this.sendOTPToUser(user.mobile, otp);
-      
+      if (!user.mobileNo) {
+        throw new BusinessRuleException('No mobile number registered for this user', 'OTP_MOBILE_REQUIRED');
+      }
+
+      const monthYear = requestedMonthYear
+        ? reportingPeriodService.normalizeMonthYear(requestedMonthYear)
+        : this.getReportingMonthYear();
+
+      await this.assertSubmissionWritable(user, monthYear);
+
+      const pendingCount = await PerformanceStatistic.count({
+        where: {
+          userId,
+          monthYear,
+          status: 'INPROGRESS',
+          active: true
+        }
+      });
+
+      if (pendingCount === 0) {
+        throw new BusinessRuleException(`No in-progress statistics to submit for ${monthYear}`, 'OTP_NOTHING_TO_SUBMIT');
+      }
+
+      const consistency = await consistencyRuleService.evaluate({ userId, monthYear });
+      consistencyRuleService.assertNoBlocking(consistency);
+
+      let otpRecord = await this.findOpenOTP(userId, monthYear);
+
+      if (otpRecord && otpUtility.isOTPExpired(otpRecord.otpGeneratedTime, OTP_VALIDITY_MINUTES)) {
+        await otpRecord.update({ status: 'EXPIRED' });
+        otpRecord = null;
+      }
+
+      if (otpRecord) {
+        if (otpRecord.status === 'LOCKED') {
+          throw new RateLimitException(
+            'Too many invalid OTP attempts. Please try again later',
+            OTP_MAX_ATTEMPTS,
+            this.getOTPExpiryTime(otpRecord)
+          );
+        }
+
+        const secondsSinceLastSend = (Date.now() - new Date(otpRecord.otpGeneratedTime)) / 1000;
+        if (secondsSinceLastSend < OTP_RESEND_COOLDOWN_SECONDS) {
+          throw new RateLimitException(
+            `Please wait ${Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - secondsSinceLastSend)} seconds before requesting a new OTP`,
+            OTP_RESEND_COOLDOWN_SECONDS,
+            new Date(new Date(otpRecord.otpGeneratedTime).getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000)
+          );
+        }
+
+        if (otpRecord.sendCount >= OTP_MAX_SENDS) {
+          throw new RateLimitException(
+            'Maximum OTP requests reached. Please try again later',
+            OTP_MAX_SENDS,
+            this.getOTPExpiryTime(otpRecord)
+          );
+        }
+      }
+
+      const otp = otpUtility.generateOTP();
+
+      const smsResult = await smsUtil.sendOTPSMS(user.mobileNo, otp, 'Performance Statistics', OTP_VALIDITY_MINUTES);
+      if (!smsResult.success) {
+        throw new ExternalServiceException('Failed to deliver OTP. Please try again', 'SMS', 'sendOTPSMS');
+      }
+
+      const otpHash = await hashPassword(otp);
+
+      if (otpRecord) {
+        await otpRecord.update({
+          otpHash,
+          otpGeneratedTime: new Date(),
+          attempts: 0,
+          sendCount: otpRecord.sendCount + 1,
+          mobileNo: user.mobileNo
+        });
+      } else {
+        otpRecord = await PerformanceStatisticOtp.create({
+          userId,
+          monthYear,
+          otpHash,
+          otpGeneratedTime: new Date(),
+          attempts: 0,
+          sendCount: 1,
+          mobileNo: user.mobileNo,
+          status: 'PENDING',
+          active: true
+        });
+      }
+
+      logger.info(`Submission OTP sent to user ${userId} for ${monthYear} (send ${otpRecord.sendCount}/${OTP_MAX_SENDS})`);
+
       return {
         success: true,
         message: 'OTP sent successfully',
+        monthYear,
+        mobileNo: this.maskMobileNumber(user.mobileNo),
+        expiresInMinutes: OTP_VALIDITY_MINUTES,
+        resendAfterSeconds: OTP_RESEND_COOLDOWN_SECONDS,
+        warnings: consistency.warnings,
         // In development, return OTP for testing
         otp: process.env.NODE_ENV === 'development' ? otp : undefined
       };
@@ -1762,35 +2408,129 @@ class PerformanceStatisticService {
   }
 
   /**
-   * Verify OTP and finalize submission
-   * @param {Object} data - OTP verification data
+   * Verify OTP and finalize a reporting month
+   * @param {Object} data - OTP verification data ({ userId, otp, monthYear, auditContext })
    * @returns {Object} Verification result
    */
-  async verifyOTP({ userId, otp }) {
+  async verifyOTP({ userId, otp, monthYear: requestedMonthYear = null, auditContext = null }) {
     try {
-      // Verify OTP (implement based on your OTP storage)
-      // For now, we'll accept any 6-digit number in development
-      if (process.env.NODE_ENV === 'development' && otp.length === 6) {
-        // Update all INPROGRESS records to SUCCESS
-        await PerformanceStatistic.update(
-          { status: 'SUCCESS' },
-          {
-            where: {
-              userId,
-              status: 'INPROGRESS',
-              active: true
-            }
-          }
+      const otpValue = String(otp).trim();
+      if (!otpUtility.isValidOTPFormat(otpValue)) {
+        throw new ValidationException('OTP must be a 6 digit number', [], 'otp');
+      }
+
+      const monthYear = requestedMonthYear
+        ? reportingPeriodService.normalizeMonthYear(requestedMonthYear)
+        : this.getReportingMonthYear();
+
+      await this.assertSubmissionWritable(userId, monthYear);
+
+      // Answers may have changed since the OTP was sent
+      consistencyRuleService.assertNoBlocking(await consistencyRuleService.evaluate({ userId, monthYear }));
+
+      const otpRecord = await this.findOpenOTP(userId, monthYear);
+
+      if (!otpRecord) {
+        throw new BusinessRuleException('No OTP has been requested for this submission', 'OTP_NOT_REQUESTED');
+      }
+
+      if (otpRecord.status === 'LOCKED') {
+        throw new RateLimitException(
+          'Too many invalid OTP attempts. Please request a new OTP later',
+          OTP_MAX_ATTEMPTS,
+          this.getOTPExpiryTime(otpRecord)
+        );
+      }
+
+      if (otpUtility.isOTPExpired(otpRecord.otpGeneratedTime, OTP_VALIDITY_MINUTES)) {
+        await otpRecord.update({ status: 'EXPIRED' });
+        throw new BusinessRuleException('OTP has expired. Please request a new OTP', 'OTP_EXPIRED');
+      }
+
+      const isMatch = await comparePassword(otpValue, otpRecord.otpHash);
+
+      if (!isMatch) {
+        // Counted atomically so parallel guesses cannot share an attempt
+        const [counted] = await PerformanceStatisticOtp.update(
+          { attempts: sequelize.literal('attempts + 1') },
+          { where: { id: otpRecord.id, status: 'PENDING', attempts: { [Op.lt]: OTP_MAX_ATTEMPTS } } }
         );
+        await otpRecord.reload();
+
+        const attempts = otpRecord.attempts;
+        const isLocked = !counted || attempts >= OTP_MAX_ATTEMPTS;
+
+        if (isLocked) {
+          await PerformanceStatisticOtp.update(
+            { status: 'LOCKED' },
+            { where: { id: otpRecord.id, status: 'PENDING' } }
+          );
+          logger.warn(`Submission OTP locked for user ${userId} for ${monthYear}`);
+          throw new RateLimitException(
+            'Too many invalid OTP attempts. Please request a new OTP later',
+            OTP_MAX_ATTEMPTS,
+            this.getOTPExpiryTime(otpRecord)
+          );
+        }
+
+        throw new ValidationException(
+          `Invalid OTP. ${OTP_MAX_ATTEMPTS - attempts} attempt(s) remaining`,
+          [],
+          'otp'
+        );
+      }
+
+      const transaction = await sequelize.transaction();
+
+      try {
+        // A parallel request may have used or locked the OTP meanwhile
+        const [verified] = await PerformanceStatisticOtp.update({
+          status: 'VERIFIED',
+          attempts: sequelize.literal('attempts + 1'),
+          verifiedAt: new Date()
+        }, {
+          where: { id: otpRecord.id, status: 'PENDING', attempts: { [Op.lt]: OTP_MAX_ATTEMPTS } },
+          transaction
+        });
+        if (!verified) {
+          throw new BusinessRuleException('OTP is no longer valid. Please request a new OTP', 'OTP_NOT_PENDING');
+        }
+
+        // Finalize only the rows of the month this OTP was issued for
+        const finalizeWhere = {
+          userId,
+          monthYear,
+          status: 'INPROGRESS',
+          active: true
+        };
+        const finalizedRows = await PerformanceStatistic.findAll({ where: finalizeWhere, transaction });
+        const [finalizedCount] = await PerformanceStatistic.update(
+          { status: 'SUCCESS', updatedBy: userId },
+          { where: finalizeWhere, transaction }
+        );
+        await performanceStatisticAuditService.recordBulkUpdate(finalizedRows, { status: 'SUCCESS' }, auditContext, transaction);
+
+        const user = await User.findByPk(userId, {
+          attributes: ['id', 'stateId', 'rangeId', 'battalionId'],
+          transaction
+        });
+        const submission = await performanceSubmissionService.recordSubmission(user, monthYear, transaction);
+
+        await transaction.commit();
+
+        logger.info(`OTP verified and ${finalizedCount} statistics finalized for user ${userId} for ${monthYear}`);
 
-        logger.info(`OTP verified and statistics finalized for user ${userId}`);
-        
         return {
           success: true,
-          message: 'OTP verified and data submitted successfully'
+          message: 'OTP verified and data submitted successfully',
+          monthYear,
+          finalizedCount,
+          submissionId: submission.id,
+          submissionStatus: submission.status
         };
-      } else {
-        throw new Error('Invalid OTP');
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
       }
 
     } catch (error) {
@@ -1799,20 +2539,49 @@ class PerformanceStatisticService {
     }
   }
 
+  /**
+   * Find the latest pending or locked OTP for a user and month
+   * @param {number} userId - User ID
+   * @param {string} monthYear - Month-year label
+   * @returns {Object|null} OTP record
+   */
+  async findOpenOTP(userId, monthYear) {
+    return PerformanceStatisticOtp.findOne({
+      where: {
+        userId,
+        monthYear,
+        status: { [Op.in]: ['PENDING', 'LOCKED'] },
+        active: true
+      },
+      order: [['otpGeneratedTime', 'DESC']]
+    });
+  }
+
+  getOTPExpiryTime(otpRecord) {
+    return new Date(new Date(otpRecord.otpGeneratedTime).getTime() + OTP_VALIDITY_MINUTES * 60 * 1000);
+  }
+
+  maskMobileNumber(mobileNo) {
+    const digits = String(mobileNo);
+    return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : digits;
+  }
+
   /**
    * Get performance statistics summary
    * @param {Object} filters - Filter options
+   * @param {Object} viewer - Requesting user; rows are limited to their jurisdiction
    * @returns {Object} Performance statistics summary
    */
-  async getSummary(filters = {}) {
+  async getSummary(filters = {}, viewer = null) {
     const { userId, stateId, rangeId, districtId, monthYear } = filters;
     
-    const whereCondition = { active: true };
-    if (userId) whereCondition.userId = userId;
-    if (stateId) whereCondition.stateId = stateId;
-    if (rangeId) whereCondition.rangeId = rangeId;
-    if (districtId) whereCondition.districtId = districtId;
-    if (monthYear) whereCondition.monthYear = { [Op.like]: `%${monthYear}%` };
+    const filterCondition = { active: true };
+    if (userId) filterCondition.userId = userId;
+    if (stateId) filterCondition.stateId = stateId;
+    if (rangeId) filterCondition.rangeId = rangeId;
+    if (districtId) filterCondition.districtId = districtId;
+    if (monthYear) filterCondition.monthYear = { [Op.like]: `%${monthYear}%` };
+    const whereCondition = jurisdictionService.applyScope(filterCondition, viewer);
 
     const totalCount = await PerformanceStatistic.count({ where: whereCondition });
     const successCount = await PerformanceStatistic.count({ 
@@ -0,0 +1,423 @@
+const {
+  PerformanceStatistic,
+  PerformanceSubmission,
+  PerformanceSubmissionTransition,
+  PerformanceSubmissionComment,
+  User,
+  Battalion,
+  Range,
+  Topic
+} = require('../models');
+const sequelize = require('../config/database');
+const performanceStatisticAuditService = require('./performanceStatisticAuditService');
+const logger = require('../utils/logger');
+const {
+  ValidationException,
+  NotFoundException,
+  AuthorizationException,
+  BusinessRuleException
+} = require('../exceptions');
+const { Op } = require('sequelize');
+
+/**
+ * Approval workflow of monthly returns:
+ *   battalion submit (OTP)  -> SUBMITTED
+ *   range officer approve   -> RANGE_APPROVED, or return -> RETURNED
+ *   state officer approve   -> APPROVED,       or return -> RETURNED
+ *   battalion resubmit      -> SUBMITTED
+ * Range officers are users with a range but no battalion, state officers
+ * users with neither.
+ */
+class PerformanceSubmissionService {
+  async findSubmission(userId, monthYear, options = {}) {
+    return PerformanceSubmission.findOne({
+      where: { userId, monthYear, active: true },
+      ...options
+    });
+  }
+
+  /**
+   * Battalion data can only change while the return is not under review. A
+   * returned submission reopens only the topics the reviewer commented on
+   * (every topic when it was returned with remarks only).
+   * @param {Object|null} submission - Submission of the user/month
+   * @param {Array} topicIds - Topics about to change; omit for month-level actions such as resubmitting
+   */
+  async assertEditable(submission, topicIds = null) {
+    if (!submission) return;
+
+    if (submission.status !== 'RETURNED') {
+      throw new BusinessRuleException(
+        `Return for ${submission.monthYear} is ${submission.status} and can no longer be edited`,
+        'SUBMISSION_LOCKED',
+        { submissionId: submission.id, status: submission.status }
+      );
+    }
+
+    if (!topicIds || !topicIds.length) return;
+
+    const editableTopicIds = await this.getEditableTopicIds(submission);
+    if (!editableTopicIds) return;
+
+    const lockedTopicIds = [...new Set(topicIds.map(Number))].filter(id => !editableTopicIds.includes(id));
+    if (lockedTopicIds.length) {
+      throw new BusinessRuleException(
+        `Only the topics commented on by the reviewer can be edited in the returned ${submission.monthYear} return`,
+        'TOPIC_LOCKED',
+        { submissionId: submission.id, lockedTopicIds, editableTopicIds }
+      );
+    }
+  }
+
+  /**
+   * Topics reopened by the latest return of a submission
+   * @param {Object} submission - Submission
+   * @returns {Array|null} Topic IDs, null when every topic is open
+   */
+  async getEditableTopicIds(submission) {
+    if (!submission || submission.status !== 'RETURNED') return [];
+
+    const transition = await PerformanceSubmissionTransition.findOne({
+      where: { submissionId: submission.id, action: 'RETURN' },
+      order: [['id', 'DESC']]
+    });
+    if (!transition) return null;
+
+    const comments = await PerformanceSubmissionComment.findAll({
+      where: { transitionId: transition.id },
+      attributes: ['topicId']
+    });
+    return comments.length ? [...new Set(comments.map(comment => comment.topicId))] : null;
+  }
+
+  getReviewerLevel(user) {
+    if (user.battalionId) return null;
+    if (user.rangeId) return 'RANGE';
+    return 'STATE';
+  }
+
+  /**
+   * Record a battalion submission (first submit or resubmit after return)
+   * @param {Object} user - Submitting user
+   * @param {string} monthYear - Month-year label
+   * @param {Object} transaction - Open transaction of the OTP finalization
+   * @returns {Object} Submission
+   */
+  async recordSubmission(user, monthYear, transaction) {
+    let submission = await this.findSubmission(user.id, monthYear, { transaction });
+    await this.assertEditable(submission);
+
+    const fromStatus = submission ? submission.status : null;
+    const values = {
+      status: 'SUBMITTED',
+      submittedAt: new Date(),
+      battalionId: user.battalionId || null,
+      rangeId: user.rangeId || null,
+      stateId: user.stateId || null,
+      rangeReviewedBy: null,
+      rangeReviewedAt: null,
+      stateReviewedBy: null,
+      stateReviewedAt: null,
+      updatedBy: user.id
+    };
+
+    if (submission) {
+      await submission.update(values, { transaction });
+    } else {
+      submission = await PerformanceSubmission.create({
+        userId: user.id,
+        monthYear,
+        ...values,
+        createdBy: user.id
+      }, { transaction });
+    }
+
+    await PerformanceSubmissionTransition.create({
+      submissionId: submission.id,
+      action: 'SUBMIT',
+      fromStatus,
+      toStatus: 'SUBMITTED',
+      actedBy: user.id
+    }, { transaction });
+
+    logger.info(`Return ${submission.id} for ${monthYear} submitted by user ${user.id}`);
+    return submission;
+  }
+
+  /**
+   * Check the reviewer may act on the submission at its current stage
+   * @returns {string} Reviewer level (RANGE or STATE)
+   */
+  assertCanReview(submission, reviewer) {
+    if (submission.userId === reviewer.id) {
+      throw new AuthorizationException('You cannot review your own return');
+    }
+
+    const level = this.getReviewerLevel(reviewer);
+
+    if (submission.status === 'SUBMITTED') {
+      if (level !== 'RANGE' || reviewer.rangeId !== submission.rangeId) {
+        throw new AuthorizationException('Only an officer of the battalion\'s range can review this return');
+      }
+      return level;
+    }
+
+    if (submission.status === 'RANGE_APPROVED') {
+      if (level !== 'STATE' || (reviewer.stateId && submission.stateId && reviewer.stateId !== submission.stateId)) {
+        throw new AuthorizationException('Only a state officer can give final sign-off on this return');
+      }
+      return level;
+    }
+
+    throw new BusinessRuleException(
+      `Return is ${submission.status} and is not awaiting review`,
+      'SUBMISSION_NOT_PENDING',
+      { submissionId: submission.id, status: submission.status }
+    );
+  }
+
+  async loadForReview(id, transaction) {
+    const submission = await PerformanceSubmission.findOne({
+      where: { id, active: true },
+      transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    });
+    if (!submission) throw new NotFoundException('Submission', id);
+    return submission;
+  }
+
+  /**
+   * Approve a return at the reviewer's level
+   * @param {number} id - Submission ID
+   * @param {Object} reviewer - Reviewing user
+   * @param {Object} data - { remarks }
+   * @returns {Object} Updated submission
+   */
+  async approve(id, reviewer, { remarks = null } = {}) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const submission = await this.loadForReview(id, transaction);
+      const level = this.assertCanReview(submission, reviewer);
+      const fromStatus = submission.status;
+      const now = new Date();
+
+      const values = level === 'RANGE'
+        ? { status: 'RANGE_APPROVED', rangeReviewedBy: reviewer.id, rangeReviewedAt: now }
+        : { status: 'APPROVED', stateReviewedBy: reviewer.id, stateReviewedAt: now };
+
+      await submission.update({ ...values, updatedBy: reviewer.id }, { transaction });
+
+      await PerformanceSubmissionTransition.create({
+        submissionId: submission.id,
+        action: level === 'RANGE' ? 'RANGE_APPROVE' : 'STATE_APPROVE',
+        fromStatus,
+        toStatus: values.status,
+        actedBy: reviewer.id,
+        remarks
+      }, { transaction });
+
+      await transaction.commit();
+
+      logger.info(`Return ${id} moved ${fromStatus} -> ${values.status} by user ${reviewer.id}`);
+      return submission;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Return a submission to the battalion with per-topic comments. Answers of
+   * the commented topics (all topics when none are given) become editable again.
+   * @param {number} id - Submission ID
+   * @param {Object} reviewer - Reviewing user
+   * @param {Object} data - { remarks, topicComments: [{ topicId, comment }] }
+   * @param {Object} auditContext - Audit context for the reopened answers
+   * @returns {Object} Updated submission
+   */
+  async returnSubmission(id, reviewer, { remarks = null, topicComments = [] } = {}, auditContext = null) {
+    if (!Array.isArray(topicComments)) {
+      throw new ValidationException('topicComments must be an array', [], 'topicComments');
+    }
+
+    const comments = topicComments.map((item, index) => {
+      const topicId = parseInt(item?.topicId);
+      const comment = item?.comment ? String(item.comment).trim() : '';
+      if (!topicId || !comment) {
+        throw new ValidationException(
+          'Each topic comment needs a topicId and a comment',
+          [{ field: `topicComments[${index}]`, message: 'topicId and comment are required' }],
+          'topicComments'
+        );
+      }
+      return { topicId, comment };
+    });
+
+    if (!comments.length && !(remarks && String(remarks).trim())) {
+      throw new ValidationException('Remarks or topic comments are required to return a submission', [], 'remarks');
+    }
+
+    const topicIds = [...new Set(comments.map(c => c.topicId))];
+    if (topicIds.length) {
+      const topicCount = await Topic.count({ where: { id: { [Op.in]: topicIds } } });
+      if (topicCount !== topicIds.length) {
+        throw new ValidationException('One or more commented topics do not exist', [], 'topicComments');
+      }
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const submission = await this.loadForReview(id, transaction);
+      this.assertCanReview(submission, reviewer);
+      const fromStatus = submission.status;
+
+      await submission.update({ status: 'RETURNED', updatedBy: reviewer.id }, { transaction });
+
+      const transition = await PerformanceSubmissionTransition.create({
+        submissionId: submission.id,
+        action: 'RETURN',
+        fromStatus,
+        toStatus: 'RETURNED',
+        actedBy: reviewer.id,
+        remarks
+      }, { transaction });
+
+      if (comments.length) {
+        await PerformanceSubmissionComment.bulkCreate(
+          comments.map(c => ({
+            submissionId: submission.id,
+            transitionId: transition.id,
+            topicId: c.topicId,
+            comment: c.comment,
+            createdBy: reviewer.id
+          })),
+          { transaction }
+        );
+      }
+
+      // Reopen the answers for correction
+      const reopenWhere = {
+        userId: submission.userId,
+        monthYear: submission.monthYear,
+        active: true,
+        ...(topicIds.length ? { topicId: { [Op.in]: topicIds } } : {})
+      };
+      const reopenedRows = await PerformanceStatistic.findAll({ where: reopenWhere, transaction });
+      const [reopenedCount] = await PerformanceStatistic.update(
+        { status: 'INPROGRESS', updatedBy: reviewer.id },
+        { where: reopenWhere, transaction }
+      );
+      await performanceStatisticAuditService.recordBulkUpdate(
+        reopenedRows,
+        { status: 'INPROGRESS' },
+        auditContext || { changedBy: reviewer.id, source: 'submission-return' },
+        transaction
+      );
+
+      await transaction.commit();
+
+      logger.info(`Return ${id} sent back by user ${reviewer.id}; ${reopenedCount} answers reopened`);
+      return submission;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Returns waiting for the reviewer: SUBMITTED in a range officer's range,
+   * RANGE_APPROVED in a state officer's state
+   * @param {Object} reviewer - Reviewing user
+   * @param {Object} filters - { monthYear }
+   * @returns {Array} Pending submissions
+   */
+  async listPending(reviewer, filters = {}) {
+    const level = this.getReviewerLevel(reviewer);
+    if (!level) {
+      throw new AuthorizationException('Battalion users have no review queue');
+    }
+
+    const where = { active: true };
+    if (level === 'RANGE') {
+      where.status = 'SUBMITTED';
+      where.rangeId = reviewer.rangeId;
+    } else {
+      where.status = 'RANGE_APPROVED';
+      if (reviewer.stateId) where.stateId = reviewer.stateId;
+    }
+    if (filters.monthYear) where.monthYear = filters.monthYear;
+
+    return PerformanceSubmission.findAll({
+      where,
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] },
+        { model: Battalion, as: 'battalion', attributes: ['id', 'battalionName'] },
+        { model: Range, as: 'range', attributes: ['id', 'rangeName'] }
+      ],
+      order: [['submittedAt', 'ASC']]
+    });
+  }
+
+  /**
+   * Submissions of the current user
+   * @param {Object} user - Current user
+   * @param {Object} filters - { monthYear }
+   * @returns {Array} Submissions
+   */
+  async listForUser(user, filters = {}) {
+    const where = { userId: user.id, active: true };
+    if (filters.monthYear) where.monthYear = filters.monthYear;
+
+    return PerformanceSubmission.findAll({
+      where,
+      order: [['submittedAt', 'DESC']]
+    });
+  }
+
+  /**
+   * Submission with its full transition history and topic comments
+   * @param {number} id - Submission ID
+   * @param {Object} user - Current user (owner or a reviewer of the jurisdiction)
+   * @returns {Object} Submission
+   */
+  async getSubmission(id, user) {
+    const submission = await PerformanceSubmission.findOne({
+      where: { id, active: true },
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName'] },
+        { model: Battalion, as: 'battalion', attributes: ['id', 'battalionName'] },
+        {
+          model: PerformanceSubmissionTransition,
+          as: 'transitions',
+          include: [
+            { model: User, as: 'actor', attributes: ['id', 'firstName', 'lastName'] },
+            {
+              model: PerformanceSubmissionComment,
+              as: 'comments',
+              include: [{ model: Topic, as: 'topic', attributes: ['id', 'topicName'] }]
+            }
+          ]
+        }
+      ],
+      order: [[{ model: PerformanceSubmissionTransition, as: 'transitions' }, 'created_date', 'ASC']]
+    });
+
+    if (!submission) throw new NotFoundException('Submission', id);
+
+    const level = this.getReviewerLevel(user);
+    const canView =
+      submission.userId === user.id ||
+      (level === 'RANGE' && submission.rangeId === user.rangeId) ||
+      (level === 'STATE' && (!user.stateId || submission.stateId === user.stateId));
+
+    if (!canView) {
+      throw new AuthorizationException('You do not have access to this submission');
+    }
+
+    return submission;
+  }
+}
+
+module.exports = new PerformanceSubmissionService();
@@ -0,0 +1,525 @@
+const ExcelJS = require('exceljs');
+const { PerformanceStatistic, User, Battalion, Module, Topic, Question, SubTopic } = require('../models');
+const performanceStatisticService = require('./performanceStatisticService');
+const reportingPeriodService = require('./reportingPeriodService');
+const logger = require('../utils/logger');
+const { ValidationException, NotFoundException, AuthorizationException } = require('../exceptions');
+const { Op } = require('sequelize');
+
+const TEMPLATE_VERSION = 1;
+// Very hidden sheet holding who / which month / which topics a workbook was generated for
+const META_SHEET = '_template';
+// Layout of a topic sheet: title, hidden sub-topic ID row, headers, then one row per question
+const ID_ROW = 2;
+const HEADER_ROW = 3;
+const FIRST_QUESTION_ROW = 4;
+const ID_COLUMN = 1;
+const QUESTION_COLUMN = 2;
+const FIRST_VALUE_COLUMN = 3;
+
+const FORMULA_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF2F2F2' } };
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE0E0E0' } };
+const THIN_BORDER = {
+  top: { style: 'thin' },
+  left: { style: 'thin' },
+  bottom: { style: 'thin' },
+  right: { style: 'thin' }
+};
+
+/**
+ * Offline entry of monthly returns. A battalion user downloads an XLSX
+ * template for a module (one sheet per topic) or a single topic, fills it in
+ * and uploads it back. Questions are rows; grid topics (ST/Q, Q/ST) have a
+ * column per sub-topic, other topics a single value column. Question and
+ * sub-topic IDs sit in a hidden column / row, and a very hidden sheet
+ * records the user and month, so an upload is matched to the form it came
+ * from rather than to labels someone may have edited.
+ *
+ * Uploads are previewed as a diff against the saved answers and imported
+ * through performanceStatisticService.saveStatistics, so they get the same
+ * period checks, formulas, validation, consistency rules and audit trail as
+ * the web form. Empty cells and formula cells are ignored.
+ */
+class PerformanceTemplateService {
+  /**
+   * Build the template workbook for the user's battalion
+   * @param {Object} params - { moduleId, topicId, monthYear } (moduleId or topicId required)
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { buffer, fileName }
+   */
+  async buildTemplate({ moduleId, topicId, monthYear } = {}, user) {
+    const currentMonthYear = monthYear
+      ? reportingPeriodService.normalizeMonthYear(monthYear)
+      : performanceStatisticService.getReportingMonthYear();
+
+    const profile = await this.loadUser(user.id);
+    const topics = await this.loadTopics(moduleId, topicId);
+    const definitions = await this.loadDefinitions(topics);
+    const saved = await this.loadSavedValues(profile.id, currentMonthYear, topics.map(t => t.id));
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Performance Statistics';
+    workbook.created = new Date();
+
+    const sheetNames = new Set();
+    const sheets = [];
+    for (const { topic, questions, subTopics, formulaCells } of definitions) {
+      const sheetName = this.uniqueSheetName(topic.topicName, sheetNames);
+      this.addTopicSheet(workbook, sheetName, {
+        topic,
+        questions,
+        subTopics,
+        formulaCells,
+        saved,
+        title: `${topic.topicName} - ${profile.battalion?.battalionName || 'Battalion'} - ${currentMonthYear}`
+      });
+      sheets.push([sheetName, topic.id]);
+    }
+
+    const meta = workbook.addWorksheet(META_SHEET);
+    meta.state = 'veryHidden';
+    meta.addRows([
+      ['version', TEMPLATE_VERSION],
+      ['userId', profile.id],
+      ['battalionId', profile.battalionId || ''],
+      ['monthYear', currentMonthYear],
+      ['generatedAt', new Date().toISOString()],
+      ...sheets.map(([sheetName, id]) => ['topic', id, sheetName])
+    ]);
+
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+    const scope = topicId ? `topic-${topics[0].id}` : `module-${topics[0].moduleId}`;
+    const fileName = `performance-template-${scope}-${currentMonthYear.replace(/\s+/g, '-')}.xlsx`;
+
+    logger.info(`Performance template (${scope}, ${currentMonthYear}) generated for user ${profile.id}`);
+    return { buffer, fileName };
+  }
+
+  addTopicSheet(workbook, sheetName, { topic, questions, subTopics, formulaCells, saved, title }) {
+    const isGrid = performanceStatisticService.isGridForm(topic);
+    const columns = isGrid
+      ? subTopics.map(subTopic => ({ subTopicId: subTopic.id, header: subTopic.subTopicName }))
+      : [{ subTopicId: 0, header: 'Value' }];
+    const lastColumn = FIRST_VALUE_COLUMN + columns.length - 1;
+
+    const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', xSplit: QUESTION_COLUMN, ySplit: HEADER_ROW }] });
+    sheet.getColumn(ID_COLUMN).hidden = true;
+    sheet.getColumn(QUESTION_COLUMN).width = 60;
+    columns.forEach((column, index) => { sheet.getColumn(FIRST_VALUE_COLUMN + index).width = 18; });
+
+    const titleRow = sheet.getRow(1);
+    titleRow.getCell(QUESTION_COLUMN).value = title;
+    titleRow.font = { bold: true, size: 14 };
+    if (lastColumn > QUESTION_COLUMN) sheet.mergeCells(1, QUESTION_COLUMN, 1, lastColumn);
+
+    const idRow = sheet.getRow(ID_ROW);
+    idRow.getCell(ID_COLUMN).value = 'ID';
+    columns.forEach((column, index) => { idRow.getCell(FIRST_VALUE_COLUMN + index).value = column.subTopicId; });
+    idRow.hidden = true;
+
+    const headerRow = sheet.getRow(HEADER_ROW);
+    headerRow.getCell(QUESTION_COLUMN).value = 'Question';
+    columns.forEach((column, index) => { headerRow.getCell(FIRST_VALUE_COLUMN + index).value = column.header; });
+    for (let col = QUESTION_COLUMN; col <= lastColumn; col++) {
+      const cell = headerRow.getCell(col);
+      cell.font = { bold: true };
+      cell.fill = HEADER_FILL;
+      cell.border = THIN_BORDER;
+      cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+    }
+
+    questions.forEach((question, rowIndex) => {
+      const row = sheet.getRow(FIRST_QUESTION_ROW + rowIndex);
+      row.getCell(ID_COLUMN).value = question.id;
+      row.getCell(QUESTION_COLUMN).value = question.question;
+      row.getCell(QUESTION_COLUMN).alignment = { wrapText: true, vertical: 'middle' };
+      row.getCell(QUESTION_COLUMN).border = THIN_BORDER;
+
+      columns.forEach((column, index) => {
+        const subTopicId = isGrid ? column.subTopicId : null;
+        const cell = row.getCell(FIRST_VALUE_COLUMN + index);
+        const existing = saved.get(this.cellKey(topic.id, question.id, subTopicId));
+        cell.value = existing !== undefined ? this.toCellValue(existing) : null;
+        cell.border = THIN_BORDER;
+        cell.alignment = { horizontal: 'center' };
+
+        if (formulaCells.has(this.formulaCellKey(question.id, subTopicId))) {
+          cell.fill = FORMULA_FILL;
+          cell.note = 'Calculated on upload';
+        }
+      });
+    });
+  }
+
+  /**
+   * Compare an uploaded workbook with the saved answers without writing
+   * @param {Buffer} buffer - Uploaded XLSX
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { monthYear, isWritable, summary, changes, rejected, skipped }
+   */
+  async preview(buffer, user) {
+    const parsed = await this.parseWorkbook(buffer, user);
+    const rows = parsed.rows.map(row => ({ ...row, userId: parsed.userId, monthYear: parsed.monthYear }));
+
+    // Normalizes accepted values in place, so the diff compares what would be stored
+    const rejected = this.locateRejected(await performanceStatisticService.validateStatisticRows(rows), parsed.rows);
+    const rejectedIndexes = new Set(rejected.map(item => item.index));
+
+    const saved = await this.loadSavedValues(parsed.userId, parsed.monthYear, parsed.topicIds);
+    const changes = [];
+    rows.forEach((row, index) => {
+      if (rejectedIndexes.has(index)) return;
+      const topic = parsed.topics.get(row.topicId);
+      const current = saved.get(this.cellKey(row.topicId, row.questionId, performanceStatisticService.isGridForm(topic) ? row.subTopicId : null));
+
+      let action = 'INSERT';
+      if (current !== undefined) {
+        action = String(current ?? '') === String(row.value ?? '') ? 'UNCHANGED' : 'UPDATE';
+      }
+      changes.push({
+        sheet: parsed.rows[index].sheet,
+        cell: parsed.rows[index].cell,
+        topicId: row.topicId,
+        questionId: row.questionId,
+        subTopicId: row.subTopicId,
+        question: parsed.rows[index].question,
+        subTopic: parsed.rows[index].subTopic,
+        currentValue: current ?? null,
+        importedValue: row.value,
+        action
+      });
+    });
+
+    let isWritable = true;
+    let writableMessage = null;
+    try {
+      const changedTopicIds = [...new Set(changes.filter(change => change.action !== 'UNCHANGED').map(change => change.topicId))];
+      await performanceStatisticService.assertSubmissionWritable(parsed.userId, parsed.monthYear, changedTopicIds);
+    } catch (error) {
+      isWritable = false;
+      writableMessage = error.message;
+    }
+
+    const count = action => changes.filter(change => change.action === action).length;
+    return {
+      monthYear: parsed.monthYear,
+      isWritable,
+      writableMessage,
+      summary: {
+        inserted: count('INSERT'),
+        updated: count('UPDATE'),
+        unchanged: count('UNCHANGED'),
+        rejected: rejected.length,
+        skipped: parsed.skipped.length
+      },
+      changes: changes.filter(change => change.action !== 'UNCHANGED'),
+      rejected,
+      skipped: parsed.skipped
+    };
+  }
+
+  /**
+   * Save an uploaded workbook through the normal save path (all or nothing)
+   * @param {Buffer} buffer - Uploaded XLSX
+   * @param {Object} user - Authenticated user
+   * @param {Object} auditContext - Who/where the change comes from
+   * @returns {Object} Save result of saveStatistics
+   */
+  async import(buffer, user, auditContext = null) {
+    const parsed = await this.parseWorkbook(buffer, user);
+    if (!parsed.rows.length) {
+      throw new ValidationException('The workbook contains no answers to import', [], 'file');
+    }
+
+    try {
+      const result = await performanceStatisticService.saveStatistics({
+        performanceStatistics: parsed.rows.map(row => ({
+          questionId: row.questionId,
+          moduleId: row.moduleId,
+          topicId: row.topicId,
+          subTopicId: row.subTopicId,
+          value: row.value
+        })),
+        userId: parsed.userId,
+        monthYear: parsed.monthYear,
+        auditContext
+      });
+
+      logger.info(`Imported ${parsed.rows.length} answers from a template for user ${parsed.userId} (${parsed.monthYear})`);
+      return { ...result, skipped: parsed.skipped };
+    } catch (error) {
+      // Point rejected answers at their cells; rows added by formulas come after the parsed ones
+      if (error instanceof ValidationException && error.field === 'performanceStatistics') {
+        const located = this.locateRejected(error.validationErrors, parsed.rows);
+        error.validationErrors = located;
+        error.details = { ...error.details, validationErrors: located };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the answers of a filled template
+   * @returns {Object} { userId, monthYear, topicIds, topics, rows, skipped }
+   * @throws {ValidationException|AuthorizationException}
+   */
+  async parseWorkbook(buffer, user) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new ValidationException('The file is not a readable XLSX workbook', [], 'file');
+    }
+
+    const meta = this.readMeta(workbook);
+    if (meta.userId !== user.id) {
+      throw new AuthorizationException('This template was generated for another user');
+    }
+
+    const profile = await this.loadUser(user.id);
+    if ((meta.battalionId || null) !== (profile.battalionId || null)) {
+      throw new ValidationException('This template was generated for another battalion; download a new one', [], 'file');
+    }
+
+    const topics = await Topic.findAll({ where: { id: { [Op.in]: meta.sheets.map(s => s.topicId) }, active: true } });
+    const topicMap = new Map(topics.map(topic => [topic.id, topic]));
+    const definitions = new Map(
+      (await this.loadDefinitions(topics)).map(definition => [definition.topic.id, definition])
+    );
+
+    const rows = [];
+    const skipped = [];
+    for (const { sheetName, topicId } of meta.sheets) {
+      const sheet = workbook.getWorksheet(sheetName);
+      const definition = definitions.get(topicId);
+      if (!sheet || !definition) {
+        skipped.push({ sheet: sheetName, reason: sheet ? 'Topic is no longer active' : 'Sheet is missing' });
+        continue;
+      }
+
+      const { topic, questions, subTopics, formulaCells } = definition;
+      const isGrid = performanceStatisticService.isGridForm(topic);
+      const questionMap = new Map(questions.map(question => [question.id, question]));
+      const subTopicMap = new Map(subTopics.map(subTopic => [subTopic.id, subTopic]));
+
+      const columns = [];
+      sheet.getRow(ID_ROW).eachCell((cell, col) => {
+        if (col >= FIRST_VALUE_COLUMN) columns.push({ col, subTopicId: parseInt(this.readCell(cell)) || 0 });
+      });
+
+      sheet.eachRow((row, rowNumber) => {
+        if (rowNumber < FIRST_QUESTION_ROW) return;
+        const questionId = parseInt(this.readCell(row.getCell(ID_COLUMN)));
+        if (!questionId) return;
+
+        columns.forEach(({ col, subTopicId }) => {
+          const cell = row.getCell(col);
+          const value = this.readCell(cell);
+          if (value === null || String(value).trim() === '') return;
+
+          const question = questionMap.get(questionId);
+          const gridSubTopicId = isGrid ? subTopicId : null;
+          if (!question || (isGrid && !subTopicMap.has(subTopicId))) {
+            skipped.push({ sheet: sheetName, cell: cell.address, reason: 'Question or sub-topic is no longer on the form' });
+            return;
+          }
+          if (formulaCells.has(this.formulaCellKey(questionId, gridSubTopicId))) {
+            skipped.push({ sheet: sheetName, cell: cell.address, reason: 'Calculated answer' });
+            return;
+          }
+
+          rows.push({
+            sheet: sheetName,
+            cell: cell.address,
+            questionId,
+            moduleId: topic.moduleId,
+            topicId: topic.id,
+            subTopicId: isGrid ? subTopicId : question.subTopicId || null,
+            question: question.question,
+            subTopic: isGrid ? subTopicMap.get(subTopicId).subTopicName : null,
+            value: String(value).trim()
+          });
+        });
+      });
+    }
+
+    return {
+      userId: meta.userId,
+      monthYear: meta.monthYear,
+      topicIds: [...topicMap.keys()],
+      topics: topicMap,
+      rows,
+      skipped
+    };
+  }
+
+  readMeta(workbook) {
+    const sheet = workbook.getWorksheet(META_SHEET);
+    if (!sheet) {
+      throw new ValidationException('The workbook is not a performance statistics template', [], 'file');
+    }
+
+    const meta = { sheets: [] };
+    sheet.eachRow(row => {
+      const key = this.readCell(row.getCell(1));
+      const value = this.readCell(row.getCell(2));
+      if (key === 'topic') {
+        meta.sheets.push({ topicId: parseInt(value), sheetName: String(this.readCell(row.getCell(3))) });
+      } else if (key) {
+        meta[key] = value;
+      }
+    });
+
+    if (parseInt(meta.version) !== TEMPLATE_VERSION || !meta.userId || !meta.monthYear) {
+      throw new ValidationException('The template is outdated or damaged; download a new one', [], 'file');
+    }
+
+    return {
+      userId: parseInt(meta.userId),
+      battalionId: parseInt(meta.battalionId) || null,
+      monthYear: reportingPeriodService.normalizeMonthYear(meta.monthYear),
+      sheets: meta.sheets.filter(s => s.topicId && s.sheetName)
+    };
+  }
+
+  /**
+   * Plain value of a cell (formula results, rich text and hyperlinks
+   * unwrapped, dates as YYYY-MM-DD)
+   */
+  readCell(cell) {
+    let value = cell.value;
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      if (value.richText) value = value.richText.map(part => part.text).join('');
+      else if (value.text !== undefined) value = value.text;
+      else if (value.result !== undefined) value = value.result;
+      else if (value.error) value = null;
+    }
+    if (value instanceof Date) {
+      return value.toISOString().substring(0, 10);
+    }
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Add the sheet and cell of each rejected answer (by its index in the parsed rows)
+   */
+  locateRejected(rejected, parsedRows) {
+    return rejected.map(item => {
+      const row = parsedRows[item.index];
+      return row ? { ...item, sheet: row.sheet, cell: row.cell } : item;
+    });
+  }
+
+  async loadUser(userId) {
+    const user = await User.findByPk(userId, { include: [{ model: Battalion, as: 'battalion' }] });
+    if (!user) throw new NotFoundException('User', userId);
+    return user;
+  }
+
+  /**
+   * Active topics of a module, or the single topic
+   */
+  async loadTopics(moduleId, topicId) {
+    if (topicId) {
+      const topic = await Topic.findOne({ where: { id: parseInt(topicId), active: true } });
+      if (!topic || (moduleId && topic.moduleId !== parseInt(moduleId))) {
+        throw new NotFoundException('Topic', topicId);
+      }
+      return [topic];
+    }
+
+    if (!moduleId) {
+      throw new ValidationException('moduleId or topicId is required', [], 'moduleId');
+    }
+    const module = await Module.findOne({ where: { id: parseInt(moduleId), active: true } });
+    if (!module) throw new NotFoundException('Module', moduleId);
+
+    const topics = await Topic.findAll({ where: { moduleId: module.id, active: true }, order: [['priority', 'ASC']] });
+    if (!topics.length) {
+      throw new ValidationException(`Module ${module.moduleName} has no active topics`, [], 'moduleId');
+    }
+    return topics;
+  }
+
+  /**
+   * Questions, sub-topics and calculated cells of each topic
+   */
+  async loadDefinitions(topics) {
+    const topicIds = topics.map(topic => topic.id);
+    if (!topicIds.length) return [];
+
+    const [questions, subTopics] = await Promise.all([
+      Question.findAll({ where: { topicId: { [Op.in]: topicIds }, active: true }, order: [['priority', 'ASC'], ['id', 'ASC']] }),
+      SubTopic.findAll({ where: { topicId: { [Op.in]: topicIds }, active: true }, order: [['priority', 'ASC'], ['id', 'ASC']] })
+    ]);
+
+    return topics.map(topic => {
+      const topicQuestions = questions.filter(q => q.topicId === topic.id);
+      const topicSubTopics = subTopics.filter(st => st.topicId === topic.id);
+      return {
+        topic,
+        questions: topicQuestions,
+        subTopics: topicSubTopics,
+        formulaCells: performanceStatisticService.getFormulaCells(topic, topicQuestions, topicSubTopics.map(st => st.id))
+      };
+    });
+  }
+
+  /**
+   * Saved answers of the month keyed by topic, question and (grid) sub-topic
+   * @returns {Map} Key -> value
+   */
+  async loadSavedValues(userId, monthYear, topicIds) {
+    if (!topicIds.length) return new Map();
+
+    const [statistics, topics] = await Promise.all([
+      PerformanceStatistic.findAll({
+        where: { userId, monthYear, topicId: { [Op.in]: topicIds }, active: true },
+        attributes: ['topicId', 'questionId', 'subTopicId', 'value'],
+        order: [['id', 'ASC']]
+      }),
+      Topic.findAll({ where: { id: { [Op.in]: topicIds } }, attributes: ['id', 'formType'] })
+    ]);
+
+    const gridTopics = new Set(topics.filter(t => performanceStatisticService.isGridForm(t)).map(t => t.id));
+    const saved = new Map();
+    statistics.forEach(stat => {
+      const subTopicId = gridTopics.has(stat.topicId) ? stat.subTopicId : null;
+      saved.set(this.cellKey(stat.topicId, stat.questionId, subTopicId), stat.value);
+    });
+    return saved;
+  }
+
+  cellKey(topicId, questionId, subTopicId) {
+    return `${topicId}|${questionId}|${subTopicId || ''}`;
+  }
+
+  formulaCellKey(questionId, subTopicId) {
+    return subTopicId ? `${questionId}_${subTopicId}` : `${questionId}`;
+  }
+
+  /**
+   * Numeric answers go in as numbers so the sheet does not flag them as text
+   */
+  toCellValue(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    return text !== '' && !isNaN(Number(text)) && !/^0\d/.test(text) ? Number(text) : text;
+  }
+
+  /**
+   * Excel sheet names: at most 31 characters, none of : \ / ? * [ ], unique
+   */
+  uniqueSheetName(name, used) {
+    const base = String(name || 'Topic').replace(/[:\\/?*[\]]/g, ' ').replace(/\s+/g, ' ').trim().substring(0, 31) || 'Topic';
+    let candidate = base;
+    for (let i = 2; used.has(candidate.toLowerCase()) || candidate === META_SHEET; i++) {
+      const suffix = ` (${i})`;
+      candidate = `${base.substring(0, 31 - suffix.length)}${suffix}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  }
+}
+
+module.exports = new PerformanceTemplateService();
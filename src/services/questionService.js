@@ -1,5 +1,8 @@
 const { Question, Topic, SubTopic, Module, User, PerformanceStatistic } = require('../models');
 const { Op } = require('sequelize');
+const formulaEngine = require('../utils/formulaEngine');
+const answerValidator = require('../utils/answerValidator');
+const { ValidationException } = require('../exceptions');
 
 class QuestionService {
   
@@ -105,6 +108,8 @@ class QuestionService {
   // Create new question
   static async createQuestion(questionData) {
     console.log('Creating question with data:', questionData);
+    await this.validateQuestionFormulas(questionData.topicId, null, questionData);
+    answerValidator.assertValidRules(questionData.validationRules);
     return await Question.create(questionData);
   }
 
@@ -113,6 +118,9 @@ class QuestionService {
     const question = await Question.findByPk(id);
     if (!question) return null;
 
+    await this.validateQuestionFormulas(questionData.topicId || question.topicId, question.id, questionData);
+    answerValidator.assertValidRules(questionData.validationRules);
+
     await question.update(questionData);
     return await this.getQuestionById(id);
   }
@@ -857,28 +865,86 @@ class QuestionService {
   static validateFormula(formula, availableQuestions) {
     if (!formula) return true;
 
-    // Basic formula validation
-    const formulaRegex = /^[\d+\-*/()\s]+$/;
-    const questionRefRegex = /Q(\d+)/g;
-
-    // Extract question references
-    let match;
-    const referencedQuestions = [];
-    while ((match = questionRefRegex.exec(formula)) !== null) {
-      referencedQuestions.push(parseInt(match[1]));
-    }
+    // Parse the formula (throws on syntax errors)
+    const assignments = formulaEngine.parse(formula);
 
     // Validate that referenced questions exist
     const availableIds = availableQuestions.map(q => q.id);
-    for (const refId of referencedQuestions) {
-      if (!availableIds.includes(refId)) {
-        throw new Error(`Formula references question ID ${refId} which does not exist or is not available`);
+    for (const assignment of assignments) {
+      const referencedQuestions = assignment.references.map(ref => ref.questionId);
+      if (assignment.target) {
+        referencedQuestions.push(assignment.target.questionId);
+      }
+
+      for (const refId of referencedQuestions) {
+        if (!availableIds.includes(refId)) {
+          throw new ValidationException(
+            `Formula references question ID ${refId} which does not exist or is not available`,
+            [],
+            'formula'
+          );
+        }
       }
     }
 
     return true;
   }
 
+  // Check that a question's formulas would not create a circular dependency within its topic
+  static async validateFormulaDependencies(topicId, questionId, { formula, defaultFormula } = {}) {
+    const [topic, questions, subTopics] = await Promise.all([
+      Topic.findByPk(topicId, { attributes: ['id', 'formType'] }),
+      Question.findAll({
+        where: { topicId, active: true },
+        attributes: ['id', 'formula', 'defaultFormula']
+      }),
+      SubTopic.findAll({
+        where: { topicId, active: true },
+        attributes: ['id']
+      })
+    ]);
+
+    // Unsaved questions take a placeholder id, nothing can reference them yet
+    const candidateId = questionId || 0;
+    const candidates = questions
+      .filter(q => q.id !== candidateId)
+      .map(q => ({ id: q.id, formula: q.formula, defaultFormula: q.defaultFormula }));
+
+    const current = questions.find(q => q.id === candidateId);
+    candidates.push({
+      id: candidateId,
+      formula: formula !== undefined ? formula : current?.formula,
+      defaultFormula: defaultFormula !== undefined ? defaultFormula : current?.defaultFormula
+    });
+
+    const assignments = formulaEngine.compileTopic(candidates, {
+      isGrid: ['ST/Q', 'Q/ST'].includes(topic?.formType),
+      subTopicIds: subTopics.map(st => st.id)
+    });
+
+    const cycle = formulaEngine.findCycle(assignments);
+    if (cycle) {
+      throw new ValidationException(`Circular formula dependency: ${cycle.join(' -> ')}`, [], 'formula');
+    }
+
+    return true;
+  }
+
+  // Validate formula and default formula of a question being created or updated
+  static async validateQuestionFormulas(topicId, questionId, { formula, defaultFormula }) {
+    if (!topicId || (!formula && !defaultFormula)) return true;
+
+    const availableQuestions = await this.getQuestionsForFormula(topicId);
+    if (questionId && !availableQuestions.some(q => q.id === questionId)) {
+      availableQuestions.push({ id: questionId });
+    }
+
+    this.validateFormula(formula, availableQuestions);
+    this.validateFormula(defaultFormula, availableQuestions);
+
+    return this.validateFormulaDependencies(topicId, questionId, { formula, defaultFormula });
+  }
+
   // Get questions by topic and subtopic for form generation
   static async getQuestionsForForm(topicId, subTopicId = null) {
     const whereClause = { 
@@ -0,0 +1,375 @@
+const { ReportJob, User, Role } = require('../models');
+const reportService = require('./reportService');
+const jurisdictionService = require('./jurisdictionService');
+const logger = require('../utils/logger');
+const {
+  ValidationException,
+  NotFoundException,
+  AuthorizationException,
+  ConflictException
+} = require('../exceptions');
+const { Op } = require('sequelize');
+const fs = require('fs').promises;
+const path = require('path');
+
+const REPORT_TYPES = ['SUMMARY', 'DETAILED', 'COMPARISON', 'TREND', 'PERFORMANCE', 'COMPLIANCE', 'PIVOT'];
+const JOB_TYPES = ['REPORT', 'EXPORT'];
+const FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED', 'EXPIRED'];
+
+const REPORT_JOB_PATH = process.env.REPORT_JOB_PATH || 'uploads/report-jobs';
+const REPORT_JOB_CONCURRENCY = parseInt(process.env.REPORT_JOB_CONCURRENCY) || 2;
+// Running jobs are touched this often; a RUNNING job missing four heartbeats
+// has no live process behind it and is requeued
+const REPORT_JOB_HEARTBEAT_SECONDS = parseInt(process.env.REPORT_JOB_HEARTBEAT_SECONDS) || 30;
+// Files of finished jobs are kept this long, and removed by an hourly sweep
+const REPORT_JOB_RETENTION_DAYS = parseInt(process.env.REPORT_JOB_RETENTION_DAYS) || 7;
+const ARTIFACT_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Background report generation. A job holds a report request (restricted to
+ * the submitter's jurisdiction at submission time) and produces either the
+ * JSON report (REPORT) or an XLSX / PDF / CSV export (EXPORT) on disk.
+ *
+ * Jobs are persisted in report_job and claimed with a conditional
+ * QUEUED -> RUNNING update, so a job runs once even with several servers;
+ * each process runs at most REPORT_JOB_CONCURRENCY jobs at a time and keeps
+ * the heartbeat of its jobs fresh, so jobs of a crashed process are requeued.
+ * Cancelling a running job cannot stop its query, but its result is
+ * discarded when it finishes.
+ */
+class ReportJobService {
+  constructor() {
+    // IDs of the jobs this process is running
+    this.running = new Set();
+  }
+
+  /**
+   * Queue a report or export
+   * @param {Object} data - { type, format, request }
+   * @param {Object} user - Authenticated user
+   * @returns {Object} Job
+   */
+  async submit(data, user) {
+    const type = String(data.type || 'EXPORT').toUpperCase();
+    if (!JOB_TYPES.includes(type)) {
+      throw new ValidationException(`Job type must be one of: ${JOB_TYPES.join(', ')}`, [], 'type');
+    }
+
+    const request = data.request;
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      throw new ValidationException('Request must be a report request object', [], 'request');
+    }
+    if (!REPORT_TYPES.includes(request.reportType)) {
+      throw new ValidationException(`Report type must be one of: ${REPORT_TYPES.join(', ')}`, [], 'request.reportType');
+    }
+
+    const format = type === 'EXPORT' ? reportService.normalizeExportFormat(data.format) : 'JSON';
+    // Fail on bad period filters or units outside the jurisdiction now, not in the worker
+    const restricted = await jurisdictionService.restrictReportRequest(request, user);
+    await reportService.resolvePeriodRange(restricted);
+
+    const job = await ReportJob.create({
+      userId: user.id,
+      type,
+      format,
+      reportType: restricted.reportType,
+      request: restricted,
+      status: 'QUEUED'
+    });
+
+    logger.info(`Report job ${job.id} (${type} ${format}) queued by user ${user.id}`);
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Jobs of the user, newest first
+   * @param {Object} filters - { status, page, size }
+   */
+  async list(filters, user) {
+    const page = parseInt(filters.page) || 0;
+    const size = Math.min(parseInt(filters.size) || 20, 100);
+    const where = { userId: user.id };
+    if (filters.status) where.status = String(filters.status).toUpperCase();
+
+    const { count, rows } = await ReportJob.findAndCountAll({
+      where,
+      attributes: { exclude: ['request', 'filePath'] },
+      order: [['created_date', 'DESC']],
+      limit: size,
+      offset: page * size
+    });
+
+    return {
+      jobs: rows,
+      pagination: {
+        currentPage: page,
+        pageSize: size,
+        totalElements: count,
+        totalPages: Math.ceil(count / size)
+      }
+    };
+  }
+
+  /**
+   * Get a job of the user
+   * @throws {NotFoundException|AuthorizationException}
+   */
+  async get(id, user) {
+    const job = await ReportJob.findByPk(id, { attributes: { exclude: ['filePath'] } });
+    if (!job) throw new NotFoundException('Report job', id);
+    if (job.userId !== user.id) {
+      throw new AuthorizationException('You can only access your own report jobs');
+    }
+    return job;
+  }
+
+  /**
+   * Cancel a queued or running job
+   */
+  async cancel(id, user) {
+    const job = await this.get(id, user);
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw new ConflictException(`Report job ${id} has already finished (${job.status})`, 'status', job.status);
+    }
+
+    const [updated] = await ReportJob.update(
+      { status: 'CANCELLED', completedAt: new Date() },
+      { where: { id, status: { [Op.in]: ['QUEUED', 'RUNNING'] } } }
+    );
+    if (!updated) {
+      throw new ConflictException(`Report job ${id} has already finished`, 'status');
+    }
+
+    logger.info(`Report job ${id} cancelled by user ${user.id}`);
+    return this.get(id, user);
+  }
+
+  /**
+   * Resolve the artifact of a completed job for download
+   * @returns {Object} { filePath, fileName, format }
+   */
+  async getArtifact(id, user) {
+    await this.get(id, user);
+    const job = await ReportJob.findByPk(id);
+    if (job.status !== 'COMPLETED' || !job.filePath) {
+      throw new ConflictException(`Report job ${id} has no file to download (${job.status})`, 'status', job.status);
+    }
+
+    try {
+      await fs.access(job.filePath);
+    } catch (error) {
+      throw new NotFoundException('Report job file', id);
+    }
+
+    return { filePath: path.resolve(job.filePath), fileName: job.fileName, format: job.format };
+  }
+
+  /**
+   * Start queued jobs up to the concurrency limit. Calls made while a drain
+   * is in progress make it look for jobs once more instead of running in
+   * parallel, which could overshoot the limit.
+   */
+  async drain() {
+    if (this.draining) {
+      this.drainAgain = true;
+      return;
+    }
+
+    this.draining = true;
+    try {
+      do {
+        this.drainAgain = false;
+        while (this.running.size < REPORT_JOB_CONCURRENCY) {
+          const next = await ReportJob.findOne({
+            where: {
+              status: 'QUEUED',
+              ...(this.running.size ? { id: { [Op.notIn]: [...this.running] } } : {})
+            },
+            order: [['created_date', 'ASC'], ['id', 'ASC']]
+          });
+          if (!next) break;
+
+          // Another process may have claimed it first
+          const [claimed] = await ReportJob.update(
+            { status: 'RUNNING', startedAt: new Date(), heartbeatAt: new Date(), progress: 5 },
+            { where: { id: next.id, status: 'QUEUED' } }
+          );
+          if (!claimed) continue;
+
+          this.running.add(next.id);
+          this.execute(next.id)
+            .catch(error => logger.error(`Report job ${next.id} could not be finished: ${error.message}`))
+            .finally(() => {
+              this.running.delete(next.id);
+              this.drain();
+            });
+        }
+      } while (this.drainAgain);
+    } catch (error) {
+      logger.error(`Report job queue could not be drained: ${error.message}`);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Run a claimed job
+   */
+  async execute(id) {
+    let artifactPath = null;
+
+    try {
+      const job = await ReportJob.findByPk(id);
+      const user = await User.findByPk(job.userId, { include: [{ model: Role, as: 'role' }] });
+      if (!user || user.active === false) {
+        throw new Error(`User ${job.userId} is not an active user`);
+      }
+
+      const setProgress = async (progress) => {
+        await ReportJob.update({ progress }, { where: { id, status: 'RUNNING' } });
+      };
+      await setProgress(10);
+
+      let buffer;
+      let reportId;
+      let extension;
+      if (job.type === 'EXPORT') {
+        const rendered = await reportService.renderReport(job.request, job.format, user, { onProgress: setProgress });
+        ({ buffer, reportId, extension } = rendered);
+      } else {
+        const report = await reportService.generateReport(job.request, user, { cache: false });
+        buffer = Buffer.from(JSON.stringify(report));
+        reportId = report.metadata.reportId;
+        extension = 'json';
+      }
+      await setProgress(90);
+
+      const directory = path.join(REPORT_JOB_PATH, String(id));
+      const fileName = `${reportId}.${extension}`;
+      artifactPath = path.join(directory, fileName);
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(artifactPath, buffer);
+
+      // Only a job that is still running completes; a cancelled one drops its file
+      const [completed] = await ReportJob.update({
+        status: 'COMPLETED',
+        progress: 100,
+        reportId,
+        fileName,
+        filePath: artifactPath,
+        fileSize: buffer.length,
+        completedAt: new Date()
+      }, { where: { id, status: 'RUNNING' } });
+
+      if (!completed) {
+        await this.removeArtifact(artifactPath);
+        logger.info(`Report job ${id} finished after being cancelled; result discarded`);
+        return;
+      }
+
+      logger.info(`Report job ${id} completed (${buffer.length} bytes)`);
+    } catch (error) {
+      logger.error(`Report job ${id} failed: ${error.message}`);
+      if (artifactPath) await this.removeArtifact(artifactPath);
+      await ReportJob.update(
+        { status: 'FAILED', error: String(error.message).substring(0, 500), completedAt: new Date() },
+        { where: { id, status: 'RUNNING' } }
+      );
+    }
+  }
+
+  async removeArtifact(filePath) {
+    try {
+      await fs.unlink(filePath);
+      await fs.rmdir(path.dirname(filePath));
+    } catch (error) {
+      logger.warn(`Could not remove report job file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete the files of jobs finished before the cutoff; the jobs remain
+   * as EXPIRED. Run hourly by tick() and by POST /api/files/cleanup.
+   * @param {Date} cutoffDate - Jobs completed before this date are cleaned up
+   * @returns {Object} { deletedFiles, freedSpace }
+   */
+  async cleanupArtifacts(cutoffDate) {
+    const jobs = await ReportJob.findAll({
+      where: { status: 'COMPLETED', completedAt: { [Op.lt]: cutoffDate } }
+    });
+
+    let deletedFiles = 0;
+    let freedSpace = 0;
+    for (const job of jobs) {
+      if (job.filePath) {
+        await this.removeArtifact(job.filePath);
+        deletedFiles++;
+        freedSpace += job.fileSize || 0;
+      }
+      await job.update({ status: 'EXPIRED', filePath: null });
+    }
+
+    return { deletedFiles, freedSpace };
+  }
+
+  /**
+   * Refresh the heartbeat of the jobs this process runs, requeue RUNNING
+   * jobs whose heartbeat has stopped, remove expired files once an hour and
+   * pick up queued work
+   */
+  async tick() {
+    const now = new Date();
+    if (this.running.size) {
+      await ReportJob.update(
+        { heartbeatAt: now },
+        { where: { id: { [Op.in]: [...this.running] }, status: 'RUNNING' } }
+      );
+    }
+
+    const staleBefore = new Date(now.getTime() - REPORT_JOB_HEARTBEAT_SECONDS * 4 * 1000);
+    const [requeued] = await ReportJob.update(
+      { status: 'QUEUED', progress: 0, startedAt: null, heartbeatAt: null },
+      {
+        where: {
+          status: 'RUNNING',
+          ...(this.running.size ? { id: { [Op.notIn]: [...this.running] } } : {}),
+          [Op.or]: [
+            { heartbeatAt: { [Op.lt]: staleBefore } },
+            { heartbeatAt: null, startedAt: { [Op.lt]: staleBefore } }
+          ]
+        }
+      }
+    );
+    if (requeued) logger.info(`Requeued ${requeued} orphaned report job(s)`);
+
+    if (!this.lastCleanupAt || now - this.lastCleanupAt >= ARTIFACT_CLEANUP_INTERVAL_MS) {
+      this.lastCleanupAt = now;
+      try {
+        const cutoffDate = new Date(now.getTime() - REPORT_JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const { deletedFiles } = await this.cleanupArtifacts(cutoffDate);
+        if (deletedFiles) logger.info(`Removed the files of ${deletedFiles} expired report job(s)`);
+      } catch (error) {
+        logger.warn(`Report job files could not be cleaned up: ${error.message}`);
+      }
+    }
+
+    await this.drain();
+  }
+
+  /**
+   * Requeue orphaned jobs, start the queue and keep checking every
+   * REPORT_JOB_HEARTBEAT_SECONDS. Called once the server is up.
+   */
+  async start() {
+    await this.tick();
+
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.tick().catch(error => logger.error(`Report job heartbeat failed: ${error.message}`));
+    }, REPORT_JOB_HEARTBEAT_SECONDS * 1000);
+    this.timer.unref();
+  }
+}
+
+module.exports = new ReportJobService();
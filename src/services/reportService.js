@@ -1,11 +1,54 @@
-const { PerformanceStatistic, Battalion, Range, Module, Topic, SubTopic, Question, User } = require('../models');
+const { PerformanceStatistic, Battalion, Range, Module, Topic, SubTopic, Question, User, ReportRun, SavedReport } = require('../models');
 const { Op, Sequelize } = require('sequelize');
 const logger = require('../utils/logger');
+const excelGenerator = require('../utils/excelGenerator');
+const monthYearUtil = require('../utils/monthYearUtil');
+const pivotEngine = require('../utils/pivotEngine');
+const periodComparison = require('../utils/periodComparison');
+const reportCache = require('../utils/reportCache');
+const jurisdictionService = require('./jurisdictionService');
+const { ValidationException, NotFoundException, AuthorizationException } = require('../exceptions');
 const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
 const fs = require('fs').promises;
 const path = require('path');
 
+// Upper bound of rows of a file exported while the user waits; larger
+// exports go through the report job queue
+const REPORT_EXPORT_MAX_ROWS = parseInt(process.env.REPORT_EXPORT_MAX_ROWS) || 10000;
+
+// Upper bound of rows of a file exported by a report job or saved report
+const REPORT_JOB_EXPORT_MAX_ROWS = parseInt(process.env.REPORT_JOB_EXPORT_MAX_ROWS) || 100000;
+
+// Upper bound of answers aggregated into one pivot or period comparison report
+const REPORT_PIVOT_MAX_ROWS = parseInt(process.env.REPORT_PIVOT_MAX_ROWS) || 100000;
+
+// Request fields that select the reporting period (see resolvePeriodRange)
+const PERIOD_FIELDS = ['monthYear', 'fromMonthYear', 'toMonthYear', 'financialYear', 'quarter', 'calendarYear', 'topicWindowYear'];
+
+const EXPORT_FORMATS = {
+  XLSX: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  PDF: { extension: 'pdf', contentType: 'application/pdf' },
+  CSV: { extension: 'csv', contentType: 'text/csv; charset=utf-8' }
+};
+
+// Columns of the data sheet of an export: [field of the processed row, header]
+const EXPORT_DATA_COLUMNS = [
+  ['rowNumber', '#'],
+  ['rangeName', 'Range'],
+  ['battalionName', 'Battalion'],
+  ['moduleName', 'Module'],
+  ['topicName', 'Topic'],
+  ['subTopicName', 'Sub-Topic'],
+  ['questionText', 'Question'],
+  ['questionType', 'Type'],
+  ['value', 'Value'],
+  ['monthYear', 'Month'],
+  ['status', 'Status'],
+  ['completionStatus', 'Completion'],
+  ['performanceGrade', 'Grade']
+];
+
 /**
  * Main report generation service
  */
@@ -13,48 +56,43 @@ class ReportService {
   
   /**
    * Generate comprehensive report based on request parameters
+   * @param {Object} request - Report request
+   * @param {Object} user - Requesting user
+   * @param {Object} options - { reportId, persist, cache } - re-runs keep their report ID and are not
+   *   recorded again; cache: false skips the report cache (exports and jobs read every row once)
    */
-  async generateReport(request, user) {
+  async generateReport(request, user, options = {}) {
     const startTime = Date.now();
     
     try {
       // Generate unique report ID
-      const reportId = this.generateReportId();
-      
-      // Build query based on request parameters
-      const queryOptions = await this.buildQueryOptions(request, user);
-      
-      // Execute main data query
-      const { data, totalCount } = await this.executeDataQuery(queryOptions, request);
+      const reportId = options.reportId || this.generateReportId();
       
-      // Generate summary statistics if needed
-      const summary = await this.generateSummary(data, queryOptions, request);
-      
-      // Generate chart data if requested
-      let chartData = null;
-      if (request.viewType === 'CHART' || request.viewType === 'BOTH') {
-        chartData = await this.generateChartData(data, request.chartConfig, request.reportType);
+      let report;
+      let cacheMetrics;
+      if (options.cache === false) {
+        report = await this.buildReport(reportId, request, user, startTime);
+        cacheMetrics = { cacheChecked: false, cacheHit: false, cacheStored: false };
+      } else {
+        // Identical requests within the same jurisdiction share a cache entry
+        const cacheKey = reportCache.buildKey('report', { request, scope: jurisdictionService.getScope(user) });
+        ({ value: report, cacheMetrics } = await reportCache.wrap(
+          cacheKey,
+          () => this.buildReport(reportId, request, user, startTime),
+          await this.resolveCachePeriod(request)
+        ));
       }
       
-      // Process data for response
-      const processedData = await this.processDataForResponse(data, request);
-      
-      // Build pagination info
-      const pagination = this.buildPaginationInfo(request, totalCount);
-      
-      // Build metadata
-      const metadata = this.buildMetadata(reportId, request, user, startTime);
-      
-      // Build performance metrics
-      const performance = this.buildPerformanceMetrics(startTime, data.length, totalCount);
+      if (options.persist !== false) {
+        await this.recordReportRun(reportId, request, user);
+      }
       
+      // A cached report keeps its figures but gets this run's identity and timings
+      const { recordsReturned, recordsScanned } = report.performance.queryMetrics;
       return {
-        metadata,
-        data: processedData,
-        summary,
-        chartData,
-        pagination,
-        performance
+        ...report,
+        metadata: { ...report.metadata, ...this.buildMetadata(reportId, request, user, startTime) },
+        performance: this.buildPerformanceMetrics(startTime, recordsReturned, recordsScanned, cacheMetrics)
       };
       
     } catch (error) {
@@ -68,6 +106,324 @@ class ReportService {
     }
   }
 
+  /**
+   * Run the queries of a report
+   * @param {string} reportId - Report ID
+   * @param {Object} request - Report request
+   * @param {Object} user - Requesting user
+   * @param {number} startTime - Start of the generation (ms)
+   */
+  async buildReport(reportId, request, user, startTime) {
+    // Cross-tabs aggregate every matching answer instead of paging rows
+    if (request.reportType === 'PIVOT') {
+      return this.generatePivotReport(reportId, request, user, startTime);
+    }
+    
+    // Period-over-period comparison instead of battalions side by side
+    if (request.reportType === 'COMPARISON' && request.comparison) {
+      return this.generatePeriodComparisonReport(reportId, request, user, startTime);
+    }
+    
+    // Build query based on request parameters
+    const queryOptions = await this.buildQueryOptions(request, user);
+    
+    // Execute main data query
+    const { data, totalCount } = await this.executeDataQuery(queryOptions, request);
+    
+    // Generate summary statistics if needed
+    const summary = await this.generateSummary(data, queryOptions, request);
+    
+    // Generate chart data if requested
+    let chartData = null;
+    if (request.viewType === 'CHART' || request.viewType === 'BOTH') {
+      chartData = await this.generateChartData(data, request.chartConfig, request.reportType);
+    }
+    
+    // Process data for response
+    const processedData = await this.processDataForResponse(data, request);
+    
+    // Build pagination info
+    const pagination = this.buildPaginationInfo(request, totalCount);
+    
+    // Build metadata
+    const metadata = this.buildMetadata(reportId, request, user, startTime);
+    
+    // Build performance metrics
+    const performance = this.buildPerformanceMetrics(startTime, data.length, totalCount);
+    
+    return {
+      metadata,
+      data: processedData,
+      summary,
+      chartData,
+      pagination,
+      performance
+    };
+  }
+
+  /**
+   * Reporting months a report is computed from, tagging its cache entry so
+   * saving statistics of those months invalidates it
+   * @param {Object} request - Report request
+   * @returns {Object|null} { from, to } period keys, null when open-ended
+   */
+  async resolveCachePeriod(request) {
+    if (request.reportType === 'COMPARISON' && request.comparison) {
+      const { windows } = this.resolveComparisonWindows(request);
+      return { from: windows.previous.from, to: windows.current.to };
+    }
+
+    const period = await this.resolvePeriodRange(request);
+    if (period && request.reportType === 'PIVOT' && pivotEngine.normalizeConfig(request.pivot).measure === 'CUMULATIVE_FY') {
+      return { from: pivotEngine.financialYearStart(period.from), to: period.to };
+    }
+    return period;
+  }
+
+  /**
+   * Generate a pivot (cross-tab) report: request.pivot picks the row and
+   * column dimensions and the measure, see utils/pivotEngine
+   * @param {string} reportId - Report ID
+   * @param {Object} request - Report request
+   * @param {Object} user - Requesting user
+   * @param {number} startTime - Start of the generation (ms)
+   */
+  async generatePivotReport(reportId, request, user, startTime) {
+    const config = pivotEngine.normalizeConfig(request.pivot);
+    const period = await this.resolvePeriodRange(request);
+
+    // Year-to-date cells also need the months of the financial year before the period
+    let queryRequest = request;
+    if (config.measure === 'CUMULATIVE_FY' && period) {
+      queryRequest = Object.fromEntries(Object.entries(request).filter(([field]) => !PERIOD_FIELDS.includes(field)));
+      queryRequest.fromMonthYear = monthYearUtil.fromPeriodKey(pivotEngine.financialYearStart(period.from));
+      queryRequest.toMonthYear = monthYearUtil.fromPeriodKey(period.to);
+    }
+
+    const queryOptions = await this.buildQueryOptions(queryRequest, user);
+    // Audit users are not needed to aggregate
+    const include = queryOptions.include.filter(inc => inc.model !== User);
+
+    const totalCount = await PerformanceStatistic.count({ where: queryOptions.where, include, distinct: true });
+    if (totalCount === 0) {
+      throw new Error('No data found for the specified criteria');
+    }
+    if (totalCount > REPORT_PIVOT_MAX_ROWS) {
+      throw new ValidationException(
+        `The pivot covers ${totalCount} answers, more than the limit of ${REPORT_PIVOT_MAX_ROWS}. Narrow the filters or the period.`,
+        [{ field: 'pivot', message: 'Too many answers to aggregate' }],
+        'pivot'
+      );
+    }
+
+    const data = await PerformanceStatistic.findAll({
+      where: queryOptions.where,
+      include,
+      attributes: ['id', 'battalionId', 'questionId', 'monthYear', 'periodKey', 'value']
+    });
+
+    const pivot = pivotEngine.build(data, config, period);
+
+    let chartData = null;
+    if (request.viewType === 'CHART' || request.viewType === 'BOTH') {
+      chartData = this.generatePivotChartData(pivot, { ...request.chartConfig });
+    }
+
+    const metadata = {
+      ...this.buildMetadata(reportId, request, user, startTime),
+      pivot: config
+    };
+
+    return {
+      metadata,
+      data: [],
+      pivot,
+      summary: {
+        overview: {
+          totalAnswers: data.length,
+          rows: pivot.rows.length,
+          columns: pivot.columns.length
+        }
+      },
+      chartData,
+      pagination: null,
+      performance: this.buildPerformanceMetrics(startTime, pivot.rows.length, totalCount)
+    };
+  }
+
+  /**
+   * Generate a period-over-period comparison: request.comparison picks the
+   * mode, the group (battalion or range) and the swing threshold, and
+   * monthYear the reference month (default: the current reporting month).
+   * See utils/periodComparison.
+   * @param {string} reportId - Report ID
+   * @param {Object} request - Report request
+   * @param {Object} user - Requesting user
+   * @param {number} startTime - Start of the generation (ms)
+   */
+  async generatePeriodComparisonReport(reportId, request, user, startTime) {
+    const { config, windows } = this.resolveComparisonWindows(request);
+    const { monthYear, ...queryRequest } = request;
+    const queryOptions = await this.buildQueryOptions(queryRequest, user);
+    const include = queryOptions.include.filter(inc => inc.model !== User);
+    const where = {
+      [Op.and]: [
+        queryOptions.where,
+        {
+          [Op.or]: [windows.current, windows.previous].map(window => ({
+            periodKey: { [Op.between]: [window.from, window.to] }
+          }))
+        }
+      ]
+    };
+
+    const totalCount = await PerformanceStatistic.count({ where, include, distinct: true });
+    if (totalCount === 0) {
+      throw new Error('No data found for the specified criteria');
+    }
+    if (totalCount > REPORT_PIVOT_MAX_ROWS) {
+      throw new ValidationException(
+        `The comparison covers ${totalCount} answers, more than the limit of ${REPORT_PIVOT_MAX_ROWS}. Narrow the filters.`,
+        [{ field: 'comparison', message: 'Too many answers to aggregate' }],
+        'comparison'
+      );
+    }
+
+    const data = await PerformanceStatistic.findAll({
+      where,
+      include,
+      attributes: ['id', 'battalionId', 'questionId', 'monthYear', 'periodKey', 'value']
+    });
+
+    const comparison = periodComparison.build(data, config, windows);
+
+    let chartData = null;
+    if (request.viewType === 'CHART' || request.viewType === 'BOTH') {
+      chartData = this.generatePeriodComparisonChartData(comparison, { ...request.chartConfig });
+    }
+
+    const metadata = {
+      ...this.buildMetadata(reportId, request, user, startTime),
+      comparison: { ...config, current: comparison.current, previous: comparison.previous }
+    };
+
+    return {
+      metadata,
+      data: [],
+      comparison,
+      summary: {
+        overview: {
+          totalAnswers: data.length,
+          rows: comparison.rows.length,
+          increases: comparison.rows.filter(row => row.direction === 'INCREASE').length,
+          decreases: comparison.rows.filter(row => row.direction === 'DECREASE').length,
+          noData: comparison.rows.filter(row => row.direction === 'NO_DATA').length,
+          swings: comparison.swings
+        },
+        alerts: comparison.swings > 0 ? [{
+          type: 'WARNING',
+          message: `${comparison.swings} value(s) changed by ${config.swingThreshold}% or more`,
+          severity: 'MEDIUM'
+        }] : []
+      },
+      chartData,
+      pagination: null,
+      performance: this.buildPerformanceMetrics(startTime, comparison.rows.length, totalCount)
+    };
+  }
+
+  /**
+   * Validate the comparison part of a request and resolve its windows
+   * @param {Object} request - Report request with comparison and optional monthYear
+   * @returns {Object} { config, windows }
+   */
+  resolveComparisonWindows(request) {
+    const config = periodComparison.normalizeConfig(request.comparison);
+
+    const conflicting = PERIOD_FIELDS.find(field => field !== 'monthYear' && request[field]);
+    if (conflicting) {
+      const message = 'Period comparisons take their reference month from monthYear only';
+      throw new ValidationException(message, [{ field: conflicting, message }], conflicting);
+    }
+
+    const referenceKey = request.monthYear
+      ? this.toReportPeriodKey(request.monthYear)
+      : monthYearUtil.toPeriodKey(monthYearUtil.getReportingMonthYear());
+    if (!referenceKey) {
+      const message = `Invalid month '${request.monthYear}'`;
+      throw new ValidationException(message, [{ field: 'monthYear', message }], 'monthYear');
+    }
+
+    return { config, windows: periodComparison.getWindows(config.mode, referenceKey) };
+  }
+
+  /**
+   * Chart of a period comparison: one bar pair (current / previous) per row
+   */
+  generatePeriodComparisonChartData(comparison, config) {
+    const questionIds = new Set(comparison.rows.map(row => row.questionId));
+    const label = row => (questionIds.size > 1 ? `${row.groupName} - ${row.question}` : row.groupName);
+    const windowLabel = window => (window.from === window.to ? window.from : `${window.from} - ${window.to}`);
+
+    return {
+      chartType: config.chartType || 'BAR',
+      title: config.title || comparison.modeLabel,
+      subtitle: config.subtitle || `${windowLabel(comparison.current)} vs ${windowLabel(comparison.previous)}`,
+      dataset: {
+        labels: comparison.rows.map(label),
+        series: [
+          { name: `Current (${windowLabel(comparison.current)})`, data: comparison.rows.map(row => row.current), color: this.getChartColor(0) },
+          { name: `Previous (${windowLabel(comparison.previous)})`, data: comparison.rows.map(row => row.previous), color: this.getChartColor(1) }
+        ]
+      },
+      options: {
+        responsive: true,
+        scales: {
+          x: {
+            title: {
+              display: true,
+              text: comparison.groupLabel
+            }
+          }
+        }
+      },
+      config,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Chart of a pivot: column headers as labels, one series per row
+   */
+  generatePivotChartData(pivot, config) {
+    return {
+      chartType: config.chartType || 'BAR',
+      title: config.title || `${pivot.rowDimensionLabel} by ${pivot.columnDimensionLabel}`,
+      subtitle: config.subtitle || `Measure: ${pivot.measure}`,
+      dataset: {
+        labels: pivot.columns.map(column => column.label),
+        series: pivot.rows.map((row, index) => ({
+          name: row.label,
+          data: row.cells,
+          color: this.getChartColor(index)
+        }))
+      },
+      options: {
+        responsive: true,
+        scales: {
+          x: {
+            title: {
+              display: true,
+              text: pivot.columnDimensionLabel
+            }
+          }
+        }
+      },
+      config,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
   /**
    * Build Sequelize query options based on request parameters
    */
@@ -90,7 +446,7 @@ class ReportService {
       {
         model: Question,
         as: 'question',
-        attributes: ['id', 'question', 'type', 'priority'],
+        attributes: ['id', 'question', 'type', 'priority', 'isCumulative'],
         include: [
           {
             model: Topic,
@@ -206,29 +562,13 @@ class ReportService {
       whereConditions.created_date = dateCondition;
     }
     
-    // Month-year filtering
-    if (request.monthYear) {
-      whereConditions.monthYear = request.monthYear;
-    }
-    
-    // Financial year filtering
-    if (request.financialYear) {
-      // Convert financial year to date range
-      const [startYear, endYear] = request.financialYear.split('-');
-      const financialStartDate = new Date(`${startYear}-04-01`);
-      const financialEndDate = new Date(`20${endYear}-03-31`);
-      
-      whereConditions.created_date = {
-        [Op.between]: [financialStartDate, financialEndDate]
-      };
-    }
-    
-    // Quarter filtering (requires financial year)
-    if (request.quarter && request.financialYear) {
-      const quarterDates = this.getQuarterDates(request.quarter, request.financialYear);
-      whereConditions.created_date = {
-        [Op.between]: [quarterDates.start, quarterDates.end]
-      };
+    // Reporting period filtering (month, month range, quarter, financial /
+    // calendar year, topic window) on the month the data is for
+    const period = await this.resolvePeriodRange(request);
+    if (period) {
+      whereConditions.periodKey = period.from === period.to
+        ? period.from
+        : { [Op.between]: [period.from, period.to] };
     }
     
     // Status filtering
@@ -279,7 +619,8 @@ class ReportService {
     }
     
     return {
-      where: whereConditions,
+      // Never return rows outside the user's jurisdiction, whatever the filters say
+      where: jurisdictionService.applyScope(whereConditions, user),
       include,
       order,
       distinct: true
@@ -729,8 +1070,12 @@ class ReportService {
         fromDate: request.fromDate,
         toDate: request.toDate,
         monthYear: request.monthYear,
+        fromMonthYear: request.fromMonthYear,
+        toMonthYear: request.toMonthYear,
         financialYear: request.financialYear,
         quarter: request.quarter,
+        calendarYear: request.calendarYear,
+        topicWindowYear: request.topicWindowYear,
         status: request.status,
         reportType: request.reportType,
         viewType: request.viewType,
@@ -744,7 +1089,7 @@ class ReportService {
   /**
    * Build performance metrics
    */
-  buildPerformanceMetrics(startTime, recordsReturned, totalRecords) {
+  buildPerformanceMetrics(startTime, recordsReturned, totalRecords, cacheMetrics = null) {
     const totalTime = Date.now() - startTime;
     
     return {
@@ -756,8 +1101,8 @@ class ReportService {
       processingMetrics: {
         totalProcessingTime: `${totalTime}ms`
       },
-      cacheMetrics: {
-        cacheChecked: false, // Implement caching later
+      cacheMetrics: cacheMetrics || {
+        cacheChecked: false,
         cacheHit: false,
         cacheStored: false
       },
@@ -766,19 +1111,241 @@ class ReportService {
   }
 
   /**
-   * Export report in specified format
+   * Keep the request of a generated report so it can be exported later.
+   * A failure here must not fail the report itself.
+   */
+  async recordReportRun(reportId, request, user) {
+    try {
+      await ReportRun.create({
+        reportId,
+        userId: user.id,
+        reportType: request.reportType,
+        request
+      });
+    } catch (error) {
+      logger.warn(`Could not record report run ${reportId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Export report in specified format. The report is re-run from its stored
+   * request without pagination, so the file holds every row plus the summary
+   * and chart tables. Reports with more than REPORT_EXPORT_MAX_ROWS rows are
+   * refused; they can be exported through the report job queue.
+   * @param {string} reportId - Report ID from a previous generation
+   * @param {string} format - XLSX (or EXCEL), PDF or CSV
+   * @param {Object} user - Requesting user
+   * @returns {Object} { buffer, contentType, filename }
    */
   async exportReport(reportId, format, user) {
-    // Implementation for exporting reports
-    // This would typically retrieve cached report data and convert to requested format
-    throw new Error('Export functionality not yet implemented');
+    const normalizedFormat = this.normalizeExportFormat(format);
+
+    const run = await ReportRun.findOne({ where: { reportId } });
+    if (!run) {
+      throw new NotFoundException('Report', reportId);
+    }
+    if (run.userId !== user.id) {
+      throw new AuthorizationException('You can only export reports you generated');
+    }
+
+    const rendered = await this.renderReport(run.request, normalizedFormat, user, {
+      reportId,
+      title: `${run.reportType} Report`,
+      maxRows: REPORT_EXPORT_MAX_ROWS,
+      overLimitHint: 'Submit it to the report job queue (POST /api/reports/jobs) to export every row.'
+    });
+
+    logger.info(`Report ${reportId} exported as ${normalizedFormat} by user ${user.id}`);
+
+    return {
+      buffer: rendered.buffer,
+      contentType: rendered.contentType,
+      filename: `${reportId}.${rendered.extension}`
+    };
+  }
+
+  /**
+   * Normalize and validate an export format
+   * @param {string} format - XLSX (or EXCEL), PDF or CSV, any case
+   * @returns {string} Key of EXPORT_FORMATS
+   */
+  normalizeExportFormat(format) {
+    const normalizedFormat = String(format || '').toUpperCase() === 'EXCEL' ? 'XLSX' : String(format || '').toUpperCase();
+    if (!EXPORT_FORMATS[normalizedFormat]) {
+      throw new ValidationException(`Invalid format. Must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, [], 'format');
+    }
+    return normalizedFormat;
+  }
+
+  /**
+   * Generate a report without pagination and render it as a file
+   * @param {Object} request - Report request
+   * @param {string} format - Normalized export format
+   * @param {Object} user - User the report is generated for
+   * @param {Object} options - { reportId, title, onProgress, maxRows, overLimitHint } - without
+   *   reportId the run is recorded as a new report; onProgress(percent) is awaited once the data
+   *   is generated; maxRows defaults to REPORT_JOB_EXPORT_MAX_ROWS and overLimitHint is appended
+   *   to the error raised when the report has more rows
+   * @returns {Object} { buffer, contentType, extension, reportId }
+   * @throws {ValidationException} When the report has more than maxRows rows
+   */
+  async renderReport(request, format, user, options = {}) {
+    const exportFormat = EXPORT_FORMATS[format];
+    const maxRows = options.maxRows || REPORT_JOB_EXPORT_MAX_ROWS;
+
+    const report = await this.generateReport(
+      { ...request, page: 0, size: maxRows, viewType: 'BOTH' },
+      user,
+      { cache: false, ...(options.reportId && { reportId: options.reportId, persist: false }) }
+    );
+
+    // A file missing rows would pass for the complete report
+    const totalRows = report.pagination?.totalElements || 0;
+    if (totalRows > maxRows) {
+      throw new ValidationException(
+        `The report has ${totalRows} rows, more than the export limit of ${maxRows}. ` +
+        (options.overLimitHint || 'Narrow the filters or the period.'),
+        [],
+        'size'
+      );
+    }
+    if (options.onProgress) await options.onProgress(60);
+
+    const title = options.title || `${request.reportType} Report`;
+    const sections = this.buildExportSections(report);
+
+    let buffer;
+    if (format === 'XLSX') {
+      buffer = Buffer.from(await excelGenerator.generateStatisticsReport(sections, null, null, title));
+    } else if (format === 'PDF') {
+      buffer = await excelGenerator.generatePDFReport(sections, title);
+    } else {
+      // BOM so Excel opens the UTF-8 CSV correctly
+      buffer = Buffer.from('\uFEFF' + excelGenerator.generateCSV(sections), 'utf8');
+    }
+
+    return {
+      buffer,
+      contentType: exportFormat.contentType,
+      extension: exportFormat.extension,
+      reportId: report.metadata?.reportId || options.reportId
+    };
+  }
+
+  /**
+   * Tables of an export: data rows, summary, status distribution, battalion
+   * performance, top performers and the chart dataset, as in the JSON report
+   * @param {Object} report - Output of generateReport
+   * @returns {Array} Sections ({ title, headers, rows })
+   */
+  buildExportSections(report) {
+    const sections = [];
+    const { data = [], summary = {}, chartData, pagination, metadata } = report;
+
+    if (report.pivot) {
+      sections.push(pivotEngine.toSection(report.pivot, `Pivot (${report.pivot.measure})`));
+    } else if (report.comparison) {
+      sections.push(periodComparison.toSection(report.comparison));
+    } else {
+      const columns = EXPORT_DATA_COLUMNS.filter(([field]) => data.length === 0 || field in data[0]);
+      sections.push({
+        title: 'Data',
+        headers: columns.map(([, header]) => header),
+        rows: data.map(row => columns.map(([field]) => row[field]))
+      });
+    }
+
+    const overview = summary.overview || {};
+    const completion = summary.completionStatistics || {};
+    const summaryRows = [
+      ['Report ID', metadata?.reportId],
+      ['Report Type', metadata?.reportType],
+      ['Generated At', metadata?.generatedAt],
+      ['Rows Exported', report.pivot || report.comparison ? undefined : data.length],
+      ['Pivot', report.pivot ? `${report.pivot.rowDimensionLabel} x ${report.pivot.columnDimensionLabel}` : undefined],
+      ['Comparison', report.comparison ? `${report.comparison.modeLabel} by ${report.comparison.groupLabel.toLowerCase()}` : undefined],
+      ['Large Swings', overview.swings],
+      ['Answers Aggregated', overview.totalAnswers],
+      ['Rows Matching', pagination?.totalElements],
+      ['Battalions', overview.totalBattalions],
+      ['Modules', overview.totalModules],
+      ['Topics', overview.totalTopics],
+      ['Questions', overview.totalQuestions],
+      ['Submitted', completion.totalSubmitted],
+      ['Approved', completion.totalApproved],
+      ['Submission Rate (%)', completion.submissionRate],
+      ['Approval Rate (%)', completion.approvalRate]
+    ];
+    Object.entries(metadata?.filtersApplied || {})
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .forEach(([key, value]) => summaryRows.push([`Filter: ${key}`, Array.isArray(value) ? value.join(', ') : value]));
+    (summary.insights || []).forEach(insight => summaryRows.push(['Insight', insight]));
+    (summary.alerts || []).forEach(alert => summaryRows.push([`Alert (${alert.severity})`, alert.message]));
+    (summary.recommendations || []).forEach(recommendation => summaryRows.push(['Recommendation', recommendation]));
+    sections.push({
+      title: 'Summary',
+      headers: ['Metric', 'Value'],
+      rows: summaryRows.filter(([, value]) => value !== undefined && value !== null)
+    });
+
+    if (summary.statusDistribution) {
+      sections.push({
+        title: 'Status Distribution',
+        headers: ['Status', 'Count'],
+        rows: Object.entries(summary.statusDistribution)
+      });
+    }
+
+    if (summary.battalionPerformance?.length) {
+      sections.push({
+        title: 'Battalion Performance',
+        headers: ['Battalion', 'Responses', 'Submitted', 'Approved', 'Completion Rate (%)', 'Approval Rate (%)'],
+        rows: summary.battalionPerformance.map(b => [
+          b.battalionName, b.totalResponses, b.submittedResponses, b.approvedResponses,
+          parseFloat(b.completionRate), parseFloat(b.approvalRate)
+        ])
+      });
+    }
+
+    if (summary.topPerformers?.length) {
+      sections.push({
+        title: 'Top Performers',
+        headers: ['Rank', 'Battalion', 'Completion Rate (%)', 'Responses', 'Grade'],
+        rows: summary.topPerformers.map(p => [p.rank, p.battalionName, p.completionRate, p.totalResponses, p.performanceGrade])
+      });
+    }
+
+    // Pivot and period comparison charts repeat their table
+    if (chartData?.dataset?.labels?.length && !report.pivot && !report.comparison) {
+      const { labels, series = [] } = chartData.dataset;
+      const labelHeader = chartData.options?.scales?.x?.title?.text || 'Label';
+      sections.push({
+        title: chartData.title || 'Chart',
+        headers: [labelHeader, ...series.map(item => item.name)],
+        rows: labels.map((label, i) => [label, ...series.map(item => item.data[i])])
+      });
+    }
+
+    return sections;
   }
 
   /**
-   * Get available report templates
+   * Get available report templates: the built-in ones followed by the saved
+   * report definitions the user owns or that are shared with their role
    */
   async getReportTemplates(user) {
-    return [
+    const savedReports = await SavedReport.findAll({
+      where: {
+        active: true,
+        [Op.or]: [
+          { ownerId: user.id },
+          ...(user.roleId ? [{ sharedRoleId: user.roleId }] : [])
+        ]
+      },
+      order: [['name', 'ASC']]
+    });
+
+    const builtInTemplates = [
       {
         id: 'battalion_summary',
         name: 'Battalion Summary Report',
@@ -814,8 +1381,33 @@ class ReportService {
         defaultFilters: {
           viewType: 'TABLE'
         }
+      },
+      {
+        id: 'battalion_month_pivot',
+        name: 'Battalion by Month Pivot',
+        description: 'Battalions as rows, reporting months as columns, values of the selected question',
+        reportType: 'PIVOT',
+        defaultFilters: {
+          viewType: 'TABLE',
+          pivot: { rows: 'BATTALION', columns: 'MONTH', measure: 'SUM' }
+        }
       }
     ];
+
+    return [
+      ...builtInTemplates.map(template => ({ ...template, saved: false })),
+      ...savedReports.map(report => ({
+        id: `saved_${report.id}`,
+        savedReportId: report.id,
+        name: report.name,
+        description: report.description,
+        reportType: report.reportType,
+        defaultFilters: report.definition,
+        saved: true,
+        ownedByUser: report.ownerId === user.id,
+        scheduled: report.scheduleEnabled && !!report.scheduleCron
+      }))
+    ];
   }
 
   /**
@@ -824,12 +1416,7 @@ class ReportService {
   async getReportMetadata(user) {
     try {
       // Get battalions based on user access
-      let battalionQuery = { active: true };
-      if (user.role === 'BATTALION_USER') {
-        battalionQuery.id = user.battalionId;
-      } else if (user.role === 'RANGE_ADMIN') {
-        battalionQuery.rangeId = user.rangeId;
-      }
+      const battalionQuery = { active: true, ...await jurisdictionService.battalionWhere(user) };
       
       const battalions = await Battalion.findAll({
         where: battalionQuery,
@@ -850,18 +1437,14 @@ class ReportService {
       });
       
       // Get ranges (if user has access)
+      // Battalion users pick from their own battalion only
       let ranges = [];
-      if (user.role === 'SYSTEM_ADMIN') {
+      if (jurisdictionService.getScope(user).level !== 'BATTALION') {
         ranges = await Range.findAll({
-          where: { active: true },
+          where: { active: true, ...jurisdictionService.rangeWhere(user) },
           attributes: ['id', 'rangeName'], // Removed rangeCode - field doesn't exist
           order: [['rangeName', 'ASC']]
         });
-      } else if (user.role === 'RANGE_ADMIN') {
-        ranges = await Range.findAll({
-          where: { id: user.rangeId, active: true },
-          attributes: ['id', 'rangeName'] // Removed rangeCode - field doesn't exist
-        });
       }
       
       return {
@@ -887,8 +1470,13 @@ class ReportService {
           { value: 'COMPARISON', label: 'Comparison Report' },
           { value: 'TREND', label: 'Trend Analysis' },
           { value: 'PERFORMANCE', label: 'Performance Report' },
-          { value: 'COMPLIANCE', label: 'Compliance Report' }
+          { value: 'COMPLIANCE', label: 'Compliance Report' },
+          { value: 'PIVOT', label: 'Pivot / Cross-tab' }
         ],
+        pivotDimensions: pivotEngine.dimensions,
+        pivotMeasures: pivotEngine.measures,
+        comparisonModes: periodComparison.modes,
+        comparisonGroups: periodComparison.groups,
         viewTypes: [
           { value: 'TABLE', label: 'Table Only' },
           { value: 'CHART', label: 'Chart Only' },
@@ -927,18 +1515,83 @@ class ReportService {
     return `RPT_${new Date().toISOString().slice(0, 10).replace(/-/g, '')}_${Date.now()}_${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
   }
 
-  getQuarterDates(quarter, financialYear) {
-    const [startYear, endYear] = financialYear.split('-');
-    const baseYear = parseInt(startYear);
-    
-    const quarters = {
-      'Q1': { start: new Date(`${baseYear}-04-01`), end: new Date(`${baseYear}-06-30`) },
-      'Q2': { start: new Date(`${baseYear}-07-01`), end: new Date(`${baseYear}-09-30`) },
-      'Q3': { start: new Date(`${baseYear}-10-01`), end: new Date(`${baseYear}-12-31`) },
-      'Q4': { start: new Date(`${baseYear + 1}-01-01`), end: new Date(`${baseYear + 1}-03-31`) }
+  /**
+   * Period key of a month given in a report request
+   * @param {string} value - "AUG 2025", "08-2025" or "2025-08"
+   * @returns {number|null} YYYYMM or null when malformed
+   */
+  toReportPeriodKey(value) {
+    const text = String(value).trim();
+    let match = /^(\d{1,2})-(\d{4})$/.exec(text);
+    if (match && match[1] >= 1 && match[1] <= 12) return monthYearUtil.periodKey(parseInt(match[2]), parseInt(match[1]));
+
+    match = /^(\d{4})-(\d{1,2})$/.exec(text);
+    if (match && match[2] >= 1 && match[2] <= 12) return monthYearUtil.periodKey(parseInt(match[1]), parseInt(match[2]));
+
+    return monthYearUtil.toPeriodKey(text);
+  }
+
+  /**
+   * Resolve the period filters of a request to a range of period keys.
+   * Filters given together are intersected.
+   * @param {Object} request - Report request (monthYear, fromMonthYear, toMonthYear,
+   *   financialYear, quarter, calendarYear, topicWindowYear + topicId)
+   * @returns {Object|null} { from, to } as YYYYMM, null when no period is requested
+   */
+  async resolvePeriodRange(request) {
+    const ranges = [];
+    const reject = (field, message) => {
+      throw new ValidationException(message, [{ field, message }], field);
     };
-    
-    return quarters[quarter] || quarters['Q1'];
+
+    if (request.monthYear) {
+      const key = this.toReportPeriodKey(request.monthYear);
+      if (!key) reject('monthYear', `Invalid month '${request.monthYear}'`);
+      ranges.push({ from: key, to: key });
+    }
+
+    if (request.fromMonthYear || request.toMonthYear) {
+      const from = request.fromMonthYear ? this.toReportPeriodKey(request.fromMonthYear) : null;
+      const to = request.toMonthYear ? this.toReportPeriodKey(request.toMonthYear) : null;
+      if (request.fromMonthYear && !from) reject('fromMonthYear', `Invalid month '${request.fromMonthYear}'`);
+      if (request.toMonthYear && !to) reject('toMonthYear', `Invalid month '${request.toMonthYear}'`);
+      if (from && to && from > to) reject('fromMonthYear', 'fromMonthYear cannot be after toMonthYear');
+      ranges.push({ from: from || 0, to: to || 999999 });
+    }
+
+    if (request.quarter) {
+      if (!request.financialYear) reject('quarter', 'A quarter needs a financialYear');
+      const range = monthYearUtil.getQuarterRange(request.quarter, request.financialYear);
+      if (!range) reject('quarter', 'Quarter must be Q1-Q4 of a financial year like 2024-25');
+      ranges.push(range);
+    } else if (request.financialYear) {
+      const range = monthYearUtil.getFinancialYearRange(request.financialYear);
+      if (!range) reject('financialYear', 'Financial year must look like 2024-25');
+      ranges.push(range);
+    }
+
+    if (request.calendarYear) {
+      const range = monthYearUtil.getCalendarYearRange(request.calendarYear);
+      if (!range) reject('calendarYear', 'Calendar year must be a 4-digit year');
+      ranges.push(range);
+    }
+
+    if (request.topicWindowYear) {
+      if (!request.topicId) reject('topicWindowYear', 'A topic window needs a topicId');
+      const topic = await Topic.findByPk(request.topicId, { attributes: ['id', 'startMonth', 'endMonth'] });
+      if (!topic) throw new NotFoundException('Topic', request.topicId);
+      const range = monthYearUtil.getWindowRange(request.topicWindowYear, topic.startMonth, topic.endMonth);
+      if (!range) reject('topicWindowYear', 'Topic window year must be a 4-digit year');
+      ranges.push(range);
+    }
+
+    if (!ranges.length) return null;
+
+    const from = Math.max(...ranges.map(range => range.from));
+    const to = Math.min(...ranges.map(range => range.to));
+    if (from > to) reject('period', 'The requested period filters do not overlap');
+
+    return { from, to };
   }
 
   parseNumericValue(value) {
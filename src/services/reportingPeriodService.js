@@ -0,0 +1,360 @@
+const { ReportingPeriod, ReportingPeriodReopenRequest, User, Battalion, Range, State } = require('../models');
+const logger = require('../utils/logger');
+const monthYearUtil = require('../utils/monthYearUtil');
+const {
+  ValidationException,
+  NotFoundException,
+  AuthorizationException,
+  ConflictException,
+  BusinessRuleException
+} = require('../exceptions');
+const { Op } = require('sequelize');
+
+// How long an approved reopen request keeps a closed month writable
+const REOPEN_VALIDITY_DAYS = parseInt(process.env.REOPEN_VALIDITY_DAYS) || 7;
+
+class ReportingPeriodService {
+  /**
+   * Normalise and validate a month-year label
+   * @param {string} monthYear - Label e.g. "AUG 2025"
+   * @returns {string} Canonical label
+   */
+  normalizeMonthYear(monthYear) {
+    const parsed = monthYearUtil.parse(monthYear);
+    if (!parsed) {
+      throw new ValidationException(`Invalid month-year '${monthYear}'`, [], 'monthYear');
+    }
+    return monthYearUtil.format(parsed.year, parsed.month);
+  }
+
+  /**
+   * Months after the current reporting month can never be opened
+   */
+  isFutureMonth(monthYear) {
+    const target = monthYearUtil.parse(monthYear);
+    const reporting = monthYearUtil.parse(monthYearUtil.getReportingMonthYear());
+    return target.year * 12 + target.month > reporting.year * 12 + reporting.month;
+  }
+
+  async loadUser(userOrId) {
+    if (userOrId && typeof userOrId === 'object') return userOrId;
+
+    const user = await User.findByPk(userOrId, {
+      attributes: ['id', 'stateId', 'rangeId', 'battalionId']
+    });
+    if (!user) throw new NotFoundException('User', userOrId);
+    return user;
+  }
+
+  /**
+   * Resolve whether a month is writable for a user.
+   * Precedence: approved reopen request of the battalion, range period,
+   * state period, global period, then the default (only the current
+   * reporting month is open).
+   * @param {Object|number} userOrId - User (stateId, rangeId, battalionId) or user ID
+   * @param {string} monthYear - Month-year label
+   * @returns {Object} { monthYear, isOpen, source, period, reopenRequest }
+   */
+  async getPeriodStatus(userOrId, monthYear) {
+    const user = await this.loadUser(userOrId);
+    const label = this.normalizeMonthYear(monthYear);
+
+    if (this.isFutureMonth(label)) {
+      return { monthYear: label, isOpen: false, source: 'FUTURE', period: null, reopenRequest: null };
+    }
+
+    if (user.battalionId) {
+      const reopenRequest = await ReportingPeriodReopenRequest.findOne({
+        where: {
+          battalionId: user.battalionId,
+          monthYear: label,
+          status: 'APPROVED',
+          validUntil: { [Op.gt]: new Date() },
+          active: true
+        },
+        order: [['validUntil', 'DESC']]
+      });
+
+      if (reopenRequest) {
+        return { monthYear: label, isOpen: true, source: 'REOPEN_REQUEST', period: null, reopenRequest };
+      }
+    }
+
+    const periods = await ReportingPeriod.findAll({
+      where: {
+        monthYear: label,
+        active: true,
+        [Op.or]: [
+          { stateId: null, rangeId: null },
+          ...(user.stateId ? [{ stateId: user.stateId, rangeId: null }] : []),
+          ...(user.rangeId ? [{ rangeId: user.rangeId }] : [])
+        ]
+      }
+    });
+
+    const period =
+      periods.find(p => user.rangeId && p.rangeId === user.rangeId) ||
+      periods.find(p => user.stateId && p.stateId === user.stateId && !p.rangeId) ||
+      periods.find(p => !p.stateId && !p.rangeId);
+
+    if (period) {
+      return {
+        monthYear: label,
+        isOpen: period.status === 'OPEN',
+        source: period.rangeId ? 'RANGE' : period.stateId ? 'STATE' : 'GLOBAL',
+        period,
+        reopenRequest: null
+      };
+    }
+
+    return {
+      monthYear: label,
+      isOpen: label === monthYearUtil.getReportingMonthYear(),
+      source: 'DEFAULT',
+      period: null,
+      reopenRequest: null
+    };
+  }
+
+  /**
+   * Throw when a month is closed for the user
+   * @param {Object|number} userOrId - User or user ID
+   * @param {string} monthYear - Month-year label
+   * @returns {Object} Period status
+   */
+  async assertPeriodOpen(userOrId, monthYear) {
+    const status = await this.getPeriodStatus(userOrId, monthYear);
+
+    if (!status.isOpen) {
+      throw new BusinessRuleException(
+        `Reporting period ${status.monthYear} is closed`,
+        'PERIOD_CLOSED',
+        { monthYear: status.monthYear, source: status.source }
+      );
+    }
+
+    return status;
+  }
+
+  /**
+   * Admins only manage periods inside their own jurisdiction
+   */
+  assertCanManageScope(actor, { stateId = null, rangeId = null }) {
+    if (actor.rangeId && rangeId !== actor.rangeId) {
+      throw new AuthorizationException('You can only manage reporting periods of your own range');
+    }
+    if (actor.stateId && stateId && stateId !== actor.stateId) {
+      throw new AuthorizationException('You can only manage reporting periods of your own state');
+    }
+    if (actor.stateId && !stateId && !rangeId) {
+      throw new AuthorizationException('Global reporting periods can only be managed by administrators without a state');
+    }
+  }
+
+  /**
+   * List reporting periods
+   * @param {Object} filters - { monthYear, stateId, rangeId, status }
+   * @returns {Array} Periods
+   */
+  async listPeriods(filters = {}) {
+    const where = { active: true };
+
+    if (filters.monthYear) where.monthYear = this.normalizeMonthYear(filters.monthYear);
+    if (filters.stateId) where.stateId = filters.stateId;
+    if (filters.rangeId) where.rangeId = filters.rangeId;
+    if (filters.status) where.status = filters.status;
+
+    return ReportingPeriod.findAll({
+      where,
+      include: [
+        { model: State, as: 'state', attributes: ['id', 'stateName'] },
+        { model: Range, as: 'range', attributes: ['id', 'rangeName'] }
+      ],
+      order: [['created_date', 'DESC']]
+    });
+  }
+
+  /**
+   * Open or close a month for everyone, a state or a range
+   * @param {Object} data - { monthYear, stateId, rangeId, status, remarks }
+   * @param {Object} actor - Acting admin user
+   * @returns {Object} Saved period
+   */
+  async setPeriodStatus({ monthYear, stateId = null, rangeId = null, status, remarks = null }, actor) {
+    if (!['OPEN', 'CLOSED'].includes(status)) {
+      throw new ValidationException('Status must be OPEN or CLOSED', [], 'status');
+    }
+
+    const label = this.normalizeMonthYear(monthYear);
+    stateId = stateId ? parseInt(stateId) : null;
+    rangeId = rangeId ? parseInt(rangeId) : null;
+
+    if (status === 'OPEN' && this.isFutureMonth(label)) {
+      throw new BusinessRuleException(`Cannot open future reporting period ${label}`, 'PERIOD_IN_FUTURE', { monthYear: label });
+    }
+
+    if (rangeId) {
+      const range = await Range.findByPk(rangeId);
+      if (!range) throw new NotFoundException('Range', rangeId);
+      stateId = range.stateId;
+    } else if (stateId) {
+      const state = await State.findByPk(stateId);
+      if (!state) throw new NotFoundException('State', stateId);
+    }
+
+    this.assertCanManageScope(actor, { stateId, rangeId });
+
+    const now = new Date();
+    const values = {
+      status,
+      remarks,
+      updatedBy: actor.id,
+      ...(status === 'OPEN' ? { openedAt: now } : { closedAt: now })
+    };
+
+    let period = await ReportingPeriod.findOne({
+      where: { monthYear: label, stateId, rangeId, active: true }
+    });
+
+    if (period) {
+      await period.update(values);
+    } else {
+      period = await ReportingPeriod.create({
+        monthYear: label,
+        stateId,
+        rangeId,
+        ...values,
+        createdBy: actor.id
+      });
+    }
+
+    logger.info(`Reporting period ${label} ${status} (state ${stateId || '-'}, range ${rangeId || '-'}) by user ${actor.id}`);
+    return period;
+  }
+
+  /**
+   * Battalion user asks the range admin to reopen a closed month
+   * @param {Object} user - Requesting user
+   * @param {Object} data - { monthYear, reason }
+   * @returns {Object} Reopen request
+   */
+  async requestReopen(user, { monthYear, reason }) {
+    if (!user.battalionId) {
+      throw new BusinessRuleException('Only battalion users can request a reopen', 'REOPEN_BATTALION_ONLY');
+    }
+    if (!reason || !String(reason).trim()) {
+      throw new ValidationException('Reason is required', [], 'reason');
+    }
+
+    const label = this.normalizeMonthYear(monthYear);
+    const status = await this.getPeriodStatus(user, label);
+
+    if (status.source === 'FUTURE') {
+      throw new BusinessRuleException(`Reporting period ${label} has not started`, 'PERIOD_IN_FUTURE', { monthYear: label });
+    }
+    if (status.isOpen) {
+      throw new BusinessRuleException(`Reporting period ${label} is already open`, 'PERIOD_ALREADY_OPEN', { monthYear: label });
+    }
+
+    const pending = await ReportingPeriodReopenRequest.findOne({
+      where: { battalionId: user.battalionId, monthYear: label, status: 'PENDING', active: true }
+    });
+    if (pending) {
+      throw new ConflictException(`A reopen request for ${label} is already pending`, 'monthYear', label);
+    }
+
+    const battalion = await Battalion.findByPk(user.battalionId, { attributes: ['id', 'rangeId'] });
+    const rangeId = battalion?.rangeId || user.rangeId || null;
+
+    const request = await ReportingPeriodReopenRequest.create({
+      monthYear: label,
+      battalionId: user.battalionId,
+      rangeId,
+      stateId: user.stateId || null,
+      requestedBy: user.id,
+      reason: String(reason).trim(),
+      status: 'PENDING'
+    });
+
+    logger.info(`Reopen request ${request.id} for ${label} raised by user ${user.id} (battalion ${user.battalionId})`);
+    return request;
+  }
+
+  /**
+   * List reopen requests visible to the user: range admins see their range,
+   * battalion users their battalion, state admins their state
+   * @param {Object} user - Current user
+   * @param {Object} filters - { status, monthYear }
+   * @returns {Array} Reopen requests
+   */
+  async listReopenRequests(user, filters = {}) {
+    const where = { active: true };
+
+    if (filters.status) where.status = filters.status;
+    if (filters.monthYear) where.monthYear = this.normalizeMonthYear(filters.monthYear);
+
+    if (user.battalionId) {
+      where.battalionId = user.battalionId;
+    } else if (user.rangeId) {
+      where.rangeId = user.rangeId;
+    } else if (user.stateId) {
+      where.stateId = user.stateId;
+    }
+
+    return ReportingPeriodReopenRequest.findAll({
+      where,
+      include: [
+        { model: Battalion, as: 'battalion', attributes: ['id', 'battalionName'] },
+        { model: User, as: 'requester', attributes: ['id', 'firstName', 'lastName'] },
+        { model: User, as: 'reviewer', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['created_date', 'DESC']]
+    });
+  }
+
+  /**
+   * Approve or reject a pending reopen request
+   * @param {number} id - Request ID
+   * @param {Object} data - { action: 'APPROVE'|'REJECT', remarks }
+   * @param {Object} reviewer - Reviewing admin
+   * @returns {Object} Updated request
+   */
+  async reviewReopenRequest(id, { action, remarks = null }, reviewer) {
+    if (!['APPROVE', 'REJECT'].includes(action)) {
+      throw new ValidationException('Action must be APPROVE or REJECT', [], 'action');
+    }
+
+    const request = await ReportingPeriodReopenRequest.findOne({ where: { id, active: true } });
+    if (!request) throw new NotFoundException('Reopen request', id);
+
+    if (request.status !== 'PENDING') {
+      throw new BusinessRuleException(`Reopen request is already ${request.status}`, 'REOPEN_NOT_PENDING', { status: request.status });
+    }
+    if (request.requestedBy === reviewer.id) {
+      throw new AuthorizationException('You cannot review your own reopen request');
+    }
+    if (reviewer.battalionId) {
+      throw new AuthorizationException('Battalion users cannot review reopen requests');
+    }
+    if (reviewer.rangeId && reviewer.rangeId !== request.rangeId) {
+      throw new AuthorizationException('Reopen request belongs to another range');
+    }
+    if (!reviewer.rangeId && reviewer.stateId && request.stateId && reviewer.stateId !== request.stateId) {
+      throw new AuthorizationException('Reopen request belongs to another state');
+    }
+
+    const now = new Date();
+    await request.update({
+      status: action === 'APPROVE' ? 'APPROVED' : 'REJECTED',
+      reviewedBy: reviewer.id,
+      reviewedAt: now,
+      reviewRemarks: remarks,
+      validUntil: action === 'APPROVE' ? new Date(now.getTime() + REOPEN_VALIDITY_DAYS * 24 * 60 * 60 * 1000) : null
+    });
+
+    logger.info(`Reopen request ${id} ${request.status} by user ${reviewer.id}`);
+    return request;
+  }
+}
+
+module.exports = new ReportingPeriodService();
@@ -0,0 +1,456 @@
+const { SavedReport, ReportArchive, User, Role } = require('../models');
+const reportService = require('./reportService');
+const jurisdictionService = require('./jurisdictionService');
+const pivotEngine = require('../utils/pivotEngine');
+const periodComparison = require('../utils/periodComparison');
+const logger = require('../utils/logger');
+const {
+  ValidationException,
+  NotFoundException,
+  AuthorizationException
+} = require('../exceptions');
+const { Op } = require('sequelize');
+const cron = require('node-cron');
+const fs = require('fs').promises;
+const path = require('path');
+
+const REPORT_TYPES = ['SUMMARY', 'DETAILED', 'COMPARISON', 'TREND', 'PERFORMANCE', 'COMPLIANCE', 'PIVOT'];
+const VIEW_TYPES = ['TABLE', 'CHART', 'BOTH'];
+const SCHEDULE_FORMATS = ['XLSX', 'PDF'];
+
+// Fields of a POST /reports/getReport request kept in a saved definition;
+// pagination and anything else in the body is dropped
+const DEFINITION_FIELDS = [
+  'reportType', 'viewType', 'chartConfig', 'pivot', 'comparison', 'groupBy', 'aggregationType', 'sortBy', 'sortDirection',
+  'battalionId', 'battalionIds', 'rangeId', 'moduleId', 'moduleIds', 'topicId', 'topicIds',
+  'subTopicId', 'subTopicIds', 'questionId', 'questionIds', 'status',
+  'monthYear', 'fromMonthYear', 'toMonthYear', 'financialYear', 'quarter', 'calendarYear', 'topicWindowYear',
+  'fromDate', 'toDate', 'includeArchivedData'
+];
+
+const REPORT_ARCHIVE_PATH = process.env.REPORT_ARCHIVE_PATH || 'uploads/report-archive';
+const REPORT_SCHEDULE_TIMEZONE = process.env.REPORT_SCHEDULE_TIMEZONE || null;
+
+/**
+ * Saved report definitions. A definition is owned by the user who saved it,
+ * can be shared read-only with a role, and can be scheduled with a cron
+ * expression. Scheduled runs are generated as the owner (so the owner's
+ * jurisdiction applies) and written to the report archive.
+ */
+class SavedReportService {
+  constructor() {
+    // Cron tasks by saved report ID
+    this.tasks = new Map();
+  }
+
+  /**
+   * Where clause of the definitions a user can see
+   */
+  visibleWhere(user) {
+    return {
+      active: true,
+      [Op.or]: [
+        { ownerId: user.id },
+        ...(user.roleId ? [{ sharedRoleId: user.roleId }] : [])
+      ]
+    };
+  }
+
+  canView(report, user) {
+    return report.ownerId === user.id || (!!report.sharedRoleId && report.sharedRoleId === user.roleId);
+  }
+
+  /**
+   * Keep the report fields of a request body
+   * @param {Object} definition - Report request
+   * @returns {Object} Definition
+   */
+  pickDefinition(definition) {
+    return DEFINITION_FIELDS.reduce((picked, field) => {
+      if (definition[field] !== undefined && definition[field] !== null && definition[field] !== '') {
+        picked[field] = definition[field];
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Validate a saved report payload, merged over the stored record on update
+   * @param {Object} data - { name, description, definition, sharedRoleId, scheduleCron, scheduleFormat, scheduleEnabled }
+   * @returns {Object} Attributes to save
+   */
+  async validatePayload(data) {
+    if (!data.name || !String(data.name).trim()) {
+      throw new ValidationException('Name is required', [], 'name');
+    }
+    if (!data.definition || typeof data.definition !== 'object' || Array.isArray(data.definition)) {
+      throw new ValidationException('Definition must be a report request object', [], 'definition');
+    }
+
+    const definition = this.pickDefinition(data.definition);
+    if (!REPORT_TYPES.includes(definition.reportType)) {
+      throw new ValidationException(`Report type must be one of: ${REPORT_TYPES.join(', ')}`, [], 'definition.reportType');
+    }
+    if (definition.viewType && !VIEW_TYPES.includes(definition.viewType)) {
+      throw new ValidationException(`View type must be one of: ${VIEW_TYPES.join(', ')}`, [], 'definition.viewType');
+    }
+    if (definition.reportType === 'PIVOT') {
+      definition.pivot = pivotEngine.normalizeConfig(definition.pivot);
+    }
+    if (definition.reportType === 'COMPARISON' && definition.comparison) {
+      definition.comparison = periodComparison.normalizeConfig(definition.comparison);
+    }
+    // Rejects malformed or non-overlapping period filters now rather than at run time
+    await reportService.resolvePeriodRange(definition);
+
+    if (data.sharedRoleId) {
+      const role = await Role.findByPk(data.sharedRoleId);
+      if (!role) throw new NotFoundException('Role', data.sharedRoleId);
+    }
+
+    const scheduleEnabled = data.scheduleEnabled === true || data.scheduleEnabled === 'true';
+    const scheduleCron = data.scheduleCron ? String(data.scheduleCron).trim() : null;
+    const scheduleFormat = data.scheduleFormat ? String(data.scheduleFormat).toUpperCase() : null;
+
+    if (scheduleCron && !cron.validate(scheduleCron)) {
+      throw new ValidationException(`Invalid cron expression '${scheduleCron}'`, [], 'scheduleCron');
+    }
+    if (scheduleFormat && !SCHEDULE_FORMATS.includes(scheduleFormat)) {
+      throw new ValidationException(`Schedule format must be one of: ${SCHEDULE_FORMATS.join(', ')}`, [], 'scheduleFormat');
+    }
+    if (scheduleEnabled && !scheduleCron) {
+      throw new ValidationException('A cron expression is required to enable the schedule', [], 'scheduleCron');
+    }
+
+    return {
+      name: String(data.name).trim(),
+      description: data.description || null,
+      reportType: definition.reportType,
+      definition,
+      sharedRoleId: data.sharedRoleId || null,
+      scheduleCron,
+      scheduleFormat: scheduleFormat || (scheduleCron ? 'XLSX' : null),
+      scheduleEnabled
+    };
+  }
+
+  /**
+   * List the definitions the user owns or that are shared with their role
+   * @param {Object} user - Authenticated user
+   * @returns {Array} Saved reports
+   */
+  async list(user) {
+    return SavedReport.findAll({
+      where: this.visibleWhere(user),
+      include: [
+        { model: User, as: 'owner', attributes: ['id', 'firstName', 'lastName', 'email'] },
+        { model: Role, as: 'sharedRole', attributes: ['id', 'roleName'] }
+      ],
+      order: [['name', 'ASC']]
+    });
+  }
+
+  /**
+   * Get a definition the user can see
+   * @throws {NotFoundException|AuthorizationException}
+   */
+  async get(id, user) {
+    const report = await SavedReport.findOne({
+      where: { id, active: true },
+      include: [
+        { model: User, as: 'owner', attributes: ['id', 'firstName', 'lastName', 'email'] },
+        { model: Role, as: 'sharedRole', attributes: ['id', 'roleName'] }
+      ]
+    });
+    if (!report) throw new NotFoundException('Saved report', id);
+    if (!this.canView(report, user)) {
+      throw new AuthorizationException('You do not have access to this saved report');
+    }
+    return report;
+  }
+
+  /**
+   * Get a definition the user owns
+   */
+  async getOwned(id, user) {
+    const report = await this.get(id, user);
+    if (report.ownerId !== user.id) {
+      throw new AuthorizationException('Only the owner can change a saved report');
+    }
+    return report;
+  }
+
+  async create(data, user) {
+    const attributes = await this.validatePayload(data);
+    const report = await SavedReport.create({
+      ...attributes,
+      ownerId: user.id,
+      createdBy: user.id,
+      updatedBy: user.id
+    });
+
+    this.register(report);
+    logger.info(`Saved report ${report.id} created by user ${user.id}`);
+    return this.get(report.id, user);
+  }
+
+  async update(id, data, user) {
+    const report = await this.getOwned(id, user);
+    const attributes = await this.validatePayload({
+      name: report.name,
+      description: report.description,
+      definition: report.definition,
+      sharedRoleId: report.sharedRoleId,
+      scheduleCron: report.scheduleCron,
+      scheduleFormat: report.scheduleFormat,
+      scheduleEnabled: report.scheduleEnabled,
+      ...data
+    });
+
+    await report.update({ ...attributes, updatedBy: user.id });
+
+    this.register(report);
+    logger.info(`Saved report ${id} updated by user ${user.id}`);
+    return this.get(id, user);
+  }
+
+  async remove(id, user) {
+    const report = await this.getOwned(id, user);
+    await report.update({ active: false, scheduleEnabled: false, updatedBy: user.id });
+
+    this.unregister(id);
+    logger.info(`Saved report ${id} deleted by user ${user.id}`);
+  }
+
+  /**
+   * Generate a saved report for the viewer. Shared definitions run inside the
+   * viewer's own jurisdiction, not the owner's.
+   * @param {number} id - Saved report ID
+   * @param {Object} user - Authenticated user
+   * @param {Object} overrides - { page, size } of the result
+   * @returns {Object} Report, as POST /reports/getReport
+   */
+  async run(id, user, overrides = {}) {
+    const report = await this.get(id, user);
+    const request = await jurisdictionService.restrictReportRequest({
+      ...report.definition,
+      page: overrides.page !== undefined ? parseInt(overrides.page) : 0,
+      size: overrides.size !== undefined ? parseInt(overrides.size) : 20
+    }, user);
+
+    return reportService.generateReport(request, user);
+  }
+
+  /**
+   * Generate a saved report as a file into the archive
+   * @param {Object} report - Saved report
+   * @param {string} trigger - SCHEDULE or MANUAL
+   * @returns {Object} Archive entry
+   */
+  async archive(report, trigger) {
+    const format = report.scheduleFormat || 'XLSX';
+
+    try {
+      // The role decides the jurisdiction of owners without a unit
+      const owner = await User.findByPk(report.ownerId, { include: [{ model: Role, as: 'role' }] });
+      if (!owner || owner.active === false) {
+        throw new Error(`Owner ${report.ownerId} is not an active user`);
+      }
+
+      const request = await jurisdictionService.restrictReportRequest(report.definition, owner);
+      const rendered = await reportService.renderReport(request, format, owner, { title: report.name });
+
+      const directory = path.join(REPORT_ARCHIVE_PATH, String(report.id));
+      const fileName = `${rendered.reportId}.${rendered.extension}`;
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, fileName), rendered.buffer);
+
+      await report.update({ lastRunAt: new Date() });
+
+      return ReportArchive.create({
+        savedReportId: report.id,
+        generatedFor: report.ownerId,
+        trigger,
+        format,
+        status: 'SUCCESS',
+        fileName,
+        filePath: path.join(directory, fileName),
+        fileSize: rendered.buffer.length
+      });
+    } catch (error) {
+      logger.error(`Saved report ${report.id} could not be archived: ${error.message}`);
+      return ReportArchive.create({
+        savedReportId: report.id,
+        generatedFor: report.ownerId,
+        trigger,
+        format,
+        status: 'FAILED',
+        error: String(error.message).substring(0, 500)
+      });
+    }
+  }
+
+  /**
+   * Archive a saved report now (owner only)
+   */
+  async archiveNow(id, user) {
+    const report = await this.getOwned(id, user);
+    return this.archive(report, 'MANUAL');
+  }
+
+  /**
+   * Archive entries of the definitions the user can see. Users a definition
+   * is shared with only see files generated inside their own jurisdiction.
+   * @param {Object} filters - { savedReportId, page, size }
+   * @param {Object} user - Authenticated user
+   * @returns {Object} { archives, pagination }
+   */
+  async listArchive(filters, user) {
+    const page = parseInt(filters.page) || 0;
+    const size = Math.min(parseInt(filters.size) || 20, 100);
+
+    const visibleReports = await SavedReport.findAll({
+      where: {
+        ...this.visibleWhere(user),
+        ...(filters.savedReportId ? { id: parseInt(filters.savedReportId) } : {})
+      },
+      attributes: ['id', 'ownerId']
+    });
+
+    const sharedOwnerIds = [...new Set(visibleReports.filter(r => r.ownerId !== user.id).map(r => r.ownerId))];
+    const scopedUserIds = await jurisdictionService.getUserIds(user);
+    const readableOwners = scopedUserIds === null
+      ? sharedOwnerIds
+      : sharedOwnerIds.filter(ownerId => scopedUserIds.includes(ownerId));
+
+    const savedReportIds = visibleReports
+      .filter(r => r.ownerId === user.id || readableOwners.includes(r.ownerId))
+      .map(r => r.id);
+
+    const { count, rows } = await ReportArchive.findAndCountAll({
+      where: { savedReportId: { [Op.in]: savedReportIds } },
+      attributes: { exclude: ['filePath'] },
+      include: [{ model: SavedReport, as: 'savedReport', attributes: ['id', 'name', 'reportType'] }],
+      order: [['created_date', 'DESC']],
+      limit: size,
+      offset: page * size
+    });
+
+    return {
+      archives: rows,
+      pagination: {
+        currentPage: page,
+        pageSize: size,
+        totalElements: count,
+        totalPages: Math.ceil(count / size)
+      }
+    };
+  }
+
+  /**
+   * Resolve an archived file for download
+   * @returns {Object} { filePath, fileName, format }
+   */
+  async getArchiveFile(archiveId, user) {
+    const archive = await ReportArchive.findByPk(archiveId, {
+      include: [{ model: SavedReport, as: 'savedReport' }]
+    });
+    if (!archive || !archive.savedReport?.active) throw new NotFoundException('Archived report', archiveId);
+    if (!this.canView(archive.savedReport, user)) {
+      throw new AuthorizationException('You do not have access to this archived report');
+    }
+    if (archive.generatedFor !== user.id) {
+      await jurisdictionService.assertCanAccessUser(user, archive.generatedFor);
+    }
+    if (archive.status !== 'SUCCESS') {
+      throw new NotFoundException('Archived report file', archiveId);
+    }
+
+    try {
+      await fs.access(archive.filePath);
+    } catch (error) {
+      throw new NotFoundException('Archived report file', archiveId);
+    }
+
+    return { filePath: path.resolve(archive.filePath), fileName: archive.fileName, format: archive.format };
+  }
+
+  /**
+   * (Re)register the cron task of a saved report
+   */
+  register(report) {
+    this.unregister(report.id);
+    if (!this.started || !report.active || !report.scheduleEnabled || !report.scheduleCron) return;
+
+    const options = REPORT_SCHEDULE_TIMEZONE ? { timezone: REPORT_SCHEDULE_TIMEZONE } : {};
+    const task = cron.schedule(report.scheduleCron, async () => {
+      try {
+        await this.runScheduled(report.id);
+      } catch (error) {
+        logger.error(`Scheduled report ${report.id} failed: ${error.message}`);
+      }
+    }, options);
+
+    this.tasks.set(report.id, task);
+  }
+
+  /**
+   * Scheduled run of a saved report. Every server registers the same cron
+   * tasks, so the run is first claimed by moving lastScheduledAt to the minute
+   * it fired for; servers firing for a minute already claimed skip it.
+   * @param {number} id - Saved report ID
+   */
+  async runScheduled(id) {
+    const firedAt = new Date();
+    firedAt.setSeconds(0, 0);
+
+    const [claimed] = await SavedReport.update({ lastScheduledAt: firedAt }, {
+      where: {
+        id,
+        active: true,
+        scheduleEnabled: true,
+        [Op.or]: [{ lastScheduledAt: null }, { lastScheduledAt: { [Op.lt]: firedAt } }]
+      }
+    });
+    if (!claimed) return;
+
+    // Reload so edits made since registration are picked up
+    const current = await SavedReport.findByPk(id);
+    logger.info(`Running scheduled report ${current.id} (${current.name})`);
+    await this.archive(current, 'SCHEDULE');
+  }
+
+  unregister(id) {
+    const task = this.tasks.get(id);
+    if (task) {
+      task.stop();
+      this.tasks.delete(id);
+    }
+  }
+
+  /**
+   * Register the cron tasks of all scheduled reports. Called once the
+   * server is up; disabled with REPORT_SCHEDULER_ENABLED=false.
+   */
+  async start() {
+    if (process.env.REPORT_SCHEDULER_ENABLED === 'false') {
+      logger.info('Report scheduler disabled');
+      return;
+    }
+
+    this.started = true;
+    const reports = await SavedReport.findAll({
+      where: { active: true, scheduleEnabled: true, scheduleCron: { [Op.ne]: null } }
+    });
+    reports.forEach(report => this.register(report));
+
+    logger.info(`Report scheduler started with ${this.tasks.size} scheduled report(s)`);
+  }
+
+  stop() {
+    [...this.tasks.keys()].forEach(id => this.unregister(id));
+    this.started = false;
+  }
+}
+
+module.exports = new SavedReportService();
@@ -0,0 +1,170 @@
+const { ValidationException } = require('../exceptions');
+
+// question.type values found in the data, mapped to the kind of answer they take
+const TYPE_KINDS = {
+  NUMBER: 'NUMBER',
+  NUMERIC: 'NUMBER',
+  PRICE: 'NUMBER',
+  INTEGER: 'NUMBER',
+  TEXT: 'TEXT',
+  DATE: 'DATE',
+  'YES/NO': 'YES_NO',
+  YESNO: 'YES_NO',
+  BOOLEAN: 'YES_NO',
+  MULTICHOICE: 'CHOICE',
+  MULTIPLE_CHOICE: 'CHOICE'
+};
+
+const RULE_KEYS = ['required', 'min', 'max', 'integer', 'options', 'minDate', 'maxDate'];
+
+/**
+ * Validates answers against their question's type and the optional
+ * per-question rules in question.validation_rules:
+ *   { required, min, max, integer, options: [...], minDate, maxDate }
+ * Dates are accepted as YYYY-MM-DD or DD/MM/YYYY; minDate / maxDate use
+ * YYYY-MM-DD. Questions without a type are treated as numeric, which is
+ * what the forms and reports assume; unrecognised types as free text.
+ */
+class AnswerValidator {
+  getKind(type) {
+    if (!type) return 'NUMBER';
+    return TYPE_KINDS[String(type).trim().toUpperCase()] || 'TEXT';
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  /**
+   * Parse a date answer
+   * @param {string} value - YYYY-MM-DD or DD/MM/YYYY
+   * @returns {Date|null} UTC date or null when invalid
+   */
+  parseDate(value) {
+    const text = String(value).trim();
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+    let year, month, day;
+
+    if (match) {
+      [, year, month, day] = match.map(Number);
+    } else {
+      match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text);
+      if (!match) return null;
+      [, day, month, year] = match.map(Number);
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return date;
+  }
+
+  /**
+   * Validate one answer
+   * @param {Object} question - Question (type, validationRules)
+   * @param {*} value - Submitted value
+   * @returns {Object} { value, errors: [{ code, message }] } with the normalized value
+   */
+  validate(question, value) {
+    const rules = question.validationRules || {};
+    const errors = [];
+    const fail = (code, message) => {
+      errors.push({ code, message });
+      return { value, errors };
+    };
+
+    if (this.isEmpty(value)) {
+      if (rules.required) return fail('REQUIRED', 'An answer is required');
+      return { value, errors };
+    }
+
+    const text = String(value).trim();
+    if (text.length > 250) return fail('TOO_LONG', 'Answer must be at most 250 characters');
+
+    switch (this.getKind(question.type)) {
+      case 'NUMBER': {
+        if (!/^[+-]?(\d+(\.\d+)?|\.\d+)$/.test(text)) return fail('NOT_A_NUMBER', `'${text}' is not a number`);
+        const number = parseFloat(text);
+        if (rules.integer && !Number.isInteger(number)) return fail('NOT_AN_INTEGER', 'Answer must be a whole number');
+        if (rules.min !== undefined && rules.min !== null && number < Number(rules.min)) {
+          return fail('BELOW_MIN', `Answer must be at least ${rules.min}`);
+        }
+        if (rules.max !== undefined && rules.max !== null && number > Number(rules.max)) {
+          return fail('ABOVE_MAX', `Answer must be at most ${rules.max}`);
+        }
+        return { value: String(number), errors };
+      }
+
+      case 'DATE': {
+        const date = this.parseDate(text);
+        if (!date) return fail('INVALID_DATE', `'${text}' is not a valid date`);
+        if (rules.minDate && date < this.parseDate(rules.minDate)) {
+          return fail('BEFORE_MIN_DATE', `Date must be on or after ${rules.minDate}`);
+        }
+        if (rules.maxDate && date > this.parseDate(rules.maxDate)) {
+          return fail('AFTER_MAX_DATE', `Date must be on or before ${rules.maxDate}`);
+        }
+        return { value: text, errors };
+      }
+
+      case 'YES_NO': {
+        const answer = text.toUpperCase();
+        if (answer !== 'YES' && answer !== 'NO') return fail('INVALID_OPTION', 'Answer must be Yes or No');
+        return { value: answer === 'YES' ? 'Yes' : 'No', errors };
+      }
+
+      default: {
+        if (Array.isArray(rules.options) && rules.options.length) {
+          const option = rules.options.find(o => String(o).toUpperCase() === text.toUpperCase());
+          if (option === undefined) {
+            return fail('INVALID_OPTION', `Answer must be one of: ${rules.options.join(', ')}`);
+          }
+          return { value: String(option), errors };
+        }
+        return { value: text, errors };
+      }
+    }
+  }
+
+  /**
+   * Check the rules stored on a question are well-formed
+   * @param {Object|null} rules - validation_rules value
+   * @throws {ValidationException} When a rule is unknown or malformed
+   */
+  assertValidRules(rules) {
+    if (rules === undefined || rules === null) return;
+
+    const errors = [];
+    if (typeof rules !== 'object' || Array.isArray(rules)) {
+      throw new ValidationException('Validation rules must be an object', [], 'validationRules');
+    }
+
+    Object.keys(rules)
+      .filter(key => !RULE_KEYS.includes(key))
+      .forEach(key => errors.push({ field: `validationRules.${key}`, message: 'Unknown rule' }));
+
+    ['min', 'max'].forEach(key => {
+      if (rules[key] !== undefined && rules[key] !== null && isNaN(Number(rules[key]))) {
+        errors.push({ field: `validationRules.${key}`, message: 'Must be a number' });
+      }
+    });
+    ['minDate', 'maxDate'].forEach(key => {
+      if (rules[key] && !/^\d{4}-\d{2}-\d{2}$/.test(rules[key])) {
+        errors.push({ field: `validationRules.${key}`, message: 'Must be a YYYY-MM-DD date' });
+      }
+    });
+    if (rules.options !== undefined && !Array.isArray(rules.options)) {
+      errors.push({ field: 'validationRules.options', message: 'Must be an array' });
+    }
+    if (rules.min !== undefined && rules.max !== undefined && Number(rules.min) > Number(rules.max)) {
+      errors.push({ field: 'validationRules.min', message: 'Must not exceed max' });
+    }
+
+    if (errors.length) {
+      throw new ValidationException('Invalid validation rules', errors, 'validationRules');
+    }
+  }
+}
+
+module.exports = new AnswerValidator();
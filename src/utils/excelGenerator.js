@@ -31,76 +31,70 @@ class ExcelGenerator {
   }
 
   /**
-   * Generate statistics report in Excel format
-   * @param {Array} moduleData - Module data array
-   * @param {Array} headers - Column headers
-   * @param {Array} labels - Row labels
+   * Generate statistics report in Excel format. Either the module tree of the
+   * statistics form (one "Month Wise Data" sheet) or report sections, one
+   * worksheet per section
+   * @param {Array} moduleData - Module data array, or sections [{ title, headers, rows }]
+   *   where rows are arrays of cell values
+   * @param {Array} headers - Column headers (module data only)
+   * @param {Array} labels - Row labels (module data only)
    * @param {string} reportTitle - Report title
    * @returns {Buffer} Excel file buffer
    */
   async generateStatisticsReport(moduleData, headers, labels, reportTitle = 'Statistics Report') {
     try {
+      const sections = this.isSections(moduleData)
+        ? moduleData
+        : [{ title: 'Month Wise Data', headers, rows: this.moduleRows(moduleData) }];
       const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet('Month Wise Data');
-
-      // Set worksheet properties
-      worksheet.properties.defaultRowHeight = 20;
+      const usedNames = new Set();
+
+      sections.forEach((section) => {
+        // Sheet names: max 31 characters, no []:*?/\ and unique
+        let name = String(section.title).replace(/[[\]:*?\/\\]/g, ' ').slice(0, 31);
+        for (let i = 2; usedNames.has(name); i++) name = `${name.slice(0, 28)} ${i}`;
+        usedNames.add(name);
+
+        const worksheet = workbook.addWorksheet(name);
+
+        // Set worksheet properties
+        worksheet.properties.defaultRowHeight = 20;
+
+        // Add title row
+        if (reportTitle) {
+          const titleRow = worksheet.addRow([sections.length > 1 ? `${reportTitle} - ${section.title}` : reportTitle]);
+          titleRow.font = { bold: true, size: 16 };
+          titleRow.alignment = { horizontal: 'center' };
+          if (section.headers.length > 1) worksheet.mergeCells(1, 1, 1, section.headers.length);
+          worksheet.addRow([]); // Empty row
+        }
 
-      // Add title row
-      if (reportTitle) {
-        const titleRow = worksheet.addRow([reportTitle]);
-        titleRow.font = { bold: true, size: 16 };
-        titleRow.alignment = { horizontal: 'center' };
-        worksheet.mergeCells(1, 1, 1, headers.length);
-        worksheet.addRow([]); // Empty row
-      }
+        // Add headers
+        const headerRow = worksheet.addRow(section.headers);
+        headerRow.eachCell((cell) => {
+          Object.assign(cell, this.defaultStyles.header);
+        });
 
-      // Add headers
-      const headerRow = worksheet.addRow(headers);
-      headerRow.eachCell((cell) => {
-        Object.assign(cell, this.defaultStyles.header);
-      });
+        // Add data rows
+        section.rows.forEach((rowData) => {
+          const dataRow = worksheet.addRow(rowData.map(value => (value === undefined ? null : value)));
+          dataRow.eachCell((cell) => {
+            Object.assign(cell, this.defaultStyles.data);
+          });
+        });
 
-      // Add data rows
-      moduleData.forEach((moduleDTO, moduleIndex) => {
-        if (moduleDTO.topics) {
-          moduleDTO.topics.forEach((topic, topicIndex) => {
-            if (topic.subTopics) {
-              topic.subTopics.forEach((subTopic, subTopicIndex) => {
-                if (subTopic.questions) {
-                  subTopic.questions.forEach((question, questionIndex) => {
-                    const rowData = [
-                      moduleDTO.moduleName || '',
-                      topic.topicName || '',
-                      subTopic.subTopicName || '',
-                      question.question || '',
-                      question.answer || '',
-                      question.type || '',
-                      question.priority || 0
-                    ];
-
-                    const dataRow = worksheet.addRow(rowData);
-                    dataRow.eachCell((cell) => {
-                      Object.assign(cell, this.defaultStyles.data);
-                    });
-                  });
-                }
-              });
+        // Auto-fit columns
+        worksheet.columns.forEach((column) => {
+          let maxLength = 0;
+          column.eachCell({ includeEmpty: true }, (cell, rowNumber) => {
+            if (reportTitle && rowNumber === 1) return; // merged title
+            const columnLength = cell.value !== null && cell.value !== undefined ? cell.value.toString().length : 10;
+            if (columnLength > maxLength) {
+              maxLength = columnLength;
             }
           });
-        }
-      });
-
-      // Auto-fit columns
-      worksheet.columns.forEach((column) => {
-        let maxLength = 0;
-        column.eachCell({ includeEmpty: true }, (cell) => {
-          const columnLength = cell.value ? cell.value.toString().length : 10;
-          if (columnLength > maxLength) {
-            maxLength = columnLength;
-          }
+          column.width = Math.min(Math.max(maxLength + 2, 10), 50);
         });
-        column.width = Math.min(maxLength + 2, 50);
       });
 
       // Generate buffer
@@ -113,6 +107,49 @@ class ExcelGenerator {
     }
   }
 
+  /**
+   * Rows of the statistics form module tree, one per question
+   * @param {Array} moduleData - Module data array
+   * @returns {Array} Arrays of cell values
+   */
+  moduleRows(moduleData) {
+    const rows = [];
+    moduleData.forEach((moduleDTO) => {
+      (moduleDTO.topics || []).forEach((topic) => {
+        (topic.subTopics || []).forEach((subTopic) => {
+          (subTopic.questions || []).forEach((question) => {
+            rows.push([
+              moduleDTO.moduleName || '',
+              topic.topicName || '',
+              subTopic.subTopicName || '',
+              question.question || '',
+              question.answer || '',
+              question.type || '',
+              question.priority || 0
+            ]);
+          });
+        });
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Whether data holds report sections ({ title, headers, rows }) rather
+   * than records keyed by lower-cased header
+   */
+  isSections(data) {
+    return Array.isArray(data) && data.length > 0 &&
+      data.every(item => item && Array.isArray(item.headers) && Array.isArray(item.rows));
+  }
+
+  /**
+   * Report sections from records keyed by lower-cased header
+   */
+  recordSection(data, headers, title = null) {
+    return { title, headers, rows: data.map(row => headers.map(header => row[header.toLowerCase()])) };
+  }
+
   /**
    * Generate CID Crime Data Excel report
    * @param {Array} crimeData - Crime data array
@@ -275,83 +312,88 @@ class ExcelGenerator {
   }
 
   /**
-   * Generate PDF report
-   * @param {Array} data - Data to include in PDF
+   * Generate PDF report with one table per section, paging as needed
+   * @param {Array} data - Records keyed by lower-cased header, or sections [{ title, headers, rows }]
    * @param {string} title - Report title
-   * @param {Array} headers - Table headers
+   * @param {Array} headers - Table headers (records only)
    * @returns {Buffer} PDF buffer
    */
   async generatePDFReport(data, title = 'Report', headers = []) {
-    try {
-      return new Promise((resolve, reject) => {
-        const doc = new PDFDocument({ margin: 50 });
+    return new Promise((resolve, reject) => {
+      try {
+        const sections = this.isSections(data) ? data : (headers.length ? [this.recordSection(data, headers)] : []);
+        const doc = new PDFDocument({ margin: 40, size: 'A4', layout: 'landscape' });
         const buffers = [];
 
         doc.on('data', buffers.push.bind(buffers));
-        doc.on('end', () => {
-          const pdfBuffer = Buffer.concat(buffers);
-          resolve(pdfBuffer);
-        });
+        doc.on('end', () => resolve(Buffer.concat(buffers)));
+        doc.on('error', reject);
+
+        const left = doc.page.margins.left;
+        const usableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const bottom = () => doc.page.height - doc.page.margins.bottom;
 
         // Add title
-        doc.fontSize(20).text(title, { align: 'center' });
-        doc.moveDown(2);
-
-        // Add table
-        if (data.length > 0 && headers.length > 0) {
-          const tableTop = doc.y;
-          const itemHeight = 20;
-          let currentY = tableTop;
-
-          // Headers
-          doc.fontSize(12);
-          headers.forEach((header, i) => {
-            doc.text(header, 50 + (i * 100), currentY, { width: 90 });
-          });
+        doc.fontSize(18).text(title, { align: 'center' });
+        doc.moveDown();
 
-          currentY += itemHeight;
-          doc.moveTo(50, currentY).lineTo(550, currentY).stroke();
-          currentY += 5;
+        sections.forEach((section, sectionIndex) => {
+          if (sectionIndex > 0) doc.addPage();
 
-          // Data rows
-          data.forEach((row) => {
-            headers.forEach((header, i) => {
-              const value = row[header.toLowerCase()] || '';
-              doc.text(value.toString(), 50 + (i * 100), currentY, { width: 90 });
+          const columnWidth = usableWidth / Math.max(section.headers.length, 1);
+          const fontSize = section.headers.length > 8 ? 7 : 9;
+
+          const drawRow = (values, bold = false) => {
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(fontSize);
+            const texts = values.map(value => (value === null || value === undefined ? '' : String(value)));
+            const height = Math.max(...texts.map(text => doc.heightOfString(text, { width: columnWidth - 4 })), fontSize) + 6;
+
+            if (doc.y + height > bottom()) {
+              doc.addPage();
+            }
+            const y = doc.y;
+            texts.forEach((text, i) => {
+              doc.text(text, left + i * columnWidth + 2, y + 3, { width: columnWidth - 4 });
             });
-            currentY += itemHeight;
-          });
-        }
+            doc.moveTo(left, y + height).lineTo(left + usableWidth, y + height).lineWidth(0.5).stroke();
+            doc.x = left;
+            doc.y = y + height;
+          };
+
+          if (section.title) {
+            doc.font('Helvetica-Bold').fontSize(13).text(section.title, left, doc.y);
+            doc.moveDown(0.5);
+          }
+          drawRow(section.headers, true);
+          section.rows.forEach(row => drawRow(row));
+        });
 
         doc.end();
-      });
-
-    } catch (error) {
-      logger.error('PDF generation error:', error);
-      throw new Error('Failed to generate PDF report');
-    }
+      } catch (error) {
+        logger.error('PDF generation error:', error);
+        reject(new Error('Failed to generate PDF report'));
+      }
+    });
   }
 
   /**
-   * Generate CSV format data
-   * @param {Array} data - Data array
-   * @param {Array} headers - Column headers
+   * Generate CSV format data. Sections are separated by a blank line and
+   * start with their title
+   * @param {Array} data - Records keyed by lower-cased header, or sections [{ title, headers, rows }]
+   * @param {Array} headers - Column headers (records only)
    * @returns {string} CSV string
    */
   generateCSV(data, headers) {
     try {
-      let csv = headers.join(',') + '\n';
+      // Escape commas and quotes in CSV
+      const quote = value => `"${(value ?? '').toString().replace(/"/g, '""')}"`;
+      const table = (columns, rows) =>
+        columns.join(',') + '\n' + rows.map(row => row.map(quote).join(',') + '\n').join('');
 
-      data.forEach((row) => {
-        const rowValues = headers.map(header => {
-          const value = row[header.toLowerCase()] || '';
-          // Escape commas and quotes in CSV
-          return `"${value.toString().replace(/"/g, '""')}"`;
-        });
-        csv += rowValues.join(',') + '\n';
-      });
-
-      return csv;
+      if (this.isSections(data)) {
+        return data.map(section => `${quote(section.title)}\n` + table(section.headers, section.rows)).join('\n');
+      }
+      return table(headers, this.recordSection(data, headers).rows);
 
     } catch (error) {
       logger.error('CSV generation error:', error);
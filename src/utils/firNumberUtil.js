@@ -0,0 +1,26 @@
+/**
+ * FIR numbers are entered by hand in many shapes ("FIR No. 012/2024",
+ * "12-2024", "12/24"). The normalized form is stored on cid_crime_data so
+ * the same FIR can be looked up through an index.
+ */
+class FirNumberUtil {
+  /**
+   * FIR number reduced to its number groups without leading zeros, with a
+   * two-digit year widened to four; numberless values keep only their
+   * letters and digits
+   * @param {string} value - FIR number as entered
+   * @returns {string} e.g. "12/2024", or '' when empty
+   */
+  normalize(value) {
+    if (!value) return '';
+    const groups = String(value).match(/\d+/g);
+    if (!groups) return String(value).toLowerCase().replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+
+    const numbers = groups.map(group => group.replace(/^0+(?=\d)/, ''));
+    const last = numbers.length - 1;
+    if (numbers.length > 1 && numbers[last].length === 2) numbers[last] = `20${numbers[last]}`;
+    return numbers.join('/');
+  }
+}
+
+module.exports = new FirNumberUtil();
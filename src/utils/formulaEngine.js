@@ -0,0 +1,423 @@
+const { ValidationException } = require('../exceptions');
+
+/**
+ * Safe arithmetic engine for question formulas (que_formula / default_formula).
+ *
+ * A formula holds one or more assignments separated by ";" or ",":
+ *   Q1+Q2=Q3        -> value of question 3 is question 1 + question 2
+ *   12_4+12_5=12_6  -> cell of question 12 in sub-topic 6 (ST/Q and Q/ST grids)
+ *   Q1+Q2           -> no target, the result belongs to the owning question
+ *
+ * References are "Q<id>", "Q<id>_<subTopicId>" or "<id>_<subTopicId>"; plain
+ * numbers are literals. Only + - * / and parentheses are supported and
+ * nothing is ever passed to eval.
+ */
+class FormulaEngine {
+  constructor() {
+    this.tokenPattern = /\s*(?:([Qq]?\d+_\d+|[Qq]\d+)|(\d+(?:\.\d+)?|\.\d+)|([+\-*/()]))/y;
+    this.targetPattern = /^[Qq]?(\d+)(?:_(\d+))?$/;
+  }
+
+  /**
+   * Split formula text into assignments and parse each expression
+   * @param {string} formula - Formula text
+   * @returns {Array} Parsed assignments ({ expression, target, ast, references })
+   */
+  parse(formula) {
+    if (!formula || !String(formula).trim()) return [];
+
+    return String(formula)
+      .split(/[;,\n]/)
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const equalsIndex = part.lastIndexOf('=');
+        const expression = (equalsIndex >= 0 ? part.slice(0, equalsIndex) : part).trim();
+        let target = null;
+
+        if (equalsIndex >= 0) {
+          const targetText = part.slice(equalsIndex + 1).trim();
+          const match = this.targetPattern.exec(targetText);
+          if (!match) {
+            throw new ValidationException(`Invalid formula target '${targetText}'`, [], 'formula');
+          }
+          target = {
+            questionId: parseInt(match[1]),
+            subTopicId: match[2] ? parseInt(match[2]) : null
+          };
+        }
+
+        const ast = this.parseExpression(expression);
+
+        return {
+          expression,
+          target,
+          ast,
+          references: this.collectReferences(ast)
+        };
+      });
+  }
+
+  /**
+   * Parse a single arithmetic expression into an AST
+   * @param {string} expression - Expression text
+   * @returns {Object} AST root node
+   */
+  parseExpression(expression) {
+    const tokens = this.tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const fail = (message) => {
+      throw new ValidationException(`${message} in formula '${expression}'`, [], 'formula');
+    };
+
+    const parseFactor = () => {
+      const token = next();
+      if (!token) fail('Unexpected end of expression');
+
+      if (token.type === 'op' && (token.value === '+' || token.value === '-')) {
+        return { type: 'unary', op: token.value, operand: parseFactor() };
+      }
+      if (token.type === 'num') return { type: 'num', value: token.value };
+      if (token.type === 'ref') return { type: 'ref', questionId: token.questionId, subTopicId: token.subTopicId };
+      if (token.type === 'op' && token.value === '(') {
+        const node = parseSum();
+        const closing = next();
+        if (!closing || closing.value !== ')') fail('Missing closing parenthesis');
+        return node;
+      }
+
+      return fail(`Unexpected '${token.value}'`);
+    };
+
+    const parseProduct = () => {
+      let node = parseFactor();
+      while (peek() && (peek().value === '*' || peek().value === '/')) {
+        const op = next().value;
+        node = { type: 'binary', op, left: node, right: parseFactor() };
+      }
+      return node;
+    };
+
+    const parseSum = () => {
+      let node = parseProduct();
+      while (peek() && (peek().value === '+' || peek().value === '-')) {
+        const op = next().value;
+        node = { type: 'binary', op, left: node, right: parseProduct() };
+      }
+      return node;
+    };
+
+    if (tokens.length === 0) fail('Empty expression');
+
+    const ast = parseSum();
+    if (position < tokens.length) fail(`Unexpected '${peek().value}'`);
+
+    return ast;
+  }
+
+  /**
+   * Parse a consistency rule: two expressions joined by a comparison, e.g.
+   * "Q5 = Q2 + Q3 - Q4" or "Q7_1 + Q7_2 <= Q7_9"
+   * @param {string} rule - Rule text
+   * @returns {Object} { left, operator, right, references } with ASTs for both sides
+   */
+  parseRule(rule) {
+    const match = /^(.*?)(==|=|!=|<=|>=|<|>)(.*)$/.exec(String(rule || ''));
+    if (!match) {
+      throw new ValidationException(`Rule '${rule}' needs a comparison (=, !=, <, <=, >, >=)`, [], 'expression');
+    }
+    if (/[=<>!]/.test(match[3])) {
+      throw new ValidationException(`Rule '${rule}' may contain only one comparison`, [], 'expression');
+    }
+
+    const left = this.parseExpression(match[1].trim());
+    const right = this.parseExpression(match[3].trim());
+
+    return {
+      left,
+      operator: match[2] === '==' ? '=' : match[2],
+      right,
+      references: this.collectReferences(right, this.collectReferences(left))
+    };
+  }
+
+  /**
+   * Compare the two sides of a rule
+   * @param {number} left - Left value
+   * @param {string} operator - Comparison operator
+   * @param {number} right - Right value
+   * @param {number} tolerance - Allowed absolute difference for = and !=
+   * @returns {boolean} Whether the rule holds
+   */
+  compare(left, operator, right, tolerance = 0) {
+    const equal = Math.abs(left - right) <= tolerance;
+    switch (operator) {
+      case '=': return equal;
+      case '!=': return !equal;
+      case '<': return left < right;
+      case '<=': return left <= right || equal;
+      case '>': return left > right;
+      case '>=': return left >= right || equal;
+    }
+    return false;
+  }
+
+  tokenize(expression) {
+    const tokens = [];
+    const text = String(expression);
+    this.tokenPattern.lastIndex = 0;
+
+    while (this.tokenPattern.lastIndex < text.length) {
+      const start = this.tokenPattern.lastIndex;
+      const match = this.tokenPattern.exec(text);
+
+      if (!match) {
+        if (!text.slice(start).trim()) break;
+        throw new ValidationException(
+          `Invalid character '${text.slice(start).trim()[0]}' in formula '${expression}'`,
+          [],
+          'formula'
+        );
+      }
+
+      if (match[1]) {
+        const [questionId, subTopicId] = match[1].replace(/^[Qq]/, '').split('_');
+        tokens.push({
+          type: 'ref',
+          value: match[1],
+          questionId: parseInt(questionId),
+          subTopicId: subTopicId ? parseInt(subTopicId) : null
+        });
+      } else if (match[2]) {
+        tokens.push({ type: 'num', value: parseFloat(match[2]) });
+      } else {
+        tokens.push({ type: 'op', value: match[3] });
+      }
+    }
+
+    return tokens;
+  }
+
+  collectReferences(ast, references = []) {
+    if (!ast) return references;
+
+    switch (ast.type) {
+      case 'ref':
+        if (!references.some(r => r.questionId === ast.questionId && r.subTopicId === ast.subTopicId)) {
+          references.push({ questionId: ast.questionId, subTopicId: ast.subTopicId });
+        }
+        break;
+      case 'unary':
+        this.collectReferences(ast.operand, references);
+        break;
+      case 'binary':
+        this.collectReferences(ast.left, references);
+        this.collectReferences(ast.right, references);
+        break;
+    }
+
+    return references;
+  }
+
+  /**
+   * Evaluate an AST
+   * @param {Object} ast - AST root node
+   * @param {Function} resolve - Returns the numeric value of a reference node
+   * @returns {number} Result (division by zero yields 0)
+   */
+  evaluate(ast, resolve) {
+    switch (ast.type) {
+      case 'num':
+        return ast.value;
+      case 'ref':
+        return this.toNumber(resolve(ast));
+      case 'unary':
+        return ast.op === '-' ? -this.evaluate(ast.operand, resolve) : this.evaluate(ast.operand, resolve);
+      case 'binary': {
+        const left = this.evaluate(ast.left, resolve);
+        const right = this.evaluate(ast.right, resolve);
+        switch (ast.op) {
+          case '+': return left + right;
+          case '-': return left - right;
+          case '*': return left * right;
+          case '/': return right === 0 ? 0 : left / right;
+        }
+      }
+    }
+
+    throw new ValidationException(`Unsupported formula node '${ast.type}'`, [], 'formula');
+  }
+
+  /**
+   * Cell key used for values and dependency graphs.
+   * NORMAL forms key by question, grid forms (ST/Q, Q/ST) by question and sub-topic.
+   */
+  cellKey(questionId, subTopicId = null) {
+    return subTopicId ? `${questionId}_${subTopicId}` : `${questionId}`;
+  }
+
+  /**
+   * Compile every formula of a topic into per-cell assignments
+   * @param {Array} questions - Questions of the topic (id, formula, defaultFormula)
+   * @param {Object} options - { isGrid, subTopicIds }
+   * @returns {Array} Cell assignments ({ cell, questionId, subTopicId, kind, ast, dependsOn })
+   */
+  compileTopic(questions, { isGrid = false, subTopicIds = [] } = {}) {
+    const assignments = [];
+
+    for (const question of questions) {
+      const sources = [
+        { kind: 'formula', text: question.formula },
+        { kind: 'default', text: question.defaultFormula }
+      ];
+
+      for (const source of sources) {
+        for (const parsed of this.parse(source.text)) {
+          const targetQuestionId = parsed.target ? parsed.target.questionId : question.id;
+          const targetSubTopics = !isGrid
+            ? [null]
+            : parsed.target && parsed.target.subTopicId
+              ? [parsed.target.subTopicId]
+              : subTopicIds;
+
+          for (const subTopicId of targetSubTopics) {
+            const dependsOn = parsed.references.map(ref => this.resolveCell(ref, isGrid, subTopicId));
+
+            assignments.push({
+              cell: this.cellKey(targetQuestionId, isGrid ? subTopicId : null),
+              questionId: targetQuestionId,
+              subTopicId: isGrid ? subTopicId : null,
+              isGrid,
+              ownerQuestionId: question.id,
+              kind: source.kind,
+              expression: parsed.expression,
+              ast: parsed.ast,
+              dependsOn
+            });
+          }
+        }
+      }
+    }
+
+    return assignments;
+  }
+
+  resolveCell(ref, isGrid, contextSubTopicId) {
+    if (!isGrid) return this.cellKey(ref.questionId);
+    return this.cellKey(ref.questionId, ref.subTopicId || contextSubTopicId);
+  }
+
+  /**
+   * Find a circular dependency among compiled assignments
+   * @param {Array} assignments - Output of compileTopic
+   * @returns {Array|null} Cells forming the cycle (first cell repeated at the end) or null
+   */
+  findCycle(assignments) {
+    const graph = new Map();
+    for (const assignment of assignments) {
+      const edges = graph.get(assignment.cell) || new Set();
+      assignment.dependsOn.forEach(cell => edges.add(cell));
+      graph.set(assignment.cell, edges);
+    }
+
+    const state = new Map();
+    const stack = [];
+
+    const visit = (cell) => {
+      state.set(cell, 'visiting');
+      stack.push(cell);
+
+      for (const dependency of graph.get(cell) || []) {
+        if (state.get(dependency) === 'visiting') {
+          return [...stack.slice(stack.indexOf(dependency)), dependency];
+        }
+        if (!state.has(dependency)) {
+          const cycle = visit(dependency);
+          if (cycle) return cycle;
+        }
+      }
+
+      stack.pop();
+      state.set(cell, 'done');
+      return null;
+    };
+
+    for (const cell of graph.keys()) {
+      if (!state.has(cell)) {
+        const cycle = visit(cell);
+        if (cycle) return cycle;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute formula cells in dependency order
+   * @param {Array} assignments - Output of compileTopic
+   * @param {Object} values - Current values keyed by cell
+   * @param {Set} enteredCells - Cells holding a user-entered value (default formulas skip them)
+   * @returns {Object} Computed values keyed by cell (formatted strings)
+   */
+  compute(assignments, values, enteredCells = new Set()) {
+    const cycle = this.findCycle(assignments);
+    if (cycle) {
+      throw new ValidationException(`Circular formula dependency: ${cycle.join(' -> ')}`, [], 'formula');
+    }
+
+    const byCell = new Map();
+    for (const assignment of assignments) {
+      // que_formula wins over default_formula for the same cell
+      const existing = byCell.get(assignment.cell);
+      if (!existing || (existing.kind === 'default' && assignment.kind === 'formula')) {
+        byCell.set(assignment.cell, assignment);
+      }
+    }
+
+    const current = { ...values };
+    const computed = {};
+    const done = new Set();
+
+    const resolveCell = (cell) => {
+      if (byCell.has(cell) && !done.has(cell)) calculate(byCell.get(cell));
+      return current[cell];
+    };
+
+    const calculate = (assignment) => {
+      done.add(assignment.cell);
+
+      if (assignment.kind === 'default' && enteredCells.has(assignment.cell)) return;
+
+      const result = this.evaluate(assignment.ast, (ref) =>
+        resolveCell(this.resolveCell(ref, assignment.isGrid, assignment.subTopicId))
+      );
+      const formatted = this.formatResult(result);
+
+      current[assignment.cell] = formatted;
+      computed[assignment.cell] = formatted;
+    };
+
+    for (const assignment of byCell.values()) {
+      if (!done.has(assignment.cell)) calculate(assignment);
+    }
+
+    return computed;
+  }
+
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return 0;
+    const numValue = typeof value === 'number' ? value : parseFloat(value);
+    return isFinite(numValue) ? numValue : 0;
+  }
+
+  formatResult(value) {
+    if (!isFinite(value)) return '0';
+    if (Number.isInteger(value)) return String(value);
+    return String(Math.round(value * 100) / 100);
+  }
+}
+
+module.exports = new FormulaEngine();
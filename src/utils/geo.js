@@ -0,0 +1,187 @@
+const { ValidationException } = require('../exceptions');
+
+const EARTH_RADIUS_KM = 6371.0088;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * GeoJSON helpers for crime scene mapping. Coordinates follow GeoJSON order
+ * ([longitude, latitude], WGS84). Polygons are small enough (police station
+ * jurisdictions) that planar ray casting is accurate for containment.
+ */
+class Geo {
+  /**
+   * Validate a latitude/longitude pair
+   * @returns {Object} { latitude, longitude } as numbers
+   * @throws {ValidationException}
+   */
+  parsePoint(latitude, longitude) {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    const errors = [];
+
+    if (latitude === undefined || latitude === null || latitude === '' || isNaN(lat) || lat < -90 || lat > 90) {
+      errors.push({ field: 'latitude', message: 'latitude must be a number between -90 and 90' });
+    }
+    if (longitude === undefined || longitude === null || longitude === '' || isNaN(lng) || lng < -180 || lng > 180) {
+      errors.push({ field: 'longitude', message: 'longitude must be a number between -180 and 180' });
+    }
+    if (errors.length) {
+      throw new ValidationException('Invalid coordinates', errors, errors[0].field);
+    }
+
+    return { latitude: lat, longitude: lng };
+  }
+
+  /**
+   * Great-circle distance in kilometres
+   */
+  distanceKm(lat1, lng1, lat2, lng2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * Bounding box enclosing a circle, for index-friendly prefiltering
+   * @returns {Object} { minLat, maxLat, minLng, maxLng }
+   */
+  radiusBounds(latitude, longitude, radiusKm) {
+    const angularRadius = radiusKm / EARTH_RADIUS_KM;
+    const latDelta = angularRadius * (180 / Math.PI);
+    const minLat = Math.max(-90, latitude - latDelta);
+    const maxLat = Math.min(90, latitude + latDelta);
+
+    // A circle reaching a pole spans every longitude
+    if (minLat === -90 || maxLat === 90) {
+      return { minLat, maxLat, minLng: -180, maxLng: 180 };
+    }
+
+    // The circle is widest slightly poleward of its centre, so the longitude
+    // span is asin(sin r / cos lat) rather than r / cos lat
+    const lngDelta = Math.asin(Math.min(1, Math.sin(angularRadius) / Math.cos(toRadians(latitude)))) * (180 / Math.PI);
+
+    return {
+      minLat,
+      maxLat,
+      minLng: Math.max(-180, longitude - lngDelta),
+      maxLng: Math.min(180, longitude + lngDelta)
+    };
+  }
+
+  /**
+   * Polygon or MultiPolygon geometry from a GeoJSON geometry, Feature or
+   * a FeatureCollection holding a single feature
+   * @param {Object} input - GeoJSON object
+   * @param {string} field - Request field reported in validation errors
+   * @returns {Object} Geometry ({ type, coordinates })
+   * @throws {ValidationException}
+   */
+  toPolygonGeometry(input, field = 'geometry') {
+    let geometry = input;
+    if (geometry?.type === 'FeatureCollection' && geometry.features?.length === 1) {
+      geometry = geometry.features[0];
+    }
+    if (geometry?.type === 'Feature') geometry = geometry.geometry;
+
+    const invalid = (message) => {
+      throw new ValidationException('Invalid GeoJSON polygon', [{ field, message }], field);
+    };
+
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+      invalid('Expected a GeoJSON Polygon or MultiPolygon');
+    }
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    if (!Array.isArray(polygons) || !polygons.length) invalid('Polygon has no coordinates');
+
+    polygons.forEach(rings => {
+      if (!Array.isArray(rings) || !rings.length) invalid('Polygon has no rings');
+      rings.forEach(ring => {
+        if (!Array.isArray(ring) || ring.length < 4) invalid('Each ring needs at least four positions');
+        ring.forEach(position => {
+          if (!Array.isArray(position) || position.length < 2) invalid('Positions must be [longitude, latitude]');
+          const [lng, lat] = position;
+          if (typeof lng !== 'number' || typeof lat !== 'number' || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+            invalid('Positions must be [longitude, latitude] within WGS84 bounds');
+          }
+        });
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) invalid('Rings must be closed');
+      });
+    });
+
+    return { type: geometry.type, coordinates: geometry.coordinates };
+  }
+
+  /**
+   * Bounding box of a Polygon or MultiPolygon
+   * @returns {Object} { minLat, maxLat, minLng, maxLng }
+   */
+  geometryBounds(geometry) {
+    const bounds = { minLat: 90, maxLat: -90, minLng: 180, maxLng: -180 };
+    this.polygons(geometry).forEach(rings => {
+      // Holes lie inside the outer ring
+      rings[0].forEach(([lng, lat]) => {
+        bounds.minLat = Math.min(bounds.minLat, lat);
+        bounds.maxLat = Math.max(bounds.maxLat, lat);
+        bounds.minLng = Math.min(bounds.minLng, lng);
+        bounds.maxLng = Math.max(bounds.maxLng, lng);
+      });
+    });
+    return bounds;
+  }
+
+  /**
+   * Whether a point lies inside a Polygon or MultiPolygon, honouring holes
+   */
+  containsPoint(geometry, latitude, longitude) {
+    return this.polygons(geometry).some(([outer, ...holes]) =>
+      this.ringContains(outer, longitude, latitude) &&
+      !holes.some(hole => this.ringContains(hole, longitude, latitude))
+    );
+  }
+
+  ringContains(ring, x, y) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  polygons(geometry) {
+    return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  }
+
+  /**
+   * Bounding box area in square degrees; the smaller of two overlapping
+   * boundaries is the more specific one
+   */
+  boundsArea(bounds) {
+    return (bounds.maxLat - bounds.minLat) * (bounds.maxLng - bounds.minLng);
+  }
+
+  /**
+   * GeoJSON Point feature
+   */
+  pointFeature(id, latitude, longitude, properties = {}) {
+    return {
+      type: 'Feature',
+      id,
+      geometry: { type: 'Point', coordinates: [Number(longitude), Number(latitude)] },
+      properties
+    };
+  }
+
+  featureCollection(features) {
+    return { type: 'FeatureCollection', features };
+  }
+}
+
+module.exports = new Geo();
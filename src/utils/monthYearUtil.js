@@ -0,0 +1,204 @@
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Default reporting window: financial year April to March
+const DEFAULT_START_MONTH = 4;
+const DEFAULT_END_MONTH = 3;
+
+/**
+ * Helpers for the month-year labels stored in performance_statistic.month_year
+ * ("AUG 2025"). Months are 1-based (1 = January) everywhere in this utility,
+ * matching topic.start_month / topic.end_month.
+ */
+class MonthYearUtil {
+  /**
+   * Format a month-year label
+   * @param {number} year - Full year
+   * @param {number} month - Month (1-12)
+   * @returns {string} Label e.g. "AUG 2025"
+   */
+  format(year, month) {
+    const date = new Date(year, month - 1, 1);
+    return `${MONTH_NAMES[date.getMonth()]} ${date.getFullYear()}`;
+  }
+
+  /**
+   * Format a Date as a month-year label
+   * @param {Date} date - Date
+   * @returns {string} Label
+   */
+  fromDate(date) {
+    return this.format(date.getFullYear(), date.getMonth() + 1);
+  }
+
+  /**
+   * Parse a month-year label
+   * @param {string} monthYear - Label e.g. "AUG 2025" (case-insensitive, "SEPT" accepted)
+   * @returns {Object|null} { year, month } or null when the label is invalid
+   */
+  parse(monthYear) {
+    const match = /^\s*([A-Za-z]{3,9})\s+(\d{4})\s*$/.exec(String(monthYear || ''));
+    if (!match) return null;
+
+    const monthIndex = MONTH_NAMES.indexOf(match[1].slice(0, 3).toUpperCase());
+    if (monthIndex < 0) return null;
+
+    return { year: parseInt(match[2]), month: monthIndex + 1 };
+  }
+
+  /**
+   * Shift a month-year label by a number of months
+   * @param {string} monthYear - Label
+   * @param {number} months - Months to add (negative to go back)
+   * @returns {string} Shifted label
+   */
+  addMonths(monthYear, months) {
+    const parsed = this.parse(monthYear);
+    if (!parsed) throw new Error(`Invalid month-year '${monthYear}'`);
+    return this.format(parsed.year, parsed.month + months);
+  }
+
+  /**
+   * Month the user is currently reporting for (previous calendar month)
+   * @param {Date} date - Reference date (default: now)
+   * @returns {string} Label
+   */
+  getReportingMonthYear(date = new Date()) {
+    return this.format(date.getFullYear(), date.getMonth());
+  }
+
+  /**
+   * Number of months in a start/end window (wrapping over the year end)
+   * @param {number} startMonth - First month (1-12)
+   * @param {number} endMonth - Last month (1-12)
+   * @returns {number} Window length (1-12)
+   */
+  getWindowLength(startMonth, endMonth) {
+    return endMonth >= startMonth ? endMonth - startMonth + 1 : 12 - startMonth + endMonth + 1;
+  }
+
+  /**
+   * Months of the reporting window that contains monthYear, from the window
+   * start up to and including monthYear
+   * @param {string} monthYear - Reporting month label
+   * @param {number} startMonth - Window start month (1-12, default April)
+   * @param {number} endMonth - Window end month (1-12, default March)
+   * @returns {Array<string>} Labels, empty when monthYear falls outside the window
+   */
+  getWindowMonths(monthYear, startMonth = null, endMonth = null) {
+    const parsed = this.parse(monthYear);
+    if (!parsed) return [];
+
+    const start = startMonth || DEFAULT_START_MONTH;
+    const end = endMonth || (startMonth ? ((start + 10) % 12) + 1 : DEFAULT_END_MONTH);
+    const startYear = parsed.month >= start ? parsed.year : parsed.year - 1;
+    const offset = (parsed.year - startYear) * 12 + parsed.month - start;
+
+    if (offset >= this.getWindowLength(start, end)) return [];
+
+    const months = [];
+    for (let i = 0; i <= offset; i++) {
+      months.push(this.format(startYear, start + i));
+    }
+    return months;
+  }
+
+  /**
+   * Whether monthYear is the first month of its reporting window
+   */
+  isWindowStart(monthYear, startMonth = null) {
+    const parsed = this.parse(monthYear);
+    return !!parsed && parsed.month === (startMonth || DEFAULT_START_MONTH);
+  }
+
+  /**
+   * Sortable period key of a month (performance_statistic.period_key)
+   * @param {number} year - Full year
+   * @param {number} month - Month (1-12, overflow rolls into the next year)
+   * @returns {number} YYYYMM e.g. 202508
+   */
+  periodKey(year, month) {
+    const date = new Date(year, month - 1, 1);
+    return date.getFullYear() * 100 + date.getMonth() + 1;
+  }
+
+  /**
+   * Period key of a month-year label
+   * @param {string} monthYear - Label e.g. "AUG 2025"
+   * @returns {number|null} YYYYMM or null when the label is invalid
+   */
+  toPeriodKey(monthYear) {
+    const parsed = this.parse(monthYear);
+    return parsed ? this.periodKey(parsed.year, parsed.month) : null;
+  }
+
+  /**
+   * Month-year label of a period key
+   * @param {number} key - YYYYMM
+   * @returns {string} Label
+   */
+  fromPeriodKey(key) {
+    return this.format(Math.floor(key / 100), key % 100);
+  }
+
+  /**
+   * Period keys of a financial year (April to March)
+   * @param {string} financialYear - "2024-25" or "2024-2025"
+   * @returns {Object|null} { from, to } or null when malformed
+   */
+  getFinancialYearRange(financialYear) {
+    const match = /^(\d{4})-(\d{2}|\d{4})$/.exec(String(financialYear || '').trim());
+    if (!match) return null;
+
+    const startYear = parseInt(match[1]);
+    const endYear = match[2].length === 2 ? (startYear + 1) % 100 : startYear + 1;
+    if (parseInt(match[2]) !== endYear) return null;
+
+    return { from: this.periodKey(startYear, 4), to: this.periodKey(startYear + 1, 3) };
+  }
+
+  /**
+   * Period keys of a quarter of a financial year (Q1 = April to June)
+   * @param {string} quarter - Q1..Q4
+   * @param {string} financialYear - "2024-25"
+   * @returns {Object|null} { from, to } or null when malformed
+   */
+  getQuarterRange(quarter, financialYear) {
+    const year = this.getFinancialYearRange(financialYear);
+    const match = /^Q([1-4])$/i.exec(String(quarter || '').trim());
+    if (!year || !match) return null;
+
+    const startYear = Math.floor(year.from / 100);
+    const startMonth = 4 + (parseInt(match[1]) - 1) * 3;
+    return { from: this.periodKey(startYear, startMonth), to: this.periodKey(startYear, startMonth + 2) };
+  }
+
+  /**
+   * Period keys of a calendar year
+   * @param {number|string} year - Full year
+   * @returns {Object|null} { from, to } or null when malformed
+   */
+  getCalendarYearRange(year) {
+    if (!/^\d{4}$/.test(String(year || '').trim())) return null;
+    return { from: this.periodKey(parseInt(year), 1), to: this.periodKey(parseInt(year), 12) };
+  }
+
+  /**
+   * Period keys of a reporting window starting in the given year
+   * @param {number|string} year - Year the window starts in
+   * @param {number} startMonth - Window start month (1-12, default April)
+   * @param {number} endMonth - Window end month (1-12, default March)
+   * @returns {Object|null} { from, to } or null when malformed
+   */
+  getWindowRange(year, startMonth = null, endMonth = null) {
+    if (!/^\d{4}$/.test(String(year || '').trim())) return null;
+
+    const start = startMonth || DEFAULT_START_MONTH;
+    const end = endMonth || (startMonth ? ((start + 10) % 12) + 1 : DEFAULT_END_MONTH);
+    return {
+      from: this.periodKey(parseInt(year), start),
+      to: this.periodKey(parseInt(year), start + this.getWindowLength(start, end) - 1)
+    };
+  }
+}
+
+module.exports = new MonthYearUtil();
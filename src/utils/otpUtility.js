@@ -15,7 +15,7 @@ class OTPUtility {
     let otp = '';
     
     for (let i = 0; i < length; i++) {
-      const randomIndex = Math.floor(Math.random() * numbers.length);
+      const randomIndex = crypto.randomInt(numbers.length);
       otp += numbers.charAt(randomIndex);
     }
     
@@ -32,7 +32,7 @@ class OTPUtility {
     let result = '';
     
     for (let i = 0; i < n; i++) {
-      const randomIndex = Math.floor(Math.random() * alphaNumericString.length);
+      const randomIndex = crypto.randomInt(alphaNumericString.length);
       result += alphaNumericString.charAt(randomIndex);
     }
     
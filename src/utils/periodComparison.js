@@ -0,0 +1,247 @@
+const monthYearUtil = require('./monthYearUtil');
+const { ValidationException } = require('../exceptions');
+
+const MODES = {
+  MONTH_ON_MONTH: 'Month on month',
+  YEAR_ON_YEAR: 'Same month last year',
+  FY_TO_DATE: 'Financial year to date vs previous year'
+};
+
+// Group -> key/name of a performance_statistic row loaded with the report includes
+const GROUPS = {
+  BATTALION: {
+    label: 'Battalion',
+    key: r => r.battalionId,
+    name: r => r.battalion?.battalionName
+  },
+  RANGE: {
+    label: 'Range',
+    key: r => r.battalion?.rangeId,
+    name: r => r.battalion?.range?.rangeName
+  }
+};
+
+// Default absolute percentage change flagged as a large swing
+const DEFAULT_SWING_PERCENT = parseFloat(process.env.REPORT_VARIANCE_SWING_PERCENT) || 25;
+
+/**
+ * Period-over-period comparison of answer values. For a reference month the
+ * current and previous windows are:
+ *   MONTH_ON_MONTH -> the month vs the month before
+ *   YEAR_ON_YEAR   -> the month vs the same month a year earlier
+ *   FY_TO_DATE     -> April..month vs the same months of the previous financial year
+ * Numeric answers are summed per group (battalion or range) and question, and
+ * compared as absolute and percentage variance. Point-in-time questions (not
+ * cumulative, e.g. strength as on date) are not added up over a window: each
+ * battalion contributes its latest value in the window. Changes of at least
+ * the swing threshold, and values rising from zero, are flagged. A side
+ * without any answer is NO_DATA rather than zero, so a battalion that did not
+ * report is never shown as a swing.
+ */
+class PeriodComparison {
+  get modes() {
+    return Object.keys(MODES);
+  }
+
+  get groups() {
+    return Object.keys(GROUPS);
+  }
+
+  /**
+   * Validate and normalize the comparison part of a report request
+   * @param {Object} comparison - { mode, groupBy, swingThreshold }
+   * @returns {Object} { mode, groupBy, swingThreshold }
+   * @throws {ValidationException}
+   */
+  normalizeConfig(comparison) {
+    const config = {
+      mode: String(comparison?.mode || '').toUpperCase(),
+      groupBy: String(comparison?.groupBy || 'BATTALION').toUpperCase(),
+      swingThreshold: comparison?.swingThreshold !== undefined && comparison?.swingThreshold !== null
+        ? Number(comparison.swingThreshold)
+        : DEFAULT_SWING_PERCENT
+    };
+
+    const errors = [];
+    const reject = (field, message) => errors.push({ field, message });
+    if (!MODES[config.mode]) reject('comparison.mode', `Comparison mode must be one of: ${this.modes.join(', ')}`);
+    if (!GROUPS[config.groupBy]) reject('comparison.groupBy', `Comparison group must be one of: ${this.groups.join(', ')}`);
+    if (isNaN(config.swingThreshold) || config.swingThreshold < 0) {
+      reject('comparison.swingThreshold', 'Swing threshold must be a non-negative percentage');
+    }
+
+    if (errors.length) {
+      throw new ValidationException(errors[0].message, errors, errors[0].field);
+    }
+    return config;
+  }
+
+  /**
+   * Current and previous windows of a mode
+   * @param {string} mode - Comparison mode
+   * @param {number} referenceKey - Period key (YYYYMM) of the reference month
+   * @returns {Object} { current: { from, to }, previous: { from, to } }
+   */
+  getWindows(mode, referenceKey) {
+    const year = Math.floor(referenceKey / 100);
+    const month = referenceKey % 100;
+    const shift = (months) => monthYearUtil.periodKey(year, month + months);
+
+    switch (mode) {
+      case 'MONTH_ON_MONTH':
+        return { current: { from: referenceKey, to: referenceKey }, previous: { from: shift(-1), to: shift(-1) } };
+      case 'YEAR_ON_YEAR':
+        return { current: { from: referenceKey, to: referenceKey }, previous: { from: shift(-12), to: shift(-12) } };
+      default: {
+        const startYear = month >= 4 ? year : year - 1;
+        return {
+          current: { from: monthYearUtil.periodKey(startYear, 4), to: referenceKey },
+          previous: { from: monthYearUtil.periodKey(startYear - 1, 4), to: shift(-12) }
+        };
+      }
+    }
+  }
+
+  /**
+   * Build the comparison rows
+   * @param {Array} records - Statistics rows of both windows
+   * @param {Object} config - Output of normalizeConfig
+   * @param {Object} windows - Output of getWindows
+   * @returns {Object} { mode, groupBy, current, previous, rows, swings }
+   */
+  build(records, config, windows) {
+    const group = GROUPS[config.groupBy];
+    const within = (key, window) => key >= window.from && key <= window.to;
+    const cells = new Map();
+
+    records.forEach(record => {
+      const value = this.toNumber(record.value);
+      if (value === null || !record.periodKey) return;
+
+      const side = within(record.periodKey, windows.current) ? 'current'
+        : within(record.periodKey, windows.previous) ? 'previous' : null;
+      if (!side) return;
+
+      const groupKey = group.key(record) ?? null;
+      const cellKey = `${groupKey}:${record.questionId}`;
+      if (!cells.has(cellKey)) {
+        cells.set(cellKey, {
+          groupKey,
+          groupName: group.name(record) || `(No ${group.label.toLowerCase()})`,
+          questionId: record.questionId,
+          question: record.question?.question || `Question ${record.questionId}`,
+          topicName: record.question?.topic?.topicName || null,
+          isPointInTime: record.question?.isCumulative === false,
+          current: null,
+          previous: null,
+          // Point-in-time questions: latest { periodKey, value } per battalion and side
+          latest: { current: new Map(), previous: new Map() }
+        });
+      }
+      const cell = cells.get(cellKey);
+
+      if (!cell.isPointInTime) {
+        cell[side] = (cell[side] || 0) + value;
+        return;
+      }
+      const latest = cell.latest[side];
+      const seriesKey = record.battalionId ?? null;
+      const entry = latest.get(seriesKey);
+      if (!entry || record.periodKey > entry.periodKey) {
+        latest.set(seriesKey, { periodKey: record.periodKey, value });
+      } else if (record.periodKey === entry.periodKey) {
+        entry.value += value;
+      }
+    });
+
+    const rows = [...cells.values()]
+      .map(({ latest, ...cell }) => {
+        if (cell.isPointInTime) {
+          ['current', 'previous'].forEach(side => {
+            const entries = [...latest[side].values()];
+            cell[side] = entries.length ? entries.reduce((sum, entry) => sum + entry.value, 0) : null;
+          });
+        }
+        return this.variance(cell, config.swingThreshold);
+      })
+      .sort((a, b) => String(a.groupName).localeCompare(String(b.groupName)) || a.questionId - b.questionId);
+
+    return {
+      mode: config.mode,
+      modeLabel: MODES[config.mode],
+      groupBy: config.groupBy,
+      groupLabel: group.label,
+      swingThreshold: config.swingThreshold,
+      current: this.describeWindow(windows.current),
+      previous: this.describeWindow(windows.previous),
+      rows,
+      swings: rows.filter(row => row.isSwing).length
+    };
+  }
+
+  /**
+   * Absolute / percentage variance of a cell and its swing flag. Without an
+   * answer on either side there is nothing to compare (NO_DATA).
+   */
+  variance(cell, swingThreshold) {
+    const current = cell.current === null ? null : this.round(cell.current);
+    const previous = cell.previous === null ? null : this.round(cell.previous);
+    if (current === null || previous === null) {
+      return { ...cell, current, previous, absoluteVariance: null, percentVariance: null, direction: 'NO_DATA', isSwing: false };
+    }
+
+    const absoluteVariance = this.round(current - previous);
+    const percentVariance = previous ? this.round(absoluteVariance / Math.abs(previous) * 100) : null;
+
+    let direction = 'NO_CHANGE';
+    if (absoluteVariance > 0) direction = 'INCREASE';
+    if (absoluteVariance < 0) direction = 'DECREASE';
+
+    // Percentages are undefined from zero, so any rise from a reported zero is a swing
+    const isSwing = percentVariance === null
+      ? absoluteVariance !== 0
+      : Math.abs(percentVariance) >= swingThreshold && absoluteVariance !== 0;
+
+    return { ...cell, current, previous, absoluteVariance, percentVariance, direction, isSwing };
+  }
+
+  describeWindow(window) {
+    return {
+      from: monthYearUtil.fromPeriodKey(window.from),
+      to: monthYearUtil.fromPeriodKey(window.to),
+      fromKey: window.from,
+      toKey: window.to
+    };
+  }
+
+  /**
+   * Flatten a comparison into a report section ({ title, headers, rows }) for excelGenerator
+   */
+  toSection(comparison) {
+    const label = window => (window.from === window.to ? window.from : `${window.from} - ${window.to}`);
+    return {
+      title: comparison.modeLabel,
+      headers: [
+        comparison.groupLabel, 'Topic', 'Question',
+        `Current (${label(comparison.current)})`, `Previous (${label(comparison.previous)})`,
+        'Variance', 'Variance (%)', 'Direction', 'Large Swing'
+      ],
+      rows: comparison.rows.map(row => [
+        row.groupName, row.topicName, row.question, row.current, row.previous,
+        row.absoluteVariance, row.percentVariance, row.direction, row.isSwing ? 'YES' : ''
+      ])
+    };
+  }
+
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = Number(String(value).trim());
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new PeriodComparison();
@@ -0,0 +1,287 @@
+const monthYearUtil = require('./monthYearUtil');
+const { ValidationException } = require('../exceptions');
+
+// Dimension -> { label, key/label of a performance_statistic row loaded with
+// the report includes (battalion.range, question.topic.module, question.subTopic) }
+const DIMENSIONS = {
+  BATTALION: {
+    label: 'Battalion',
+    key: r => r.battalionId,
+    name: r => r.battalion?.battalionName
+  },
+  RANGE: {
+    label: 'Range',
+    key: r => r.battalion?.rangeId,
+    name: r => r.battalion?.range?.rangeName
+  },
+  MODULE: {
+    label: 'Module',
+    key: r => r.question?.topic?.moduleId,
+    name: r => r.question?.topic?.module?.moduleName
+  },
+  TOPIC: {
+    label: 'Topic',
+    key: r => r.question?.topicId,
+    name: r => r.question?.topic?.topicName
+  },
+  SUB_TOPIC: {
+    label: 'Sub-Topic',
+    key: r => r.question?.subTopicId,
+    name: r => r.question?.subTopic?.subTopicName
+  },
+  QUESTION: {
+    label: 'Question',
+    key: r => r.questionId,
+    name: r => r.question?.question
+  },
+  MONTH: {
+    label: 'Month',
+    key: r => r.periodKey,
+    name: r => (r.periodKey ? monthYearUtil.fromPeriodKey(r.periodKey) : r.monthYear)
+  }
+};
+
+const MEASURES = ['SUM', 'LATEST', 'AVERAGE', 'CUMULATIVE_FY'];
+
+/**
+ * Cross-tab of performance statistics: one dimension as rows, another as
+ * columns and a measure of the answer values in each cell.
+ *
+ * Measures (non-numeric answers are ignored):
+ *   SUM           -> total of the values
+ *   AVERAGE       -> mean of the values
+ *   LATEST        -> per battalion and question the value of the most recent
+ *                    month, summed over the cell
+ *   CUMULATIVE_FY -> financial-year-to-date total (April up to the month of
+ *                    the cell, or up to the end of the shown period when
+ *                    MONTH is not a dimension)
+ * Row, column and grand totals apply the measure to all values of the row,
+ * column or table rather than adding up the cells, so averages and latest /
+ * year-to-date figures stay meaningful.
+ */
+class PivotEngine {
+  get dimensions() {
+    return Object.keys(DIMENSIONS);
+  }
+
+  get measures() {
+    return MEASURES;
+  }
+
+  /**
+   * Validate and normalize the pivot part of a report request
+   * @param {Object} pivot - { rows, columns, measure }
+   * @returns {Object} { rows, columns, measure }
+   * @throws {ValidationException}
+   */
+  normalizeConfig(pivot) {
+    const config = {
+      rows: String(pivot?.rows || '').toUpperCase(),
+      columns: String(pivot?.columns || '').toUpperCase(),
+      measure: String(pivot?.measure || 'SUM').toUpperCase()
+    };
+
+    const errors = [];
+    const reject = (field, message) => errors.push({ field, message });
+    if (!DIMENSIONS[config.rows]) reject('pivot.rows', `Row dimension must be one of: ${this.dimensions.join(', ')}`);
+    if (!DIMENSIONS[config.columns]) reject('pivot.columns', `Column dimension must be one of: ${this.dimensions.join(', ')}`);
+    if (config.rows && config.rows === config.columns) reject('pivot.columns', 'Row and column dimensions must differ');
+    if (!MEASURES.includes(config.measure)) reject('pivot.measure', `Measure must be one of: ${MEASURES.join(', ')}`);
+
+    if (errors.length) {
+      throw new ValidationException(errors[0].message, errors, errors[0].field);
+    }
+    return config;
+  }
+
+  /**
+   * First period key of the financial year of a period key
+   * @param {number} key - YYYYMM
+   * @returns {number} YYYY04
+   */
+  financialYearStart(key) {
+    const year = Math.floor(key / 100);
+    return monthYearUtil.periodKey(key % 100 >= 4 ? year : year - 1, 4);
+  }
+
+  /**
+   * Build the cross-tab
+   * @param {Array} records - Statistics rows (see DIMENSIONS for the includes used)
+   * @param {Object} config - Output of normalizeConfig
+   * @param {Object} period - { from, to } period keys shown; records before
+   *   `from` only feed CUMULATIVE_FY (null: no bound)
+   * @returns {Object} { rowDimension, columnDimension, measure, columns, rows, columnTotals, grandTotal }
+   */
+  build(records, config, period = null) {
+    const rowDimension = DIMENSIONS[config.rows];
+    const columnDimension = DIMENSIONS[config.columns];
+    const cumulative = config.measure === 'CUMULATIVE_FY';
+    const monthAxis = config.rows === 'MONTH' ? 'row' : config.columns === 'MONTH' ? 'column' : null;
+    const inPeriod = key => !period || (key >= period.from && key <= period.to);
+    // Year-to-date figures also count the months of the financial year before
+    // the shown period, so groups answering only then still get a header
+    const lookBackFrom = cumulative && period ? this.financialYearStart(monthAxis ? period.from : period.to) : null;
+    const feedsPeriod = key => (lookBackFrom === null ? inPeriod(key) : key >= lookBackFrom && key <= period.to);
+
+    // Only rows with a numeric value and a known reporting month take part
+    const entries = [];
+    records.forEach(record => {
+      const value = this.toNumber(record.value);
+      if (value === null || !record.periodKey) return;
+      entries.push({
+        record,
+        value,
+        periodKey: record.periodKey,
+        series: `${record.battalionId}:${record.questionId}`,
+        rowKey: this.keyOf(rowDimension, record),
+        columnKey: this.keyOf(columnDimension, record)
+      });
+    });
+
+    // Months shown are those of the period; earlier months are look-back
+    const rowHeaders = new Map();
+    const columnHeaders = new Map();
+    entries.filter(e => feedsPeriod(e.periodKey)).forEach(e => {
+      const shown = inPeriod(e.periodKey);
+      if (!rowHeaders.has(e.rowKey) && (shown || monthAxis !== 'row')) {
+        rowHeaders.set(e.rowKey, this.nameOf(rowDimension, e.record));
+      }
+      if (!columnHeaders.has(e.columnKey) && (shown || monthAxis !== 'column')) {
+        columnHeaders.set(e.columnKey, this.nameOf(columnDimension, e.record));
+      }
+    });
+
+    const rowKeys = this.sortKeys(rowHeaders, config.rows);
+    const columnKeys = this.sortKeys(columnHeaders, config.columns);
+
+    // Entries matching a header. On the month axis of a year-to-date pivot a
+    // month also takes the earlier months of its financial year.
+    const matches = (entry, axis, key) => {
+      if (key === undefined) return true;
+      const entryKey = axis === 'row' ? entry.rowKey : entry.columnKey;
+      if (cumulative && monthAxis === axis) {
+        return entry.periodKey <= key && entry.periodKey >= this.financialYearStart(key);
+      }
+      return entryKey === key;
+    };
+
+    // Bucket by row first so a cell only scans the entries of its row
+    const byRow = new Map(rowKeys.map(key => [key, entries.filter(e => matches(e, 'row', key))]));
+    const measure = (group, axisMonth) => this.measure(group, config.measure, axisMonth, period);
+
+    const rows = rowKeys.map(rowKey => {
+      const rowEntries = byRow.get(rowKey);
+      return {
+        key: rowKey,
+        label: rowHeaders.get(rowKey),
+        cells: columnKeys.map(columnKey => measure(
+          rowEntries.filter(e => matches(e, 'column', columnKey)),
+          monthAxis === 'row' ? rowKey : monthAxis === 'column' ? columnKey : null
+        )),
+        total: measure(rowEntries, monthAxis === 'row' ? rowKey : null)
+      };
+    });
+
+    const columnTotals = columnKeys.map(columnKey => measure(
+      entries.filter(e => matches(e, 'column', columnKey)),
+      monthAxis === 'column' ? columnKey : null
+    ));
+
+    return {
+      rowDimension: config.rows,
+      columnDimension: config.columns,
+      rowDimensionLabel: rowDimension.label,
+      columnDimensionLabel: columnDimension.label,
+      measure: config.measure,
+      columns: columnKeys.map(key => ({ key, label: columnHeaders.get(key) })),
+      rows,
+      columnTotals,
+      grandTotal: measure(entries, null)
+    };
+  }
+
+  /**
+   * Apply a measure to the entries of a cell or total
+   * @param {Array} group - Entries
+   * @param {string} measure - Measure name
+   * @param {number|null} month - Month the group is fixed to, if any
+   * @param {Object} period - { from, to } shown period keys (null: no bound)
+   * @returns {number|null} Value, null for an empty group
+   */
+  measure(group, measure, month, period = null) {
+    if (measure === 'CUMULATIVE_FY') {
+      // Year-to-date up to the fixed month, the end of the period or the latest month
+      if (!group.length) return null;
+      const upTo = month || (period ? period.to : Math.max(...group.map(e => e.periodKey)));
+      const from = this.financialYearStart(upTo);
+      const values = group.filter(e => e.periodKey >= from && e.periodKey <= upTo);
+      return values.length ? this.round(values.reduce((sum, e) => sum + e.value, 0)) : null;
+    }
+
+    const values = group.filter(e => !period || (e.periodKey >= period.from && e.periodKey <= period.to));
+    if (!values.length) return null;
+
+    switch (measure) {
+      case 'AVERAGE':
+        return this.round(values.reduce((sum, e) => sum + e.value, 0) / values.length);
+      case 'LATEST': {
+        const latest = new Map();
+        values.forEach(e => {
+          const current = latest.get(e.series);
+          if (!current || e.periodKey > current.periodKey) latest.set(e.series, e);
+        });
+        return this.round([...latest.values()].reduce((sum, e) => sum + e.value, 0));
+      }
+      default:
+        return this.round(values.reduce((sum, e) => sum + e.value, 0));
+    }
+  }
+
+  /**
+   * Flatten a pivot into a report section ({ title, headers, rows }) for
+   * excelGenerator, with a totals column and row
+   */
+  toSection(pivot, title = 'Pivot') {
+    return {
+      title,
+      headers: [
+        `${pivot.rowDimensionLabel} / ${pivot.columnDimensionLabel}`,
+        ...pivot.columns.map(column => column.label),
+        'Total'
+      ],
+      rows: [
+        ...pivot.rows.map(row => [row.label, ...row.cells, row.total]),
+        ['Total', ...pivot.columnTotals, pivot.grandTotal]
+      ]
+    };
+  }
+
+  keyOf(dimension, record) {
+    const key = dimension.key(record);
+    return key === undefined || key === null ? null : key;
+  }
+
+  nameOf(dimension, record) {
+    const key = dimension.key(record);
+    if (key === undefined || key === null) return `(No ${dimension.label.toLowerCase()})`;
+    return dimension.name(record) || `${dimension.label} ${key}`;
+  }
+
+  sortKeys(headers, dimension) {
+    const keys = [...headers.keys()];
+    if (dimension === 'MONTH') return keys.sort((a, b) => a - b);
+    return keys.sort((a, b) => String(headers.get(a)).localeCompare(String(headers.get(b))));
+  }
+
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const parsed = Number(String(value).trim());
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = new PivotEngine();
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const REPORT_CACHE_ENABLED = process.env.REPORT_CACHE_ENABLED !== 'false';
+const REPORT_CACHE_TTL_SECONDS = parseInt(process.env.REPORT_CACHE_TTL_SECONDS) || 300;
+const REPORT_CACHE_MAX_ENTRIES = parseInt(process.env.REPORT_CACHE_MAX_ENTRIES) || 500;
+// Larger results (e.g. reports with thousands of rows) are not cached
+const REPORT_CACHE_MAX_VALUE_BYTES = parseInt(process.env.REPORT_CACHE_MAX_VALUE_BYTES) || 1024 * 1024;
+
+// Store keys of the change stamps (time of the last statistics save)
+const STAMP_PREFIX = 'report-cache:changed:';
+
+/**
+ * Default in-process store. Any object with the same async
+ * get / set / delete / clear methods can replace it (see setStore).
+ * Change stamps are kept apart from the entries and never evicted: a
+ * stamp dropped early would make the entries it invalidated fresh again.
+ * There are only a few of them (one per saved month).
+ */
+class MemoryStore {
+  constructor(maxEntries = REPORT_CACHE_MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.stamps = new Map();
+  }
+
+  mapOf(key) {
+    return key.startsWith(STAMP_PREFIX) ? this.stamps : this.entries;
+  }
+
+  async get(key) {
+    const map = this.mapOf(key);
+    const entry = map.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      map.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const map = this.mapOf(key);
+    // Re-inserting moves the key to the end, so the first key is the oldest
+    map.delete(key);
+    map.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.mapOf(key).delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.stamps.clear();
+  }
+}
+// Entries spanning more months than this are dropped on any save instead of
+// checking a stamp per month
+const MAX_TRACKED_MONTHS = 36;
+
+/**
+ * Cache of generated reports and dashboard aggregates.
+ *
+ * Keys hash the normalized request together with the caller's jurisdiction,
+ * so users with the same scope share entries. Each entry records the
+ * reporting months (period keys) it was computed from and when its
+ * computation started. Saving statistics writes change stamps into the store
+ * (one per saved month plus one for any save), and a read treats an entry as
+ * a miss once a stamp it depends on is newer: entries covering the month,
+ * and entries without a period (dashboards, open-ended reports) after every
+ * save. Because the stamps live in the store, a shared store invalidates
+ * across processes. Values are stored as JSON, so callers never share
+ * mutable results.
+ */
+class ReportCache {
+  constructor() {
+    this.enabled = REPORT_CACHE_ENABLED;
+    this.ttlSeconds = REPORT_CACHE_TTL_SECONDS;
+    this.maxValueBytes = REPORT_CACHE_MAX_VALUE_BYTES;
+    this.store = new MemoryStore();
+  }
+
+  /**
+   * Replace the store (e.g. a shared one). It must not evict the change
+   * stamps (keys starting with report-cache:changed:) before they expire.
+   * @param {Object} store - { get(key), set(key, value, ttlSeconds), delete(key), clear() }
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Cache key of a request
+   * @param {string} namespace - Kind of result, e.g. "report" or "dashboard:getOverview"
+   * @param {Object} parts - Request, scope, ... (normalized before hashing)
+   * @returns {string} Key
+   */
+  buildKey(namespace, parts) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(this.normalize(parts))).digest('hex');
+    return `${namespace}:${hash}`;
+  }
+
+  /**
+   * Sort object keys and drop empty values so equivalent requests hash alike
+   */
+  normalize(value) {
+    if (Array.isArray(value)) return value.map(item => this.normalize(item));
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.keys(value).sort().reduce((normalized, key) => {
+        const item = value[key];
+        if (item !== undefined && item !== null && item !== '') normalized[key] = this.normalize(item);
+        return normalized;
+      }, {});
+    }
+    return value;
+  }
+
+  /**
+   * @returns {*} Cached value or null on a miss (errors count as a miss)
+   */
+  async get(key) {
+    if (!this.enabled) return null;
+    try {
+      const cached = await this.store.get(key);
+      if (cached === null || cached === undefined) return null;
+
+      const entry = JSON.parse(cached);
+      return await this.isStale(entry) ? null : entry.value;
+    } catch (error) {
+      logger.warn(`Report cache read failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Whether statistics the entry depends on were saved after its
+   * computation started
+   * @param {Object} entry - { period, computedAt }
+   */
+  async isStale(entry) {
+    const changedAt = await this.getStamp('any');
+    if (changedAt === null || changedAt < entry.computedAt) return false;
+
+    const months = this.periodMonths(entry.period);
+    if (!months) return true;
+
+    const allChangedAt = await this.getStamp('all');
+    if (allChangedAt !== null && allChangedAt >= entry.computedAt) return true;
+
+    for (const month of months) {
+      const monthChangedAt = await this.getStamp(month);
+      if (monthChangedAt !== null && monthChangedAt >= entry.computedAt) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Period keys of a { from, to } period, null when it is open or too wide
+   * to check month by month
+   */
+  periodMonths(period) {
+    if (!period || !period.from || !period.to || period.to >= 999999) return null;
+
+    const months = [];
+    let year = Math.floor(period.from / 100);
+    let month = period.from % 100;
+    while (year * 100 + month <= period.to) {
+      if (months.length === MAX_TRACKED_MONTHS) return null;
+      months.push(year * 100 + month);
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
+      }
+    }
+    return months;
+  }
+
+  async getStamp(name) {
+    const stamp = await this.store.get(`${STAMP_PREFIX}${name}`);
+    return stamp === null || stamp === undefined ? null : Number(stamp);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {*} value - JSON-serializable value
+   * @param {Object|null} period - { from, to } period keys the value depends on, null for any
+   * @param {number} computedAt - When computing the value started (ms); saves from then on make it stale
+   * @returns {boolean} Whether the value was stored; values over the size limit are not
+   */
+  async set(key, value, period = null, computedAt = Date.now()) {
+    if (!this.enabled) return false;
+    try {
+      const serialized = JSON.stringify({ value, period, computedAt });
+      if (Buffer.byteLength(serialized) > this.maxValueBytes) {
+        logger.debug(`Report cache skipped ${key}: ${Buffer.byteLength(serialized)} bytes`);
+        return false;
+      }
+      await this.store.set(key, serialized, this.ttlSeconds);
+      return true;
+    } catch (error) {
+      logger.warn(`Report cache write failed for ${key}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Return the cached value or compute and store it
+   * @param {string} key - Key
+   * @param {Function} compute - Async function producing the value
+   * @param {Object|null} period - See set
+   * @returns {Object} { value, cacheMetrics }
+   */
+  async wrap(key, compute, period = null) {
+    const cached = await this.get(key);
+    if (cached !== null) {
+      return { value: cached, cacheMetrics: this.metrics(true, false) };
+    }
+
+    const computedAt = Date.now();
+    const value = await compute();
+    const stored = await this.set(key, value, period, computedAt);
+    return { value, cacheMetrics: this.metrics(false, stored) };
+  }
+
+  /**
+   * cacheMetrics block of a report's performance section
+   */
+  metrics(hit, stored) {
+    return {
+      cacheChecked: this.enabled,
+      cacheHit: hit,
+      cacheStored: stored
+    };
+  }
+
+  /**
+   * Mark the given reporting months as changed. Stamps outlive every entry
+   * computed before them, as they share the entry TTL and are written later.
+   * @param {Array|null} periodKeys - YYYYMM keys that changed, null when unknown (drops everything)
+   */
+  async invalidatePeriods(periodKeys) {
+    const keys = periodKeys ? [...new Set(periodKeys.filter(Boolean))] : null;
+    const now = String(Date.now());
+
+    try {
+      const stamps = keys ? keys : ['all'];
+      await Promise.all(stamps.map(name => this.store.set(`${STAMP_PREFIX}${name}`, now, this.ttlSeconds)));
+      // Written last: readers only look at month stamps once this one moved
+      await this.store.set(`${STAMP_PREFIX}any`, now, this.ttlSeconds);
+    } catch (error) {
+      logger.warn(`Report cache invalidation failed: ${error.message}`);
+    }
+  }
+
+  async clear() {
+    await this.invalidatePeriods(null);
+  }
+}
+
+const reportCache = new ReportCache();
+reportCache.MemoryStore = MemoryStore;
+
+module.exports = reportCache;
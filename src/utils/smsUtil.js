@@ -91,15 +91,16 @@ class SmsUtil {
    * @param {string} mobileNo - Mobile number
    * @param {string} otp - OTP code
    * @param {string} appName - Application name
+   * @param {number} validityMinutes - Validity stated in the message
    */
-  async sendOTPSMS(mobileNo, otp, appName = 'Performance Statistics') {
-    const message = `Your OTP for ${appName} is: ${otp}. Valid for 10 minutes. Do not share with anyone.`;
+  async sendOTPSMS(mobileNo, otp, appName = 'Performance Statistics', validityMinutes = 10) {
+    const message = `Your OTP for ${appName} is: ${otp}. Valid for ${validityMinutes} minutes. Do not share with anyone.`;
     const templateName = 'OTP_TEMPLATE';
     
     const dataSMS = {
       VAR1: otp,
       VAR2: appName,
-      VAR3: '10'
+      VAR3: String(validityMinutes)
     };
 
     // Try 2Factor first, fallback to MessageIndia
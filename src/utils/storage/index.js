@@ -0,0 +1,52 @@
+const path = require('path');
+const LocalStorageAdapter = require('./localStorageAdapter');
+const S3StorageAdapter = require('./s3StorageAdapter');
+
+/**
+ * Storage adapters by driver name. Every adapter implements
+ *   put(key, buffer, { contentType, checksum }) -> { key, size }
+ *   getStream(key)  -> readable stream (NotFoundException when missing)
+ *   exists(key)     -> boolean
+ *   delete(key)     -> (missing keys are ignored)
+ * New files go to FILE_STORAGE_DRIVER; existing files are read back with the
+ * driver recorded on them.
+ */
+const factories = {
+  local: () => new LocalStorageAdapter({
+    root: process.env.FILE_STORAGE_PATH || path.join(process.env.UPLOAD_PATH || 'uploads/', 'files')
+  }),
+  s3: () => new S3StorageAdapter({
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+    prefix: process.env.S3_PREFIX || ''
+  })
+};
+
+const adapters = {};
+
+/**
+ * @param {string} driver - Driver name, FILE_STORAGE_DRIVER when omitted
+ * @returns {Object} Storage adapter
+ */
+function getAdapter(driver = getDefaultDriver()) {
+  if (!factories[driver]) {
+    throw new Error(`Unknown file storage driver '${driver}'`);
+  }
+  if (!adapters[driver]) {
+    adapters[driver] = factories[driver]();
+  }
+  return adapters[driver];
+}
+
+function getDefaultDriver() {
+  return process.env.FILE_STORAGE_DRIVER || 'local';
+}
+
+module.exports = {
+  getAdapter,
+  getDefaultDriver
+};
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const path = require('path');
+const { NotFoundException } = require('../../exceptions');
+
+/**
+ * Storage adapter keeping files on the local disk under a root directory.
+ * Keys are relative, slash-separated paths; keys escaping the root are refused.
+ */
+class LocalStorageAdapter {
+  /**
+   * @param {Object} options - { root }
+   */
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const target = path.resolve(this.root, key);
+    if (!target.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return target;
+  }
+
+  /**
+   * Write a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - Contents
+   * @returns {Object} { key, size }
+   */
+  async put(key, buffer) {
+    const target = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, buffer, { flag: 'wx' });
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * Open a file for reading
+   * @returns {ReadableStream}
+   * @throws {NotFoundException}
+   */
+  async getStream(key) {
+    const target = this.resolve(key);
+    try {
+      await fs.promises.access(target);
+    } catch (error) {
+      throw new NotFoundException('Stored file', key);
+    }
+    return fs.createReadStream(target);
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Delete a file; deleting a missing file is not an error
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalStorageAdapter;
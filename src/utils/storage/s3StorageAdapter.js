@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { NotFoundException, ExternalServiceException } = require('../../exceptions');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Storage adapter for S3 and S3-compatible object stores (MinIO, Ceph, ...).
+ * Requests are signed with AWS Signature Version 4 using node's own http
+ * client, so no SDK is needed. With forcePathStyle the bucket is part of
+ * the path (http://host:9000/bucket/key), which local stand-ins expect;
+ * otherwise it is part of the host name.
+ */
+class S3StorageAdapter {
+  /**
+   * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, prefix }
+   */
+  constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true, prefix = '' }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs a bucket, access key ID and secret access key');
+    }
+
+    this.name = 's3';
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+    this.prefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+  }
+
+  /**
+   * Write an object
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - Contents
+   * @param {Object} options - { contentType, checksum } (checksum: hex SHA-256 of the contents)
+   * @returns {Object} { key, size }
+   */
+  async put(key, buffer, { contentType = 'application/octet-stream', checksum = null } = {}) {
+    const payloadHash = checksum || crypto.createHash('sha256').update(buffer).digest('hex');
+    const response = await this.send('PUT', key, {
+      body: buffer,
+      payloadHash,
+      headers: { 'content-type': contentType, 'content-length': String(buffer.length) }
+    });
+    await this.expectStatus(response, [200], key);
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * Open an object for reading
+   * @returns {ReadableStream} Response body
+   * @throws {NotFoundException}
+   */
+  async getStream(key) {
+    const response = await this.send('GET', key);
+    await this.expectStatus(response, [200], key);
+    return response;
+  }
+
+  async exists(key) {
+    const response = await this.send('HEAD', key);
+    response.resume();
+    if (response.statusCode === 404) return false;
+    await this.expectStatus(response, [200], key);
+    return true;
+  }
+
+  /**
+   * Delete an object; deleting a missing object is not an error
+   */
+  async delete(key) {
+    const response = await this.send('DELETE', key);
+    await this.expectStatus(response, [200, 204, 404], key);
+  }
+
+  /**
+   * Fail on unexpected statuses with the store's error text; drains the body
+   * of non-streamed responses
+   */
+  async expectStatus(response, expected, key) {
+    if (expected.includes(response.statusCode) && response.statusCode !== 200) {
+      response.resume();
+      return;
+    }
+    if (expected.includes(response.statusCode)) return;
+
+    const body = await this.readBody(response);
+    if (response.statusCode === 404) {
+      throw new NotFoundException('Stored file', key);
+    }
+    const code = /<Code>([^<]+)<\/Code>/.exec(body)?.[1] || `HTTP ${response.statusCode}`;
+    throw new ExternalServiceException(`Object storage request for '${key}' failed: ${code}`, 's3');
+  }
+
+  readBody(response) {
+    return new Promise((resolve) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      response.on('error', () => resolve(''));
+    });
+  }
+
+  /**
+   * Send a signed request
+   * @returns {http.IncomingMessage} Response (body not yet read)
+   */
+  send(method, key, { body = null, payloadHash = EMPTY_PAYLOAD_HASH, headers = {} } = {}) {
+    const objectKey = `${this.prefix}${key}`;
+    const host = this.forcePathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+    const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+    const pathname = this.forcePathStyle
+      ? `${basePath}/${this.bucket}/${this.encodeKey(objectKey)}`
+      : `${basePath}/${this.encodeKey(objectKey)}`;
+
+    const signedHeaders = this.sign(method, host, pathname, payloadHash, headers);
+    const client = this.endpoint.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const request = client.request({
+        method,
+        protocol: this.endpoint.protocol,
+        hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+        port: this.endpoint.port || undefined,
+        path: pathname,
+        headers: signedHeaders
+      }, resolve);
+
+      request.on('error', error => reject(new ExternalServiceException(`Object storage is unreachable: ${error.message}`, 's3', method)));
+      if (body) request.write(body);
+      request.end();
+    });
+  }
+
+  /**
+   * AWS Signature Version 4 headers of a request without a query string
+   * @returns {Object} Headers including authorization
+   */
+  sign(method, host, pathname, payloadHash, headers, now = new Date()) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.substring(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+
+    const allHeaders = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+      host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(allHeaders).sort();
+    const canonicalRequest = [
+      method,
+      pathname,
+      '',
+      ...names.map(name => `${name}:${allHeaders[name]}`),
+      '',
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const stringToSign = [
+      'AWS4-HMAC-SHA256',
+      amzDate,
+      scope,
+      crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+    ].join('\n');
+
+    const hmac = (secret, value) => crypto.createHmac('sha256', secret).update(value).digest();
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...allHeaders,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * URI-encode each path segment of a key as S3 expects (RFC 3986)
+   */
+  encodeKey(key) {
+    return key.split('/')
+      .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+      .join('/');
+  }
+}
+
+module.exports = S3StorageAdapter;
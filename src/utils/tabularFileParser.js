@@ -0,0 +1,122 @@
+const ExcelJS = require('exceljs');
+const csv = require('csv-parser');
+const path = require('path');
+const { Readable } = require('stream');
+const { ValidationException } = require('../exceptions');
+
+/**
+ * Reads an uploaded CSV or XLSX file into rows keyed by header. The first
+ * row (CSV) or first worksheet row (XLSX) holds the headers. Every value is
+ * returned as a trimmed string, so callers validate one representation
+ * whichever format was uploaded; blank rows are skipped.
+ */
+class TabularFileParser {
+  /**
+   * @param {Buffer} buffer - File contents
+   * @param {string} fileName - Original name, used to pick the format
+   * @returns {Object} { headers, rows: [{ rowNumber, values }] }
+   * @throws {ValidationException} Unsupported or unreadable file
+   */
+  async parse(buffer, fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    if (extension === '.csv') return this.parseCsv(buffer);
+    if (extension === '.xlsx') return this.parseXlsx(buffer);
+    throw new ValidationException('Only .csv and .xlsx files can be imported', [], 'file');
+  }
+
+  async parseCsv(buffer) {
+    const headers = [];
+    const rows = [];
+
+    // Row numbers are file lines, so errors point past blank lines and
+    // quoted line breaks to the line the record starts on
+    let line = 1;
+    let scanned = 0;
+    const lineAt = (byteOffset) => {
+      for (; scanned < byteOffset; scanned++) {
+        if (buffer[scanned] === 0x0a) line++;
+      }
+      return line;
+    };
+
+    await new Promise((resolve, reject) => {
+      Readable.from([buffer])
+        .pipe(csv({
+          mapHeaders: ({ header }) => header.replace(/^﻿/, '').trim(),
+          outputByteOffset: true
+        }))
+        .on('headers', (names) => headers.push(...names))
+        .on('data', ({ row: record, byteOffset }) => {
+          const rowNumber = lineAt(byteOffset);
+          const values = this.cleanValues(record);
+          if (values) rows.push({ rowNumber, values });
+        })
+        .on('end', resolve)
+        .on('error', (error) => reject(new ValidationException(`The CSV file could not be read: ${error.message}`, [], 'file')));
+    });
+
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  async parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new ValidationException('The file is not a readable XLSX workbook', [], 'file');
+    }
+
+    const sheet = workbook.worksheets.find(worksheet => worksheet.state === 'visible') || workbook.worksheets[0];
+    if (!sheet) return { headers: [], rows: [] };
+
+    const headers = [];
+    sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+      headers[col - 1] = this.toText(cell.value);
+    });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const record = {};
+      headers.forEach((header, index) => {
+        if (header) record[header] = this.toText(row.getCell(index + 1).value);
+      });
+      const values = this.cleanValues(record);
+      if (values) rows.push({ rowNumber, values });
+    });
+
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  /**
+   * Trim values; null for a row with no values at all
+   */
+  cleanValues(record) {
+    const values = {};
+    let hasValue = false;
+    Object.entries(record).forEach(([header, value]) => {
+      const text = value === null || value === undefined ? '' : String(value).trim();
+      values[header] = text;
+      if (text !== '') hasValue = true;
+    });
+    return hasValue ? values : null;
+  }
+
+  /**
+   * Text of an XLSX cell value (formula results, rich text and hyperlinks
+   * unwrapped, dates as YYYY-MM-DD)
+   */
+  toText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().substring(0, 10);
+    if (typeof value === 'object') {
+      if (value.richText) return value.richText.map(part => part.text).join('').trim();
+      if (value.text !== undefined) return this.toText(value.text);
+      if (value.result !== undefined) return this.toText(value.result);
+      return '';
+    }
+    return String(value).trim();
+  }
+}
+
+module.exports = new TabularFileParser();
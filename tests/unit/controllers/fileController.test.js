@@ -0,0 +1,93 @@
+jest.mock('../../../src/models', () => ({
+  User: { findByPk: jest.fn() },
+  Role: {},
+  Permission: {},
+  RolePermission: {}
+}));
+jest.mock('../../../src/services/fileService', () => ({ cleanup: jest.fn(), open: jest.fn() }));
+jest.mock('../../../src/services/reportJobService', () => ({ cleanupArtifacts: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const path = require('path');
+const os = require('os');
+const { Readable } = require('stream');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User } = require('../../../src/models');
+const fileService = require('../../../src/services/fileService');
+const reportJobService = require('../../../src/services/reportJobService');
+const { ErrorHandler } = require('../../../src/middleware/errorHandler');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.UPLOAD_PATH = path.join(os.tmpdir(), 'file-controller-test-missing');
+
+const fileController = require('../../../src/controllers/fileController');
+
+const app = express();
+app.use(express.json());
+app.use('/api/files', fileController);
+app.use(ErrorHandler.handle);
+
+const users = {
+  1: { id: 1, active: true, role: { roleName: 'SUPER_ADMIN' } },
+  2: { id: 2, active: true, role: { roleName: 'ADMIN' } },
+  3: { id: 3, active: true, role: { roleName: 'USER' } }
+};
+const tokenFor = id => `Bearer ${jwt.sign({ id }, process.env.JWT_SECRET)}`;
+
+describe('fileController', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    User.findByPk.mockImplementation(async id => users[id] || null);
+    fileService.cleanup.mockResolvedValue({ deletedFiles: 2, freedSpace: 300 });
+    reportJobService.cleanupArtifacts.mockResolvedValue({ deletedFiles: 1, freedSpace: 700 });
+  });
+
+  describe('POST /api/files/cleanup', () => {
+    it.each([1, 2])('runs the cleanup for administrators (user %i)', async (id) => {
+      const response = await request(app)
+        .post('/api/files/cleanup')
+        .set('Authorization', tokenFor(id))
+        .send({ olderThanDays: 10 })
+        .expect(200);
+
+      expect(fileService.cleanup).toHaveBeenCalledTimes(1);
+      expect(reportJobService.cleanupArtifacts).toHaveBeenCalledTimes(1);
+      const cutoffDate = fileService.cleanup.mock.calls[0][0];
+      expect(Date.now() - cutoffDate.getTime()).toBeGreaterThanOrEqual(10 * 24 * 60 * 60 * 1000);
+      expect(response.body.data).toMatchObject({ deletedFiles: 3, freedSpace: 1000, storedFiles: 2, reportJobFiles: 1 });
+    });
+
+    it('refuses other roles', async () => {
+      await request(app).post('/api/files/cleanup').set('Authorization', tokenFor(3)).expect(403);
+      expect(fileService.cleanup).not.toHaveBeenCalled();
+    });
+
+    it('needs a token', async () => {
+      await request(app).post('/api/files/cleanup').expect(401);
+    });
+  });
+
+  describe('GET /api/files/:id/download', () => {
+    it('sends non-Latin names as an ASCII fallback and an encoded filename*', async () => {
+      const contents = Buffer.from('%PDF-1.4');
+      fileService.open.mockResolvedValue({
+        file: { id: 9, mimeType: 'application/pdf', size: contents.length, originalName: 'प्राथमिकी "12".pdf' },
+        stream: Readable.from([contents])
+      });
+
+      const response = await request(app)
+        .get('/api/files/9/download')
+        .set('Authorization', tokenFor(3))
+        .expect(200);
+
+      expect(fileService.open).toHaveBeenCalledWith('9', users[3]);
+      expect(response.headers['content-disposition']).toBe(
+        'inline; filename="????????? \\"12\\".pdf"; ' +
+        "filename*=UTF-8''%E0%A4%AA%E0%A5%8D%E0%A4%B0%E0%A4%BE%E0%A4%A5%E0%A4%AE%E0%A4%BF%E0%A4%95%E0%A5%80%20%2212%22.pdf"
+      );
+      expect(response.body).toEqual(contents);
+    });
+  });
+});
@@ -0,0 +1,343 @@
+jest.mock('../../../src/models', () => ({
+  CIDCrimeData: { findAll: jest.fn(), findByPk: jest.fn() },
+  CIDCrimePerson: { findAll: jest.fn() },
+  CIDDuplicateCandidate: { findOne: jest.fn(), findAll: jest.fn(), findByPk: jest.fn(), create: jest.fn(), destroy: jest.fn() },
+  CIDCaseMerge: { create: jest.fn() },
+  CIDDistrict: {},
+  CIDPoliceStation: {},
+  StoredFile: { findAll: jest.fn(), update: jest.fn() },
+  User: {},
+  Range: {},
+  Battalion: {}
+}));
+jest.mock('../../../src/config/database', () => ({ transaction: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { Op } = require('sequelize');
+const sequelize = require('../../../src/config/database');
+const {
+  CIDCrimeData,
+  CIDCrimePerson,
+  CIDDuplicateCandidate,
+  CIDCaseMerge,
+  StoredFile
+} = require('../../../src/models');
+const cidDuplicateService = require('../../../src/services/cidDuplicateService');
+const { AuthorizationException } = require('../../../src/exceptions');
+
+// Model instance stand-in
+const record = (values) => ({
+  ...values,
+  update: jest.fn(async function (changes) { Object.assign(this, changes); return this; }),
+  toJSON() {
+    const { update, toJSON, ...data } = this;
+    return data;
+  }
+});
+
+const battalionUser = { id: 7, battalionId: 3, role: { roleName: 'USER' } };
+
+describe('cidDuplicateService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CIDCrimeData.findAll.mockResolvedValue([]);
+    CIDDuplicateCandidate.findOne.mockResolvedValue(null);
+    CIDDuplicateCandidate.findAll.mockResolvedValue([]);
+    CIDDuplicateCandidate.destroy.mockResolvedValue(0);
+  });
+
+  describe('normalizeFir', () => {
+    it.each([
+      ['012/2024', '12/2024'],
+      ['12/24', '12/2024'],
+      ['FIR No. 12-2024', '12/2024'],
+      ['0/2024', '0/2024'],
+      ['145', '145'],
+      ['Zero FIR', 'zerofir'],
+      ['', ''],
+      [null, '']
+    ])('normalizes %j to %j', (value, expected) => {
+      expect(cidDuplicateService.normalizeFir(value)).toBe(expected);
+    });
+
+    it('keeps the serial and year apart', () => {
+      expect(cidDuplicateService.normalizeFir('12/2024')).not.toBe(cidDuplicateService.normalizeFir('120/24'));
+    });
+  });
+
+  describe('similarity', () => {
+    it('is 1 for equal text and 0 when either side is empty', () => {
+      expect(cidDuplicateService.similarity('ram nagar', 'ram nagar')).toBe(1);
+      expect(cidDuplicateService.similarity('', 'ram nagar')).toBe(0);
+    });
+
+    it('ignores word order', () => {
+      expect(cidDuplicateService.similarity('ram nagar chowk', 'chowk ram nagar')).toBe(1);
+    });
+
+    it('tolerates a spelling difference', () => {
+      // " n","na","ag","ga","ar","r " against " n","na","ag","gg","ga","ar","r "
+      expect(cidDuplicateService.similarity('nagar', 'naggar')).toBeCloseTo(12 / 13, 10);
+      expect(cidDuplicateService.similarity('nagar', 'bazaar')).toBeLessThan(0.5);
+    });
+
+    it('compares Devanagari text', () => {
+      expect(cidDuplicateService.similarity('राम नगर', 'नगर राम')).toBe(1);
+    });
+  });
+
+  describe('score', () => {
+    const base = {
+      firNumber: '012/2024',
+      crimeNumber: 'CR-55',
+      policeStationId: 4,
+      districtId: 2,
+      dateOfOccurrence: '2024-03-10',
+      placeOfOccurrence: 'Ram Nagar Chowk',
+      latitude: '23.2599000',
+      longitude: '77.4126000',
+      categoryId: 9
+    };
+
+    it('adds up every matching rule, capped at 100', () => {
+      const { score, reasons } = cidDuplicateService.score(base, { ...base, firNumber: '12/24', crimeNumber: 'cr 55' });
+
+      expect(reasons.map(reason => reason.rule)).toEqual([
+        'FIR_NUMBER', 'CRIME_NUMBER', 'POLICE_STATION', 'SAME_DATE', 'LOCATION', 'COORDINATES', 'CATEGORY'
+      ]);
+      expect(reasons[0].detail).toBe('012/2024 / 12/24');
+      expect(score).toBe(100);
+    });
+
+    it('falls back to the weaker rules', () => {
+      const other = {
+        firNumber: '0121/2024',
+        policeStationId: 5,
+        districtId: 2,
+        dateOfOccurrence: '2024-03-12',
+        placeOfOccurrence: 'Ram Nagar',
+        latitude: '23.3000000',
+        longitude: '77.4126000',
+        categoryId: 8
+      };
+      const { score, reasons } = cidDuplicateService.score(base, other);
+
+      expect(reasons).toEqual([
+        { rule: 'FIR_NUMBER_SIMILAR', points: 30, detail: '012/2024 / 0121/2024' },
+        { rule: 'DISTRICT', points: 5, detail: 'District 2' },
+        { rule: 'NEAR_DATE', points: 8, detail: '2 days apart' },
+        { rule: 'LOCATION_SIMILAR', points: 10, detail: 'Place of occurrence 77% similar' }
+      ]);
+      expect(score).toBe(53);
+    });
+
+    it('scores unrelated cases as zero', () => {
+      expect(cidDuplicateService.score(base, { firNumber: '7/2019', dateOfOccurrence: '2019-01-01' }))
+        .toEqual({ score: 0, reasons: [] });
+    });
+  });
+
+  describe('findMatches', () => {
+    it('looks up the normalized FIR number apart from the date window', async () => {
+      const same = { id: 20, firNumber: '12/24', policeStationId: 4, dateOfOccurrence: '2024-01-02' };
+      CIDCrimeData.findAll
+        .mockResolvedValueOnce([same])
+        .mockResolvedValueOnce([same, { id: 21, firNumber: '99/2024', dateOfOccurrence: '2024-03-10' }]);
+
+      const matches = await cidDuplicateService.findMatches({
+        id: 10, firNumber: '012/2024', policeStationId: 4, dateOfOccurrence: '2024-03-10'
+      });
+
+      const [firQuery, dateQuery] = CIDCrimeData.findAll.mock.calls.map(call => call[0]);
+      expect(firQuery.where).toEqual({ active: true, id: { [Op.ne]: 10 }, firNumberNormalized: '12/2024' });
+      expect(firQuery.where).not.toHaveProperty('firNumber');
+      expect(dateQuery.where.dateOfOccurrence[Op.between]).toEqual([new Date('2024-03-07'), new Date('2024-03-13')]);
+      expect(dateQuery.limit).toBe(500);
+
+      // FIR 012/2024 and 12/24 at the same station, two months apart
+      expect(matches).toHaveLength(1);
+      expect(matches[0]).toMatchObject({ other: same, score: 65 });
+    });
+
+    it('runs no query without a FIR number or date', async () => {
+      await expect(cidDuplicateService.findMatches({ id: 10 })).resolves.toEqual([]);
+      expect(CIDCrimeData.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('detect', () => {
+    const crimeData = { id: 30, firNumber: '012/2024', policeStationId: 4, dateOfOccurrence: '2024-03-10' };
+    const other = {
+      id: 12,
+      firNumber: '12/24',
+      crimeNumber: 'CR-9',
+      policeStationId: 4,
+      dateOfOccurrence: '2024-03-10',
+      placeOfOccurrence: 'Ram Nagar',
+      stateId: 1,
+      rangeId: 2,
+      battalionId: 5
+    };
+
+    beforeEach(() => {
+      CIDCrimeData.findAll.mockResolvedValue([other]);
+      CIDDuplicateCandidate.create.mockImplementation(async values => ({ id: 44, status: 'PENDING', ...values }));
+    });
+
+    it('queues the pair and describes the matched case', async () => {
+      const [result] = await cidDuplicateService.detect(crimeData, { detectedBy: 7, user: { ...battalionUser, battalionId: 5 } });
+
+      expect(CIDDuplicateCandidate.create).toHaveBeenCalledWith(
+        expect.objectContaining({ crimeDataId: 30, matchedCrimeDataId: 12, score: 80, detectedBy: 7 }),
+        { transaction: null }
+      );
+      expect(result.matchedCase).toMatchObject({ id: 12, firNumber: '12/24', placeOfOccurrence: 'Ram Nagar' });
+      expect(result.reasons[0]).toEqual({ rule: 'FIR_NUMBER', points: 45, detail: '012/2024 / 12/24' });
+    });
+
+    it('shows a case outside the jurisdiction only by its owning unit', async () => {
+      const [result] = await cidDuplicateService.detect(crimeData, { detectedBy: 7, user: battalionUser });
+
+      expect(result.candidateId).toBe(44);
+      expect(result.matchedCase).toEqual({ restricted: true, stateId: 1, rangeId: 2, battalionId: 5 });
+      expect(result.reasons).toEqual([
+        { rule: 'FIR_NUMBER', points: 45 },
+        { rule: 'POLICE_STATION', points: 20 },
+        { rule: 'SAME_DATE', points: 15 }
+      ]);
+    });
+
+    it('does not raise reviewed pairs again and drops pairs that no longer match', async () => {
+      CIDDuplicateCandidate.findOne.mockResolvedValue({ id: 40, status: 'DISMISSED' });
+
+      await expect(cidDuplicateService.detect(crimeData, { user: battalionUser })).resolves.toEqual([]);
+      expect(CIDDuplicateCandidate.destroy.mock.calls[0][0].where.id).toEqual({ [Op.notIn]: [0] });
+    });
+  });
+
+  describe('getCandidate', () => {
+    it('hides the case the user cannot see', async () => {
+      CIDDuplicateCandidate.findByPk.mockResolvedValue({
+        id: 44,
+        score: '80.00',
+        reasons: JSON.stringify([{ rule: 'FIR_NUMBER', points: 45, detail: '012/2024 / 12/24' }]),
+        status: 'PENDING',
+        crimeData: { id: 30, firNumber: '012/2024', battalionId: 3 },
+        matchedCrimeData: { id: 12, firNumber: '12/24', stateId: 1, rangeId: 2, battalionId: 5 }
+      });
+
+      const candidate = await cidDuplicateService.getCandidate(44, battalionUser);
+
+      expect(candidate.crimeData).toMatchObject({ id: 30, firNumber: '012/2024' });
+      expect(candidate.matchedCrimeData).toEqual({ restricted: true, stateId: 1, rangeId: 2, battalionId: 5 });
+      expect(candidate.reasons).toEqual([{ rule: 'FIR_NUMBER', points: 45 }]);
+    });
+
+    it('refuses pairs wholly outside the jurisdiction', async () => {
+      CIDDuplicateCandidate.findByPk.mockResolvedValue({
+        id: 44,
+        crimeData: { id: 30, battalionId: 6 },
+        matchedCrimeData: { id: 12, battalionId: 5 }
+      });
+
+      await expect(cidDuplicateService.getCandidate(44, battalionUser)).rejects.toThrow(AuthorizationException);
+    });
+  });
+
+  describe('mergedValues', () => {
+    it('fills empty fields and appends free text once', () => {
+      const target = {
+        firNumber: '12/2024',
+        crimeNumber: '',
+        section: '379 IPC',
+        latitude: null,
+        longitude: null,
+        remark: 'Seen near the bus stand',
+        otherEvidence: null,
+        lootedItems: 'Mobile phone'
+      };
+      const source = {
+        firNumber: '012/2024',
+        crimeNumber: 'CR-9',
+        section: '380 IPC',
+        latitude: '23.2599000',
+        longitude: '77.4126000',
+        remark: 'CCTV footage collected',
+        otherEvidence: 'Fingerprints',
+        lootedItems: 'Mobile phone'
+      };
+
+      expect(cidDuplicateService.mergedValues(target, source)).toEqual({
+        crimeNumber: 'CR-9',
+        latitude: '23.2599000',
+        longitude: '77.4126000',
+        remark: 'Seen near the bus stand\n[Merged from FIR 012/2024] CCTV footage collected',
+        otherEvidence: '[Merged from FIR 012/2024] Fingerprints'
+      });
+    });
+  });
+
+  describe('merge', () => {
+    const admin = { id: 1, role: { roleName: 'ADMIN' } };
+    let transaction;
+    let candidate;
+    let target;
+    let source;
+
+    beforeEach(() => {
+      transaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+      sequelize.transaction.mockResolvedValue(transaction);
+      candidate = record({ id: 44, status: 'PENDING', crimeDataId: 30, matchedCrimeDataId: 12 });
+      target = record({ id: 12, active: true, firNumber: '12/24', crimeNumber: null, remark: null });
+      source = record({ id: 30, active: true, firNumber: '012/2024', crimeNumber: 'CR-9', remark: 'CCTV' });
+
+      CIDDuplicateCandidate.findByPk.mockResolvedValue(candidate);
+      CIDCrimeData.findByPk.mockImplementation(async id => ({ 12: target, 30: source })[id]);
+      CIDCrimePerson.findAll.mockResolvedValue([
+        record({ id: 1, crimeDataId: 12, role: 'ACCUSED', name: 'Ramesh Kumar' }),
+        record({ id: 2, crimeDataId: 30, role: 'ACCUSED', name: 'ramesh  kumar' }),
+        record({ id: 3, crimeDataId: 30, role: 'VICTIM', name: 'Sita Devi' })
+      ]);
+      StoredFile.findAll.mockResolvedValue([{ id: 8 }]);
+      StoredFile.update.mockResolvedValue([1]);
+      CIDCaseMerge.create.mockResolvedValue({ id: 5 });
+    });
+
+    it('keeps a snapshot of the merged case and deactivates it', async () => {
+      const result = await cidDuplicateService.merge(44, { remarks: 'Same FIR' }, admin);
+
+      expect(result).toEqual({
+        keptCaseId: 12,
+        mergedCaseId: 30,
+        mergeId: 5,
+        changes: { movedPersonIds: [3], skippedPersonIds: [2], movedFileIds: [8], filledFields: ['crimeNumber', 'remark'] }
+      });
+
+      const { sourceSnapshot } = CIDCaseMerge.create.mock.calls[0][0];
+      expect(sourceSnapshot).toMatchObject({ id: 30, active: true, crimeNumber: 'CR-9', remark: 'CCTV' });
+      expect(sourceSnapshot.persons.map(person => person.id)).toEqual([2, 3]);
+
+      expect(target).toMatchObject({ crimeNumber: 'CR-9', remark: '[Merged from FIR 012/2024] CCTV', updatedBy: 1 });
+      expect(source).toMatchObject({ active: false, mergedIntoId: 12 });
+      expect(candidate.status).toBe('MERGED');
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(transaction.rollback).not.toHaveBeenCalled();
+    });
+
+    it('rolls back when a case is outside the jurisdiction', async () => {
+      await expect(cidDuplicateService.merge(44, {}, battalionUser)).rejects.toThrow(AuthorizationException);
+
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(transaction.commit).not.toHaveBeenCalled();
+      expect(CIDCaseMerge.create).not.toHaveBeenCalled();
+    });
+
+    it('rolls back when a later step fails', async () => {
+      CIDCaseMerge.create.mockRejectedValue(new Error('Deadlock found'));
+
+      await expect(cidDuplicateService.merge(44, {}, admin)).rejects.toThrow('Deadlock found');
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(transaction.commit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,212 @@
+jest.mock('../../../src/models', () => ({
+  TopicConsistencyRule: { findAll: jest.fn() },
+  Topic: { findByPk: jest.fn() },
+  SubTopic: { findAll: jest.fn() },
+  Question: { findAll: jest.fn() },
+  PerformanceStatistic: { findAll: jest.fn() }
+}));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { Op } = require('sequelize');
+const { TopicConsistencyRule, Topic, SubTopic, Question, PerformanceStatistic } = require('../../../src/models');
+const logger = require('../../../src/utils/logger');
+const consistencyRuleService = require('../../../src/services/consistencyRuleService');
+const { ValidationException, BusinessRuleException } = require('../../../src/exceptions');
+
+const flatTopic = { id: 2, topicName: 'Crime Statistics', formType: 'Q' };
+const gridTopic = { id: 3, topicName: 'Vehicles', formType: 'ST/Q' };
+
+const rule = (values) => ({
+  id: 1,
+  topicId: 2,
+  topic: flatTopic,
+  name: 'Disposal balance',
+  severity: 'BLOCK',
+  message: null,
+  tolerance: '0.00',
+  ...values
+});
+const answer = (questionId, value, values = {}) => ({ topicId: 2, questionId, subTopicId: null, value, ...values });
+
+describe('consistencyRuleService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    PerformanceStatistic.findAll.mockResolvedValue([]);
+    TopicConsistencyRule.findAll.mockResolvedValue([]);
+    SubTopic.findAll.mockResolvedValue([]);
+  });
+
+  describe('evaluate', () => {
+    it('reports a rule that does not hold with both sides in the message', async () => {
+      PerformanceStatistic.findAll.mockResolvedValue([answer(2, '10'), answer(3, '4'), answer(4, '8'), answer(5, '7')]);
+      TopicConsistencyRule.findAll.mockResolvedValue([rule({ expression: 'Q5 = Q2 + Q3 - Q4' })]);
+
+      const result = await consistencyRuleService.evaluate({ userId: 4, monthYear: 'AUG 2025' });
+
+      expect(result.violations).toEqual([{
+        ruleId: 1,
+        topicId: 2,
+        topicName: 'Crime Statistics',
+        subTopicId: null,
+        name: 'Disposal balance',
+        severity: 'BLOCK',
+        expression: 'Q5 = Q2 + Q3 - Q4',
+        left: '7',
+        right: '6',
+        message: 'Disposal balance: Q5 = Q2 + Q3 - Q4 does not hold (7 vs 6)'
+      }]);
+      expect(result.blocking).toHaveLength(1);
+      expect(result.warnings).toEqual([]);
+      expect(TopicConsistencyRule.findAll.mock.calls[0][0].where.topicId).toEqual({ [Op.in]: [2] });
+    });
+
+    it('uses the rule message and allows the tolerance', async () => {
+      PerformanceStatistic.findAll.mockResolvedValue([answer(1, '100.4'), answer(2, '100')]);
+      TopicConsistencyRule.findAll.mockResolvedValue([
+        rule({ expression: 'Q1 = Q2', tolerance: '0.5' }),
+        rule({ id: 2, expression: 'Q1 <= Q2', severity: 'WARN', message: 'Arrests exceed cases' })
+      ]);
+
+      const result = await consistencyRuleService.evaluate({ userId: 4, monthYear: 'AUG 2025' });
+
+      expect(result.violations.map(v => v.ruleId)).toEqual([2]);
+      expect(result.warnings[0].message).toBe('Arrests exceed cases: Q1 <= Q2 does not hold (100.4 vs 100)');
+      expect(result.blocking).toEqual([]);
+    });
+
+    it('checks unsaved answers over the stored ones', async () => {
+      PerformanceStatistic.findAll.mockResolvedValue([answer(1, '5'), answer(2, '3')]);
+      TopicConsistencyRule.findAll.mockResolvedValue([rule({ expression: 'Q1 >= Q2' })]);
+
+      const result = await consistencyRuleService.evaluate({
+        userId: 4,
+        monthYear: 'AUG 2025',
+        topicIds: [2],
+        overrides: [answer(2, '9')]
+      });
+
+      expect(result.violations[0].message).toBe('Disposal balance: Q1 >= Q2 does not hold (5 vs 9)');
+    });
+
+    it('skips rules none of whose answers are filled', async () => {
+      PerformanceStatistic.findAll.mockResolvedValue([answer(1, '5'), answer(7, '')]);
+      TopicConsistencyRule.findAll.mockResolvedValue([rule({ expression: 'Q7 = Q8' })]);
+
+      await expect(consistencyRuleService.evaluate({ userId: 4, monthYear: 'AUG 2025' }))
+        .resolves.toEqual({ violations: [], blocking: [], warnings: [] });
+    });
+
+    it('checks grid rules once per sub-topic row', async () => {
+      PerformanceStatistic.findAll.mockResolvedValue([
+        answer(1, '4', { topicId: 3, subTopicId: 10 }),
+        answer(2, '4', { topicId: 3, subTopicId: 10 }),
+        answer(1, '6', { topicId: 3, subTopicId: 11 }),
+        answer(2, '2', { topicId: 3, subTopicId: 11 })
+      ]);
+      TopicConsistencyRule.findAll.mockResolvedValue([rule({ topicId: 3, topic: gridTopic, expression: 'Q1 = Q2' })]);
+      SubTopic.findAll.mockResolvedValue([
+        { id: 10, topicId: 3, subTopicName: 'Two wheeler' },
+        { id: 11, topicId: 3, subTopicName: 'Four wheeler' },
+        { id: 12, topicId: 3, subTopicName: 'Heavy vehicle' }
+      ]);
+
+      const result = await consistencyRuleService.evaluate({ userId: 4, monthYear: 'AUG 2025' });
+
+      expect(result.violations).toHaveLength(1);
+      expect(result.violations[0]).toMatchObject({
+        subTopicId: 11,
+        message: 'Disposal balance (Four wheeler): Q1 = Q2 does not hold (6 vs 2)'
+      });
+    });
+
+    it('checks a grid rule naming its cells once', async () => {
+      PerformanceStatistic.findAll.mockResolvedValue([
+        answer(1, '4', { topicId: 3, subTopicId: 10 }),
+        answer(1, '6', { topicId: 3, subTopicId: 11 }),
+        answer(1, '9', { topicId: 3, subTopicId: 12 })
+      ]);
+      TopicConsistencyRule.findAll.mockResolvedValue([rule({ topicId: 3, topic: gridTopic, expression: 'Q1_10 + Q1_11 <= Q1_12' })]);
+      SubTopic.findAll.mockResolvedValue([{ id: 10, topicId: 3, subTopicName: 'Two wheeler' }]);
+
+      const result = await consistencyRuleService.evaluate({ userId: 4, monthYear: 'AUG 2025' });
+
+      expect(result.violations).toEqual([expect.objectContaining({
+        subTopicId: null,
+        message: 'Disposal balance: Q1_10 + Q1_11 <= Q1_12 does not hold (10 vs 9)'
+      })]);
+    });
+
+    it('ignores stored rules that no longer parse', async () => {
+      PerformanceStatistic.findAll.mockResolvedValue([answer(1, '5')]);
+      TopicConsistencyRule.findAll.mockResolvedValue([rule({ expression: 'Q1 + Q2' })]);
+
+      const result = await consistencyRuleService.evaluate({ userId: 4, monthYear: 'AUG 2025' });
+
+      expect(result.violations).toEqual([]);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Invalid consistency rule 1'));
+    });
+
+    it('looks up no rules when nothing was answered', async () => {
+      await consistencyRuleService.evaluate({ userId: 4, monthYear: 'AUG 2025' });
+      expect(TopicConsistencyRule.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertNoBlocking', () => {
+    const violation = (message) => ({ severity: 'BLOCK', message });
+
+    it('raises the message of a single violation', () => {
+      const result = { blocking: [violation('Disposal balance: Q5 = Q2 does not hold (7 vs 6)')], warnings: [] };
+
+      try {
+        consistencyRuleService.assertNoBlocking(result);
+        throw new Error('expected a business rule error');
+      } catch (error) {
+        expect(error).toBeInstanceOf(BusinessRuleException);
+        expect(error.message).toBe('Disposal balance: Q5 = Q2 does not hold (7 vs 6)');
+      }
+    });
+
+    it('counts several violations and passes warnings', () => {
+      expect(() => consistencyRuleService.assertNoBlocking({ blocking: [violation('a'), violation('b')], warnings: [] }))
+        .toThrow('2 consistency rules failed');
+      expect(() => consistencyRuleService.assertNoBlocking({ blocking: [], warnings: [{ severity: 'WARN' }] }))
+        .not.toThrow();
+    });
+  });
+
+  describe('validateRule', () => {
+    beforeEach(() => {
+      Topic.findByPk.mockResolvedValue(flatTopic);
+      Question.findAll.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      SubTopic.findAll.mockResolvedValue([{ id: 10 }]);
+    });
+
+    it('accepts rules over the questions of the topic', async () => {
+      await expect(consistencyRuleService.validateRule({ topicId: 2, name: 'Balance', expression: 'Q1 <= Q2_10' }))
+        .resolves.toBe(flatTopic);
+    });
+
+    it('lists every unknown question and sub-topic', async () => {
+      try {
+        await consistencyRuleService.validateRule({ topicId: 2, name: 'Balance', expression: 'Q1 = Q3 + Q2_11' });
+        throw new Error('expected a validation error');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationException);
+        expect(error.validationErrors.map(e => e.message)).toEqual([
+          'Question 3 is not an active question of this topic',
+          'Sub-topic 11 is not an active sub-topic of this topic'
+        ]);
+      }
+    });
+
+    it.each([
+      [{ topicId: 2, name: ' ', expression: 'Q1 = Q2' }, 'name'],
+      [{ topicId: 2, name: 'Balance', expression: 'Q1 = Q2', severity: 'ERROR' }, 'severity'],
+      [{ topicId: 2, name: 'Balance', expression: 'Q1 = Q2', tolerance: -1 }, 'tolerance'],
+      [{ topicId: 2, name: 'Balance', expression: 'Q1 + Q2' }, 'expression']
+    ])('rejects %j', async (data, field) => {
+      await expect(consistencyRuleService.validateRule(data)).rejects.toMatchObject({ field });
+    });
+  });
+});
@@ -0,0 +1,157 @@
+jest.mock('../../../src/models', () => ({
+  User: { findAll: jest.fn(), findByPk: jest.fn() },
+  Range: { findAll: jest.fn(), findByPk: jest.fn() },
+  Battalion: { findAll: jest.fn() }
+}));
+
+const { Op } = require('sequelize');
+const { User, Range, Battalion } = require('../../../src/models');
+const jurisdictionService = require('../../../src/services/jurisdictionService');
+const { AuthorizationException } = require('../../../src/exceptions');
+
+const battalionUser = { id: 1, stateId: 1, rangeId: 10, battalionId: 100, role: { roleName: 'USER' } };
+const rangeUser = { id: 2, stateId: 1, rangeId: 10, battalionId: null, role: { roleName: 'RANGE_OFFICER' } };
+const stateUser = { id: 3, stateId: 1, rangeId: null, battalionId: null, role: { roleName: 'STATE_ADMIN' } };
+const admin = { id: 4, stateId: null, rangeId: null, battalionId: null, role: { roleName: 'ADMIN' } };
+const unassigned = { id: 5, stateId: null, rangeId: null, battalionId: null, role: { roleName: 'USER' } };
+
+describe('jurisdictionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getScope', () => {
+    it.each([
+      ['a battalion user', 'BATTALION', battalionUser],
+      ['a range user', 'RANGE', rangeUser],
+      ['a state user', 'STATE', stateUser],
+      ['an admin without a unit', 'GLOBAL', admin],
+      ['a super admin without a unit', 'GLOBAL', { role: { roleName: 'SUPER_ADMIN' } }],
+      ['another role without a unit', 'NONE', unassigned],
+      ['an admin with a unit', 'STATE', { ...admin, stateId: 1 }]
+    ])('places %s at %s level', (_, level, user) => {
+      expect(jurisdictionService.getScope(user).level).toBe(level);
+    });
+  });
+
+  describe('scopeWhere', () => {
+    it('narrows to the unit of the scope', () => {
+      expect(jurisdictionService.scopeWhere(battalionUser)).toEqual({ battalionId: 100 });
+      expect(jurisdictionService.scopeWhere(rangeUser)).toEqual({ rangeId: 10 });
+      expect(jurisdictionService.scopeWhere(stateUser, { stateId: 'state_id' })).toEqual({ state_id: 1 });
+      expect(jurisdictionService.scopeWhere(admin)).toEqual({});
+      expect(jurisdictionService.scopeWhere(null)).toEqual({});
+    });
+
+    it('matches nothing for a user without a jurisdiction', () => {
+      expect(jurisdictionService.scopeWhere(unassigned)).toEqual({ battalionId: { [Op.in]: [] } });
+    });
+  });
+
+  describe('applyScope', () => {
+    it('keeps filters on the scoped column', () => {
+      expect(jurisdictionService.applyScope({ battalionId: 200, active: true }, battalionUser)).toEqual({
+        [Op.and]: [{ battalionId: 200, active: true }, { battalionId: 100 }]
+      });
+    });
+
+    it('leaves the where clause alone for global users', () => {
+      const where = { active: true };
+      expect(jurisdictionService.applyScope(where, admin)).toBe(where);
+      expect(jurisdictionService.applyScope({}, rangeUser)).toEqual({ rangeId: 10 });
+    });
+  });
+
+  describe('unit tables', () => {
+    it('limits states and ranges to the jurisdiction', () => {
+      expect(jurisdictionService.stateWhere(rangeUser)).toEqual({ id: 1 });
+      expect(jurisdictionService.stateWhere(unassigned)).toEqual({ id: { [Op.in]: [] } });
+      expect(jurisdictionService.rangeWhere(battalionUser)).toEqual({ id: 10 });
+      expect(jurisdictionService.rangeWhere(stateUser)).toEqual({ stateId: 1 });
+      expect(jurisdictionService.rangeWhere(admin)).toEqual({});
+    });
+
+    it('limits the battalions of a state to those of its ranges', async () => {
+      Range.findAll.mockResolvedValue([{ id: 10 }, { id: 11 }]);
+
+      await expect(jurisdictionService.battalionWhere(stateUser)).resolves.toEqual({ rangeId: { [Op.in]: [10, 11] } });
+      expect(Range.findAll).toHaveBeenCalledWith({ where: { stateId: 1 }, attributes: ['id'] });
+      await expect(jurisdictionService.battalionWhere(rangeUser)).resolves.toEqual({ rangeId: 10 });
+    });
+
+    it('lists the users of the jurisdiction, and none for global users', async () => {
+      User.findAll.mockResolvedValue([{ id: 2 }, { id: 7 }]);
+
+      await expect(jurisdictionService.getUserIds(rangeUser)).resolves.toEqual([2, 7]);
+      expect(User.findAll).toHaveBeenCalledWith({ where: { rangeId: 10 }, attributes: ['id'] });
+      await expect(jurisdictionService.getUserIds(admin)).resolves.toBeNull();
+    });
+  });
+
+  describe('canAccess', () => {
+    const record = { stateId: 1, rangeId: 10, battalionId: 100 };
+    const elsewhere = { stateId: 1, rangeId: 11, battalionId: 110 };
+
+    it('compares the unit of the scope', () => {
+      expect(jurisdictionService.canAccess(battalionUser, record)).toBe(true);
+      expect(jurisdictionService.canAccess(battalionUser, { ...record, battalionId: 101 })).toBe(false);
+      expect(jurisdictionService.canAccess(rangeUser, elsewhere)).toBe(false);
+      expect(jurisdictionService.canAccess(stateUser, elsewhere)).toBe(true);
+      expect(jurisdictionService.canAccess(admin, elsewhere)).toBe(true);
+      expect(jurisdictionService.canAccess(unassigned, record)).toBe(false);
+      expect(jurisdictionService.canAccess(rangeUser, null)).toBe(false);
+    });
+
+    it('names the resource when denying', () => {
+      expect(() => jurisdictionService.assertCanAccess(rangeUser, elsewhere, 'case 9'))
+        .toThrow(new AuthorizationException('Access denied: case 9 is outside your jurisdiction'));
+    });
+
+    it('lets users read their own data without a lookup', async () => {
+      await jurisdictionService.assertCanAccessUser(unassigned, 5);
+      expect(User.findByPk).not.toHaveBeenCalled();
+
+      User.findByPk.mockResolvedValue({ id: 8, ...elsewhere });
+      await expect(jurisdictionService.assertCanAccessUser(rangeUser, 8)).rejects.toBeInstanceOf(AuthorizationException);
+    });
+  });
+
+  describe('restrictReportRequest', () => {
+    beforeEach(() => {
+      Battalion.findAll.mockResolvedValue([
+        { id: 100, rangeId: 10, range: { id: 10, stateId: 1 } },
+        { id: 110, rangeId: 11, range: { id: 11, stateId: 1 } }
+      ]);
+      Range.findByPk.mockImplementation(async id => ({ id, stateId: id === 20 ? 2 : 1 }));
+    });
+
+    it('pins a battalion user to their battalion', async () => {
+      await expect(jurisdictionService.restrictReportRequest({ reportType: 'MONTHLY' }, battalionUser))
+        .resolves.toEqual({ reportType: 'MONTHLY', battalionId: 100, battalionIds: [100] });
+    });
+
+    it('narrows a range user to their range unless battalions are named', async () => {
+      await expect(jurisdictionService.restrictReportRequest({}, rangeUser)).resolves.toEqual({ rangeId: 10 });
+      await expect(jurisdictionService.restrictReportRequest({ battalionIds: ['100'] }, rangeUser))
+        .resolves.toEqual({ battalionIds: ['100'] });
+    });
+
+    it.each([
+      ['a battalion of another range', { battalionIds: [100, 110] }, rangeUser, 'battalion 110'],
+      ['another range', { rangeId: '11' }, rangeUser, 'range 11'],
+      ['a range of another state', { rangeId: 20 }, stateUser, 'range 20'],
+      ['another range than their battalion\'s', { rangeId: 11 }, battalionUser, 'range 11']
+    ])('refuses %s', async (_, request, user, resource) => {
+      await expect(jurisdictionService.restrictReportRequest(request, user))
+        .rejects.toThrow(`Access denied: ${resource} is outside your jurisdiction`);
+    });
+
+    it('refuses users without a jurisdiction and lets admins ask for anything', async () => {
+      await expect(jurisdictionService.restrictReportRequest({}, unassigned))
+        .rejects.toThrow('Access denied: no jurisdiction is assigned to your account');
+      await expect(jurisdictionService.restrictReportRequest({ rangeId: 20, battalionIds: [110] }, admin))
+        .resolves.toEqual({ rangeId: 20, battalionIds: [110] });
+      expect(Battalion.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock('../../../src/models', () => ({
+  State: { findAll: jest.fn(), rawAttributes: {} },
+  Range: { findAll: jest.fn(), create: jest.fn(), update: jest.fn(), rawAttributes: { createdBy: {} } }
+}));
+jest.mock('../../../src/config/database', () => ({ transaction: jest.fn() }));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const sequelize = require('../../../src/config/database');
+const { State, Range } = require('../../../src/models');
+const masterDataImportService = require('../../../src/services/masterDataImportService');
+const { ValidationException } = require('../../../src/exceptions');
+
+// Model instance stand-in
+const record = (values) => ({ ...values, get: field => values[field] });
+
+const csvFile = (...lines) => ({ buffer: Buffer.from(lines.join('\n')), originalname: 'ranges.csv' });
+const HEADER = 'State Name,Range Name,Range Head,Range Contact No,Range Mobile No,Range Email';
+const user = { id: 1 };
+
+describe('masterDataImportService', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    State.findAll.mockResolvedValue([record({ id: 1, stateName: 'Madhya Pradesh', active: true })]);
+    Range.findAll.mockResolvedValue([
+      record({ id: 10, stateId: 1, rangeName: 'Bhopal', rangeHead: 'A. Verma', active: true }),
+      record({ id: 11, stateId: 1, rangeName: 'Sagar', rangeHead: 'S. Khan', active: true })
+    ]);
+    transaction = { commit: jest.fn(), rollback: jest.fn() };
+    sequelize.transaction.mockResolvedValue(transaction);
+  });
+
+  describe('dry run', () => {
+    it('reports what each row would do and the errors of each rejected row', async () => {
+      const report = await masterDataImportService.import('range', csvFile(
+        HEADER,
+        'Madhya Pradesh,Bhopal,R. Singh,,,',
+        'madhya  pradesh,Indore,P. Rao,0731-2222,9800000000,indore@example.org',
+        'Madhya Pradesh,Gwalior,,,,',
+        'Uttar Pradesh,Kanpur,K. Lal,1,2,k@example.org',
+        'Madhya Pradesh,bhopal,X,,,',
+        'Madhya Pradesh,Jabalpur,J. Das,1,2,not-an-email',
+        'Madhya Pradesh,Sagar,S. Khan,,,'
+      ), {}, user);
+
+      expect(report).toMatchObject({
+        entity: 'RANGE',
+        dryRun: true,
+        committed: false,
+        totalRows: 7,
+        ignoredHeaders: [],
+        summary: { created: 1, updated: 1, unchanged: 1, rejected: 4 }
+      });
+      expect(report.columns).toMatchObject({ stateName: 'State Name', rangeName: 'Range Name', rangeContactNo: 'Range Contact No' });
+      expect(report.rows.map(row => [row.rowNumber, row.action])).toEqual([
+        [2, 'UPDATE'], [3, 'CREATE'], [4, 'REJECTED'], [5, 'REJECTED'], [6, 'REJECTED'], [7, 'REJECTED'], [8, 'UNCHANGED']
+      ]);
+      expect(report.rows[0]).toMatchObject({ id: 10, changes: { rangeHead: { from: 'A. Verma', to: 'R. Singh' } } });
+      expect(report.errors).toEqual([
+        { rowNumber: 4, field: 'rangeHead', message: 'rangeHead is required' },
+        { rowNumber: 4, field: 'rangeContactNo', message: 'rangeContactNo is required' },
+        { rowNumber: 4, field: 'rangeMobileNo', message: 'rangeMobileNo is required' },
+        { rowNumber: 4, field: 'rangeEmail', message: 'rangeEmail is required' },
+        { rowNumber: 5, field: 'stateName', message: "State 'Uttar Pradesh' not found" },
+        { rowNumber: 6, field: 'rangeName', message: 'Duplicate of row 2' },
+        { rowNumber: 7, field: 'rangeEmail', message: 'rangeEmail must be a valid email' }
+      ]);
+      expect(Range.create).not.toHaveBeenCalled();
+    });
+
+    it('maps headers explicitly and reports the columns it did not use', async () => {
+      const report = await masterDataImportService.import('RANGE', csvFile(
+        'State,Name,Range Head,Remarks',
+        'Madhya Pradesh,Bhopal,R. Singh,checked'
+      ), { mapping: '{"stateName":"State","rangeName":"Name"}' }, user);
+
+      expect(report.columns).toEqual({ stateName: 'State', rangeName: 'Name', rangeHead: 'Range Head' });
+      expect(report.ignoredHeaders).toEqual(['Remarks']);
+      expect(report.summary.updated).toBe(1);
+    });
+
+    it.each([
+      ['a required column is missing', csvFile('Range Name', 'Bhopal'), {}, 'stateName', 'Column stateName is missing'],
+      ['the mapping names an unknown column', csvFile(HEADER, 'Madhya Pradesh,Bhopal,,,,'), { mapping: { rangeHead: 'Head' } }, 'mapping.rangeHead', "Column 'Head' is not in the file"],
+      ['the mapping is not JSON', csvFile(HEADER, 'Madhya Pradesh,Bhopal,,,,'), { mapping: 'rangeHead=Head' }, 'mapping', 'Mapping must be a JSON object of field -> column header'],
+      ['the file has no rows', csvFile(HEADER), {}, 'file', 'The file contains no data rows']
+    ])('rejects the file when %s', async (_, file, options, field, message) => {
+      const error = await masterDataImportService.import('RANGE', file, options, user).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationException);
+      expect(error.field).toBe(field);
+      expect(error.message).toBe(message);
+    });
+
+    it('rejects an unknown entity', async () => {
+      await expect(masterDataImportService.import('PRISON', csvFile(HEADER), {}, user)).rejects.toThrow(/Entity must be one of/);
+    });
+  });
+
+  describe('import', () => {
+    it('imports nothing when a row is rejected', async () => {
+      const error = await masterDataImportService.import('RANGE', csvFile(
+        HEADER,
+        'Madhya Pradesh,Bhopal,R. Singh,,,',
+        'Madhya Pradesh,Gwalior,,,,'
+      ), { dryRun: false }, user).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationException);
+      expect(error.message).toBe('1 of 2 rows were rejected; nothing was imported');
+      expect(error.validationErrors.every(e => e.rowNumber === 3)).toBe(true);
+      expect(sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    it('writes every row in one transaction', async () => {
+      Range.create.mockResolvedValue({ id: 12 });
+
+      const report = await masterDataImportService.import('RANGE', csvFile(
+        HEADER,
+        'Madhya Pradesh,Bhopal,R. Singh,,,',
+        'Madhya Pradesh,Indore,P. Rao,0731-2222,9800000000,indore@example.org'
+      ), { dryRun: false }, user);
+
+      expect(Range.update).toHaveBeenCalledWith({ rangeHead: 'R. Singh', updatedBy: 1 }, { where: { id: 10 }, transaction });
+      expect(Range.create).toHaveBeenCalledWith({
+        active: true,
+        stateId: 1,
+        rangeName: 'Indore',
+        rangeHead: 'P. Rao',
+        rangeContactNo: '0731-2222',
+        rangeMobileNo: '9800000000',
+        rangeEmail: 'indore@example.org',
+        createdBy: 1,
+        updatedBy: 1
+      }, { transaction });
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(report.committed).toBe(true);
+      expect(report.rows.map(row => row.id)).toEqual([10, 12]);
+    });
+
+    it('rolls back and reports the rows the database refused', async () => {
+      const refused = new Error('Validation error');
+      refused.errors = [{ path: 'rangeEmail', message: 'Validation isEmail on rangeEmail failed' }];
+      Range.create.mockRejectedValue(refused);
+
+      const error = await masterDataImportService.import('RANGE', csvFile(
+        HEADER,
+        'Madhya Pradesh,Bhopal,R. Singh,,,',
+        'Madhya Pradesh,Indore,P. Rao,0731-2222,9800000000,indore@example.org'
+      ), { dryRun: false }, user).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationException);
+      expect(error.validationErrors).toEqual([
+        { rowNumber: 3, field: 'rangeEmail', message: 'Validation isEmail on rangeEmail failed' }
+      ]);
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(transaction.commit).not.toHaveBeenCalled();
+    });
+  });
+});
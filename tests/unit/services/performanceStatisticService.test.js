@@ -0,0 +1,324 @@
+jest.mock('../../../src/models', () => ({
+  PerformanceStatistic: { findByPk: jest.fn(), count: jest.fn(), findAll: jest.fn(), update: jest.fn() },
+  PerformanceStatisticOtp: { findOne: jest.fn(), create: jest.fn(), update: jest.fn() },
+  User: { findByPk: jest.fn() },
+  Question: { findByPk: jest.fn() },
+  Module: {},
+  Topic: {},
+  SubTopic: {},
+  State: {},
+  Range: {},
+  District: {},
+  Battalion: {}
+}));
+jest.mock('../../../src/config/database', () => ({ transaction: jest.fn(), literal: jest.fn(sql => ({ literal: sql })) }));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../../../src/utils/smsUtil', () => ({ sendOTPSMS: jest.fn() }));
+jest.mock('../../../src/services/reportingPeriodService', () => ({ assertPeriodOpen: jest.fn(), normalizeMonthYear: jest.fn(m => m.toUpperCase()) }));
+jest.mock('../../../src/services/performanceSubmissionService', () => ({
+  findSubmission: jest.fn(),
+  assertEditable: jest.fn(),
+  recordSubmission: jest.fn()
+}));
+jest.mock('../../../src/services/performanceStatisticAuditService', () => ({
+  snapshot: jest.fn(),
+  recordUpdate: jest.fn(),
+  recordBulkUpdate: jest.fn()
+}));
+jest.mock('../../../src/services/consistencyRuleService', () => ({ evaluate: jest.fn(), assertNoBlocking: jest.fn() }));
+jest.mock('../../../src/services/jurisdictionService', () => ({ assertCanAccess: jest.fn() }));
+
+const bcrypt = require('bcryptjs');
+const sequelize = require('../../../src/config/database');
+const { PerformanceStatistic, PerformanceStatisticOtp, User, Question } = require('../../../src/models');
+const smsUtil = require('../../../src/utils/smsUtil');
+const reportingPeriodService = require('../../../src/services/reportingPeriodService');
+const consistencyRuleService = require('../../../src/services/consistencyRuleService');
+const performanceSubmissionService = require('../../../src/services/performanceSubmissionService');
+const performanceStatisticAuditService = require('../../../src/services/performanceStatisticAuditService');
+const performanceStatisticService = require('../../../src/services/performanceStatisticService');
+const { ValidationException, BusinessRuleException, RateLimitException } = require('../../../src/exceptions');
+
+// Keeps hashing fast; the code under test still stores a real bcrypt hash
+process.env.BCRYPT_ROUNDS = '4';
+
+describe('performanceStatisticService', () => {
+  describe('update', () => {
+    const user = { id: 4, battalionId: 3 };
+    let statistic;
+    let transaction;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      statistic = {
+        id: 11,
+        userId: 4,
+        monthYear: 'AUG 2025',
+        topicId: 2,
+        questionId: 30,
+        value: '5',
+        update: jest.fn()
+      };
+      transaction = { commit: jest.fn(), rollback: jest.fn() };
+      PerformanceStatistic.findByPk.mockResolvedValue(statistic);
+      Question.findByPk.mockResolvedValue({ id: 30, question: 'Cases registered', type: 'NUMBER', validationRules: null });
+      performanceSubmissionService.findSubmission.mockResolvedValue({ id: 1 });
+      sequelize.transaction.mockResolvedValue(transaction);
+    });
+
+    it('keeps the month, question and topic of the answer', async () => {
+      await performanceStatisticService.update(11, {
+        value: '7',
+        monthYear: 'SEP 2025',
+        periodKey: 202509,
+        moduleId: 9,
+        topicId: 8,
+        subTopicId: 7,
+        questionId: 31,
+        status: 'APPROVED',
+        userId: 5,
+        battalionId: 6
+      }, user);
+
+      expect(statistic.update).toHaveBeenCalledWith({ value: '7' }, { transaction });
+      expect(Question.findByPk).toHaveBeenCalledWith(30, expect.anything());
+      expect(performanceSubmissionService.findSubmission).toHaveBeenCalledTimes(1);
+      expect(performanceSubmissionService.findSubmission).toHaveBeenCalledWith(4, 'AUG 2025');
+      expect(performanceSubmissionService.assertEditable).toHaveBeenCalledWith({ id: 1 }, [2]);
+      expect(performanceStatisticAuditService.recordUpdate).toHaveBeenCalled();
+      expect(transaction.commit).toHaveBeenCalled();
+    });
+
+    it('rejects a value its question does not allow before writing', async () => {
+      Question.findByPk.mockResolvedValue({ id: 30, question: 'Cases registered', type: 'NUMBER', validationRules: { min: 0 } });
+
+      const error = await performanceStatisticService.update(11, { value: '-3' }, user).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationException);
+      expect(error.message).toBe('Cases registered: Answer must be at least 0');
+      expect(error.validationErrors).toEqual([{ questionId: 30, field: 'value', code: 'BELOW_MIN', message: 'Answer must be at least 0' }]);
+      expect(statistic.update).not.toHaveBeenCalled();
+    });
+
+    it('rolls back when the history cannot be written', async () => {
+      performanceStatisticAuditService.recordUpdate.mockRejectedValue(new Error('Lock wait timeout'));
+
+      await expect(performanceStatisticService.update(11, { value: '7' }, user)).rejects.toThrow('Lock wait timeout');
+      expect(transaction.rollback).toHaveBeenCalled();
+      expect(transaction.commit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('submission OTP', () => {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+    // OTP row stand-in; generated a while ago and still pending by default
+    const otpRecord = (values = {}) => ({
+      id: 7,
+      status: 'PENDING',
+      attempts: 0,
+      sendCount: 1,
+      otpHash: null,
+      otpGeneratedTime: minutesAgo(2),
+      update: jest.fn(),
+      reload: jest.fn(),
+      ...values
+    });
+    const noBlocking = { violations: [], blocking: [], warnings: [] };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      User.findByPk.mockResolvedValue({ id: 4, mobileNo: '9876543210', stateId: 1, rangeId: 2, battalionId: 3 });
+      PerformanceStatistic.count.mockResolvedValue(12);
+      PerformanceStatisticOtp.findOne.mockResolvedValue(null);
+      PerformanceStatisticOtp.create.mockImplementation(async values => otpRecord(values));
+      performanceSubmissionService.findSubmission.mockResolvedValue(null);
+      consistencyRuleService.evaluate.mockResolvedValue(noBlocking);
+      smsUtil.sendOTPSMS.mockResolvedValue({ success: true });
+    });
+
+    describe('sendOTP', () => {
+      it('texts a new code and stores only its hash', async () => {
+        const result = await performanceStatisticService.sendOTP(4, 'jul 2025');
+
+        const [mobileNo, otp, , validity] = smsUtil.sendOTPSMS.mock.calls[0];
+        expect(mobileNo).toBe('9876543210');
+        expect(otp).toMatch(/^\d{6}$/);
+        expect(validity).toBe(10);
+
+        const stored = PerformanceStatisticOtp.create.mock.calls[0][0];
+        expect(stored).toMatchObject({ userId: 4, monthYear: 'JUL 2025', attempts: 0, sendCount: 1, status: 'PENDING' });
+        expect(stored.otpHash).not.toContain(otp);
+        await expect(bcrypt.compare(otp, stored.otpHash)).resolves.toBe(true);
+
+        expect(PerformanceStatistic.count).toHaveBeenCalledWith({
+          where: { userId: 4, monthYear: 'JUL 2025', status: 'INPROGRESS', active: true }
+        });
+        expect(reportingPeriodService.assertPeriodOpen).toHaveBeenCalledWith(expect.objectContaining({ id: 4 }), 'JUL 2025');
+        expect(result).toMatchObject({ success: true, monthYear: 'JUL 2025', mobileNo: '******3210', expiresInMinutes: 10 });
+        expect(result.otp).toBeUndefined();
+      });
+
+      it('replaces the code of an open OTP once the cooldown has passed', async () => {
+        const record = otpRecord({ sendCount: 2, attempts: 3, otpHash: 'old' });
+        PerformanceStatisticOtp.findOne.mockResolvedValue(record);
+
+        await performanceStatisticService.sendOTP(4, 'JUL 2025');
+
+        expect(PerformanceStatisticOtp.create).not.toHaveBeenCalled();
+        expect(record.update).toHaveBeenCalledWith(expect.objectContaining({ attempts: 0, sendCount: 3 }));
+        expect(record.update.mock.calls[0][0].otpHash).not.toBe('old');
+      });
+
+      it('expires an OTP past its validity and issues a new one', async () => {
+        const record = otpRecord({ otpGeneratedTime: minutesAgo(11), sendCount: 5 });
+        PerformanceStatisticOtp.findOne.mockResolvedValue(record);
+
+        await performanceStatisticService.sendOTP(4, 'JUL 2025');
+
+        expect(record.update).toHaveBeenCalledWith({ status: 'EXPIRED' });
+        expect(PerformanceStatisticOtp.create).toHaveBeenCalledWith(expect.objectContaining({ sendCount: 1 }));
+      });
+
+      it.each([
+        ['within the resend cooldown', { otpGeneratedTime: minutesAgo(0.5) }, /^Please wait \d+ seconds/],
+        ['after the last allowed send', { sendCount: 5 }, 'Maximum OTP requests reached. Please try again later'],
+        ['while the OTP is locked', { status: 'LOCKED' }, 'Too many invalid OTP attempts. Please try again later']
+      ])('refuses to send %s', async (_, values, message) => {
+        PerformanceStatisticOtp.findOne.mockResolvedValue(otpRecord(values));
+
+        const error = await performanceStatisticService.sendOTP(4, 'JUL 2025').catch(e => e);
+
+        expect(error).toBeInstanceOf(RateLimitException);
+        expect(error.message).toMatch(message);
+        expect(smsUtil.sendOTPSMS).not.toHaveBeenCalled();
+      });
+
+      it('stores nothing when the SMS is not delivered', async () => {
+        smsUtil.sendOTPSMS.mockResolvedValue({ success: false });
+
+        await expect(performanceStatisticService.sendOTP(4, 'JUL 2025')).rejects.toThrow('Failed to deliver OTP');
+        expect(PerformanceStatisticOtp.create).not.toHaveBeenCalled();
+      });
+
+      it.each([
+        ['the user has no mobile number', () => User.findByPk.mockResolvedValue({ id: 4, mobileNo: null }), 'OTP_MOBILE_REQUIRED'],
+        ['the month has nothing to submit', () => PerformanceStatistic.count.mockResolvedValue(0), 'OTP_NOTHING_TO_SUBMIT']
+      ])('refuses to send when %s', async (_, arrange, rule) => {
+        arrange();
+
+        const error = await performanceStatisticService.sendOTP(4, 'JUL 2025').catch(e => e);
+
+        expect(error).toBeInstanceOf(BusinessRuleException);
+        expect(error.details.rule).toBe(rule);
+      });
+    });
+
+    describe('verifyOTP', () => {
+      let otpHash;
+      let transaction;
+
+      beforeAll(async () => {
+        otpHash = await bcrypt.hash('123456', 4);
+      });
+
+      beforeEach(() => {
+        transaction = { commit: jest.fn(), rollback: jest.fn() };
+        sequelize.transaction.mockResolvedValue(transaction);
+        PerformanceStatisticOtp.update.mockResolvedValue([1]);
+        PerformanceStatistic.findAll.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+        PerformanceStatistic.update.mockResolvedValue([2]);
+        performanceSubmissionService.recordSubmission.mockResolvedValue({ id: 20, status: 'SUBMITTED' });
+      });
+
+      it('finalizes only the answers of the month the OTP was issued for', async () => {
+        PerformanceStatisticOtp.findOne.mockResolvedValue(otpRecord({ otpHash }));
+
+        const result = await performanceStatisticService.verifyOTP({ userId: 4, otp: ' 123456 ', monthYear: 'jul 2025' });
+
+        const finalizeWhere = { userId: 4, monthYear: 'JUL 2025', status: 'INPROGRESS', active: true };
+        expect(PerformanceStatisticOtp.findOne.mock.calls[0][0].where).toMatchObject({ userId: 4, monthYear: 'JUL 2025' });
+        expect(PerformanceStatisticOtp.update.mock.calls[0][0]).toMatchObject({ status: 'VERIFIED' });
+        expect(PerformanceStatistic.update).toHaveBeenCalledWith(
+          { status: 'SUCCESS', updatedBy: 4 },
+          { where: finalizeWhere, transaction }
+        );
+        expect(performanceSubmissionService.recordSubmission).toHaveBeenCalledWith(expect.anything(), 'JUL 2025', transaction);
+        expect(transaction.commit).toHaveBeenCalled();
+        expect(result).toMatchObject({ success: true, monthYear: 'JUL 2025', finalizedCount: 2, submissionId: 20 });
+      });
+
+      it('counts a wrong code as an attempt', async () => {
+        const record = otpRecord({ otpHash, attempts: 1 });
+        record.reload.mockImplementation(async () => { record.attempts = 2; });
+        PerformanceStatisticOtp.findOne.mockResolvedValue(record);
+
+        const error = await performanceStatisticService.verifyOTP({ userId: 4, otp: '654321', monthYear: 'JUL 2025' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(ValidationException);
+        expect(error.message).toBe('Invalid OTP. 3 attempt(s) remaining');
+        expect(PerformanceStatisticOtp.update).toHaveBeenCalledTimes(1);
+        expect(sequelize.transaction).not.toHaveBeenCalled();
+      });
+
+      it.each([
+        ['the last attempt is used', [1], 5],
+        ['a parallel request used the last attempt', [0], 4]
+      ])('locks the OTP when %s', async (_, counted, attempts) => {
+        const record = otpRecord({ otpHash, attempts: 4 });
+        record.reload.mockImplementation(async () => { record.attempts = attempts; });
+        PerformanceStatisticOtp.findOne.mockResolvedValue(record);
+        PerformanceStatisticOtp.update.mockResolvedValueOnce(counted);
+
+        const error = await performanceStatisticService.verifyOTP({ userId: 4, otp: '654321', monthYear: 'JUL 2025' }).catch(e => e);
+
+        expect(error).toBeInstanceOf(RateLimitException);
+        expect(PerformanceStatisticOtp.update).toHaveBeenLastCalledWith(
+          { status: 'LOCKED' },
+          { where: { id: 7, status: 'PENDING' } }
+        );
+      });
+
+      it('refuses even the right code once locked', async () => {
+        PerformanceStatisticOtp.findOne.mockResolvedValue(otpRecord({ otpHash, status: 'LOCKED', attempts: 5 }));
+
+        await expect(performanceStatisticService.verifyOTP({ userId: 4, otp: '123456', monthYear: 'JUL 2025' }))
+          .rejects.toBeInstanceOf(RateLimitException);
+        expect(PerformanceStatistic.update).not.toHaveBeenCalled();
+      });
+
+      it('expires a code past its validity', async () => {
+        const record = otpRecord({ otpHash, otpGeneratedTime: minutesAgo(11) });
+        PerformanceStatisticOtp.findOne.mockResolvedValue(record);
+
+        const error = await performanceStatisticService.verifyOTP({ userId: 4, otp: '123456', monthYear: 'JUL 2025' }).catch(e => e);
+
+        expect(error.details.rule).toBe('OTP_EXPIRED');
+        expect(record.update).toHaveBeenCalledWith({ status: 'EXPIRED' });
+        expect(PerformanceStatistic.update).not.toHaveBeenCalled();
+      });
+
+      it('finalizes nothing when a parallel request already used the OTP', async () => {
+        PerformanceStatisticOtp.findOne.mockResolvedValue(otpRecord({ otpHash }));
+        PerformanceStatisticOtp.update.mockResolvedValueOnce([0]);
+
+        const error = await performanceStatisticService.verifyOTP({ userId: 4, otp: '123456', monthYear: 'JUL 2025' }).catch(e => e);
+
+        expect(error.details.rule).toBe('OTP_NOT_PENDING');
+        expect(PerformanceStatistic.update).not.toHaveBeenCalled();
+        expect(transaction.rollback).toHaveBeenCalled();
+      });
+
+      it.each(['12345', '12345a', ''])('rejects the malformed code %j', async (otp) => {
+        await expect(performanceStatisticService.verifyOTP({ userId: 4, otp, monthYear: 'JUL 2025' }))
+          .rejects.toMatchObject({ field: 'otp' });
+        expect(PerformanceStatisticOtp.findOne).not.toHaveBeenCalled();
+      });
+
+      it('requires an OTP to have been requested', async () => {
+        const error = await performanceStatisticService.verifyOTP({ userId: 4, otp: '123456', monthYear: 'JUL 2025' }).catch(e => e);
+
+        expect(error.details.rule).toBe('OTP_NOT_REQUESTED');
+      });
+    });
+  });
+});
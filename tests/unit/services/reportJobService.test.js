@@ -0,0 +1,77 @@
+jest.mock('../../../src/models', () => ({
+  ReportJob: { update: jest.fn(), findAll: jest.fn(), findOne: jest.fn() },
+  User: {},
+  Role: {}
+}));
+jest.mock('../../../src/services/reportService', () => ({}));
+jest.mock('../../../src/services/jurisdictionService', () => ({}));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const fs = require('fs').promises;
+const { ReportJob } = require('../../../src/models');
+const reportJobService = require('../../../src/services/reportJobService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('reportJobService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    reportJobService.lastCleanupAt = null;
+    ReportJob.update.mockResolvedValue([0]);
+    ReportJob.findAll.mockResolvedValue([]);
+    ReportJob.findOne.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('cleanupArtifacts', () => {
+    it('deletes the files of completed jobs and marks them EXPIRED', async () => {
+      const unlink = jest.spyOn(fs, 'unlink').mockResolvedValue();
+      const rmdir = jest.spyOn(fs, 'rmdir').mockResolvedValue();
+      const job = { filePath: 'uploads/report-jobs/4/R-1.xlsx', fileSize: 2048, update: jest.fn() };
+      ReportJob.findAll.mockResolvedValue([job, { filePath: null, fileSize: null, update: jest.fn() }]);
+
+      const cutoffDate = new Date('2025-08-01T00:00:00Z');
+      await expect(reportJobService.cleanupArtifacts(cutoffDate)).resolves.toEqual({ deletedFiles: 1, freedSpace: 2048 });
+
+      expect(ReportJob.findAll.mock.calls[0][0].where.status).toBe('COMPLETED');
+      expect(unlink).toHaveBeenCalledWith('uploads/report-jobs/4/R-1.xlsx');
+      expect(rmdir).toHaveBeenCalledWith('uploads/report-jobs/4');
+      expect(job.update).toHaveBeenCalledWith({ status: 'EXPIRED', filePath: null });
+
+      unlink.mockRestore();
+      rmdir.mockRestore();
+    });
+  });
+
+  describe('tick', () => {
+    it('removes files past the retention period once an hour', async () => {
+      jest.useFakeTimers({ now: new Date('2025-08-20T10:00:00Z') });
+      const cleanup = jest.spyOn(reportJobService, 'cleanupArtifacts');
+
+      await reportJobService.tick();
+      expect(cleanup).toHaveBeenCalledTimes(1);
+      expect(cleanup.mock.calls[0][0]).toEqual(new Date(Date.now() - 7 * DAY));
+
+      jest.setSystemTime(new Date('2025-08-20T10:30:00Z'));
+      await reportJobService.tick();
+      expect(cleanup).toHaveBeenCalledTimes(1);
+
+      jest.setSystemTime(new Date('2025-08-20T11:00:00Z'));
+      await reportJobService.tick();
+      expect(cleanup).toHaveBeenCalledTimes(2);
+
+      cleanup.mockRestore();
+    });
+
+    it('still drains the queue when the cleanup fails', async () => {
+      ReportJob.findAll.mockRejectedValue(new Error('connection lost'));
+
+      await reportJobService.tick();
+
+      expect(ReportJob.findOne).toHaveBeenCalledWith(expect.objectContaining({ where: { status: 'QUEUED' } }));
+    });
+  });
+});
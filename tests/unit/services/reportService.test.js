@@ -0,0 +1,94 @@
+jest.mock('../../../src/models', () => ({
+  PerformanceStatistic: {},
+  Battalion: {},
+  Range: {},
+  Module: {},
+  Topic: { findByPk: jest.fn() },
+  SubTopic: {},
+  Question: {},
+  User: {},
+  ReportRun: {},
+  SavedReport: {}
+}));
+jest.mock('../../../src/services/jurisdictionService', () => ({}));
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const { Topic } = require('../../../src/models');
+const reportService = require('../../../src/services/reportService');
+const { ValidationException, NotFoundException } = require('../../../src/exceptions');
+
+describe('reportService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('toReportPeriodKey', () => {
+    it.each([
+      ['AUG 2025', 202508],
+      ['08-2025', 202508],
+      ['8-2025', 202508],
+      ['2025-08', 202508],
+      [' 2025-12 ', 202512]
+    ])('reads %j', (value, key) => {
+      expect(reportService.toReportPeriodKey(value)).toBe(key);
+    });
+
+    it.each(['13-2025', '2025-13', '2025-00', '2025/08', 'AUGUST'])('rejects %j', (value) => {
+      expect(reportService.toReportPeriodKey(value)).toBeNull();
+    });
+  });
+
+  describe('resolvePeriodRange', () => {
+    it('resolves no period when none is requested', async () => {
+      await expect(reportService.resolvePeriodRange({ reportType: 'MONTHLY' })).resolves.toBeNull();
+    });
+
+    it.each([
+      [{ monthYear: 'AUG 2025' }, { from: 202508, to: 202508 }],
+      [{ fromMonthYear: '2025-02', toMonthYear: 'MAY 2025' }, { from: 202502, to: 202505 }],
+      [{ fromMonthYear: 'NOV 2025' }, { from: 202511, to: 999999 }],
+      [{ financialYear: '2024-25' }, { from: 202404, to: 202503 }],
+      [{ financialYear: '2024-25', quarter: 'Q4' }, { from: 202501, to: 202503 }],
+      [{ calendarYear: 2025 }, { from: 202501, to: 202512 }]
+    ])('resolves %j', async (request, range) => {
+      await expect(reportService.resolvePeriodRange(request)).resolves.toEqual(range);
+    });
+
+    it('intersects filters given together', async () => {
+      await expect(reportService.resolvePeriodRange({ financialYear: '2024-25', calendarYear: '2025' }))
+        .resolves.toEqual({ from: 202501, to: 202503 });
+    });
+
+    it('uses the window of the topic', async () => {
+      Topic.findByPk.mockResolvedValue({ id: 2, startMonth: 7, endMonth: 6 });
+
+      await expect(reportService.resolvePeriodRange({ topicWindowYear: '2025', topicId: 2 }))
+        .resolves.toEqual({ from: 202507, to: 202606 });
+      expect(Topic.findByPk).toHaveBeenCalledWith(2, { attributes: ['id', 'startMonth', 'endMonth'] });
+    });
+
+    it.each([
+      [{ monthYear: 'AUG' }, 'monthYear', "Invalid month 'AUG'"],
+      [{ fromMonthYear: 'JUN 2025', toMonthYear: 'MAY 2025' }, 'fromMonthYear', 'fromMonthYear cannot be after toMonthYear'],
+      [{ quarter: 'Q1' }, 'quarter', 'A quarter needs a financialYear'],
+      [{ quarter: 'Q5', financialYear: '2024-25' }, 'quarter', 'Quarter must be Q1-Q4 of a financial year like 2024-25'],
+      [{ financialYear: '2024-2026' }, 'financialYear', 'Financial year must look like 2024-25'],
+      [{ calendarYear: '25' }, 'calendarYear', 'Calendar year must be a 4-digit year'],
+      [{ topicWindowYear: '2025' }, 'topicWindowYear', 'A topic window needs a topicId'],
+      [{ monthYear: 'AUG 2025', financialYear: '2023-24' }, 'period', 'The requested period filters do not overlap']
+    ])('rejects %j', async (request, field, message) => {
+      const error = await reportService.resolvePeriodRange(request).catch(e => e);
+
+      expect(error).toBeInstanceOf(ValidationException);
+      expect(error.field).toBe(field);
+      expect(error.message).toBe(message);
+    });
+
+    it('reports a missing topic', async () => {
+      Topic.findByPk.mockResolvedValue(null);
+
+      await expect(reportService.resolvePeriodRange({ topicWindowYear: '2025', topicId: 99 }))
+        .rejects.toBeInstanceOf(NotFoundException);
+    });
+  });
+});
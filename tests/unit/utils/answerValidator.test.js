@@ -0,0 +1,109 @@
+const answerValidator = require('../../../src/utils/answerValidator');
+const { ValidationException } = require('../../../src/exceptions');
+
+const question = (type, validationRules = null) => ({ type, validationRules });
+const codes = (result) => result.errors.map(error => error.code);
+
+describe('answerValidator', () => {
+  describe('validate', () => {
+    it.each([
+      [null, '12', '12'],
+      ['NUMBER', ' 007 ', '7'],
+      ['Numeric', '-2.50', '-2.5'],
+      ['PRICE', '.5', '0.5']
+    ])('accepts and normalizes a %s answer of %j', (type, value, normalized) => {
+      expect(answerValidator.validate(question(type), value)).toEqual({ value: normalized, errors: [] });
+    });
+
+    it.each(['12a', '1,000', '1e3', '--1'])('rejects the number %j', (value) => {
+      const result = answerValidator.validate(question('NUMBER'), value);
+
+      expect(codes(result)).toEqual(['NOT_A_NUMBER']);
+      expect(result.errors[0].message).toBe(`'${value}' is not a number`);
+    });
+
+    it('applies the number rules', () => {
+      const rules = { integer: true, min: 0, max: 100 };
+
+      expect(codes(answerValidator.validate(question('NUMBER', rules), '2.5'))).toEqual(['NOT_AN_INTEGER']);
+      expect(codes(answerValidator.validate(question('NUMBER', rules), '-1'))).toEqual(['BELOW_MIN']);
+      expect(answerValidator.validate(question('NUMBER', rules), '101').errors)
+        .toEqual([{ code: 'ABOVE_MAX', message: 'Answer must be at most 100' }]);
+      expect(answerValidator.validate(question('NUMBER', rules), '100').errors).toEqual([]);
+      expect(answerValidator.validate(question('NUMBER', { min: 0 }), '0').errors).toEqual([]);
+    });
+
+    it('allows blank answers unless required', () => {
+      expect(answerValidator.validate(question('NUMBER'), '  ')).toEqual({ value: '  ', errors: [] });
+      expect(answerValidator.validate(question('NUMBER', { required: true }), null).errors)
+        .toEqual([{ code: 'REQUIRED', message: 'An answer is required' }]);
+    });
+
+    it('limits answers to 250 characters', () => {
+      expect(codes(answerValidator.validate(question('TEXT'), 'x'.repeat(251)))).toEqual(['TOO_LONG']);
+      expect(answerValidator.validate(question('TEXT'), 'x'.repeat(250)).errors).toEqual([]);
+    });
+
+    it('accepts dates in either format within the allowed range', () => {
+      const rules = { minDate: '2025-01-01', maxDate: '2025-12-31' };
+
+      expect(answerValidator.validate(question('DATE', rules), '2025-08-15')).toEqual({ value: '2025-08-15', errors: [] });
+      expect(answerValidator.validate(question('DATE', rules), '15/08/2025').errors).toEqual([]);
+      expect(answerValidator.validate(question('DATE', rules), '2025-12-31').errors).toEqual([]);
+      expect(codes(answerValidator.validate(question('DATE', rules), '31/12/2024'))).toEqual(['BEFORE_MIN_DATE']);
+      expect(codes(answerValidator.validate(question('DATE', rules), '2026-01-01'))).toEqual(['AFTER_MAX_DATE']);
+    });
+
+    it.each(['2025-02-30', '31/04/2025', '08/15', 'yesterday'])('rejects the date %j', (value) => {
+      expect(codes(answerValidator.validate(question('DATE'), value))).toEqual(['INVALID_DATE']);
+    });
+
+    it('normalizes yes/no answers', () => {
+      expect(answerValidator.validate(question('Yes/No'), ' yes ').value).toBe('Yes');
+      expect(answerValidator.validate(question('BOOLEAN'), 'NO').value).toBe('No');
+      expect(codes(answerValidator.validate(question('YESNO'), 'Y'))).toEqual(['INVALID_OPTION']);
+    });
+
+    it('matches choices regardless of case and returns the configured option', () => {
+      const choice = question('MULTICHOICE', { options: ['Solved', 'Pending'] });
+
+      expect(answerValidator.validate(choice, 'pending')).toEqual({ value: 'Pending', errors: [] });
+      expect(answerValidator.validate(choice, 'Closed').errors)
+        .toEqual([{ code: 'INVALID_OPTION', message: 'Answer must be one of: Solved, Pending' }]);
+    });
+
+    it('treats unknown types as free text', () => {
+      expect(answerValidator.validate(question('REMARKS'), ' Patrol doubled ')).toEqual({ value: 'Patrol doubled', errors: [] });
+    });
+  });
+
+  describe('assertValidRules', () => {
+    it('accepts well-formed rules and no rules', () => {
+      expect(() => answerValidator.assertValidRules(null)).not.toThrow();
+      expect(() => answerValidator.assertValidRules({
+        required: true, min: '0', max: 10, integer: true, options: ['A'], minDate: '2025-01-01', maxDate: '2025-12-31'
+      })).not.toThrow();
+    });
+
+    it('lists every malformed rule', () => {
+      try {
+        answerValidator.assertValidRules({ min: 'low', max: 5, minDate: '01/01/2025', options: 'A,B', pattern: '^\\d+$' });
+        throw new Error('expected a validation error');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationException);
+        expect(error.field).toBe('validationRules');
+        expect(error.validationErrors).toEqual([
+          { field: 'validationRules.pattern', message: 'Unknown rule' },
+          { field: 'validationRules.min', message: 'Must be a number' },
+          { field: 'validationRules.minDate', message: 'Must be a YYYY-MM-DD date' },
+          { field: 'validationRules.options', message: 'Must be an array' }
+        ]);
+      }
+    });
+
+    it('rejects a minimum above the maximum and rules that are not an object', () => {
+      expect(() => answerValidator.assertValidRules({ min: 10, max: 5 })).toThrow('Invalid validation rules');
+      expect(() => answerValidator.assertValidRules(['required'])).toThrow('Validation rules must be an object');
+    });
+  });
+});
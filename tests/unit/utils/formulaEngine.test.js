@@ -0,0 +1,158 @@
+const formulaEngine = require('../../../src/utils/formulaEngine');
+const { ValidationException } = require('../../../src/exceptions');
+
+describe('formulaEngine', () => {
+  describe('parse', () => {
+    it('returns no assignments for an empty formula', () => {
+      expect(formulaEngine.parse('')).toEqual([]);
+      expect(formulaEngine.parse('   ')).toEqual([]);
+      expect(formulaEngine.parse(null)).toEqual([]);
+    });
+
+    it('splits assignments and reads their targets and references', () => {
+      const [first, second] = formulaEngine.parse('Q1+Q2=Q3; 12_4 - 12_5 = 12_6');
+
+      expect(first.expression).toBe('Q1+Q2');
+      expect(first.target).toEqual({ questionId: 3, subTopicId: null });
+      expect(first.references).toEqual([
+        { questionId: 1, subTopicId: null },
+        { questionId: 2, subTopicId: null }
+      ]);
+
+      expect(second.target).toEqual({ questionId: 12, subTopicId: 6 });
+      expect(second.references).toEqual([
+        { questionId: 12, subTopicId: 4 },
+        { questionId: 12, subTopicId: 5 }
+      ]);
+    });
+
+    it('leaves the target empty when the formula has no assignment', () => {
+      const [parsed] = formulaEngine.parse('q1 * 2');
+      expect(parsed.target).toBeNull();
+      expect(parsed.references).toEqual([{ questionId: 1, subTopicId: null }]);
+    });
+
+    it('lists a repeated reference once', () => {
+      const [parsed] = formulaEngine.parse('Q1 + Q1 * Q2');
+      expect(parsed.references).toHaveLength(2);
+    });
+
+    it.each([
+      ['Q1+=Q2', /Unexpected/],
+      ['(Q1+Q2=Q3', /Missing closing parenthesis/],
+      ['Q1+Q2)=Q3', /Unexpected '\)'/],
+      ['Q1 % Q2', /Invalid character '%'/],
+      ['Q1+Q2=total', /Invalid formula target 'total'/],
+      ['=Q3', /Empty expression/]
+    ])('rejects %s', (formula, message) => {
+      expect(() => formulaEngine.parse(formula)).toThrow(ValidationException);
+      expect(() => formulaEngine.parse(formula)).toThrow(message);
+    });
+  });
+
+  describe('evaluate', () => {
+    const evaluate = (expression, values = {}) =>
+      formulaEngine.evaluate(formulaEngine.parseExpression(expression), ref => values[ref.questionId]);
+
+    it('honours operator precedence, parentheses and unary minus', () => {
+      expect(evaluate('2 + 3 * 4')).toBe(14);
+      expect(evaluate('(2 + 3) * 4')).toBe(20);
+      expect(evaluate('-Q1 + 10', { 1: '4' })).toBe(6);
+      expect(evaluate('10 - 4 - 3')).toBe(3);
+    });
+
+    it('treats missing and non-numeric values as zero', () => {
+      expect(evaluate('Q1 + Q2', { 1: '5', 2: 'n/a' })).toBe(5);
+      expect(evaluate('Q1 + Q2', { 1: '' })).toBe(0);
+    });
+
+    it('yields zero on division by zero', () => {
+      expect(evaluate('Q1 / Q2', { 1: 10, 2: 0 })).toBe(0);
+    });
+  });
+
+  describe('parseRule', () => {
+    it('splits a rule into both sides and a comparison', () => {
+      const rule = formulaEngine.parseRule('Q5 == Q2 + Q3');
+      expect(rule.operator).toBe('=');
+      expect(rule.references.map(ref => ref.questionId)).toEqual([5, 2, 3]);
+    });
+
+    it('rejects rules without or with several comparisons', () => {
+      expect(() => formulaEngine.parseRule('Q1 + Q2')).toThrow(/needs a comparison/);
+      expect(() => formulaEngine.parseRule('Q1 <= Q2 <= Q3')).toThrow(/only one comparison/);
+    });
+
+    it('compares within the tolerance', () => {
+      expect(formulaEngine.compare(10, '=', 10.4, 0.5)).toBe(true);
+      expect(formulaEngine.compare(10, '!=', 10.4, 0.5)).toBe(false);
+      expect(formulaEngine.compare(10.4, '<=', 10, 0.5)).toBe(true);
+      expect(formulaEngine.compare(10.4, '<', 10)).toBe(false);
+    });
+  });
+
+  describe('compileTopic and compute', () => {
+    it('computes chained formulas in dependency order from the rounded results', () => {
+      const assignments = formulaEngine.compileTopic([
+        { id: 4, formula: 'Q3*2=Q4' },
+        { id: 3, formula: 'Q1+Q2=Q3' }
+      ]);
+
+      expect(formulaEngine.compute(assignments, { 1: '1.255', 2: '2' })).toEqual({ 3: '3.26', 4: '6.52' });
+    });
+
+    it('fills every sub-topic of a grid when the target has none', () => {
+      const assignments = formulaEngine.compileTopic(
+        [{ id: 3, formula: 'Q1+Q2=Q3' }],
+        { isGrid: true, subTopicIds: [7, 8] }
+      );
+
+      expect(assignments.map(a => a.cell)).toEqual(['3_7', '3_8']);
+      expect(assignments[1].dependsOn).toEqual(['1_8', '2_8']);
+      expect(formulaEngine.compute(assignments, { '1_7': 1, '2_7': 2, '1_8': 10, '2_8': 20 }))
+        .toEqual({ '3_7': '3', '3_8': '30' });
+    });
+
+    it('keeps entered values over default formulas but not over formulas', () => {
+      const assignments = formulaEngine.compileTopic([
+        { id: 3, defaultFormula: 'Q1+Q2=Q3' },
+        { id: 4, formula: 'Q1*Q2=Q4', defaultFormula: 'Q1=Q4' }
+      ]);
+
+      expect(formulaEngine.compute(assignments, { 1: 2, 2: 5, 3: 99, 4: 1 }, new Set(['3', '4'])))
+        .toEqual({ 4: '10' });
+    });
+  });
+
+  describe('findCycle', () => {
+    it('returns null for an acyclic topic', () => {
+      const assignments = formulaEngine.compileTopic([
+        { id: 3, formula: 'Q1+Q2=Q3' },
+        { id: 4, formula: 'Q3+Q1=Q4' }
+      ]);
+      expect(formulaEngine.findCycle(assignments)).toBeNull();
+    });
+
+    it('reports the cells of a cycle', () => {
+      const assignments = formulaEngine.compileTopic([
+        { id: 1, formula: 'Q3+1=Q1' },
+        { id: 2, formula: 'Q1*2=Q2' },
+        { id: 3, formula: 'Q2-Q4=Q3' }
+      ]);
+      expect(formulaEngine.findCycle(assignments)).toEqual(['1', '3', '2', '1']);
+    });
+
+    it('detects a formula referring to its own cell', () => {
+      const assignments = formulaEngine.compileTopic([{ id: 5, formula: 'Q5+1' }]);
+      expect(formulaEngine.findCycle(assignments)).toEqual(['5', '5']);
+    });
+
+    it('refuses to compute a cyclic topic', () => {
+      const assignments = formulaEngine.compileTopic([
+        { id: 1, formula: 'Q2=Q1' },
+        { id: 2, formula: 'Q1=Q2' }
+      ]);
+      expect(() => formulaEngine.compute(assignments, {})).toThrow(/Circular formula dependency: 1 -> 2 -> 1/);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const geo = require('../../../src/utils/geo');
+const { ValidationException } = require('../../../src/exceptions');
+
+const square = (minLng, minLat, maxLng, maxLat) => [
+  [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+];
+
+describe('geo', () => {
+  describe('parsePoint', () => {
+    it('accepts numeric strings', () => {
+      expect(geo.parsePoint('23.25', '77.41')).toEqual({ latitude: 23.25, longitude: 77.41 });
+    });
+
+    it('reports each invalid coordinate', () => {
+      try {
+        geo.parsePoint('', 181);
+        throw new Error('expected a validation error');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationException);
+        expect(error.validationErrors.map(e => e.field)).toEqual(['latitude', 'longitude']);
+      }
+      expect(() => geo.parsePoint(-91, 0)).toThrow(ValidationException);
+      expect(() => geo.parsePoint(0, 'east')).toThrow(ValidationException);
+    });
+  });
+
+  describe('distanceKm', () => {
+    it('is zero for the same point', () => {
+      expect(geo.distanceKm(23.25, 77.41, 23.25, 77.41)).toBe(0);
+    });
+
+    it('measures a degree of latitude as about 111 km', () => {
+      expect(geo.distanceKm(10, 77, 11, 77)).toBeCloseTo(111.195, 2);
+    });
+
+    it('shortens degrees of longitude away from the equator', () => {
+      expect(geo.distanceKm(60, 10, 60, 11)).toBeCloseTo(55.6, 1);
+    });
+
+    it('measures long distances along the great circle', () => {
+      // Bhopal to Indore
+      expect(geo.distanceKm(23.2599, 77.4126, 22.7196, 75.8577)).toBeCloseTo(170.1, 1);
+      expect(geo.distanceKm(0, 0, 0, 180)).toBeCloseTo(Math.PI * 6371.0088, 3);
+    });
+  });
+
+  describe('radiusBounds', () => {
+    it('encloses the circle', () => {
+      const bounds = geo.radiusBounds(23.25, 77.41, 10);
+
+      expect(geo.distanceKm(23.25, 77.41, bounds.maxLat, 77.41)).toBeCloseTo(10, 6);
+      expect(geo.distanceKm(23.25, 77.41, 23.25, bounds.maxLng)).toBeGreaterThanOrEqual(10);
+      expect(bounds.minLng).toBeCloseTo(77.41 - (bounds.maxLng - 77.41), 10);
+    });
+
+    it('reaches the widest longitude of large circles at high latitudes', () => {
+      const bounds = geo.radiusBounds(70, 20, 1000);
+
+      // The easternmost point of the circle lies poleward of its centre
+      const angularRadius = 1000 / 6371.0088;
+      const tangentLat = Math.asin(Math.sin(70 * Math.PI / 180) / Math.cos(angularRadius)) * 180 / Math.PI;
+      expect(geo.distanceKm(70, 20, tangentLat, bounds.maxLng)).toBeCloseTo(1000, 6);
+    });
+
+    it('spans every longitude at the poles', () => {
+      expect(geo.radiusBounds(90, 10, 5)).toMatchObject({ maxLat: 90, minLng: -180, maxLng: 180 });
+    });
+  });
+
+  describe('toPolygonGeometry', () => {
+    it('unwraps features and single-feature collections', () => {
+      const polygon = { type: 'Polygon', coordinates: [square(77, 23, 78, 24)] };
+      const collection = {
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: { name: 'Station' }, geometry: polygon }]
+      };
+
+      expect(geo.toPolygonGeometry(collection)).toEqual(polygon);
+    });
+
+    it.each([
+      [{ type: 'Point', coordinates: [77, 23] }, /Polygon or MultiPolygon/],
+      [{ type: 'Polygon', coordinates: [[[77, 23], [78, 23], [77, 23]]] }, /at least four positions/],
+      [{ type: 'Polygon', coordinates: [[[77, 23], [78, 23], [78, 24], [77, 24]]] }, /closed/],
+      [{ type: 'Polygon', coordinates: [square(77, 23, 200, 24)] }, /WGS84 bounds/]
+    ])('rejects %j', (geometry, message) => {
+      try {
+        geo.toPolygonGeometry(geometry, 'boundary');
+        throw new Error('expected a validation error');
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationException);
+        expect(error.validationErrors[0]).toMatchObject({ field: 'boundary', message: expect.stringMatching(message) });
+      }
+    });
+  });
+
+  describe('containsPoint', () => {
+    const withHole = { type: 'Polygon', coordinates: [square(0, 0, 10, 10), square(4, 4, 6, 6)] };
+
+    it('finds points inside the outer ring', () => {
+      expect(geo.containsPoint(withHole, 2, 2)).toBe(true);
+      expect(geo.containsPoint(withHole, 9.99, 0.01)).toBe(true);
+    });
+
+    it('excludes points outside the polygon or inside a hole', () => {
+      expect(geo.containsPoint(withHole, 11, 5)).toBe(false);
+      expect(geo.containsPoint(withHole, 5, -1)).toBe(false);
+      expect(geo.containsPoint(withHole, 5, 5)).toBe(false);
+    });
+
+    it('handles concave polygons', () => {
+      // U shape open to the north between longitudes 3 and 7
+      const u = {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [10, 0], [10, 10], [7, 10], [7, 3], [3, 3], [3, 10], [0, 10], [0, 0]]]
+      };
+
+      expect(geo.containsPoint(u, 8, 1)).toBe(true);
+      expect(geo.containsPoint(u, 8, 5)).toBe(false);
+      expect(geo.containsPoint(u, 8, 8.5)).toBe(true);
+    });
+
+    it('checks every polygon of a MultiPolygon', () => {
+      const multi = { type: 'MultiPolygon', coordinates: [[square(0, 0, 1, 1)], [square(5, 5, 6, 6)]] };
+
+      expect(geo.containsPoint(multi, 5.5, 5.5)).toBe(true);
+      expect(geo.containsPoint(multi, 3, 3)).toBe(false);
+    });
+  });
+
+  it('bounds a geometry by its outer rings', () => {
+    const multi = { type: 'MultiPolygon', coordinates: [[square(0, 0, 1, 1)], [square(5, -2, 6, 6)]] };
+
+    expect(geo.geometryBounds(multi)).toEqual({ minLat: -2, maxLat: 6, minLng: 0, maxLng: 6 });
+    expect(geo.boundsArea(geo.geometryBounds(multi))).toBe(48);
+  });
+});
@@ -0,0 +1,64 @@
+const monthYearUtil = require('../../../src/utils/monthYearUtil');
+
+describe('monthYearUtil', () => {
+  describe('period keys', () => {
+    it.each([
+      ['AUG 2025', 202508],
+      ['aug 2025', 202508],
+      [' Sept 2025 ', 202509],
+      ['January 2026', 202601],
+      ['DEC 1999', 199912]
+    ])('keys %j as %d', (monthYear, key) => {
+      expect(monthYearUtil.toPeriodKey(monthYear)).toBe(key);
+    });
+
+    it.each(['AUG', '2025', 'AUG-2025', 'XYZ 2025', '08 2025', null])('has no key for %j', (monthYear) => {
+      expect(monthYearUtil.toPeriodKey(monthYear)).toBeNull();
+    });
+
+    it('rolls month overflow into the next year and back', () => {
+      expect(monthYearUtil.periodKey(2025, 13)).toBe(202601);
+      expect(monthYearUtil.periodKey(2025, 0)).toBe(202412);
+      expect(monthYearUtil.fromPeriodKey(202601)).toBe('JAN 2026');
+    });
+
+    it('sorts keys in calendar order across the year end', () => {
+      const labels = ['JAN 2026', 'DEC 2025', 'MAR 2025', 'NOV 2025'];
+      const sorted = [...labels].sort((a, b) => monthYearUtil.toPeriodKey(a) - monthYearUtil.toPeriodKey(b));
+
+      expect(sorted).toEqual(['MAR 2025', 'NOV 2025', 'DEC 2025', 'JAN 2026']);
+    });
+  });
+
+  describe('ranges', () => {
+    it('spans a financial year from April to March', () => {
+      expect(monthYearUtil.getFinancialYearRange('2024-25')).toEqual({ from: 202404, to: 202503 });
+      expect(monthYearUtil.getFinancialYearRange('2099-2100')).toEqual({ from: 209904, to: 210003 });
+      expect(monthYearUtil.getFinancialYearRange('2099-00')).toEqual({ from: 209904, to: 210003 });
+    });
+
+    it.each(['2024-26', '2024', '24-25', '2024/25', ''])('rejects the financial year %j', (financialYear) => {
+      expect(monthYearUtil.getFinancialYearRange(financialYear)).toBeNull();
+    });
+
+    it('places quarters in the financial year', () => {
+      expect(monthYearUtil.getQuarterRange('Q1', '2024-25')).toEqual({ from: 202404, to: 202406 });
+      expect(monthYearUtil.getQuarterRange('q3', '2024-25')).toEqual({ from: 202410, to: 202412 });
+      expect(monthYearUtil.getQuarterRange('Q4', '2024-25')).toEqual({ from: 202501, to: 202503 });
+      expect(monthYearUtil.getQuarterRange('Q5', '2024-25')).toBeNull();
+    });
+
+    it('spans a calendar year', () => {
+      expect(monthYearUtil.getCalendarYearRange('2025')).toEqual({ from: 202501, to: 202512 });
+      expect(monthYearUtil.getCalendarYearRange('25')).toBeNull();
+    });
+
+    it('spans a topic window, wrapping over the year end', () => {
+      expect(monthYearUtil.getWindowRange(2025)).toEqual({ from: 202504, to: 202603 });
+      expect(monthYearUtil.getWindowRange(2025, 1, 12)).toEqual({ from: 202501, to: 202512 });
+      expect(monthYearUtil.getWindowRange(2025, 7, 2)).toEqual({ from: 202507, to: 202602 });
+      expect(monthYearUtil.getWindowRange(2025, 10)).toEqual({ from: 202510, to: 202609 });
+      expect(monthYearUtil.getWindowRange('next')).toBeNull();
+    });
+  });
+});
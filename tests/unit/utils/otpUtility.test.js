@@ -0,0 +1,30 @@
+const otpUtility = require('../../../src/utils/otpUtility');
+
+describe('otpUtility', () => {
+  it('generates codes of digits only', () => {
+    for (let i = 0; i < 20; i++) {
+      expect(otpUtility.generateOTP()).toMatch(/^\d{6}$/);
+    }
+    expect(otpUtility.generateOTP(8)).toMatch(/^\d{8}$/);
+  });
+
+  it.each([
+    ['123456', true],
+    ['012345', true],
+    ['12345', false],
+    ['1234567', false],
+    ['12 345', false],
+    ['12345a', false]
+  ])('checks the format of %j', (otp, valid) => {
+    expect(otpUtility.isValidOTPFormat(otp)).toBe(valid);
+  });
+
+  it('expires a code after its validity', () => {
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+    expect(otpUtility.isOTPExpired(minutesAgo(9), 10)).toBe(false);
+    expect(otpUtility.isOTPExpired(minutesAgo(11), 10)).toBe(true);
+    expect(otpUtility.isOTPExpired(minutesAgo(4), 3)).toBe(true);
+    expect(otpUtility.isOTPExpired(null)).toBe(true);
+  });
+});
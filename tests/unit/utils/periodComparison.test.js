@@ -0,0 +1,170 @@
+const periodComparison = require('../../../src/utils/periodComparison');
+const { ValidationException } = require('../../../src/exceptions');
+
+const record = (battalionId, questionId, periodKey, value, { isCumulative = true, rangeId = 1 } = {}) => ({
+  battalionId,
+  questionId,
+  periodKey,
+  value,
+  battalion: { battalionName: `Battalion ${battalionId}`, rangeId, range: { rangeName: `Range ${rangeId}` } },
+  question: { question: `Question ${questionId}`, isCumulative, topic: { topicName: 'Crime' } }
+});
+
+const config = (overrides = {}) => periodComparison.normalizeConfig({ mode: 'MONTH_ON_MONTH', ...overrides });
+
+describe('periodComparison', () => {
+  describe('normalizeConfig', () => {
+    it('upper-cases the config and applies the defaults', () => {
+      expect(periodComparison.normalizeConfig({ mode: 'year_on_year' }))
+        .toEqual({ mode: 'YEAR_ON_YEAR', groupBy: 'BATTALION', swingThreshold: 25 });
+    });
+
+    it('rejects unknown modes, groups and negative thresholds', () => {
+      expect(() => periodComparison.normalizeConfig({ mode: 'WEEKLY' })).toThrow(ValidationException);
+      expect(() => config({ groupBy: 'STATE' })).toThrow(/Comparison group must be one of/);
+      expect(() => config({ swingThreshold: -5 })).toThrow(/non-negative percentage/);
+    });
+  });
+
+  describe('getWindows', () => {
+    it('compares a month with the month before, across the year boundary', () => {
+      expect(periodComparison.getWindows('MONTH_ON_MONTH', 202501)).toEqual({
+        current: { from: 202501, to: 202501 },
+        previous: { from: 202412, to: 202412 }
+      });
+    });
+
+    it('compares a month with the same month a year earlier', () => {
+      expect(periodComparison.getWindows('YEAR_ON_YEAR', 202508)).toEqual({
+        current: { from: 202508, to: 202508 },
+        previous: { from: 202408, to: 202408 }
+      });
+    });
+
+    it('compares the financial year to date with the same months a year earlier', () => {
+      expect(periodComparison.getWindows('FY_TO_DATE', 202505)).toEqual({
+        current: { from: 202504, to: 202505 },
+        previous: { from: 202404, to: 202405 }
+      });
+      // January to March belong to the financial year that started the April before
+      expect(periodComparison.getWindows('FY_TO_DATE', 202502)).toEqual({
+        current: { from: 202404, to: 202502 },
+        previous: { from: 202304, to: 202402 }
+      });
+    });
+  });
+
+  describe('build', () => {
+    const windows = periodComparison.getWindows('FY_TO_DATE', 202505);
+
+    it('sums each window and ignores answers outside both windows', () => {
+      const comparison = periodComparison.build([
+        record(1, 10, 202504, '4'),
+        record(1, 10, 202505, '6'),
+        record(1, 10, 202404, '3'),
+        record(1, 10, 202405, '5'),
+        record(1, 10, 202406, '100'),
+        record(1, 10, 202505, 'n/a')
+      ], config({ mode: 'FY_TO_DATE' }), windows);
+
+      expect(comparison.current).toEqual({ from: 'APR 2025', to: 'MAY 2025', fromKey: 202504, toKey: 202505 });
+      expect(comparison.rows).toHaveLength(1);
+      expect(comparison.rows[0]).toMatchObject({
+        groupName: 'Battalion 1',
+        topicName: 'Crime',
+        isPointInTime: false,
+        current: 10,
+        previous: 8,
+        absoluteVariance: 2,
+        percentVariance: 25,
+        direction: 'INCREASE',
+        isSwing: true
+      });
+      expect(comparison.swings).toBe(1);
+    });
+
+    it('groups battalions by range', () => {
+      const comparison = periodComparison.build([
+        record(1, 10, 202505, '4', { rangeId: 7 }),
+        record(2, 10, 202505, '6', { rangeId: 7 }),
+        record(1, 10, 202504, '20', { rangeId: 7 })
+      ], config({ groupBy: 'RANGE' }), periodComparison.getWindows('MONTH_ON_MONTH', 202505));
+
+      expect(comparison.rows.map(row => [row.groupName, row.current, row.previous, row.direction]))
+        .toEqual([['Range 7', 10, 20, 'DECREASE']]);
+    });
+
+    it('takes the latest value of each battalion for point-in-time questions', () => {
+      const pointInTime = { isCumulative: false };
+      const comparison = periodComparison.build([
+        record(1, 20, 202504, '50', pointInTime),
+        record(1, 20, 202505, '55', pointInTime),
+        record(2, 20, 202504, '30', pointInTime),
+        record(1, 20, 202404, '40', pointInTime),
+        record(1, 20, 202405, '44', pointInTime),
+        record(2, 20, 202405, '30', pointInTime)
+      ], config({ mode: 'FY_TO_DATE', groupBy: 'RANGE' }), windows);
+
+      expect(comparison.rows[0]).toMatchObject({
+        isPointInTime: true,
+        current: 85,
+        previous: 74,
+        absoluteVariance: 11
+      });
+    });
+
+    it('reports a side without answers as NO_DATA rather than zero', () => {
+      const comparison = periodComparison.build([
+        record(1, 10, 202504, '9'),
+        record(2, 10, 202404, '7')
+      ], config({ mode: 'FY_TO_DATE' }), windows);
+
+      expect(comparison.rows.map(row => [row.groupName, row.current, row.previous, row.direction, row.isSwing]))
+        .toEqual([
+          ['Battalion 1', 9, null, 'NO_DATA', false],
+          ['Battalion 2', null, 7, 'NO_DATA', false]
+        ]);
+      expect(comparison.swings).toBe(0);
+    });
+  });
+
+  describe('variance', () => {
+    it('flags changes of at least the swing threshold', () => {
+      expect(periodComparison.variance({ current: 124, previous: 100 }, 25))
+        .toMatchObject({ absoluteVariance: 24, percentVariance: 24, direction: 'INCREASE', isSwing: false });
+      expect(periodComparison.variance({ current: 75, previous: 100 }, 25))
+        .toMatchObject({ percentVariance: -25, direction: 'DECREASE', isSwing: true });
+      expect(periodComparison.variance({ current: 10, previous: 10 }, 0))
+        .toMatchObject({ absoluteVariance: 0, direction: 'NO_CHANGE', isSwing: false });
+    });
+
+    it('measures percentages against the size of a negative previous value', () => {
+      expect(periodComparison.variance({ current: -5, previous: -10 }, 25))
+        .toMatchObject({ absoluteVariance: 5, percentVariance: 50, direction: 'INCREASE' });
+    });
+
+    it('flags any rise from a reported zero', () => {
+      expect(periodComparison.variance({ current: 3, previous: 0 }, 25))
+        .toMatchObject({ absoluteVariance: 3, percentVariance: null, isSwing: true });
+      expect(periodComparison.variance({ current: 0, previous: 0 }, 25))
+        .toMatchObject({ percentVariance: null, direction: 'NO_CHANGE', isSwing: false });
+    });
+  });
+
+  it('flattens into a section', () => {
+    const comparison = periodComparison.build(
+      [record(1, 10, 202505, '6'), record(1, 10, 202504, '4')],
+      config(),
+      periodComparison.getWindows('MONTH_ON_MONTH', 202505)
+    );
+
+    expect(periodComparison.toSection(comparison)).toEqual({
+      title: 'Month on month',
+      headers: [
+        'Battalion', 'Topic', 'Question', 'Current (MAY 2025)', 'Previous (APR 2025)',
+        'Variance', 'Variance (%)', 'Direction', 'Large Swing'
+      ],
+      rows: [['Battalion 1', 'Crime', 'Question 10', 6, 4, 2, 50, 'INCREASE', 'YES']]
+    });
+  });
+});
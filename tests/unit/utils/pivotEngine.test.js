@@ -0,0 +1,128 @@
+const pivotEngine = require('../../../src/utils/pivotEngine');
+const { ValidationException } = require('../../../src/exceptions');
+
+const record = (battalionId, periodKey, value, questionId = 10) => ({
+  battalionId,
+  questionId,
+  periodKey,
+  value,
+  battalion: { battalionName: battalionId === 1 ? 'Alpha' : 'Bravo' },
+  question: { question: `Question ${questionId}` }
+});
+
+// MAR 2025 belongs to the previous financial year
+const records = [
+  record(1, 202503, '7'),
+  record(1, 202504, '5'),
+  record(1, 202505, '3'),
+  record(2, 202504, '10'),
+  record(2, 202505, 'n/a'),
+  record(2, null, '4')
+];
+
+const build = (measure, rows = 'BATTALION', columns = 'MONTH', period = { from: 202504, to: 202505 }) =>
+  pivotEngine.build(records, pivotEngine.normalizeConfig({ rows, columns, measure }), period);
+
+describe('pivotEngine', () => {
+  describe('normalizeConfig', () => {
+    it('upper-cases the config and defaults the measure to SUM', () => {
+      expect(pivotEngine.normalizeConfig({ rows: 'battalion', columns: 'month' }))
+        .toEqual({ rows: 'BATTALION', columns: 'MONTH', measure: 'SUM' });
+    });
+
+    it('rejects unknown or identical dimensions and unknown measures', () => {
+      expect(() => pivotEngine.normalizeConfig({ rows: 'UNIT', columns: 'MONTH' })).toThrow(ValidationException);
+      expect(() => pivotEngine.normalizeConfig({ rows: 'MONTH', columns: 'MONTH' })).toThrow(/must differ/);
+      expect(() => pivotEngine.normalizeConfig({ rows: 'BATTALION', columns: 'MONTH', measure: 'MEDIAN' }))
+        .toThrow(/Measure must be one of/);
+    });
+  });
+
+  it('takes headers from the shown period only and skips non-numeric answers', () => {
+    const pivot = build('SUM');
+
+    expect(pivot.columns).toEqual([
+      { key: 202504, label: 'APR 2025' },
+      { key: 202505, label: 'MAY 2025' }
+    ]);
+    expect(pivot.rows.map(row => row.label)).toEqual(['Alpha', 'Bravo']);
+  });
+
+  it('sums cells, row totals, column totals and the grand total', () => {
+    const pivot = build('SUM');
+
+    expect(pivot.rows.map(row => [row.cells, row.total])).toEqual([
+      [[5, 3], 8],
+      [[10, null], 10]
+    ]);
+    expect(pivot.columnTotals).toEqual([15, 3]);
+    expect(pivot.grandTotal).toBe(18);
+  });
+
+  it('averages totals over their values rather than over the cells', () => {
+    const pivot = build('AVERAGE');
+
+    expect(pivot.rows.map(row => [row.cells, row.total])).toEqual([
+      [[5, 3], 4],
+      [[10, null], 10]
+    ]);
+    expect(pivot.columnTotals).toEqual([7.5, 3]);
+    expect(pivot.grandTotal).toBe(6);
+  });
+
+  it('adds up the latest value of each battalion and question', () => {
+    const pivot = build('LATEST', 'QUESTION', 'BATTALION', null);
+
+    expect(pivot.rows).toHaveLength(1);
+    expect(pivot.rows[0].cells).toEqual([3, 10]);
+    expect(pivot.rows[0].total).toBe(13);
+    expect(pivot.grandTotal).toBe(13);
+  });
+
+  it('accumulates the financial year up to each month', () => {
+    const pivot = build('CUMULATIVE_FY');
+
+    expect(pivot.rows.map(row => [row.cells, row.total])).toEqual([
+      [[5, 8], 8],
+      [[10, 10], 10]
+    ]);
+    expect(pivot.columnTotals).toEqual([15, 18]);
+    expect(pivot.grandTotal).toBe(18);
+  });
+
+  it('includes earlier months of the financial year before the shown period', () => {
+    const pivot = build('CUMULATIVE_FY', 'BATTALION', 'QUESTION', { from: 202505, to: 202505 });
+
+    // Bravo answered nothing numeric in MAY 2025 but still has a year-to-date figure
+    expect(pivot.rows.map(row => [row.label, row.cells, row.total])).toEqual([
+      ['Alpha', [8], 8],
+      ['Bravo', [10], 10]
+    ]);
+    expect(pivot.columnTotals).toEqual([18]);
+    expect(pivot.grandTotal).toBe(18);
+  });
+
+  it('shows only the months of the period on a year-to-date month axis', () => {
+    const pivot = build('CUMULATIVE_FY', 'BATTALION', 'MONTH', { from: 202505, to: 202505 });
+
+    expect(pivot.columns.map(column => column.key)).toEqual([202505]);
+    expect(pivot.rows.map(row => [row.label, row.cells])).toEqual([
+      ['Alpha', [8]],
+      ['Bravo', [10]]
+    ]);
+  });
+
+  it('flattens into a section with a totals column and row', () => {
+    const section = pivotEngine.toSection(build('SUM'), 'Cases');
+
+    expect(section).toEqual({
+      title: 'Cases',
+      headers: ['Battalion / Month', 'APR 2025', 'MAY 2025', 'Total'],
+      rows: [
+        ['Alpha', 5, 3, 8],
+        ['Bravo', 10, null, 10],
+        ['Total', 15, 3, 18]
+      ]
+    });
+  });
+});
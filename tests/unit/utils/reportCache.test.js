@@ -0,0 +1,160 @@
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+const reportCache = require('../../../src/utils/reportCache');
+
+const { MemoryStore } = reportCache;
+const AUG_2025 = { from: 202508, to: 202508 };
+
+describe('reportCache', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-09-01T10:00:00Z') });
+    reportCache.enabled = true;
+    reportCache.setStore(new MemoryStore(3));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const later = (ms = 1) => jest.setSystemTime(Date.now() + ms);
+
+  describe('buildKey', () => {
+    it('hashes equivalent requests alike', () => {
+      const a = reportCache.buildKey('report', { request: { reportType: 'MONTHLY', userId: null, ids: [1, 2] }, scope: { level: 'GLOBAL' } });
+      const b = reportCache.buildKey('report', { scope: { level: 'GLOBAL' }, request: { ids: [1, 2], reportType: 'MONTHLY', filter: '' } });
+
+      expect(a).toBe(b);
+      expect(a).toMatch(/^report:[0-9a-f]{40}$/);
+      expect(reportCache.buildKey('report', { request: { ids: [2, 1] } })).not.toBe(reportCache.buildKey('report', { request: { ids: [1, 2] } }));
+    });
+  });
+
+  describe('wrap', () => {
+    it('computes once and serves copies afterwards', async () => {
+      const compute = jest.fn().mockResolvedValue({ rows: [1, 2] });
+
+      const first = await reportCache.wrap('report:a', compute, AUG_2025);
+      const second = await reportCache.wrap('report:a', compute, AUG_2025);
+
+      expect(compute).toHaveBeenCalledTimes(1);
+      expect(first.cacheMetrics).toEqual({ cacheChecked: true, cacheHit: false, cacheStored: true });
+      expect(second).toEqual({ value: { rows: [1, 2] }, cacheMetrics: { cacheChecked: true, cacheHit: true, cacheStored: false } });
+      expect(second.value).not.toBe(first.value);
+    });
+
+    it('does not store values over the size limit', async () => {
+      reportCache.maxValueBytes = 100;
+      try {
+        const compute = jest.fn().mockResolvedValue({ rows: 'x'.repeat(200) });
+
+        const { cacheMetrics } = await reportCache.wrap('report:big', compute);
+        await reportCache.wrap('report:big', compute);
+
+        expect(cacheMetrics.cacheStored).toBe(false);
+        expect(compute).toHaveBeenCalledTimes(2);
+      } finally {
+        reportCache.maxValueBytes = 1024 * 1024;
+      }
+    });
+
+    it('computes every time when disabled', async () => {
+      reportCache.enabled = false;
+      const compute = jest.fn().mockResolvedValue(1);
+
+      await reportCache.wrap('report:a', compute);
+      const { cacheMetrics } = await reportCache.wrap('report:a', compute);
+
+      expect(compute).toHaveBeenCalledTimes(2);
+      expect(cacheMetrics).toEqual({ cacheChecked: false, cacheHit: false, cacheStored: false });
+    });
+  });
+
+  describe('invalidatePeriods', () => {
+    it('drops entries of the saved months only', async () => {
+      await reportCache.set('report:aug', 'aug', AUG_2025);
+      await reportCache.set('report:jul', 'jul', { from: 202507, to: 202507 });
+      later();
+
+      await reportCache.invalidatePeriods([202508]);
+
+      await expect(reportCache.get('report:aug')).resolves.toBeNull();
+      await expect(reportCache.get('report:jul')).resolves.toBe('jul');
+    });
+
+    it('drops entries without a period on any save', async () => {
+      await reportCache.set('dashboard:a', 'figures');
+      later();
+
+      await reportCache.invalidatePeriods([201901]);
+
+      await expect(reportCache.get('dashboard:a')).resolves.toBeNull();
+    });
+
+    it('drops everything when the months are unknown', async () => {
+      await reportCache.set('report:aug', 'aug', AUG_2025);
+      later();
+
+      await reportCache.invalidatePeriods(null);
+
+      await expect(reportCache.get('report:aug')).resolves.toBeNull();
+    });
+
+    it('keeps entries computed after the save', async () => {
+      await reportCache.invalidatePeriods([202508]);
+      later();
+
+      await reportCache.set('report:aug', 'aug', AUG_2025);
+
+      await expect(reportCache.get('report:aug')).resolves.toBe('aug');
+    });
+
+    it('treats a value whose computation started before the save as stale', async () => {
+      const computedAt = Date.now();
+      later();
+      await reportCache.invalidatePeriods([202508]);
+      later();
+
+      await reportCache.set('report:aug', 'aug', AUG_2025, computedAt);
+
+      await expect(reportCache.get('report:aug')).resolves.toBeNull();
+    });
+  });
+
+  describe('MemoryStore', () => {
+    it('evicts the oldest entry over the limit', async () => {
+      const store = new MemoryStore(2);
+      await store.set('a', '1', 60);
+      await store.set('b', '2', 60);
+      await store.set('a', '1', 60);
+      await store.set('c', '3', 60);
+
+      await expect(store.get('b')).resolves.toBeNull();
+      await expect(store.get('a')).resolves.toBe('1');
+    });
+
+    it('expires entries after their TTL', async () => {
+      const store = new MemoryStore(2);
+      await store.set('a', '1', 60);
+      later(60 * 1000);
+
+      await expect(store.get('a')).resolves.toBeNull();
+    });
+
+    it('never evicts change stamps', async () => {
+      await reportCache.set('report:aug', 'aug', AUG_2025);
+      later();
+      await reportCache.invalidatePeriods([202508]);
+
+      // Far more entries than the store holds
+      for (let i = 0; i < 10; i++) {
+        await reportCache.set(`report:${i}`, i, { from: 202501, to: 202501 });
+      }
+      // The evicted entry's stamp still outdates a copy written by a slow reader
+      await reportCache.set('report:aug', 'aug', AUG_2025, Date.now() - 1);
+
+      await expect(reportCache.get('report:aug')).resolves.toBeNull();
+      expect(reportCache.store.entries.size).toBe(3);
+      expect(reportCache.store.stamps.size).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const ExcelJS = require('exceljs');
+const tabularFileParser = require('../../../src/utils/tabularFileParser');
+const { ValidationException } = require('../../../src/exceptions');
+
+const xlsx = async (build) => {
+  const workbook = new ExcelJS.Workbook();
+  build(workbook);
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+describe('tabularFileParser', () => {
+  describe('CSV', () => {
+    it('reads quoted commas, quotes and line breaks', async () => {
+      const file = Buffer.from(
+        'Range Name,Range Head,Description\n' +
+        '"Bhopal, North","R. K. ""Raju"" Sharma","Covers two\ndistricts"\n'
+      );
+
+      const { headers, rows } = await tabularFileParser.parse(file, 'ranges.csv');
+
+      expect(headers).toEqual(['Range Name', 'Range Head', 'Description']);
+      expect(rows).toEqual([{
+        rowNumber: 2,
+        values: { 'Range Name': 'Bhopal, North', 'Range Head': 'R. K. "Raju" Sharma', Description: 'Covers two\ndistricts' }
+      }]);
+    });
+
+    it('strips the byte order mark and trims headers and values', async () => {
+      const file = Buffer.from('﻿ State Name , Range Name\r\n  MP  ,  Indore \r\n');
+
+      const { headers, rows } = await tabularFileParser.parse(file, 'RANGES.CSV');
+
+      expect(headers).toEqual(['State Name', 'Range Name']);
+      expect(rows[0].values).toEqual({ 'State Name': 'MP', 'Range Name': 'Indore' });
+    });
+
+    it('skips blank rows and numbers the rest by file line', async () => {
+      const file = Buffer.from(
+        'State Name,Range Name,Description\r\n' +
+        'MP,Bhopal,"First\r\nsecond"\r\n' +
+        ',,\r\n' +
+        '\r\n' +
+        'MP,Indore,\r\n' +
+        'MP,Gwalior,last'
+      );
+
+      const { rows } = await tabularFileParser.parse(file, 'ranges.csv');
+
+      expect(rows.map(row => [row.rowNumber, row.values['Range Name']])).toEqual([
+        [2, 'Bhopal'],
+        [6, 'Indore'],
+        [7, 'Gwalior']
+      ]);
+      expect(rows[1].values.Description).toBe('');
+    });
+
+    it('returns no rows for a header-only file', async () => {
+      await expect(tabularFileParser.parse(Buffer.from('State Name\n'), 'states.csv'))
+        .resolves.toEqual({ headers: ['State Name'], rows: [] });
+    });
+  });
+
+  describe('XLSX', () => {
+    it('reads the first visible sheet as text', async () => {
+      const file = await xlsx(workbook => {
+        const hidden = workbook.addWorksheet('Lists');
+        hidden.state = 'hidden';
+        hidden.addRow(['Ignored']);
+
+        const sheet = workbook.addWorksheet('Battalions');
+        sheet.addRow(['Battalion Name', 'Range Name', 'Priority', 'Raised On', 'Active']);
+        sheet.addRow([{ richText: [{ text: '1st ' }, { text: 'Battalion' }] }, 'Bhopal', { formula: '1+1', result: 2 }, new Date(Date.UTC(2024, 0, 15)), true]);
+        sheet.addRow([]);
+        sheet.addRow(['  2nd Battalion ', { text: 'Indore', hyperlink: 'https://example.org' }, null, null, false]);
+      });
+
+      const { headers, rows } = await tabularFileParser.parse(file, 'battalions.xlsx');
+
+      expect(headers).toEqual(['Battalion Name', 'Range Name', 'Priority', 'Raised On', 'Active']);
+      expect(rows).toEqual([
+        {
+          rowNumber: 2,
+          values: { 'Battalion Name': '1st Battalion', 'Range Name': 'Bhopal', Priority: '2', 'Raised On': '2024-01-15', Active: 'true' }
+        },
+        {
+          rowNumber: 4,
+          values: { 'Battalion Name': '2nd Battalion', 'Range Name': 'Indore', Priority: '', 'Raised On': '', Active: 'false' }
+        }
+      ]);
+    });
+
+    it('rejects a file that is not a workbook', async () => {
+      await expect(tabularFileParser.parse(Buffer.from('not a zip'), 'ranges.xlsx'))
+        .rejects.toThrow('The file is not a readable XLSX workbook');
+    });
+  });
+
+  it('accepts only CSV and XLSX', async () => {
+    const error = await tabularFileParser.parse(Buffer.from(''), 'ranges.xls').catch(e => e);
+
+    expect(error).toBeInstanceOf(ValidationException);
+    expect(error.field).toBe('file');
+  });
+});